@@ -1,21 +1,85 @@
 "use client";
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAuth } from '@/lib/auth-context';
 import { useRouter } from 'next/navigation';
+import { apiService, type Room, type RoomPrivacy } from '@/lib/api';
 import { FloatingDock } from "@/components/ui/floating-dock";
+import { toast } from "sonner";
 import {
   IconHome,
   IconUsers,
   IconBrain,
   IconSettings,
   IconLogout,
-  IconMap
+  IconMap,
+  IconLoader2,
+  IconLock,
+  IconWorld
 } from "@tabler/icons-react";
 
 export default function CreateRoom() {
   const { user, loading, isAuthenticated, logout } = useAuth();
   const router = useRouter();
 
+  const [roomName, setRoomName] = useState('');
+  const [subject, setSubject] = useState('');
+  const [privacy, setPrivacy] = useState<RoomPrivacy>('private');
+  const [isCreating, setIsCreating] = useState(false);
+  const [inviteCode, setInviteCode] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+  const [myRooms, setMyRooms] = useState<Room[]>([]);
+  const [publicRooms, setPublicRooms] = useState<Room[]>([]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    apiService
+      .getRooms()
+      .then((response) => setMyRooms(response.rooms || []))
+      .catch((error) => console.error('Error loading rooms:', error));
+    apiService
+      .getPublicRooms()
+      .then((response) => setPublicRooms(response.rooms || []))
+      .catch((error) => console.error('Error loading public rooms:', error));
+  }, [isAuthenticated]);
+
+  const handleCreateRoom = async () => {
+    if (!roomName.trim()) {
+      toast.error('Missing Room Name', { description: 'Give your room a name first.' });
+      return;
+    }
+
+    setIsCreating(true);
+    try {
+      const response = await apiService.createRoom({ name: roomName.trim(), subject, privacy });
+      toast.success('Room Created', { description: `${response.room.name} is ready. Share the invite code to add members.` });
+      router.push(`/rooms/${response.room.id}`);
+    } catch (error) {
+      console.error('Error creating room:', error);
+      toast.error('Error', {
+        description: error instanceof Error ? error.message : 'Failed to create room',
+      });
+      setIsCreating(false);
+    }
+  };
+
+  // Join with an invite code, or a public room straight from the list
+  const handleJoinRoom = async (publicRoomId?: string) => {
+    setIsJoining(true);
+    try {
+      const response = publicRoomId
+        ? await apiService.joinPublicRoom(publicRoomId)
+        : await apiService.joinRoomByCode(inviteCode);
+      router.push(`/rooms/${response.room.id}`);
+    } catch (error) {
+      console.error('Error joining room:', error);
+      toast.error('Could Not Join', {
+        description: error instanceof Error ? error.message : 'Failed to join room',
+      });
+      setIsJoining(false);
+    }
+  };
+
   const handleSignOut = async () => {
     try {
       await logout();
@@ -108,6 +172,9 @@ export default function CreateRoom() {
               <input
                 type="text"
                 placeholder="Enter room name..."
+                value={roomName}
+                onChange={(e) => setRoomName(e.target.value)}
+                maxLength={80}
                 className="w-full px-4 py-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
             </div>
@@ -116,7 +183,10 @@ export default function CreateRoom() {
               <label className="block text-sm font-medium text-gray-300 mb-2">
                 Subject
               </label>
-              <select className="w-full px-4 py-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+              <select
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+                className="w-full px-4 py-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent">
                 <option value="">Select subject...</option>
                 <option value="math">Mathematics</option>
                 <option value="science">Science</option>
@@ -133,22 +203,83 @@ export default function CreateRoom() {
               </label>
               <div className="space-y-2">
                 <label className="flex items-center">
-                  <input type="radio" name="privacy" value="public" className="mr-2 text-blue-500" />
+                  <input
+                    type="radio"
+                    name="privacy"
+                    value="public"
+                    checked={privacy === 'public'}
+                    onChange={() => setPrivacy('public')}
+                    className="mr-2 text-blue-500"
+                  />
                   <span className="text-gray-300">Public - Anyone can join</span>
                 </label>
                 <label className="flex items-center">
-                  <input type="radio" name="privacy" value="private" className="mr-2 text-blue-500" />
+                  <input
+                    type="radio"
+                    name="privacy"
+                    value="private"
+                    checked={privacy === 'private'}
+                    onChange={() => setPrivacy('private')}
+                    className="mr-2 text-blue-500"
+                  />
                   <span className="text-gray-300">Private - Invite only</span>
                 </label>
               </div>
             </div>
 
-            <button className="w-full bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-all duration-300 transform hover:scale-105">
+            <button
+              onClick={handleCreateRoom}
+              disabled={isCreating}
+              className="w-full flex items-center justify-center bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 disabled:opacity-60 disabled:hover:scale-100 text-white font-semibold py-3 px-6 rounded-lg transition-all duration-300 transform hover:scale-105"
+            >
+              {isCreating && <IconLoader2 className="h-5 w-5 mr-2 animate-spin" />}
               Create Room
             </button>
           </div>
         </div>
 
+        {/* Join with an invite code */}
+        <div className="bg-gradient-to-br from-gray-900/50 to-gray-800/50 backdrop-blur-sm border border-gray-700/50 rounded-xl p-6 max-w-md w-full mb-10 z-10">
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            Have an invite code?
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              placeholder="e.g. K7PQ-M2XD"
+              value={inviteCode}
+              onChange={(e) => setInviteCode(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && inviteCode.trim() && handleJoinRoom()}
+              className="flex-1 px-4 py-3 bg-gray-800/50 border border-gray-600 rounded-lg text-white uppercase tracking-widest placeholder-gray-400 placeholder:normal-case placeholder:tracking-normal focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={() => handleJoinRoom()}
+              disabled={isJoining || !inviteCode.trim()}
+              className="px-5 rounded-lg border border-gray-600 text-gray-200 hover:border-blue-500 hover:text-blue-400 disabled:opacity-50 transition-colors"
+            >
+              Join
+            </button>
+          </div>
+        </div>
+
+        {/* Existing rooms */}
+        {(myRooms.length > 0 || publicRooms.length > 0) && (
+          <div className="max-w-md w-full mb-32 z-10 space-y-8">
+            {myRooms.length > 0 && (
+              <RoomList title="Your rooms" rooms={myRooms} onOpen={(id) => router.push(`/rooms/${id}`)} />
+            )}
+            {publicRooms.length > 0 && (
+              <RoomList
+                title="Public rooms"
+                rooms={publicRooms}
+                actionLabel="Join"
+                disabled={isJoining}
+                onOpen={(id) => handleJoinRoom(id)}
+              />
+            )}
+          </div>
+        )}
+
         {/* Floating Dock */}
         <div className="fixed bottom-8 left-1/2 transform -translate-x-1/2 z-50">
           <FloatingDock
@@ -166,3 +297,54 @@ export default function CreateRoom() {
     </div>
   );
 }
+
+function RoomList({
+  title,
+  rooms,
+  actionLabel = 'Open',
+  disabled = false,
+  onOpen,
+}: {
+  title: string;
+  rooms: Room[];
+  actionLabel?: string;
+  disabled?: boolean;
+  onOpen: (id: string) => void;
+}) {
+  return (
+    <div>
+      <h2 className="text-lg font-semibold text-gray-200 mb-3">{title}</h2>
+      <div className="space-y-2">
+        {rooms.map((room) => (
+          <div
+            key={room.id}
+            className="flex items-center justify-between p-4 bg-gray-900/50 border border-gray-700/50 rounded-lg"
+          >
+            <div className="min-w-0">
+              <div className="flex items-center gap-2 text-white font-medium">
+                {room.privacy === 'private' ? (
+                  <IconLock className="h-4 w-4 text-gray-400 shrink-0" />
+                ) : (
+                  <IconWorld className="h-4 w-4 text-gray-400 shrink-0" />
+                )}
+                <span className="truncate">{room.name}</span>
+              </div>
+              <p className="text-xs text-gray-400 mt-1">
+                {room.member_count} {room.member_count === 1 ? 'member' : 'members'} · {room.mindmap_count}{' '}
+                {room.mindmap_count === 1 ? 'mind map' : 'mind maps'}
+                {room.role === 'owner' && ' · Owner'}
+              </p>
+            </div>
+            <button
+              onClick={() => onOpen(room.id)}
+              disabled={disabled}
+              className="ml-4 px-4 py-2 text-sm rounded-lg border border-gray-600 text-gray-200 hover:border-blue-500 hover:text-blue-400 disabled:opacity-50 transition-colors"
+            >
+              {actionLabel}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,7 @@ import { useAuth } from '@/lib/auth-context';
 import { useRouter } from 'next/navigation';
 import { FloatingDock } from "@/components/ui/floating-dock";
 import { WavyBackground } from "@/components/ui/wavy-background";
+import { UsageSummary } from "@/components/custom/UsageSummary";
 import {
   IconHome,
   IconUsers,
@@ -102,6 +103,9 @@ export default function Dashboard() {
           </div>
         </div>
 
+        {/* Remaining daily AI quotas */}
+        <UsageSummary />
+
         {/* Floating Dock positioned like macOS taskbar */}
         <div className="fixed bottom-8 left-1/2 transform -translate-x-1/2 z-50">
           <FloatingDock
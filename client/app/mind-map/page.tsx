@@ -1,9 +1,9 @@
 "use client"
 import type React from "react"
-import { useState, useEffect } from "react"
+import { useState, useEffect, useRef, useCallback } from "react"
 import { useAuth } from "@/lib/auth-context"
 import { useRouter } from "next/navigation"
-import { apiService } from "@/lib/api"
+import { apiService, type GenerationJob, type MindMapFork, type SyllabusDocument } from "@/lib/api"
 import { FloatingDock } from "@/components/ui/floating-dock"
 import { WavyBackground } from "@/components/ui/wavy-background"
 import { Button } from "@/components/ui/button"
@@ -19,7 +19,7 @@ import {
   DialogTitle,
   DialogTrigger,
 } from "@/components/ui/dialog"
-import { MultiStepLoader } from "@/components/ui/multi-step-loader"
+import { GenerationProgress } from "@/components/custom/GenerationProgress"
 import { toast } from "sonner"
 import {
   IconHome,
@@ -34,9 +34,13 @@ import {
   IconUpload,
   IconX,
   IconFileText,
-  IconSquareRoundedX,
   IconEye,
   IconTrash,
+  IconCards,
+  IconLoader2,
+  IconFileImport,
+  IconGitFork,
+  IconRefresh,
 } from "@tabler/icons-react"
 
 // Extend Window interface for Speech Recognition
@@ -63,6 +67,15 @@ interface MindMap {
   subject_name: string
   created_at: string
   mindmap_data?: any
+  forked_from?: MindMapFork | null
+}
+
+// A mind map someone invited the user to study with them
+interface InvitedMindMap {
+  id: string
+  subject_name: string
+  invited_at: string
+  updated_at: string
 }
 
 export default function MindMapPage() {
@@ -75,25 +88,34 @@ export default function MindMapPage() {
   const [isListening, setIsListening] = useState(false)
   const [recognition, setRecognition] = useState<SpeechRecognition | null>(null)
   const [uploadedFile, setUploadedFile] = useState<File | null>(null)
+  const [sourceDocument, setSourceDocument] = useState<SyllabusDocument | null>(null)
+  const [isExtracting, setIsExtracting] = useState(false)
+  // Always generate section by section, not just for long syllabi
+  const [generateBySection, setGenerateBySection] = useState(false)
+  const fileInputRef = useRef<HTMLInputElement>(null)
   const [isCreating, setIsCreating] = useState(false)
   const [isDialogOpen, setIsDialogOpen] = useState(false)
 
+  // Importing an existing outline or mind map file
+  const [isImportDialogOpen, setIsImportDialogOpen] = useState(false)
+  const [importFile, setImportFile] = useState<File | null>(null)
+  const [importSubjectName, setImportSubjectName] = useState("")
+  const [importGenerateContent, setImportGenerateContent] = useState(true)
+  const [isImporting, setIsImporting] = useState(false)
+  const importInputRef = useRef<HTMLInputElement>(null)
+
   // Mind maps list
   const [mindMaps, setMindMaps] = useState<MindMap[]>([])
   const [isLoadingMindMaps, setIsLoadingMindMaps] = useState(true)
+  const [pullingMindMapId, setPullingMindMapId] = useState<number | null>(null)
+  const [flashcardSummary, setFlashcardSummary] = useState<Record<string, { total: number; due: number }>>({})
+  const [invitedMindMaps, setInvitedMindMaps] = useState<InvitedMindMap[]>([])
 
-  // Loading states for mind map creation
-  const loadingStates = [
-    { text: "Connecting to Groq AI..." },
-    { text: "Analyzing subject content..." },
-    { text: "Processing syllabus structure..." },
-    { text: "Creating knowledge nodes..." },
-    { text: "Building connections..." },
-    { text: "Generating visual layout..." },
-    { text: "Optimizing mind map structure..." },
-    { text: "Finalizing your mind map..." },
-    { text: "Mind map created successfully!" },
-  ]
+  // Background generation jobs by id, and the one shown in the progress overlay
+  const [generationJobs, setGenerationJobs] = useState<Record<string, GenerationJob>>({})
+  const [progressJobId, setProgressJobId] = useState<string | null>(null)
+  const progressJobIdRef = useRef<string | null>(null)
+  const jobWatchersRef = useRef<Map<string, AbortController>>(new Map())
 
   // Voice recognition setup
   useEffect(() => {
@@ -131,12 +153,14 @@ export default function MindMapPage() {
     }
   }, [])
 
-  // Load user's mind maps
+  // Stop following generation jobs when leaving the page; they keep running
   useEffect(() => {
-    if (isAuthenticated) {
-      loadMindMaps()
+    const watchers = jobWatchersRef.current
+    return () => {
+      watchers.forEach((controller) => controller.abort())
+      watchers.clear()
     }
-  }, [isAuthenticated])
+  }, [])
 
   // Redirect if not authenticated
   useEffect(() => {
@@ -145,11 +169,32 @@ export default function MindMapPage() {
     }
   }, [loading, isAuthenticated, router])
 
-  const loadMindMaps = async () => {
+  // Due flashcard counts are a nice-to-have, so failures are only logged
+  const loadFlashcardSummary = useCallback(async () => {
+    try {
+      const response = await apiService.getFlashcardSummary()
+      setFlashcardSummary(response.summary || {})
+    } catch (error) {
+      console.error("Error loading flashcard summary:", error)
+    }
+  }, [])
+
+  const loadInvitedMindMaps = useCallback(async () => {
+    try {
+      const response = await apiService.getInvitedMindMaps()
+      setInvitedMindMaps(response.mindMaps || [])
+    } catch (error) {
+      console.error("Error loading invited mind maps:", error)
+    }
+  }, [])
+
+  const loadMindMaps = useCallback(async () => {
     try {
       setIsLoadingMindMaps(true)
       const response = await apiService.getMindMaps()
       setMindMaps(response.mindMaps || [])
+      loadFlashcardSummary()
+      loadInvitedMindMaps()
     } catch (error) {
       console.error("Error loading mind maps:", error)
       toast.error("Error", {
@@ -158,28 +203,119 @@ export default function MindMapPage() {
     } finally {
       setIsLoadingMindMaps(false)
     }
-  }
+  }, [loadFlashcardSummary, loadInvitedMindMaps])
 
-  // File upload handler
-  const handleFileUpload = (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0]
-    if (file) {
-      setUploadedFile(file)
-      // Read file content if it's a text file
-      if (file.type.startsWith("text/") || file.name.endsWith(".txt") || file.name.endsWith(".md")) {
-        const reader = new FileReader()
-        reader.onload = (e) => {
-          const content = e.target?.result as string
-          setSyllabus(content)
+  const activeJobs = Object.values(generationJobs).filter(
+    (job) => job.status !== "saved" && job.status !== "failed",
+  )
+
+  const showJobProgress = useCallback((jobId: string | null) => {
+    progressJobIdRef.current = jobId
+    setProgressJobId(jobId)
+  }, [])
+
+  // Follow a generation job until it finishes, then open or list the result
+  const followGenerationJob = useCallback(
+    async (job: GenerationJob) => {
+      setGenerationJobs((prev) => ({ ...prev, [job.id]: job }))
+      if (jobWatchersRef.current.has(job.id)) return
+
+      const controller = new AbortController()
+      jobWatchersRef.current.set(job.id, controller)
+
+      try {
+        const finishedJob = await apiService.watchGenerationJob(job.id, {
+          signal: controller.signal,
+          onStatus: (update) => setGenerationJobs((prev) => ({ ...prev, [update.id]: update })),
+        })
+
+        if (finishedJob.status === "saved") {
+          toast.success("Success!", {
+            description:
+              finishedJob.kind === "content"
+                ? `Content written for the topics of ${finishedJob.subject_name}`
+                : `Mind map for ${finishedJob.subject_name} created successfully`,
+          })
+          await loadMindMaps()
+
+          if (progressJobIdRef.current === finishedJob.id && finishedJob.mindmap_id) {
+            showJobProgress(null)
+            router.push(`/mind-map/view/${finishedJob.mindmap_id}`)
+          }
+        } else {
+          toast.error("Error", {
+            description: finishedJob.error || `Failed to create the mind map for ${finishedJob.subject_name}`,
+          })
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error("Error following generation job:", error)
         }
-        reader.readAsText(file)
+      } finally {
+        jobWatchersRef.current.delete(job.id)
+      }
+    },
+    [loadMindMaps, router, showJobProgress],
+  )
+
+  // Pick up generations that were still running when the user last left
+  const resumeGenerationJobs = useCallback(async () => {
+    try {
+      const response = await apiService.getGenerationJobs(true)
+      const jobs: GenerationJob[] = response.jobs || []
+      jobs.forEach((job) => followGenerationJob(job))
+    } catch (error) {
+      console.error("Error loading generation jobs:", error)
+    }
+  }, [followGenerationJob])
+
+  // Load user's mind maps
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadMindMaps()
+      resumeGenerationJobs()
+    }
+  }, [isAuthenticated, loadMindMaps, resumeGenerationJobs])
+
+  // File upload handler: the server extracts the text and turns the
+  // document's headings into a topic outline for the syllabus field
+  const handleFileUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    // Reset the input so choosing the same file again still triggers onChange
+    event.target.value = ""
+    if (!file) return
+
+    setUploadedFile(file)
+    setSourceDocument(null)
+
+    try {
+      setIsExtracting(true)
+      const response = await apiService.extractSyllabus(file)
+
+      if (response.success) {
+        setSyllabus(response.outline)
+        setSourceDocument(response.document)
+        toast.success("Syllabus Imported", {
+          description: response.heading_count
+            ? `Found ${response.heading_count} sections in ${file.name}`
+            : `Imported the text from ${file.name}`,
+        })
       }
+    } catch (error) {
+      console.error("Error extracting syllabus:", error)
+      setUploadedFile(null)
+      toast.error("Upload Failed", {
+        description: error instanceof Error ? error.message : "Failed to read the syllabus file",
+      })
+    } finally {
+      setIsExtracting(false)
     }
   }
 
   // Remove uploaded file
   const removeUploadedFile = () => {
     setUploadedFile(null)
+    setSourceDocument(null)
     setSyllabus("")
   }
 
@@ -219,23 +355,24 @@ export default function MindMapPage() {
     setIsCreating(true)
 
     try {
-      const response = await apiService.generateMindMap(subjectName, syllabus)
+      const response = await apiService.startMindMapGeneration(
+        subjectName,
+        syllabus,
+        sourceDocument,
+        generateBySection ? "chunked" : "auto",
+      )
 
       if (response.success) {
-        toast.success("Success!", {
-          description: "Mind map created successfully",
-        })
-
         // Reset form
         setSubjectName("")
         setSyllabus("")
         setUploadedFile(null)
+        setSourceDocument(null)
+        setGenerateBySection(false)
 
-        // Reload mind maps list
-        await loadMindMaps()
-
-        // Navigate to the new mind map
-        router.push(`/mind-map/view/${response.mindMap.id}`)
+        // Show real progress; the new mind map opens once it is saved
+        showJobProgress(response.job.id)
+        followGenerationJob(response.job)
       }
     } catch (error) {
       console.error("Error creating mind map:", error)
@@ -247,10 +384,51 @@ export default function MindMapPage() {
     }
   }
 
+  // Create a mind map straight from the file. Without content generation it
+  // opens right away; otherwise it is listed while its content is written.
+  const handleImportMindMap = async () => {
+    if (!importFile) return
+
+    setIsImporting(true)
+    try {
+      const response = await apiService.importMindMap(importFile, {
+        subjectName: importSubjectName.trim() || undefined,
+        generateContent: importGenerateContent,
+      })
+
+      if (response.success) {
+        setIsImportDialogOpen(false)
+        setImportFile(null)
+        setImportSubjectName("")
+        toast.success("Mind Map Imported", {
+          description: `${response.mindMap.subject_name} has ${response.mindMap.mindmap_data.nodes.length} topics`,
+        })
+
+        if (response.job) {
+          await loadMindMaps()
+          followGenerationJob(response.job)
+        } else {
+          router.push(`/mind-map/view/${response.mindMap.id}`)
+        }
+      }
+    } catch (error) {
+      console.error("Error importing mind map:", error)
+      toast.error("Import Failed", {
+        description: error instanceof Error ? error.message : "Failed to import the file",
+      })
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
   const handleViewMindMap = (mindMapId: number) => {
     router.push(`/mind-map/view/${mindMapId}`)
   }
 
+  const handleReviewFlashcards = (mindMapId: number) => {
+    router.push(`/mind-map/review/${mindMapId}`)
+  }
+
   const handleDeleteMindMap = async (mindMapId: number) => {
     if (!confirm("Are you sure you want to delete this mind map? This action cannot be undone.")) {
       return
@@ -279,6 +457,39 @@ export default function MindMapPage() {
     }
   }
 
+  // Bring a fork up to date with the map it was forked from
+  const handlePullSource = async (mindMap: MindMap) => {
+    const warning = mindMap.forked_from?.local_changes
+      ? "Your edits to this copy will be replaced by the latest version of the original. Continue?"
+      : "Update this copy to the latest version of the original?"
+    if (!confirm(warning)) {
+      return
+    }
+
+    setPullingMindMapId(mindMap.id)
+    try {
+      const response = await apiService.pullMindMapSource(mindMap.id.toString())
+
+      setMindMaps((prevMindMaps) =>
+        prevMindMaps.map((item) =>
+          item.id === mindMap.id ? { ...item, forked_from: response.mindMap.forked_from } : item,
+        ),
+      )
+      toast.success("Mind Map Updated", {
+        description: response.updated
+          ? `${mindMap.subject_name} now matches the original`
+          : `${mindMap.subject_name} was already up to date`,
+      })
+    } catch (error) {
+      console.error("Error pulling changes:", error)
+      toast.error("Update Failed", {
+        description: error instanceof Error ? error.message : "Could not pull changes from the original",
+      })
+    } finally {
+      setPullingMindMapId(null)
+    }
+  }
+
   const handleSignOut = async () => {
     try {
       await logout()
@@ -352,7 +563,7 @@ export default function MindMapPage() {
         {/* Main Content */}
         <div className="w-full max-w-7xl z-10">
           {/* Create New Mind Map Button */}
-          <div className="text-center mb-12">
+          <div className="flex flex-wrap justify-center gap-4 mb-12">
             <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
               <DialogTrigger asChild>
                 <Button
@@ -391,23 +602,24 @@ export default function MindMapPage() {
                       <label className="text-sm font-medium text-gray-300">Syllabus Content *</label>
                       <div className="flex gap-2">
                         {/* File Upload Button */}
-                        <label className="cursor-pointer">
-                          <input
-                            type="file"
-                            accept=".txt,.md,.doc,.docx,text/*"
-                            onChange={handleFileUpload}
-                            className="hidden"
-                          />
-                          <Button
-                            type="button"
-                            size="sm"
-                            variant="outline"
-                            className="border-gray-600/50 text-gray-400 hover:border-gray-500 hover:text-gray-200"
-                          >
-                            <IconUpload className="w-4 h-4 mr-1" />
-                            Upload
-                          </Button>
-                        </label>
+                        <input
+                          ref={fileInputRef}
+                          type="file"
+                          accept=".pdf,.docx,.html,.htm,.txt,.md,application/pdf,text/*"
+                          onChange={handleFileUpload}
+                          className="hidden"
+                        />
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="outline"
+                          onClick={() => fileInputRef.current?.click()}
+                          disabled={isExtracting}
+                          className="border-gray-600/50 text-gray-400 hover:border-gray-500 hover:text-gray-200"
+                        >
+                          <IconUpload className="w-4 h-4 mr-1" />
+                          Upload
+                        </Button>
 
                         {/* Voice Input Button */}
                         <Button
@@ -438,7 +650,9 @@ export default function MindMapPage() {
                           <IconFileText className="w-5 h-5 text-orange-400" />
                           <div>
                             <p className="text-sm font-medium text-orange-200">{uploadedFile.name}</p>
-                            <p className="text-xs text-orange-300/70">{(uploadedFile.size / 1024).toFixed(1)} KB</p>
+                            <p className="text-xs text-orange-300/70">
+                              {isExtracting ? "Extracting topics..." : `${(uploadedFile.size / 1024).toFixed(1)} KB`}
+                            </p>
                           </div>
                         </div>
                         <Button
@@ -472,6 +686,22 @@ export default function MindMapPage() {
                       </div>
                     )}
                   </div>
+
+                  {/* Generation mode */}
+                  <label className="flex items-start gap-3 text-sm text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={generateBySection}
+                      onChange={(e) => setGenerateBySection(e.target.checked)}
+                      className="mt-0.5 accent-orange-500"
+                    />
+                    <span>
+                      Generate section by section
+                      <span className="block text-xs text-gray-500">
+                        Covers every unit of a full syllabus in detail. Long syllabi use this automatically.
+                      </span>
+                    </span>
+                  </label>
                 </div>
 
                 <DialogFooter className="flex justify-end gap-4">
@@ -484,7 +714,7 @@ export default function MindMapPage() {
                   </Button>
                   <Button
                     onClick={handleCreateMindMap}
-                    disabled={!subjectName.trim() || !syllabus.trim() || isCreating}
+                    disabled={!subjectName.trim() || !syllabus.trim() || isCreating || isExtracting}
                     className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {isCreating ? "Creating..." : "Create Mind Map"}
@@ -492,6 +722,117 @@ export default function MindMapPage() {
                 </DialogFooter>
               </DialogContent>
             </Dialog>
+
+            {/* Import an existing outline or mind map */}
+            <Dialog open={isImportDialogOpen} onOpenChange={setIsImportDialogOpen}>
+              <DialogTrigger asChild>
+                <Button
+                  size="lg"
+                  variant="outline"
+                  className="border-gray-600 text-gray-300 hover:border-orange-500 hover:text-orange-400 px-8 py-3"
+                >
+                  <IconFileImport className="w-5 h-5 mr-2" />
+                  Import
+                </Button>
+              </DialogTrigger>
+              <DialogContent className="sm:max-w-[500px] bg-gradient-to-br from-gray-900/95 to-gray-800/95 backdrop-blur-xl border border-gray-700/50">
+                <DialogHeader>
+                  <DialogTitle className="text-2xl font-bold bg-gradient-to-r from-orange-400 to-red-600 bg-clip-text text-transparent">
+                    Import a Mind Map
+                  </DialogTitle>
+                  <DialogDescription className="text-gray-400">
+                    Bring in a Markdown outline, OPML, FreeMind (.mm) or exported JSON file as it is
+                  </DialogDescription>
+                </DialogHeader>
+
+                <div className="space-y-6">
+                  <div className="space-y-2">
+                    <input
+                      ref={importInputRef}
+                      type="file"
+                      accept=".md,.markdown,.txt,.opml,.mm,.json"
+                      onChange={(e) => {
+                        setImportFile(e.target.files?.[0] || null)
+                        e.target.value = ""
+                      }}
+                      className="hidden"
+                    />
+                    {importFile ? (
+                      <div className="flex items-center justify-between p-3 bg-orange-500/10 border border-orange-500/20 rounded-lg">
+                        <div className="flex items-center gap-3">
+                          <IconFileText className="w-5 h-5 text-orange-400" />
+                          <div>
+                            <p className="text-sm font-medium text-orange-200">{importFile.name}</p>
+                            <p className="text-xs text-orange-300/70">{(importFile.size / 1024).toFixed(1)} KB</p>
+                          </div>
+                        </div>
+                        <Button
+                          type="button"
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => setImportFile(null)}
+                          className="text-orange-400 hover:text-orange-200 hover:bg-orange-500/20"
+                        >
+                          <IconX className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    ) : (
+                      <Button
+                        type="button"
+                        variant="outline"
+                        onClick={() => importInputRef.current?.click()}
+                        className="w-full border-dashed border-gray-600/50 text-gray-400 hover:border-gray-500 hover:text-gray-200"
+                      >
+                        <IconUpload className="w-4 h-4 mr-2" />
+                        Choose a file
+                      </Button>
+                    )}
+                  </div>
+
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-gray-300">Subject Name</label>
+                    <Input
+                      placeholder="Taken from the file if left empty"
+                      value={importSubjectName}
+                      onChange={(e) => setImportSubjectName(e.target.value)}
+                      className="bg-gray-800/30 border-gray-600/50 text-white placeholder:text-gray-500"
+                    />
+                  </div>
+
+                  <label className="flex items-start gap-3 text-sm text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={importGenerateContent}
+                      onChange={(e) => setImportGenerateContent(e.target.checked)}
+                      className="mt-0.5 accent-orange-500"
+                    />
+                    <span>
+                      Write content for empty topics
+                      <span className="block text-xs text-gray-500">
+                        Topics without notes get an AI-written explanation in the background.
+                      </span>
+                    </span>
+                  </label>
+                </div>
+
+                <DialogFooter className="flex justify-end gap-4">
+                  <Button
+                    variant="outline"
+                    onClick={() => setIsImportDialogOpen(false)}
+                    className="border-gray-600/50 text-gray-400 hover:border-gray-500 hover:text-gray-200"
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    onClick={handleImportMindMap}
+                    disabled={!importFile || isImporting}
+                    className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isImporting ? "Importing..." : "Import"}
+                  </Button>
+                </DialogFooter>
+              </DialogContent>
+            </Dialog>
           </div>
 
           {/* Mind Maps Grid */}
@@ -512,49 +853,151 @@ export default function MindMapPage() {
                   </CardContent>
                 </Card>
               ))
-            ) : mindMaps.length === 0 ? (
+            ) : mindMaps.length === 0 && activeJobs.length === 0 ? (
               <div className="col-span-full text-center py-12">
                 <IconMap className="w-16 h-16 text-gray-600 mx-auto mb-4" />
                 <h3 className="text-xl font-semibold text-gray-400 mb-2">No Mind Maps Yet</h3>
                 <p className="text-gray-500">Create your first AI-powered mind map to get started!</p>
               </div>
             ) : (
-              mindMaps.map((mindMap) => (
-                <Card
-                  key={mindMap.id}
-                  className="bg-gray-900/50 border-gray-700/50 hover:bg-gray-900/70 transition-all duration-300 group"
-                >
-                  <CardHeader>
-                    <CardTitle className="text-white group-hover:text-orange-400 transition-colors">
-                      {mindMap.subject_name}
-                    </CardTitle>
-                    <CardDescription className="text-gray-400">
-                      Created {new Date(mindMap.created_at).toLocaleDateString()}
-                    </CardDescription>
-                  </CardHeader>
-                  <CardContent>
-                    <div className="flex justify-between items-center">
-                      <Button
-                        onClick={() => handleViewMindMap(mindMap.id)}
-                        className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white"
-                      >
-                        <IconEye className="w-4 h-4 mr-2" />
-                        View
-                      </Button>
+              <>
+                {activeJobs.map((job) => (
+                  <Card key={job.id} className="bg-gray-900/50 border-orange-500/30 border-dashed">
+                    <CardHeader>
+                      <CardTitle className="text-white">{job.subject_name}</CardTitle>
+                      <CardDescription className="text-gray-400 flex items-center gap-2">
+                        <IconLoader2 className="w-4 h-4 animate-spin text-orange-400" />
+                        {job.status === "queued"
+                          ? "Waiting to generate..."
+                          : job.kind === "content"
+                            ? "Writing topic content..."
+                            : job.status === "validating"
+                              ? "Checking structure..."
+                              : "Generating..."}
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
                       <Button
-                        onClick={() => handleDeleteMindMap(mindMap.id)}
+                        onClick={() => showJobProgress(job.id)}
                         variant="outline"
                         size="sm"
-                        className="border-red-600/50 text-red-400 hover:border-red-500 hover:text-red-300 hover:bg-red-600/10"
+                        className="border-gray-600 text-gray-300 hover:border-orange-500 hover:text-orange-400"
                       >
-                        <IconTrash className="w-4 h-4" />
+                        Show Progress
                       </Button>
-                    </div>
-                  </CardContent>
-                </Card>
-              ))
+                    </CardContent>
+                  </Card>
+                ))}
+                {mindMaps.map((mindMap) => (
+                  <Card
+                    key={mindMap.id}
+                    className="bg-gray-900/50 border-gray-700/50 hover:bg-gray-900/70 transition-all duration-300 group"
+                  >
+                    <CardHeader>
+                      <CardTitle className="text-white group-hover:text-orange-400 transition-colors">
+                        {mindMap.subject_name}
+                      </CardTitle>
+                      <CardDescription className="text-gray-400">
+                        Created {new Date(mindMap.created_at).toLocaleDateString()}
+                      </CardDescription>
+                      {mindMap.forked_from && (
+                        <div className="flex items-center justify-between gap-2 text-xs text-gray-400">
+                          <span className="flex items-center gap-1 min-w-0">
+                            <IconGitFork className="w-3.5 h-3.5 shrink-0" />
+                            <span className="truncate">Forked from {mindMap.forked_from.subject_name}</span>
+                          </span>
+                          {mindMap.forked_from.updates_available ? (
+                            <Button
+                              onClick={() => handlePullSource(mindMap)}
+                              disabled={pullingMindMapId === mindMap.id}
+                              variant="ghost"
+                              size="sm"
+                              className="h-6 px-2 text-xs text-orange-400 hover:text-orange-300 hover:bg-orange-500/10"
+                            >
+                              {pullingMindMapId === mindMap.id ? (
+                                <IconLoader2 className="w-3.5 h-3.5 mr-1 animate-spin" />
+                              ) : (
+                                <IconRefresh className="w-3.5 h-3.5 mr-1" />
+                              )}
+                              Pull updates
+                            </Button>
+                          ) : (
+                            !mindMap.forked_from.source_available && (
+                              <span className="text-gray-500 shrink-0">Original unavailable</span>
+                            )
+                          )}
+                        </div>
+                      )}
+                    </CardHeader>
+                    <CardContent>
+                      <div className="flex justify-between items-center">
+                        <Button
+                          onClick={() => handleViewMindMap(mindMap.id)}
+                          className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white"
+                        >
+                          <IconEye className="w-4 h-4 mr-2" />
+                          View
+                        </Button>
+                        <Button
+                          onClick={() => handleReviewFlashcards(mindMap.id)}
+                          variant="outline"
+                          size="sm"
+                          className="border-gray-600 text-gray-300 hover:border-orange-500 hover:text-orange-400"
+                        >
+                          <IconCards className="w-4 h-4 mr-2" />
+                          {flashcardSummary[mindMap.id]?.due ? `Review (${flashcardSummary[mindMap.id].due})` : "Flashcards"}
+                        </Button>
+                        <Button
+                          onClick={() => handleDeleteMindMap(mindMap.id)}
+                          variant="outline"
+                          size="sm"
+                          className="border-red-600/50 text-red-400 hover:border-red-500 hover:text-red-300 hover:bg-red-600/10"
+                        >
+                          <IconTrash className="w-4 h-4" />
+                        </Button>
+                      </div>
+                    </CardContent>
+                  </Card>
+                ))}
+              </>
             )}
           </div>
+
+          {/* Mind maps other people invited the user to */}
+          {invitedMindMaps.length > 0 && (
+            <div className="mt-10">
+              <h2 className="text-xl font-semibold text-white mb-4 flex items-center gap-2">
+                <IconUsers className="w-5 h-5 text-orange-400" />
+                Shared with you
+              </h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                {invitedMindMaps.map((mindMap) => (
+                  <Card
+                    key={mindMap.id}
+                    className="bg-gray-900/50 border-gray-700/50 hover:bg-gray-900/70 transition-all duration-300 group"
+                  >
+                    <CardHeader>
+                      <CardTitle className="text-white group-hover:text-orange-400 transition-colors">
+                        {mindMap.subject_name}
+                      </CardTitle>
+                      <CardDescription className="text-gray-400">
+                        Invited {new Date(mindMap.invited_at).toLocaleDateString()}
+                      </CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                      <Button
+                        onClick={() => router.push(`/mind-map/view/${mindMap.id}`)}
+                        className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white"
+                      >
+                        <IconEye className="w-4 h-4 mr-2" />
+                        Join
+                      </Button>
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Floating Dock */}
@@ -568,18 +1011,12 @@ export default function MindMapPage() {
           <div className="absolute bottom-1/4 right-1/4 w-64 h-64 bg-red-500/10 rounded-full blur-3xl"></div>
         </div>
 
-        {/* Multi-step Loader */}
-        <MultiStepLoader loadingStates={loadingStates} loading={isCreating} duration={2000} loop={false} />
-
-        {/* Close button for loader */}
-        {isCreating && (
-          <button
-            className="fixed top-4 right-4 text-white z-[120] hover:bg-gray-800/50 rounded-lg p-2 transition-all duration-200"
-            onClick={() => setIsCreating(false)}
-          >
-            <IconSquareRoundedX className="h-8 w-8" />
-          </button>
-        )}
+        {/* Generation progress */}
+        <GenerationProgress
+          job={progressJobId ? generationJobs[progressJobId] || null : null}
+          open={isCreating || !!progressJobId}
+          onClose={() => showJobProgress(null)}
+        />
       </WavyBackground>
     </div>
   )
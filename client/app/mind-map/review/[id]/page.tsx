@@ -0,0 +1,256 @@
+"use client"
+import { useState, useEffect, useCallback } from "react"
+import { useRouter, useParams } from "next/navigation"
+import { useAuth } from "@/lib/auth-context"
+import { apiService } from "@/lib/api"
+import { Button } from "@/components/ui/button"
+import { Progress } from "@/components/ui/progress"
+import { toast } from "sonner"
+import { IconArrowLeft, IconCards, IconLoader2, IconRefresh } from "@tabler/icons-react"
+
+interface Flashcard {
+  id: string
+  node_id: string
+  front: string
+  back: string
+  interval_days: number
+  repetitions: number
+  due_at: string
+}
+
+interface DeckStats {
+  total: number
+  due: number
+  new: number
+}
+
+// Answer buttons mapped onto SM-2 recall grades
+const RATINGS = [
+  { label: "Again", quality: 1, className: "bg-red-600 hover:bg-red-700" },
+  { label: "Hard", quality: 3, className: "bg-orange-600 hover:bg-orange-700" },
+  { label: "Good", quality: 4, className: "bg-green-600 hover:bg-green-700" },
+  { label: "Easy", quality: 5, className: "bg-blue-600 hover:bg-blue-700" },
+]
+
+export default function FlashcardReview() {
+  const router = useRouter()
+  const params = useParams()
+  const { user, loading, isAuthenticated } = useAuth()
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-white text-xl">Loading...</div>
+      </div>
+    )
+  }
+
+  if (!isAuthenticated || !user) {
+    router.push("/")
+    return null
+  }
+
+  return <FlashcardReviewContent mindMapId={params.id as string} />
+}
+
+function FlashcardReviewContent({ mindMapId }: { mindMapId: string }) {
+  const router = useRouter()
+  const [subjectName, setSubjectName] = useState("")
+  const [queue, setQueue] = useState<Flashcard[]>([])
+  const [stats, setStats] = useState<DeckStats | null>(null)
+  const [showBack, setShowBack] = useState(false)
+  const [reviewedCount, setReviewedCount] = useState(0)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const loadDueCards = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const [mindMapResponse, cardsResponse] = await Promise.all([
+        apiService.getMindMap(mindMapId),
+        apiService.getFlashcards(mindMapId, true),
+      ])
+
+      setSubjectName(mindMapResponse.mindMap?.subject_name || "")
+      setQueue(cardsResponse.cards || [])
+      setStats(cardsResponse.stats || null)
+      setShowBack(false)
+    } catch (error) {
+      console.error("Error loading flashcards:", error)
+      toast.error("Error", {
+        description: "Failed to load flashcards. Please try again.",
+      })
+    } finally {
+      setIsLoading(false)
+    }
+  }, [mindMapId])
+
+  useEffect(() => {
+    loadDueCards()
+  }, [loadDueCards])
+
+  const handleGenerate = async (regenerate: boolean) => {
+    if (regenerate && !confirm("Rebuild the deck? Review history for this mind map will be reset.")) {
+      return
+    }
+
+    try {
+      setIsGenerating(true)
+      const response = await apiService.generateFlashcards(mindMapId, regenerate)
+
+      if (response.success) {
+        toast.success("Flashcards Ready", {
+          description: response.added_count
+            ? `Added ${response.added_count} new card${response.added_count === 1 ? "" : "s"}.`
+            : "Every topic already has cards.",
+        })
+        await loadDueCards()
+      }
+    } catch (error) {
+      console.error("Error generating flashcards:", error)
+      toast.error("Flashcard Generation Failed", {
+        description: error instanceof Error ? error.message : "Failed to generate flashcards",
+      })
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  const handleRate = async (quality: number) => {
+    const card = queue[0]
+    if (!card) return
+
+    try {
+      setIsSubmitting(true)
+      await apiService.reviewFlashcard(card.id, quality)
+
+      // Forgotten cards come back at the end of this session
+      setQueue((prev) => (quality < 3 ? [...prev.slice(1), card] : prev.slice(1)))
+      setReviewedCount((prev) => prev + 1)
+      setShowBack(false)
+    } catch (error) {
+      console.error("Error reviewing flashcard:", error)
+      toast.error("Review Failed", {
+        description: error instanceof Error ? error.message : "Failed to save your answer",
+      })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const currentCard = queue[0]
+  const sessionTotal = reviewedCount + queue.length
+
+  return (
+    <div className="min-h-screen bg-black text-white">
+      <div className="max-w-2xl mx-auto px-4 py-8 space-y-6">
+        <div className="flex items-center justify-between">
+          <Button
+            onClick={() => router.push("/mind-map")}
+            variant="ghost"
+            size="sm"
+            className="text-gray-400 hover:text-white"
+          >
+            <IconArrowLeft className="h-4 w-4 mr-2" />
+            Mind Maps
+          </Button>
+          {stats && stats.total > 0 && (
+            <div className="flex gap-2">
+              <Button
+                onClick={() => handleGenerate(false)}
+                disabled={isGenerating}
+                variant="outline"
+                size="sm"
+                className="text-gray-300 hover:text-white"
+              >
+                {isGenerating ? (
+                  <IconLoader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <IconCards className="h-4 w-4 mr-2" />
+                )}
+                Add New Topics
+              </Button>
+              <Button
+                onClick={() => handleGenerate(true)}
+                disabled={isGenerating}
+                variant="outline"
+                size="sm"
+                className="text-gray-300 hover:text-white"
+              >
+                <IconRefresh className="h-4 w-4 mr-2" />
+                Rebuild
+              </Button>
+            </div>
+          )}
+        </div>
+
+        <div>
+          <h1 className="text-2xl font-bold">{subjectName || "Flashcards"}</h1>
+          {stats && (
+            <p className="text-sm text-gray-400">
+              {stats.total} cards · {stats.due} due · {stats.new} new
+            </p>
+          )}
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-16">
+            <IconLoader2 className="h-8 w-8 text-white animate-spin" />
+          </div>
+        ) : stats && stats.total === 0 ? (
+          <div className="text-center py-12 space-y-4">
+            <IconCards className="w-16 h-16 text-gray-600 mx-auto" />
+            <p className="text-gray-400">Turn the topics in this mind map into flashcards for spaced review.</p>
+            <Button
+              onClick={() => handleGenerate(false)}
+              disabled={isGenerating}
+              className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white"
+            >
+              {isGenerating && <IconLoader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {isGenerating ? "Creating Flashcards..." : "Create Flashcards"}
+            </Button>
+          </div>
+        ) : currentCard ? (
+          <div className="space-y-4">
+            <Progress value={sessionTotal > 0 ? (reviewedCount / sessionTotal) * 100 : 0} className="h-2" />
+
+            <button
+              onClick={() => setShowBack((prev) => !prev)}
+              className="w-full min-h-64 bg-gray-900 border border-gray-700 hover:border-orange-500/50 rounded-lg p-8 text-left transition-colors"
+            >
+              <p className="text-xs uppercase tracking-wide text-gray-500 mb-3">{showBack ? "Answer" : "Question"}</p>
+              <p className="text-lg whitespace-pre-wrap">{showBack ? currentCard.back : currentCard.front}</p>
+              {!showBack && <p className="text-xs text-gray-500 mt-6">Click to reveal the answer</p>}
+            </button>
+
+            {showBack && (
+              <div className="grid grid-cols-4 gap-2">
+                {RATINGS.map((rating) => (
+                  <Button
+                    key={rating.label}
+                    onClick={() => handleRate(rating.quality)}
+                    disabled={isSubmitting}
+                    className={`${rating.className} text-white`}
+                  >
+                    {rating.label}
+                  </Button>
+                ))}
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="text-center py-12 space-y-2">
+            <p className="text-xl font-semibold">All caught up!</p>
+            <p className="text-gray-400">
+              {reviewedCount > 0
+                ? `You reviewed ${reviewedCount} card${reviewedCount === 1 ? "" : "s"}. `
+                : "No cards are due right now. "}
+              Come back later for your next review.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
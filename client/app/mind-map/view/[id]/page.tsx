@@ -3,12 +3,32 @@ import type React from "react"
 import { useState, useMemo, useCallback, useEffect, useRef } from "react"
 import { useRouter, useParams } from "next/navigation"
 import { useAuth } from "@/lib/auth-context"
-import { apiService } from "@/lib/api"
+import {
+  apiService,
+  type MindMapAccess,
+  type MindMapEditOperation,
+  type MindMapExportFormat,
+} from "@/lib/api"
+import { useMindMapSession } from "@/lib/mindmap-session"
 import { FloatingDock } from "@/components/ui/floating-dock"
 import { PlaceholdersAndVanishInput } from "@/components/ui/placeholders-and-vanish-input"
 import { TextGenerateEffect } from "@/components/ui/text-generate-effect"
 import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Textarea } from "@/components/ui/textarea"
 import { Progress } from "@/components/ui/progress"
+import { QuizPanel, type QuizProgressUpdate } from "@/components/custom/QuizPanel"
+import { ShareDialog } from "@/components/custom/ShareDialog"
+import { SessionPanel } from "@/components/custom/SessionPanel"
+import { CollaboratorCursors } from "@/components/custom/CollaboratorCursors"
+import {
+  TopicTreeItem,
+  type MindMapNode,
+  assignNodeTypes,
+  buildTopicTree,
+  createHorizontalTreeLayout,
+  nodeTypes,
+} from "@/components/custom/MindMapCanvas"
 import { toast } from "sonner"
 import { cn } from "@/lib/utils"
 import {
@@ -16,9 +36,6 @@ import {
   Background,
   useNodesState,
   useEdgesState,
-  type NodeProps,
-  Handle,
-  Position,
   useReactFlow,
   ReactFlowProvider,
   Panel,
@@ -34,10 +51,6 @@ import {
   IconMap,
   IconX,
   IconLoader2,
-  IconChevronRight,
-  IconChevronDown,
-  IconCircle,
-  IconCircleCheck,
   IconPlayerPause,
   IconMicrophone,
   IconHeadphones,
@@ -47,202 +60,30 @@ import {
   IconArrowsMaximize,
   IconEye,
   IconEyeOff,
+  IconPencil,
+  IconTrash,
+  IconDeviceFloppy,
+  IconSparkles,
+  IconSchool,
+  IconPlayerStop,
+  IconDownload,
+  IconShare,
 } from "@tabler/icons-react"
 
-// Define the data structure for the custom node
-type CustomNodeData = {
+// The node fields needed to resolve chat citations
+interface CitableNode {
+  id: string
   label: string
-  expanded?: boolean
-  hasChildren?: boolean
-  isRoot?: boolean
-  isRead?: boolean
-  parentNode?: string
-  isSelected?: boolean
-  content?: string
-  childrenCount?: number
-  onToggleExpand?: (nodeId: string) => void
-  onNodeClick?: (nodeId: string) => void
-  nodeType?: string
+  parent?: string | null
 }
 
-// Custom node component with modern design
-const CustomNode = ({ data, id }: NodeProps) => {
-  const { setNodes, getNodes, setCenter, getZoom } = useReactFlow()
-  const nodeData = data as CustomNodeData
-
-  const handleNodeClick = useCallback(() => {
-    if (nodeData.onNodeClick) {
-      nodeData.onNodeClick(id)
-    }
-  }, [nodeData, id])
-
-  const handleToggleExpand = useCallback(
-    (e: React.MouseEvent) => {
-      e.stopPropagation()
-      if (nodeData.onToggleExpand) {
-        nodeData.onToggleExpand(id)
-      }
-    },
-    [nodeData, id],
-  )
-
-  const getNodeStyle = () => {
-    if (nodeData.isRoot) {
-      return "bg-[#1a1a2e] border-[#0f3460] text-white shadow-[0_0_10px_rgba(15,52,96,0.6)]"
-    }
-    if (nodeData.nodeType === "overview") {
-      return "bg-[#1a1a2e] border-[#16a34a] text-white shadow-[0_0_10px_rgba(22,163,74,0.5)]"
-    }
-    if (nodeData.nodeType === "factors") {
-      return "bg-[#1a1a2e] border-[#6b7280] text-white shadow-[0_0_8px_rgba(107,114,128,0.4)]"
-    }
-    if (nodeData.nodeType === "products") {
-      return "bg-[#1a1a2e] border-[#16a34a] text-white shadow-[0_0_10px_rgba(22,163,74,0.5)]"
-    }
-    if (nodeData.nodeType === "reactions") {
-      return "bg-[#1a1a2e] border-[#6b7280] text-white shadow-[0_0_8px_rgba(107,114,128,0.4)]"
-    }
-    if (nodeData.isSelected) {
-      return "bg-[#1a1a2e] border-[#16a34a] text-white shadow-[0_0_10px_rgba(22,163,74,0.5)]"
-    }
-    return "bg-[#1a1a2e] border-[#6b7280] text-white shadow-[0_0_8px_rgba(107,114,128,0.4)]"
-  }
-
-  return (
-    <div
-      className={cn(
-        "px-4 py-3 rounded-md border-2 cursor-pointer transition-all duration-200 min-w-40 flex items-center justify-between",
-        getNodeStyle(),
-      )}
-      onClick={handleNodeClick}
-    >
-      <div className="text-sm font-medium truncate max-w-[80%]">{nodeData.label}</div>
-      {nodeData.childrenCount && nodeData.childrenCount > 0 ? (
-        <button
-          onClick={handleToggleExpand}
-          className={cn(
-            "w-5 h-5 rounded-full flex items-center justify-center transition-colors",
-            "bg-white/10 hover:bg-white/20",
-          )}
-        >
-          <IconPlus className="w-3 h-3 text-white" />
-        </button>
-      ) : null}
-
-      <Handle type="target" position={Position.Left} className="w-2 h-2 bg-gray-400" />
-      <Handle type="source" position={Position.Right} className="w-2 h-2 bg-gray-400" />
-    </div>
-  )
-}
-
-const nodeTypes = {
-  customNode: CustomNode,
-}
-
-// Topic Tree Item Component
-interface TopicTreeItemProps {
-  node: any
-  level: number
-  isExpanded: boolean
-  isRead: boolean
-  onToggleExpand: (nodeId: string) => void
-  onToggleRead: (nodeId: string) => void
-  onSelectNode: (nodeId: string) => void
-  selectedNode: string | null
-  children?: any[]
-}
-
-const TopicTreeItem: React.FC<TopicTreeItemProps> = ({
-  node,
-  level,
-  isExpanded,
-  isRead,
-  onToggleExpand,
-  onToggleRead,
-  onSelectNode,
-  selectedNode,
-  children = [],
-}) => {
-  const hasChildren = children.length > 0
-  const isSelected = selectedNode === node.id
-
-  return (
-    <div className="select-none">
-      <div
-        className={cn(
-          "flex items-center gap-2 py-2 px-3 rounded-lg cursor-pointer transition-all duration-200 group",
-          isSelected ? "bg-green-600/20 border border-green-600/30" : "hover:bg-gray-800/50",
-        )}
-        style={{ paddingLeft: `${level * 16 + 12}px` }}
-        onClick={() => onSelectNode(node.id)}
-      >
-        {/* Expand/Collapse Button */}
-        {hasChildren && (
-          <button
-            onClick={(e) => {
-              e.stopPropagation()
-              onToggleExpand(node.id)
-            }}
-            className="p-1 hover:bg-gray-700 rounded transition-colors"
-          >
-            {isExpanded ? (
-              <IconChevronDown className="h-3 w-3 text-gray-400" />
-            ) : (
-              <IconChevronRight className="h-3 w-3 text-gray-400" />
-            )}
-          </button>
-        )}
-
-        {/* Read Status Indicator */}
-        {!node.isRoot && (
-          <button
-            onClick={(e) => {
-              e.stopPropagation()
-              onToggleRead(node.id)
-            }}
-            className="transition-colors"
-          >
-            {isRead ? (
-              <IconCircleCheck className="h-4 w-4 text-green-500" />
-            ) : (
-              <IconCircle className="h-4 w-4 text-gray-500 hover:text-gray-400" />
-            )}
-          </button>
-        )}
-
-        {/* Node Label */}
-        <span
-          className={cn(
-            "text-sm flex-1 truncate",
-            isSelected ? "text-green-300 font-medium" : "text-gray-300",
-            node.isRoot && "font-semibold text-blue-300",
-          )}
-        >
-          {node.label}
-        </span>
-      </div>
-
-      {/* Children */}
-      {hasChildren && isExpanded && (
-        <div className="ml-2">
-          {children.map((child) => (
-            <TopicTreeItem
-              key={child.id}
-              node={child}
-              level={level + 1}
-              isExpanded={isExpanded}
-              isRead={isRead}
-              onToggleExpand={onToggleExpand}
-              onToggleRead={onToggleRead}
-              onSelectNode={onSelectNode}
-              selectedNode={selectedNode}
-              children={[]}
-            />
-          ))}
-        </div>
-      )}
-    </div>
-  )
+// Chat message as stored in a node's conversation thread
+interface SavedChatMessage {
+  role: "user" | "assistant"
+  content: string
+  created_at: string
+  stopped?: boolean
+  cited_node_ids?: string[]
 }
 
 export default function MindMapView() {
@@ -270,22 +111,47 @@ export default function MindMapView() {
   )
 }
 
+// Formats offered in the download menu
+const EXPORT_OPTIONS: { format: MindMapExportFormat; label: string }[] = [
+  { format: "markdown", label: "Markdown (.md)" },
+  { format: "opml", label: "OPML (.opml)" },
+  { format: "freemind", label: "FreeMind (.mm)" },
+  { format: "json", label: "JSON (.json)" },
+]
+
 function MindMapContent({ mindMapId }: { mindMapId: string }) {
   const router = useRouter()
   const { logout } = useAuth()
-  const { getNodes, setCenter, getZoom, fitView, zoomIn, zoomOut } = useReactFlow()
+  const { getNodes, setCenter, getZoom, fitView, zoomIn, zoomOut, screenToFlowPosition } = useReactFlow()
   const audioRef = useRef<HTMLAudioElement | null>(null)
 
   // Mind map data state
   const [mindMapData, setMindMapData] = useState<any>(null)
   const [isLoading, setIsLoading] = useState(true)
+  // Guests (invited to the session or in a room with the map) can't change it
+  const [access, setAccess] = useState<MindMapAccess>("owner")
+  const isOwner = access === "owner"
 
   // UI state
   const [selectedNode, setSelectedNode] = useState<string | null>(null)
   const [expandedNodes, setExpandedNodes] = useState<Set<string>>(new Set(["root"]))
   const [topicsReadStatus, setTopicsReadStatus] = useState<Record<string, boolean>>({})
+  const [topicsMastery, setTopicsMastery] = useState<Record<string, number | null>>({})
   const [visibleNodes, setVisibleNodes] = useState<Set<string>>(new Set(["root"]))
   const [showMiniMap, setShowMiniMap] = useState(true)
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [showShareDialog, setShowShareDialog] = useState(false)
+  const [isForkable, setIsForkable] = useState(false)
+
+  // Edit mode state
+  const [isEditMode, setIsEditMode] = useState(false)
+  const [isSavingEdit, setIsSavingEdit] = useState(false)
+  const [editLabel, setEditLabel] = useState("")
+  const [editContent, setEditContent] = useState("")
+  const [editParent, setEditParent] = useState("")
+  const [newChildLabel, setNewChildLabel] = useState("")
+  const [isExpandingNode, setIsExpandingNode] = useState(false)
+  const [showQuiz, setShowQuiz] = useState(false)
 
   // Audio state - Track audio per node
   const [isGeneratingAudio, setIsGeneratingAudio] = useState(false)
@@ -299,20 +165,82 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
       type: "user" | "ai"
       content: string
       timestamp: Date
+      // Streamed replies render as plain text while tokens arrive
+      streamed?: boolean
+      stopped?: boolean
+      // Mind map nodes the reply cited as sources
+      citedNodeIds?: string[]
     }>
   >([])
+  // Node briefly highlighted on the canvas after clicking a chat citation
+  const [highlightedNode, setHighlightedNode] = useState<string | null>(null)
   const [isAiTyping, setIsAiTyping] = useState(false)
+  const [streamingMessageId, setStreamingMessageId] = useState<string | null>(null)
+  const chatAbortRef = useRef<AbortController | null>(null)
+  // Node whose conversation is currently shown, so a reply that finishes
+  // after switching nodes doesn't land in the wrong conversation
+  const chatNodeRef = useRef<string | null>(null)
+
+  // Live session with everyone else who has this mind map open
+  const session = useMindMapSession(mindMapId, !isLoading && !!mindMapData)
+  const { status: sessionStatus, sendFocus } = session
+
+  // Cancel any reply still streaming when leaving the page
+  useEffect(() => {
+    return () => chatAbortRef.current?.abort()
+  }, [])
+
+  // Restore the saved conversation whenever a node is (re)selected
+  useEffect(() => {
+    chatAbortRef.current?.abort()
+    chatNodeRef.current = selectedNode
+    setChatMessages([])
+    // Guests' questions aren't saved on someone else's mind map
+    if (!selectedNode || !isOwner) return
+
+    let cancelled = false
+    apiService
+      .getChatThread(mindMapId, selectedNode)
+      .then((response) => {
+        if (cancelled || !response.success) return
+
+        const restored = response.thread.messages.map((message: SavedChatMessage, index: number) => ({
+          id: `${selectedNode}-${index}`,
+          type: message.role === "user" ? "user" : "ai",
+          content: message.content,
+          timestamp: new Date(message.created_at),
+          streamed: true,
+          stopped: message.stopped,
+          citedNodeIds: message.cited_node_ids || [],
+        }))
+        // Keep anything sent while the history was loading
+        setChatMessages((prev) => [...restored, ...prev])
+      })
+      .catch((error) => console.error("Error loading conversation:", error))
+
+    return () => {
+      cancelled = true
+    }
+  }, [selectedNode, mindMapId, isOwner])
+
+  // Show the others which node is selected, again after reconnecting
+  useEffect(() => {
+    if (sessionStatus === "connected") sendFocus(selectedNode)
+  }, [selectedNode, sessionStatus, sendFocus])
 
   // Load mind map data
   useEffect(() => {
     loadMindMapData()
   }, [mindMapId])
 
-  // Cleanup audio on unmount
+  // Cleanup audio on unmount. Reads the cache through a ref so adding a
+  // podcast doesn't revoke the ones already cached.
+  const audioCacheRef = useRef(audioCache)
+  audioCacheRef.current = audioCache
   useEffect(() => {
     return () => {
       // Clean up all cached audio URLs
-      Object.values(audioCache).forEach((url) => {
+      Object.values(audioCacheRef.current).forEach((url) => {
         URL.revokeObjectURL(url)
       })
       if (audioRef.current) {
@@ -320,61 +248,27 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
         audioRef.current = null
       }
     }
-  }, [audioCache])
+  }, [])
 
-  // Clean up audio when switching nodes
+  // Clean up audio and close the quiz when switching nodes
   useEffect(() => {
     if (audioRef.current) {
       audioRef.current.pause()
       setIsPlayingAudio(false)
     }
+    setShowQuiz(false)
   }, [selectedNode])
 
-  // Assign node types based on content or position
-  const assignNodeTypes = (nodes: any[]) => {
-    if (!nodes) return []
-
-    // Find the root node
-    const rootNode = nodes.find((node) => node.type === "root" || node.id === "root")
-    if (!rootNode) return nodes
-
-    // Create a map of node types
-    const nodeTypeMap: Record<string, string> = {
-      [rootNode.id]: "root",
-    }
-
-    // Assign types to first level children
-    const firstLevelChildren = nodes.filter((node) => node.parent === rootNode.id)
-
-    firstLevelChildren.forEach((node, index) => {
-      if (node.label.toLowerCase().includes("overview")) {
-        nodeTypeMap[node.id] = "overview"
-      } else if (node.label.toLowerCase().includes("factor")) {
-        nodeTypeMap[node.id] = "factors"
-      } else if (node.label.toLowerCase().includes("product")) {
-        nodeTypeMap[node.id] = "products"
-      } else if (node.label.toLowerCase().includes("reaction")) {
-        nodeTypeMap[node.id] = "reactions"
-      } else if (index % 3 === 0) {
-        nodeTypeMap[node.id] = "overview"
-      } else if (index % 3 === 1) {
-        nodeTypeMap[node.id] = "factors"
-      } else {
-        nodeTypeMap[node.id] = "products"
-      }
-
-      // Assign types to second level children
-      const secondLevelChildren = nodes.filter((n) => n.parent === node.id)
-      secondLevelChildren.forEach((childNode) => {
-        nodeTypeMap[childNode.id] = nodeTypeMap[node.id]
-      })
-    })
+  // Fill the edit form with the selected node's current values
+  useEffect(() => {
+    if (!isEditMode || !selectedNode || !mindMapData?.nodes) return
 
-    return nodes.map((node) => ({
-      ...node,
-      nodeType: nodeTypeMap[node.id] || "default",
-    }))
-  }
+    const node = mindMapData.nodes.find((n: MindMapNode) => n.id === selectedNode)
+    setEditLabel(node?.label || "")
+    setEditContent(node?.content || "")
+    setEditParent(node?.parent || "")
+    setNewChildLabel("")
+  }, [isEditMode, selectedNode, mindMapData])
 
   const loadMindMapData = async () => {
     try {
@@ -391,14 +285,25 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
         }
 
         setMindMapData(processedData)
+        setIsForkable(!!mindMap.forkable)
+        setAccess(mindMap.access || "owner")
 
-        // Initialize read status
+        // Initialize read status from the saved progress
         const initialReadStatus: Record<string, boolean> = {}
         if (processedData?.nodes) {
           processedData.nodes.forEach((node: any) => {
             initialReadStatus[node.id] = false
           })
         }
+        if (mindMap.access !== "guest") {
+          try {
+            const progressResponse = await apiService.getMindMapProgress(mindMapId)
+            Object.assign(initialReadStatus, progressResponse.progress?.read_status || {})
+            setTopicsMastery(progressResponse.progress?.mastery || {})
+          } catch (progressError) {
+            console.error("Error loading reading progress:", progressError)
+          }
+        }
         setTopicsReadStatus(initialReadStatus)
 
         // Auto-select root node
@@ -406,7 +311,10 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
         setVisibleNodes(new Set(["root"]))
 
         toast.success("Mind Map Loaded", {
-          description: "Your AI-generated mind map is ready for exploration!",
+          description:
+            mindMap.access === "guest"
+              ? "You're viewing this mind map as a guest."
+              : "Your AI-generated mind map is ready for exploration!",
         })
       }
     } catch (error) {
@@ -420,6 +328,205 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
     }
   }
 
+  // Send edit operations to the server and show the saved mind map
+  const saveMindMapEdits = async (operations: MindMapEditOperation[]) => {
+    try {
+      setIsSavingEdit(true)
+      const response = await apiService.editMindMap(mindMapId, operations)
+
+      if (response.success && response.mindMap) {
+        const savedData = response.mindMap.mindmap_data
+
+        // Podcasts of topics that were changed or removed no longer match them
+        const changedNodeIds = Object.keys(audioCache).filter((nodeId) => {
+          const before = mindMapData?.nodes?.find((n: MindMapNode) => n.id === nodeId)
+          const after = savedData.nodes.find((n: MindMapNode) => n.id === nodeId)
+          return !after || before?.label !== after.label || before?.content !== after.content
+        })
+        if (changedNodeIds.length > 0) {
+          changedNodeIds.forEach((nodeId) => URL.revokeObjectURL(audioCache[nodeId]))
+          setAudioCache((prev) => {
+            const next = { ...prev }
+            changedNodeIds.forEach((nodeId) => delete next[nodeId])
+            return next
+          })
+        }
+
+        setMindMapData({
+          ...savedData,
+          nodes: assignNodeTypes(savedData.nodes),
+        })
+        return savedData
+      }
+    } catch (error) {
+      console.error("Error editing mind map:", error)
+      toast.error("Edit Failed", {
+        description: error instanceof Error ? error.message : "Failed to save your changes",
+      })
+    } finally {
+      setIsSavingEdit(false)
+    }
+    return null
+  }
+
+  const handleSaveNodeEdits = async () => {
+    if (!selectedNode || !mindMapData?.nodes) return
+
+    const node = mindMapData.nodes.find((n: MindMapNode) => n.id === selectedNode)
+    if (!node) return
+
+    const operations: MindMapEditOperation[] = []
+    if (editLabel.trim() && editLabel.trim() !== node.label) {
+      operations.push({ op: "rename", id: node.id, label: editLabel.trim() })
+    }
+    if (editContent !== (node.content || "")) {
+      operations.push({ op: "update_content", id: node.id, content: editContent })
+    }
+    if (node.parent && editParent && editParent !== node.parent) {
+      operations.push({ op: "move", id: node.id, parent: editParent })
+    }
+
+    if (operations.length === 0) {
+      toast.info("No Changes", { description: "There is nothing to save for this topic." })
+      return
+    }
+
+    const savedData = await saveMindMapEdits(operations)
+    if (savedData) {
+      if (node.parent && editParent !== node.parent) {
+        setVisibleNodes((prev) => new Set([...prev, editParent, node.id]))
+        setExpandedNodes((prev) => new Set([...prev, editParent]))
+      }
+      toast.success("Topic Saved", { description: "Your changes have been saved." })
+    }
+  }
+
+  const handleAddChildNode = async () => {
+    if (!selectedNode || !newChildLabel.trim()) return
+
+    const savedData = await saveMindMapEdits([{ op: "add", parent: selectedNode, label: newChildLabel.trim() }])
+    if (savedData) {
+      // Expand the parent so the new topic is visible straight away
+      const childIds = savedData.nodes.filter((n: MindMapNode) => n.parent === selectedNode).map((n: MindMapNode) => n.id)
+      setExpandedNodes((prev) => new Set([...prev, selectedNode]))
+      setVisibleNodes((prev) => new Set([...prev, ...childIds]))
+      setNewChildLabel("")
+      toast.success("Topic Added", { description: `"${newChildLabel.trim()}" was added.` })
+    }
+  }
+
+  const handleDeleteNode = async () => {
+    if (!selectedNode || selectedNode === "root") return
+
+    if (!confirm("Delete this topic and all of its subtopics? This action cannot be undone.")) {
+      return
+    }
+
+    const savedData = await saveMindMapEdits([{ op: "delete", id: selectedNode }])
+    if (savedData) {
+      setSelectedNode("root")
+      toast.success("Topic Deleted", { description: "The topic was removed from your mind map." })
+    }
+  }
+
+  // Download the mind map in another format
+  const handleExport = async (format: MindMapExportFormat) => {
+    setShowExportMenu(false)
+    try {
+      const { blob, fileName } = await apiService.exportMindMap(mindMapId, format)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement("a")
+      link.href = url
+      link.download = fileName
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      console.error("Error exporting mind map:", error)
+      toast.error("Export Failed", {
+        description: error instanceof Error ? error.message : "Could not download the mind map.",
+      })
+    }
+  }
+
+  // Open the printable study guide in a new tab, or download it as a PDF
+  const handleStudyGuide = async (format: "html" | "pdf") => {
+    setShowExportMenu(false)
+    // Opened before the request so popup blockers treat it as user initiated
+    const guideWindow = format === "html" ? window.open("", "_blank") : null
+    try {
+      const { blob, fileName } = await apiService.getStudyGuide(mindMapId, format)
+      const url = URL.createObjectURL(blob)
+      if (guideWindow) {
+        guideWindow.location.href = url
+      } else {
+        const link = document.createElement("a")
+        link.href = url
+        link.download = fileName
+        document.body.appendChild(link)
+        link.click()
+        link.remove()
+      }
+      // Give the new tab time to load the page before releasing it
+      setTimeout(() => URL.revokeObjectURL(url), 60000)
+    } catch (error) {
+      guideWindow?.close()
+      console.error("Error building study guide:", error)
+      toast.error("Study Guide Failed", {
+        description: error instanceof Error ? error.message : "Could not build the study guide.",
+      })
+    }
+  }
+
+  // Apply quiz scores to the read and mastery state
+  const handleQuizGraded = useCallback((progress: QuizProgressUpdate) => {
+    setTopicsReadStatus((prev) => ({ ...prev, ...progress.read_status }))
+    setTopicsMastery((prev) => ({ ...prev, ...progress.mastery }))
+  }, [])
+
+  // Ask the AI for new subtopics under the selected node
+  const handleGoDeeper = async () => {
+    if (!selectedNode) return
+
+    try {
+      setIsExpandingNode(true)
+      toast.info("Going Deeper", {
+        description: "Generating more detailed subtopics for this topic...",
+      })
+
+      const response = await apiService.expandMindMapNode(mindMapId, selectedNode)
+
+      if (response.success && response.mindMap) {
+        const savedData = response.mindMap.mindmap_data
+        setMindMapData({
+          ...savedData,
+          nodes: assignNodeTypes(savedData.nodes),
+        })
+
+        // Show the new subtopics on the canvas
+        const childIds = savedData.nodes.filter((n: MindMapNode) => n.parent === selectedNode).map((n: MindMapNode) => n.id)
+        setExpandedNodes((prev) => new Set([...prev, selectedNode]))
+        setVisibleNodes((prev) => new Set([...prev, ...childIds]))
+
+        const addedCount = response.added_node_ids?.length || 0
+        toast.success("New Subtopics Added", {
+          description:
+            addedCount > 0
+              ? `${addedCount} subtopic${addedCount === 1 ? "" : "s"} added to this topic.`
+              : "No new subtopics were found for this topic.",
+        })
+      }
+    } catch (error) {
+      console.error("Error expanding topic:", error)
+      toast.error("Go Deeper Failed", {
+        description: error instanceof Error ? error.message : "Failed to expand this topic",
+      })
+    } finally {
+      setIsExpandingNode(false)
+    }
+  }
+
   // Handle podcast-style audio generation
   const handleGenerateAudio = useCallback(async () => {
     if (!selectedNode || !mindMapData?.nodes) return
@@ -435,17 +542,26 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
     try {
       setIsGeneratingAudio(true)
 
-      toast.info("Creating Podcast", {
-        description: "Generating podcast-style audio for this topic...",
-        duration: 5000,
+      // Reuse the podcast made for this topic earlier, if it hasn't changed
+      let audioBlob = await apiService.getStoredPodcast(mindMapId, selectedNode).catch((error) => {
+        console.error("Error loading stored podcast:", error)
+        return null
       })
 
-      // Generate podcast-style audio using enhanced API
-      const audioBlob = await apiService.generateAudio(
-        selectedNodeData.content,
-        "21m00Tcm4TlvDq8ikWAM", // Rachel voice - great for podcasts
-        selectedNodeData.label, // Pass topic title for better script generation
-      )
+      if (!audioBlob) {
+        toast.info("Creating Podcast", {
+          description: "Generating podcast-style audio for this topic...",
+          duration: 5000,
+        })
+
+        // Generate podcast-style audio using enhanced API
+        audioBlob = await apiService.generateAudio(
+          selectedNodeData.content,
+          "21m00Tcm4TlvDq8ikWAM", // Rachel voice - great for podcasts
+          selectedNodeData.label, // Pass topic title for better script generation
+          { mindMapId, nodeId: selectedNode },
+        )
+      }
 
       // Create object URL for the audio blob
       const audioUrl = URL.createObjectURL(audioBlob)
@@ -468,7 +584,7 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
     } finally {
       setIsGeneratingAudio(false)
     }
-  }, [selectedNode, mindMapData])
+  }, [selectedNode, mindMapData, mindMapId])
 
   // Handle audio play/pause
   const handleToggleAudio = useCallback(() => {
@@ -548,6 +664,27 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
     [mindMapData],
   )
 
+  // Get a node together with all of its descendants
+  const getDescendantIds = useCallback(
+    (nodeId: string) => {
+      const ids = new Set<string>([nodeId])
+      if (!mindMapData?.nodes) return ids
+
+      let added = true
+      while (added) {
+        added = false
+        mindMapData.nodes.forEach((node: MindMapNode) => {
+          if (node.parent && ids.has(node.parent) && !ids.has(node.id)) {
+            ids.add(node.id)
+            added = true
+          }
+        })
+      }
+      return ids
+    },
+    [mindMapData],
+  )
+
   // Handle node expansion
   const handleToggleExpand = useCallback(
     (nodeId: string) => {
@@ -598,55 +735,44 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
     [getNodes, setCenter, getZoom],
   )
 
-  // Handle read status toggle
-  const handleToggleReadStatus = useCallback((nodeId: string) => {
-    setTopicsReadStatus((prev) => ({
-      ...prev,
-      [nodeId]: !prev[nodeId],
-    }))
-  }, [])
-
-  // Create a horizontal tree layout
-  const createHorizontalTreeLayout = useCallback((nodes: any[]) => {
-    if (!nodes || nodes.length === 0) return nodes
+  // Handle read status toggle - update optimistically, then persist to the server
+  const handleToggleReadStatus = useCallback(
+    async (nodeId: string) => {
+      const isRead = !topicsReadStatus[nodeId]
 
-    // Find the root node
-    const rootNode = nodes.find((node) => node.type === "root" || node.id === "root")
-    if (!rootNode) return nodes
-
-    // Set root position
-    rootNode.position = { x: 150, y: 300 }
-
-    // Create a map for quick node lookup
-    const nodeMap = new Map()
-    nodes.forEach((node) => nodeMap.set(node.id, node))
-
-    // Get direct children of root
-    const firstLevelChildren = nodes.filter((node) => node.parent === rootNode.id)
-
-    // Position first level children
-    const levelSpacing = 250 // horizontal spacing between levels
-    const nodeSpacing = 100 // vertical spacing between nodes
+      setTopicsReadStatus((prev) => ({
+        ...prev,
+        [nodeId]: isRead,
+      }))
+      // Guests' progress only lasts for this visit
+      if (!isOwner) return
 
-    firstLevelChildren.forEach((node, index) => {
-      const yPos = 150 + index * nodeSpacing
-      node.position = {
-        x: rootNode.position.x + levelSpacing,
-        y: yPos,
+      try {
+        await apiService.updateMindMapProgress(mindMapId, { [nodeId]: isRead })
+      } catch (error) {
+        console.error("Error saving reading progress:", error)
+        setTopicsReadStatus((prev) => ({
+          ...prev,
+          [nodeId]: !isRead,
+        }))
+        toast.error("Progress Not Saved", {
+          description: "Failed to save your reading progress. Please try again.",
+        })
       }
+    },
+    [mindMapId, topicsReadStatus, isOwner],
+  )
 
-      // Position second level children
-      const secondLevelChildren = nodes.filter((n) => n.parent === node.id)
-      secondLevelChildren.forEach((childNode, childIndex) => {
-        childNode.position = {
-          x: node.position.x + levelSpacing,
-          y: yPos - ((secondLevelChildren.length - 1) * nodeSpacing) / 2 + childIndex * nodeSpacing,
-        }
-      })
+  // Colours of the collaborators who have each node selected
+  const collaboratorColorsByNode = useMemo(() => {
+    const colors: Record<string, string[]> = {}
+    session.collaborators.forEach((collaborator) => {
+      if (collaborator.nodeId) {
+        colors[collaborator.nodeId] = [...(colors[collaborator.nodeId] || []), collaborator.color]
+      }
     })
-
-    return nodes
-  }, [])
+    return colors
+  }, [session.collaborators])
 
   // Create nodes for ReactFlow with horizontal tree layout
   const flowNodes = useMemo(() => {
@@ -669,6 +795,8 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
             label: node.label,
             isRoot: node.type === "root",
             isSelected: selectedNode === node.id,
+            isHighlighted: highlightedNode === node.id,
+            collaboratorColors: collaboratorColorsByNode[node.id],
             content: node.content,
             childrenCount: childrenCount,
             expanded: expandedNodes.has(node.id),
@@ -683,12 +811,13 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
   }, [
     mindMapData,
     selectedNode,
+    highlightedNode,
+    collaboratorColorsByNode,
     handleNodeClick,
     handleToggleExpand,
     visibleNodes,
     expandedNodes,
     topicsReadStatus,
-    createHorizontalTreeLayout,
   ])
 
   // Create edges for ReactFlow with curved connections
@@ -741,38 +870,24 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
 
   // Calculate progress
   const totalTopics = mindMapData?.nodes?.filter((node: any) => node.type !== "root").length || 0
-  const completedTopics = Object.values(topicsReadStatus).filter(Boolean).length
+  const completedTopics =
+    mindMapData?.nodes?.filter((node: any) => node.type !== "root" && topicsReadStatus[node.id]).length || 0
   const progressPercentage = totalTopics > 0 ? (completedTopics / totalTopics) * 100 : 0
 
-  // Build hierarchical tree structure
-  const buildTreeStructure = useCallback(() => {
-    if (!mindMapData?.nodes) return []
-
-    const nodeMap = new Map()
-    mindMapData.nodes.forEach((node: any) => {
-      nodeMap.set(node.id, { ...node, children: [] })
-    })
-
-    const rootNodes: any[] = []
-    mindMapData.nodes.forEach((node: any) => {
-      if (node.parent && nodeMap.has(node.parent)) {
-        nodeMap.get(node.parent).children.push(nodeMap.get(node.id))
-      } else {
-        rootNodes.push(nodeMap.get(node.id))
-      }
-    })
-
-    return rootNodes
-  }, [mindMapData])
-
-  const treeStructure = buildTreeStructure()
+  const treeStructure = buildTopicTree(mindMapData?.nodes)
 
-  // Handle AI chat
+  // Handle AI chat, rendering the reply as it streams in
   const handleChatSubmit = useCallback(
     async (userMessage: string) => {
-      if (!userMessage.trim()) return
+      if (!userMessage.trim() || !selectedNode) return
+
+      // Only one reply streams at a time
+      chatAbortRef.current?.abort()
+      const controller = new AbortController()
+      chatAbortRef.current = controller
 
       const userMsgId = Date.now().toString()
+      const aiMsgId = (Date.now() + 1).toString()
       setChatMessages((prev) => [
         ...prev,
         {
@@ -785,43 +900,123 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
 
       setIsAiTyping(true)
 
+      const chatNode = selectedNode
+      const updateAiMessage = (
+        update: (content: string) => string,
+        extra: { stopped?: boolean; citedNodeIds?: string[] } = {},
+      ) => {
+        if (chatNodeRef.current !== chatNode) return
+        setChatMessages((prev) => {
+          if (!prev.some((message) => message.id === aiMsgId)) {
+            return [
+              ...prev,
+              { id: aiMsgId, type: "ai", content: update(""), timestamp: new Date(), streamed: true, ...extra },
+            ]
+          }
+          return prev.map((message) =>
+            message.id === aiMsgId ? { ...message, content: update(message.content), ...extra } : message,
+          )
+        })
+      }
+
       try {
         const selectedNodeData = mindMapData?.nodes?.find((node: any) => node.id === selectedNode)
         const context = selectedNodeData
           ? `Current topic: ${selectedNodeData.label}\nTopic content: ${selectedNodeData.content || "No specific content available"}`
           : ""
 
-        const response = await apiService.chatWithGroq(userMessage, context, mindMapData?.title || "Learning Topic")
-
-        const aiMsgId = (Date.now() + 1).toString()
-        setChatMessages((prev) => [
-          ...prev,
-          {
-            id: aiMsgId,
-            type: "ai",
-            content: response.response,
-            timestamp: new Date(),
+        const result = await apiService.streamChat(userMessage, context, mindMapData?.title || "Learning Topic", {
+          signal: controller.signal,
+          thread: isOwner ? { mindMapId, nodeId: chatNode } : undefined,
+          onToken: (text) => {
+            setIsAiTyping(false)
+            setStreamingMessageId(aiMsgId)
+            updateAiMessage((content) => content + text)
           },
-        ])
+          onFallback: (failedModel, nextModel) => {
+            // The server is retrying with another model: drop the partial reply
+            console.warn(`Chat model ${failedModel} failed, retrying with ${nextModel || "fallback reply"}`)
+            setIsAiTyping(true)
+            updateAiMessage(() => "")
+          },
+        })
+
+        updateAiMessage((content) => content, { citedNodeIds: result.cited_node_ids || [] })
       } catch (error) {
+        if (controller.signal.aborted) {
+          updateAiMessage((content) => content, { stopped: true })
+          return
+        }
+
         console.error("Error generating AI response:", error)
-        const errorMsgId = (Date.now() + 1).toString()
-        setChatMessages((prev) => [
-          ...prev,
-          {
-            id: errorMsgId,
-            type: "ai",
-            content: "I'm sorry, I'm having trouble responding right now. Please try again in a moment.",
-            timestamp: new Date(),
-          },
-        ])
+        updateAiMessage(() => "I'm sorry, I'm having trouble responding right now. Please try again in a moment.")
       } finally {
-        setIsAiTyping(false)
+        if (chatAbortRef.current === controller) {
+          chatAbortRef.current = null
+          setIsAiTyping(false)
+          setStreamingMessageId(null)
+        }
       }
     },
-    [selectedNode, mindMapData],
+    [selectedNode, mindMapData, mindMapId, isOwner],
   )
 
+  // Reveal a node cited in a chat answer: expand its ancestors, then centre
+  // the canvas on it and highlight it for a moment
+  const handleShowCitedNode = (nodeId: string) => {
+    if (!mindMapData?.nodes) return
+
+    const nodes: CitableNode[] = mindMapData.nodes
+    const byId = new Map(nodes.map((node) => [node.id, node]))
+    const ancestors: string[] = []
+    let parentId = byId.get(nodeId)?.parent
+    while (parentId && !ancestors.includes(parentId)) {
+      ancestors.push(parentId)
+      parentId = byId.get(parentId)?.parent
+    }
+
+    const revealed = nodes.filter((node) => node.parent && ancestors.includes(node.parent)).map((node) => node.id)
+    setExpandedNodes((prev) => new Set([...prev, ...ancestors]))
+    setVisibleNodes((prev) => new Set([...prev, ...ancestors, ...revealed, nodeId]))
+    setHighlightedNode(nodeId)
+
+    // Wait for the newly visible node to be laid out before centring on it
+    setTimeout(() => {
+      const flowNode = getNodes().find((node) => node.id === nodeId)
+      if (flowNode) {
+        setCenter(flowNode.position.x, flowNode.position.y, { zoom: getZoom(), duration: 800 })
+      }
+    }, 50)
+    setTimeout(() => setHighlightedNode((current) => (current === nodeId ? null : current)), 2500)
+  }
+
+  // Show citation markers like [topic_1] with the node's label instead
+  const formatCitations = (content: string) =>
+    content.replace(/\[([^\]\s]+)\]/g, (marker, nodeId) => {
+      const node = (mindMapData?.nodes as CitableNode[] | undefined)?.find((n) => n.id === nodeId)
+      return node ? `[${node.label}]` : marker
+    })
+
+  const handleStopChat = () => {
+    chatAbortRef.current?.abort()
+  }
+
+  const handleClearChat = async () => {
+    if (!selectedNode) return
+    if (!confirm("Clear the conversation for this topic?")) return
+
+    try {
+      chatAbortRef.current?.abort()
+      await apiService.clearChatThread(mindMapId, selectedNode)
+      setChatMessages([])
+    } catch (error) {
+      console.error("Error clearing conversation:", error)
+      toast.error("Error", {
+        description: "Failed to clear the conversation. Please try again.",
+      })
+    }
+  }
+
   const handleSignOut = async () => {
     try {
       await logout()
@@ -923,6 +1118,8 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
               level={0}
               isExpanded={expandedNodes.has(rootNode.id)}
               isRead={topicsReadStatus[rootNode.id] || false}
+              readStatus={topicsReadStatus}
+              masteryStatus={topicsMastery}
               onToggleExpand={handleToggleExpand}
               onToggleRead={handleToggleReadStatus}
               onSelectNode={handleNodeClick}
@@ -938,11 +1135,19 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
         {/* Header */}
         <div className="p-6 border-b border-gray-700 bg-gray-900/50">
           <h1 className="text-2xl font-bold text-white">{mindMapData.title || "Mind Map"}</h1>
-          <p className="text-gray-400 mt-1">Interactive learning visualization with podcast-style audio</p>
+          <p className="text-gray-400 mt-1">
+            {isOwner
+              ? "Interactive learning visualization with podcast-style audio"
+              : "Shared with you - you can explore it, but not change it"}
+          </p>
         </div>
 
         {/* ReactFlow */}
-        <div className="flex-1 relative">
+        <div
+          className="flex-1 relative"
+          onMouseMove={(e) => session.sendCursor(screenToFlowPosition({ x: e.clientX, y: e.clientY }))}
+          onMouseLeave={() => session.sendCursor(null)}
+        >
           <ReactFlow
             nodes={nodes}
             edges={edges}
@@ -961,6 +1166,22 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
           >
             <Background color="#1a1a2e" gap={20} size={1} variant="dots" />
 
+            <CollaboratorCursors collaborators={session.collaborators} cursors={session.cursors} />
+
+            <Panel position="top-left">
+              <SessionPanel
+                mindMapId={mindMapId}
+                isOwner={isOwner}
+                status={session.status}
+                you={session.you}
+                participants={session.participants}
+                messages={session.messages}
+                nodeLabel={(nodeId) => mindMapData.nodes?.find((node: MindMapNode) => node.id === nodeId)?.label || null}
+                onSendChat={session.sendChat}
+                onShowNode={handleShowCitedNode}
+              />
+            </Panel>
+
             {showMiniMap && (
               <MiniMap
                 nodeColor={(node) => {
@@ -1008,6 +1229,72 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
                 >
                   {showMiniMap ? <IconEyeOff className="h-4 w-4" /> : <IconEye className="h-4 w-4" />}
                 </Button>
+                {isOwner && (
+                  <>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className={cn(
+                        "h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700",
+                        isEditMode && "bg-green-600/20 text-green-400",
+                      )}
+                      onClick={() => setIsEditMode(!isEditMode)}
+                      title={isEditMode ? "Exit edit mode" : "Edit mind map"}
+                    >
+                      <IconPencil className="h-4 w-4" />
+                    </Button>
+                    <div className="relative">
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        className={cn(
+                          "h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700",
+                          showExportMenu && "bg-gray-700 text-white",
+                        )}
+                        onClick={() => setShowExportMenu(!showExportMenu)}
+                        title="Download or print"
+                      >
+                        <IconDownload className="h-4 w-4" />
+                      </Button>
+                      {showExportMenu && (
+                        <div className="absolute right-10 top-0 w-44 bg-gray-800 border border-gray-700 rounded-lg p-1 shadow-lg">
+                          {EXPORT_OPTIONS.map((option) => (
+                            <button
+                              key={option.format}
+                              className="w-full text-left px-3 py-2 text-sm text-gray-300 hover:text-white hover:bg-gray-700 rounded"
+                              onClick={() => handleExport(option.format)}
+                            >
+                              {option.label}
+                            </button>
+                          ))}
+                          <div className="border-t border-gray-700 my-1" />
+                          <p className="px-3 pt-1 text-xs text-gray-500">Study guide</p>
+                          <button
+                            className="w-full text-left px-3 py-2 text-sm text-gray-300 hover:text-white hover:bg-gray-700 rounded"
+                            onClick={() => handleStudyGuide("html")}
+                          >
+                            Printable page
+                          </button>
+                          <button
+                            className="w-full text-left px-3 py-2 text-sm text-gray-300 hover:text-white hover:bg-gray-700 rounded"
+                            onClick={() => handleStudyGuide("pdf")}
+                          >
+                            PDF (.pdf)
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                      onClick={() => setShowShareDialog(true)}
+                      title="Share a read-only link"
+                    >
+                      <IconShare className="h-4 w-4" />
+                    </Button>
+                  </>
+                )}
               </div>
             </Panel>
           </ReactFlow>
@@ -1067,8 +1354,43 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
 
           {/* Selected Node Info */}
           <div className="p-4 border-b border-gray-700">
-            <div className="bg-gray-800 px-3 py-1 rounded-full inline-block">
-              <span className="text-sm text-gray-300">{selectedNode}</span>
+            <div className="flex items-center justify-between gap-2">
+              <div className="bg-gray-800 px-3 py-1 rounded-full inline-block">
+                <span className="text-sm text-gray-300">{selectedNode}</span>
+              </div>
+              {isOwner && (
+                <>
+                  <Button
+                    onClick={handleGoDeeper}
+                    variant="outline"
+                    size="sm"
+                    disabled={isExpandingNode}
+                    className={cn(
+                      "text-gray-300 hover:text-white transition-colors",
+                      isExpandingNode && "bg-purple-600/20 border-purple-500 text-purple-400",
+                    )}
+                  >
+                    {isExpandingNode ? (
+                      <IconLoader2 className="h-4 w-4 animate-spin mr-2" />
+                    ) : (
+                      <IconSparkles className="h-4 w-4 mr-2" />
+                    )}
+                    Go deeper
+                  </Button>
+                  <Button
+                    onClick={() => setShowQuiz(!showQuiz)}
+                    variant="outline"
+                    size="sm"
+                    className={cn(
+                      "text-gray-300 hover:text-white transition-colors",
+                      showQuiz && "bg-purple-600/20 border-purple-500 text-purple-400",
+                    )}
+                  >
+                    <IconSchool className="h-4 w-4 mr-2" />
+                    Quiz me
+                  </Button>
+                </>
+              )}
             </div>
             {hasAudioForCurrentNode && (
               <div className="mt-2 flex items-center gap-2">
@@ -1089,8 +1411,107 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
           {/* Content */}
           <div className="flex-1 p-4 overflow-y-auto">
             <div className="space-y-4">
+              {/* Quiz */}
+              {showQuiz && (
+                <QuizPanel
+                  key={selectedNode}
+                  mindMapId={mindMapId}
+                  nodeId={selectedNode === "root" ? null : selectedNode}
+                  nodeLabel={mindMapData.nodes?.find((node: MindMapNode) => node.id === selectedNode)?.label || "Mind Map"}
+                  onGraded={handleQuizGraded}
+                  onClose={() => setShowQuiz(false)}
+                />
+              )}
+
+              {/* Topic Editor */}
+              {isEditMode && isOwner && (
+                <div className="bg-gray-800 border border-green-600/30 rounded-lg p-4 space-y-3">
+                  <div className="flex items-center gap-2">
+                    <IconPencil className="h-4 w-4 text-green-400" />
+                    <span className="text-sm font-medium text-green-400">Edit Topic</span>
+                  </div>
+                  <div className="space-y-1">
+                    <label className="text-xs text-gray-400">Title</label>
+                    <Input
+                      value={editLabel}
+                      onChange={(e) => setEditLabel(e.target.value)}
+                      className="bg-gray-900/50 border-gray-600 text-white"
+                    />
+                  </div>
+                  {selectedNode !== "root" && (
+                    <div className="space-y-1">
+                      <label className="text-xs text-gray-400">Parent Topic</label>
+                      <select
+                        value={editParent}
+                        onChange={(e) => setEditParent(e.target.value)}
+                        className="w-full px-3 py-2 bg-gray-900/50 border border-gray-600 rounded-md text-sm text-white"
+                      >
+                        {mindMapData.nodes
+                          .filter((node: MindMapNode) => !getDescendantIds(selectedNode).has(node.id))
+                          .map((node: MindMapNode) => (
+                            <option key={node.id} value={node.id}>
+                              {node.label}
+                            </option>
+                          ))}
+                      </select>
+                    </div>
+                  )}
+                  <div className="space-y-1">
+                    <label className="text-xs text-gray-400">Content</label>
+                    <Textarea
+                      value={editContent}
+                      onChange={(e) => setEditContent(e.target.value)}
+                      rows={8}
+                      className="bg-gray-900/50 border-gray-600 text-white"
+                    />
+                  </div>
+                  <div className="flex gap-2">
+                    <Button
+                      size="sm"
+                      onClick={handleSaveNodeEdits}
+                      disabled={isSavingEdit}
+                      className="bg-green-600 hover:bg-green-700 text-white"
+                    >
+                      <IconDeviceFloppy className="h-4 w-4 mr-1" />
+                      Save
+                    </Button>
+                    {selectedNode !== "root" && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={handleDeleteNode}
+                        disabled={isSavingEdit}
+                        className="border-red-600/50 text-red-400 hover:border-red-500 hover:text-red-300 hover:bg-red-600/10"
+                      >
+                        <IconTrash className="h-4 w-4 mr-1" />
+                        Delete
+                      </Button>
+                    )}
+                  </div>
+                  <div className="pt-3 border-t border-gray-700 space-y-2">
+                    <label className="text-xs text-gray-400">Add Subtopic</label>
+                    <div className="flex gap-2">
+                      <Input
+                        value={newChildLabel}
+                        onChange={(e) => setNewChildLabel(e.target.value)}
+                        placeholder="New subtopic title..."
+                        className="bg-gray-900/50 border-gray-600 text-white"
+                      />
+                      <Button
+                        size="sm"
+                        onClick={handleAddChildNode}
+                        disabled={isSavingEdit || !newChildLabel.trim()}
+                        className="bg-green-600 hover:bg-green-700 text-white"
+                      >
+                        <IconPlus className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Topic Content */}
-              {mindMapData.nodes?.find((node: any) => node.id === selectedNode)?.content ? (
+              {isEditMode && isOwner ? null : mindMapData.nodes?.find((node: MindMapNode) => node.id === selectedNode)?.content ? (
                 <div className="bg-gray-800 border border-gray-600 rounded-lg p-4">
                   <div className="flex items-center gap-2 mb-3">
                     <IconMicrophone className="h-4 w-4 text-green-400" />
@@ -1120,6 +1541,20 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
               )}
 
               {/* Chat Messages */}
+              {chatMessages.length > 0 && isOwner && (
+                <div className="flex items-center justify-between pt-2">
+                  <span className="text-xs font-medium text-gray-400">Conversation</span>
+                  <Button
+                    onClick={handleClearChat}
+                    variant="ghost"
+                    size="sm"
+                    className="h-6 px-2 text-xs text-gray-400 hover:text-red-400"
+                  >
+                    <IconTrash className="h-3 w-3 mr-1" />
+                    Clear
+                  </Button>
+                </div>
+              )}
               {chatMessages.map((message) => (
                 <div
                   key={message.id}
@@ -1135,7 +1570,31 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
                     </span>
                     <span className="text-xs text-gray-400">{message.timestamp.toLocaleTimeString()}</span>
                   </div>
-                  {message.type === "ai" ? (
+                  {message.type === "ai" && message.streamed ? (
+                    <>
+                      <p className="text-gray-300 whitespace-pre-wrap">
+                        {formatCitations(message.content)}
+                        {streamingMessageId === message.id && (
+                          <span className="inline-block w-2 h-4 ml-0.5 bg-gray-400 animate-pulse align-middle" />
+                        )}
+                      </p>
+                      {message.stopped && <p className="text-xs text-gray-500 mt-2 italic">Response stopped</p>}
+                      {message.citedNodeIds && message.citedNodeIds.length > 0 && (
+                        <div className="flex flex-wrap items-center gap-1 mt-3">
+                          <span className="text-xs text-gray-500">Sources:</span>
+                          {message.citedNodeIds.map((nodeId) => (
+                            <button
+                              key={nodeId}
+                              onClick={() => handleShowCitedNode(nodeId)}
+                              className="text-xs text-blue-300 bg-blue-500/10 hover:bg-blue-500/20 px-2 py-0.5 rounded-full"
+                            >
+                              {(mindMapData.nodes as CitableNode[]).find((node) => node.id === nodeId)?.label || nodeId}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </>
+                  ) : message.type === "ai" ? (
                     <TextGenerateEffect words={message.content} />
                   ) : (
                     <p className="text-gray-300">{message.content}</p>
@@ -1167,6 +1626,19 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
 
           {/* AI Input */}
           <div className="p-4 border-t border-gray-700">
+            {(isAiTyping || streamingMessageId) && (
+              <div className="flex justify-center mb-3">
+                <Button
+                  onClick={handleStopChat}
+                  variant="outline"
+                  size="sm"
+                  className="text-gray-300 hover:text-white"
+                >
+                  <IconPlayerStop className="h-4 w-4 mr-2" />
+                  Stop generating
+                </Button>
+              </div>
+            )}
             <PlaceholdersAndVanishInput
               placeholders={["Ask about this topic...", "How can I apply this?", "Can you explain more?"]}
               onChange={() => {}}
@@ -1184,6 +1656,16 @@ function MindMapContent({ mindMapId }: { mindMapId: string }) {
         </div>
       )}
 
+      {isOwner && (
+        <ShareDialog
+          mindMapId={mindMapId}
+          open={showShareDialog}
+          onOpenChange={setShowShareDialog}
+          forkable={isForkable}
+          onForkableChange={setIsForkable}
+        />
+      )}
+
       {/* Floating Dock */}
       <div className="fixed bottom-8 left-1/2 transform -translate-x-1/2 z-50">
         <FloatingDock mobileClassName="translate-y-20" items={dockLinks} activeItem="/mind-map" />
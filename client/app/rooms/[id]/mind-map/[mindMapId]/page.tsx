@@ -0,0 +1,106 @@
+"use client"
+import { useState, useEffect } from "react"
+import { useParams, useRouter } from "next/navigation"
+import { apiService } from "@/lib/api"
+import { useAuth } from "@/lib/auth-context"
+import { Button } from "@/components/ui/button"
+import { ReadOnlyMindMap, type ReadOnlyMindMapData } from "@/components/custom/ReadOnlyMindMap"
+import { IconArrowLeft, IconLoader2, IconUsers } from "@tabler/icons-react"
+
+// A mind map another member attached to a room, shown read-only
+export default function RoomMindMapView() {
+  const params = useParams()
+  const roomId = params.id as string
+  const mindMapId = params.mindMapId as string
+  const router = useRouter()
+  const { loading, isAuthenticated } = useAuth()
+
+  const [mindMapData, setMindMapData] = useState<ReadOnlyMindMapData | null>(null)
+  const [subjectName, setSubjectName] = useState("")
+  const [roomName, setRoomName] = useState("")
+  const [attachedByName, setAttachedByName] = useState<string | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [loadError, setLoadError] = useState<string | null>(null)
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!loading && !isAuthenticated) {
+      router.push("/")
+    }
+  }, [loading, isAuthenticated, router])
+
+  useEffect(() => {
+    if (!isAuthenticated) return
+    let cancelled = false
+
+    apiService
+      .getRoomMindMap(roomId, mindMapId)
+      .then((response) => {
+        if (cancelled || !response.success) return
+        setSubjectName(response.mindMap.subject_name)
+        setAttachedByName(response.mindMap.attached_by_name)
+        setRoomName(response.room.name)
+        setMindMapData(response.mindMap.mindmap_data)
+      })
+      .catch((error) => {
+        console.error("Error loading room mind map:", error)
+        if (!cancelled) {
+          setLoadError(error instanceof Error ? error.message : "This mind map could not be loaded")
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [isAuthenticated, roomId, mindMapId])
+
+  if (loading || isLoading) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="flex flex-col items-center gap-4">
+          <IconLoader2 className="h-8 w-8 text-white animate-spin" />
+          <div className="text-white text-xl">Loading mind map...</div>
+        </div>
+      </div>
+    )
+  }
+
+  if (!mindMapData) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-white text-xl mb-2">This mind map isn&apos;t available</div>
+          <p className="text-gray-400 mb-6">{loadError}</p>
+          <Button onClick={() => router.push(`/rooms/${roomId}`)}>Back to room</Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <ReadOnlyMindMap
+      mindMapData={mindMapData}
+      title={subjectName}
+      subtitle={
+        <>
+          <IconUsers className="h-4 w-4" />
+          {roomName}
+          {attachedByName && ` · shared by ${attachedByName}`} · read-only
+        </>
+      }
+      actions={
+        <Button
+          onClick={() => router.push(`/rooms/${roomId}`)}
+          variant="outline"
+          className="border-gray-600 text-gray-300 hover:border-blue-500 hover:text-blue-400"
+        >
+          <IconArrowLeft className="h-4 w-4 mr-2" />
+          Back to room
+        </Button>
+      }
+    />
+  )
+}
@@ -0,0 +1,446 @@
+"use client"
+import { useState, useEffect, useCallback } from "react"
+import { useParams, useRouter } from "next/navigation"
+import { useAuth } from "@/lib/auth-context"
+import { apiService, type RoomDetails } from "@/lib/api"
+import { FloatingDock } from "@/components/ui/floating-dock"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { toast } from "sonner"
+import {
+  IconHome,
+  IconUsers,
+  IconBrain,
+  IconSettings,
+  IconLogout,
+  IconMap,
+  IconCheck,
+  IconCopy,
+  IconCrown,
+  IconDoorExit,
+  IconEye,
+  IconLoader2,
+  IconLock,
+  IconPaperclip,
+  IconRefresh,
+  IconTrash,
+  IconUnlink,
+  IconUserMinus,
+  IconWorld,
+} from "@tabler/icons-react"
+
+// Invite codes are shown in two halves so they're easier to read out
+const formatInviteCode = (code: string) => code.replace(/^(.{4})(.+)$/, "$1-$2")
+
+export default function RoomPage() {
+  const { user, loading, isAuthenticated, logout } = useAuth()
+  const router = useRouter()
+  const params = useParams()
+  const roomId = params.id as string
+
+  const [room, setRoom] = useState<RoomDetails | null>(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [myMindMaps, setMyMindMaps] = useState<{ id: string; subject_name: string }[]>([])
+  const [selectedMindMapId, setSelectedMindMapId] = useState("")
+  const [isAttaching, setIsAttaching] = useState(false)
+  const [copied, setCopied] = useState(false)
+
+  // Redirect if not authenticated
+  useEffect(() => {
+    if (!loading && !isAuthenticated) {
+      router.push("/")
+    }
+  }, [loading, isAuthenticated, router])
+
+  const loadRoom = useCallback(async () => {
+    try {
+      const response = await apiService.getRoom(roomId)
+      setRoom(response.room)
+    } catch (error) {
+      console.error("Error loading room:", error)
+      setRoom(null)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [roomId])
+
+  useEffect(() => {
+    if (!isAuthenticated) return
+
+    loadRoom()
+    apiService
+      .getMindMaps()
+      .then((response) => setMyMindMaps(response.mindMaps || []))
+      .catch((error) => console.error("Error loading mind maps:", error))
+  }, [isAuthenticated, loadRoom])
+
+  const isOwner = room?.role === "owner"
+  const attachableMindMaps = myMindMaps.filter(
+    (mindMap) => !room?.mindmaps.some((attached) => attached.id === mindMap.id),
+  )
+
+  const handleCopyInviteCode = async () => {
+    if (!room?.invite_code) return
+
+    try {
+      await navigator.clipboard.writeText(room.invite_code)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (error) {
+      console.error("Error copying invite code:", error)
+    }
+  }
+
+  const handleRegenerateInviteCode = async () => {
+    if (!confirm("Create a new invite code? The current code will stop working.")) {
+      return
+    }
+
+    try {
+      const response = await apiService.regenerateRoomInviteCode(roomId)
+      setRoom((prev) => (prev ? { ...prev, invite_code: response.invite_code } : prev))
+      toast.success("Invite Code Changed", { description: "Share the new code with anyone you want to invite." })
+    } catch (error) {
+      console.error("Error changing invite code:", error)
+      toast.error("Error", {
+        description: error instanceof Error ? error.message : "Failed to change invite code",
+      })
+    }
+  }
+
+  const handleAttachMindMap = async () => {
+    if (!selectedMindMapId) return
+
+    setIsAttaching(true)
+    try {
+      const response = await apiService.attachRoomMindMap(roomId, selectedMindMapId)
+      setRoom(response.room)
+      setSelectedMindMapId("")
+    } catch (error) {
+      console.error("Error attaching mind map:", error)
+      toast.error("Error", {
+        description: error instanceof Error ? error.message : "Failed to add mind map",
+      })
+    } finally {
+      setIsAttaching(false)
+    }
+  }
+
+  const handleDetachMindMap = async (mindMapId: string) => {
+    try {
+      const response = await apiService.detachRoomMindMap(roomId, mindMapId)
+      setRoom(response.room)
+    } catch (error) {
+      console.error("Error detaching mind map:", error)
+      toast.error("Error", {
+        description: error instanceof Error ? error.message : "Failed to remove mind map",
+      })
+    }
+  }
+
+  const handleRemoveMember = async (userUid: string, name: string) => {
+    if (!confirm(`Remove ${name} from this room? Mind maps they added will be removed too.`)) {
+      return
+    }
+
+    try {
+      await apiService.removeRoomMember(roomId, userUid)
+      await loadRoom()
+    } catch (error) {
+      console.error("Error removing member:", error)
+      toast.error("Error", {
+        description: error instanceof Error ? error.message : "Failed to remove member",
+      })
+    }
+  }
+
+  const handleLeaveOrDelete = async () => {
+    const message = isOwner
+      ? "Delete this room for everyone? Mind maps stay in their owners' libraries. This action cannot be undone."
+      : "Leave this room? Mind maps you added will be removed from it."
+    if (!confirm(message)) {
+      return
+    }
+
+    try {
+      if (isOwner) {
+        await apiService.deleteRoom(roomId)
+      } else {
+        await apiService.leaveRoom(roomId)
+      }
+      toast.success(isOwner ? "Room Deleted" : "Left Room", { description: room?.name })
+      router.push("/create-room")
+    } catch (error) {
+      console.error("Error leaving room:", error)
+      toast.error("Error", {
+        description: error instanceof Error ? error.message : "Something went wrong",
+      })
+    }
+  }
+
+  const handleSignOut = async () => {
+    try {
+      await logout()
+      router.push("/")
+    } catch (error) {
+      console.error("Error signing out:", error)
+    }
+  }
+
+  if (loading || (isAuthenticated && isLoading)) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-white text-xl">Loading...</div>
+      </div>
+    )
+  }
+
+  if (!isAuthenticated || !user) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-white text-xl">Redirecting to home...</div>
+      </div>
+    )
+  }
+
+  if (!room) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-white text-xl mb-2">Room not found</div>
+          <p className="text-gray-400 mb-6">It may have been deleted, or you&apos;re not a member.</p>
+          <Button onClick={() => router.push("/create-room")}>Back to rooms</Button>
+        </div>
+      </div>
+    )
+  }
+
+  const dockLinks = [
+    {
+      title: "Home",
+      icon: <IconHome className="h-full w-full text-neutral-500 dark:text-neutral-300" />,
+      href: "/",
+    },
+    {
+      title: "Dashboard",
+      icon: <IconBrain className="h-full w-full text-neutral-500 dark:text-neutral-300" />,
+      href: "/dashboard",
+    },
+    {
+      title: "Create Room",
+      icon: <IconUsers className="h-full w-full text-neutral-500 dark:text-neutral-300" />,
+      href: "/create-room",
+    },
+    {
+      title: "Mind Map",
+      icon: <IconMap className="h-full w-full text-neutral-500 dark:text-neutral-300" />,
+      href: "/mind-map",
+    },
+    {
+      title: "Settings",
+      icon: <IconSettings className="h-full w-full text-neutral-500 dark:text-neutral-300" />,
+      href: "/settings",
+    },
+    {
+      title: "Sign Out",
+      icon: <IconLogout className="h-full w-full text-neutral-500 dark:text-neutral-300" />,
+      href: "#",
+      onClick: handleSignOut,
+    },
+  ]
+
+  return (
+    <div className="min-h-screen bg-black text-white relative">
+      <main className="max-w-5xl mx-auto p-8 pb-32 relative z-10">
+        {/* Room Header */}
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-10">
+          <div>
+            <h1 className="text-4xl font-bold bg-gradient-to-r from-green-400 to-blue-600 bg-clip-text text-transparent mb-2">
+              {room.name}
+            </h1>
+            <p className="text-gray-400 flex items-center gap-2">
+              {room.privacy === "private" ? <IconLock className="h-4 w-4" /> : <IconWorld className="h-4 w-4" />}
+              {room.privacy === "private" ? "Private room" : "Public room"} · {room.member_count}{" "}
+              {room.member_count === 1 ? "member" : "members"}
+              {room.subject && room.subject !== "other" && ` · ${room.subject}`}
+            </p>
+          </div>
+          <Button
+            onClick={handleLeaveOrDelete}
+            variant="outline"
+            className="border-red-600/50 text-red-400 hover:border-red-500 hover:text-red-300 hover:bg-red-600/10"
+          >
+            {isOwner ? <IconTrash className="w-4 h-4 mr-2" /> : <IconDoorExit className="w-4 h-4 mr-2" />}
+            {isOwner ? "Delete room" : "Leave room"}
+          </Button>
+        </div>
+
+        <div className="grid gap-6 md:grid-cols-3">
+          {/* Mind Maps */}
+          <Card className="bg-gray-900/50 border-gray-700/50 md:col-span-2">
+            <CardHeader>
+              <CardTitle className="text-white">Mind maps</CardTitle>
+              <CardDescription className="text-gray-400">Every member can view the mind maps added here.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {room.mindmaps.length === 0 ? (
+                <p className="text-sm text-gray-500">No mind maps yet. Add one of yours below.</p>
+              ) : (
+                room.mindmaps.map((mindMap) => (
+                  <div
+                    key={mindMap.id}
+                    className="flex items-center justify-between gap-3 p-3 bg-gray-800/60 border border-gray-700 rounded-lg"
+                  >
+                    <div className="min-w-0">
+                      <div className="text-white font-medium truncate">{mindMap.subject_name}</div>
+                      <div className="text-xs text-gray-400">
+                        Added by {mindMap.attached_by === user.uid ? "you" : mindMap.attached_by_name || "a member"}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2 shrink-0">
+                      <Button
+                        size="sm"
+                        onClick={() =>
+                          router.push(
+                            mindMap.attached_by === user.uid
+                              ? `/mind-map/view/${mindMap.id}`
+                              : `/rooms/${roomId}/mind-map/${mindMap.id}`,
+                          )
+                        }
+                        className="bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 text-white"
+                      >
+                        <IconEye className="w-4 h-4 mr-1" />
+                        View
+                      </Button>
+                      {mindMap.can_detach && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => handleDetachMindMap(mindMap.id)}
+                          className="h-8 w-8 p-0 text-red-400 hover:text-red-300 hover:bg-red-600/10"
+                          title="Remove from room"
+                        >
+                          <IconUnlink className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                ))
+              )}
+
+              <div className="flex items-center gap-2 pt-2">
+                <select
+                  value={selectedMindMapId}
+                  onChange={(e) => setSelectedMindMapId(e.target.value)}
+                  className="flex-1 px-3 py-2 bg-gray-900/50 border border-gray-600 rounded-md text-sm text-white"
+                >
+                  <option value="">
+                    {attachableMindMaps.length > 0 ? "Choose one of your mind maps..." : "No more mind maps to add"}
+                  </option>
+                  {attachableMindMaps.map((mindMap) => (
+                    <option key={mindMap.id} value={mindMap.id}>
+                      {mindMap.subject_name}
+                    </option>
+                  ))}
+                </select>
+                <Button
+                  onClick={handleAttachMindMap}
+                  disabled={!selectedMindMapId || isAttaching}
+                  variant="outline"
+                  className="border-gray-600 text-gray-300 hover:border-blue-500 hover:text-blue-400"
+                >
+                  {isAttaching ? (
+                    <IconLoader2 className="w-4 h-4 mr-2 animate-spin" />
+                  ) : (
+                    <IconPaperclip className="w-4 h-4 mr-2" />
+                  )}
+                  Add
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+
+          <div className="space-y-6">
+            {/* Invite Code (owner only) */}
+            {isOwner && room.invite_code && (
+              <Card className="bg-gray-900/50 border-gray-700/50">
+                <CardHeader>
+                  <CardTitle className="text-white">Invite code</CardTitle>
+                  <CardDescription className="text-gray-400">Anyone with this code can join.</CardDescription>
+                </CardHeader>
+                <CardContent className="flex items-center gap-2">
+                  <span className="flex-1 font-mono text-xl tracking-widest text-white">
+                    {formatInviteCode(room.invite_code)}
+                  </span>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={handleCopyInviteCode}
+                    className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                    title="Copy code"
+                  >
+                    {copied ? <IconCheck className="h-4 w-4 text-green-400" /> : <IconCopy className="h-4 w-4" />}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={handleRegenerateInviteCode}
+                    className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                    title="New code"
+                  >
+                    <IconRefresh className="h-4 w-4" />
+                  </Button>
+                </CardContent>
+              </Card>
+            )}
+
+            {/* Members */}
+            <Card className="bg-gray-900/50 border-gray-700/50">
+              <CardHeader>
+                <CardTitle className="text-white">Members</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {room.members.map((member) => {
+                  const name = member.display_name || "Unnamed member"
+                  return (
+                    <div key={member.user_uid} className="flex items-center justify-between gap-2">
+                      <span className="flex items-center gap-2 min-w-0 text-sm text-gray-200">
+                        {member.role === "owner" && <IconCrown className="h-4 w-4 text-yellow-400 shrink-0" />}
+                        <span className="truncate">
+                          {name}
+                          {member.user_uid === user.uid && " (you)"}
+                        </span>
+                      </span>
+                      {isOwner && member.role !== "owner" && (
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => handleRemoveMember(member.user_uid, name)}
+                          className="h-7 w-7 p-0 text-gray-400 hover:text-red-300 hover:bg-red-600/10"
+                          title="Remove member"
+                        >
+                          <IconUserMinus className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  )
+                })}
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </main>
+
+      {/* Floating Dock */}
+      <div className="fixed bottom-8 left-1/2 transform -translate-x-1/2 z-50">
+        <FloatingDock mobileClassName="translate-y-20" items={dockLinks} activeItem="/create-room" />
+      </div>
+
+      {/* Background decorative elements */}
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute top-1/4 left-1/4 w-64 h-64 bg-green-500/10 rounded-full blur-3xl"></div>
+        <div className="absolute bottom-1/4 right-1/4 w-64 h-64 bg-blue-500/10 rounded-full blur-3xl"></div>
+      </div>
+    </div>
+  )
+}
@@ -3,6 +3,7 @@ import React, { useState } from 'react';
 import { useAuth } from '@/lib/auth-context';
 import { useRouter } from 'next/navigation';
 import { FloatingDock } from "@/components/ui/floating-dock";
+import { DeviceSessions } from "@/components/custom/DeviceSessions";
 import {
   IconHome,
   IconUsers,
@@ -226,6 +227,8 @@ export default function Settings() {
                       </select>
                     </div>
 
+                    <DeviceSessions onSignedOutEverywhere={() => router.push('/')} />
+
                     <div className="p-4 bg-gray-800/30 rounded-lg">
                       <h3 className="text-white font-medium mb-2">Data Export</h3>
                       <p className="text-gray-400 text-sm mb-4">Download your learning data and progress</p>
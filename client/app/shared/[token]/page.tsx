@@ -0,0 +1,129 @@
+"use client"
+import { useState, useEffect } from "react"
+import { useParams, useRouter } from "next/navigation"
+import { apiService } from "@/lib/api"
+import { useAuth } from "@/lib/auth-context"
+import { Button } from "@/components/ui/button"
+import { ReadOnlyMindMap, type ReadOnlyMindMapData } from "@/components/custom/ReadOnlyMindMap"
+import { toast } from "sonner"
+import { IconGitFork, IconLoader2, IconLock } from "@tabler/icons-react"
+
+// Read-only view of a mind map opened from a share link. Shows the canvas,
+// topic tree and topic content without editing, chat, audio or progress.
+export default function SharedMindMapView() {
+  const params = useParams()
+  const token = params.token as string
+  const router = useRouter()
+  const { isAuthenticated } = useAuth()
+
+  const [mindMapData, setMindMapData] = useState<ReadOnlyMindMapData | null>(null)
+  const [subjectName, setSubjectName] = useState("")
+  const [isLoading, setIsLoading] = useState(true)
+  const [loadError, setLoadError] = useState<string | null>(null)
+  // Set when the owner allows forking
+  const [forkableId, setForkableId] = useState<string | null>(null)
+  const [isForking, setIsForking] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+
+    apiService
+      .getSharedMindMap(token)
+      .then((response) => {
+        if (cancelled || !response.success) return
+        setSubjectName(response.mindMap.subject_name)
+        setForkableId(response.mindMap.forkable ? response.mindMap.id : null)
+        setMindMapData(response.mindMap.mindmap_data)
+      })
+      .catch((error) => {
+        console.error("Error loading shared mind map:", error)
+        if (!cancelled) {
+          setLoadError(error instanceof Error ? error.message : "This mind map could not be loaded")
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [token])
+
+  // Copy the map into the signed-in user's library and open the copy
+  const handleFork = async () => {
+    if (!forkableId) return
+
+    setIsForking(true)
+    try {
+      const response = await apiService.cloneMindMap(forkableId)
+      toast.success("Mind Map Forked", { description: `${response.mindMap.subject_name} is now in your library` })
+      router.push(`/mind-map/view/${response.mindMap.id}`)
+    } catch (error) {
+      console.error("Error forking mind map:", error)
+      toast.error("Fork Failed", {
+        description: error instanceof Error ? error.message : "Could not fork this mind map.",
+      })
+      setIsForking(false)
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="flex flex-col items-center gap-4">
+          <IconLoader2 className="h-8 w-8 text-white animate-spin" />
+          <div className="text-white text-xl">Loading shared mind map...</div>
+        </div>
+      </div>
+    )
+  }
+
+  if (!mindMapData) {
+    return (
+      <div className="min-h-screen bg-black flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-white text-xl mb-2">This mind map isn&apos;t available</div>
+          <p className="text-gray-400 mb-6">{loadError}</p>
+          <Button onClick={() => router.push("/")}>Go to Adhyayan AI</Button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <ReadOnlyMindMap
+      mindMapData={mindMapData}
+      title={subjectName}
+      subtitle={
+        <>
+          <IconLock className="h-4 w-4" />
+          Shared mind map · read-only
+        </>
+      }
+      actions={
+        forkableId && isAuthenticated ? (
+          <Button
+            onClick={handleFork}
+            disabled={isForking}
+            className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white"
+          >
+            {isForking ? (
+              <IconLoader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <IconGitFork className="h-4 w-4 mr-2" />
+            )}
+            Fork to my library
+          </Button>
+        ) : (
+          <Button
+            onClick={() => router.push("/")}
+            className="bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white"
+          >
+            {forkableId ? "Sign in to fork" : "Make your own"}
+          </Button>
+        )
+      }
+    />
+  )
+}
@@ -0,0 +1,41 @@
+"use client"
+import { ViewportPortal } from "@xyflow/react"
+import type { SessionParticipant } from "@/lib/api"
+import type { CollaboratorCursor } from "@/lib/mindmap-session"
+
+interface CollaboratorCursorsProps {
+  collaborators: SessionParticipant[]
+  cursors: Record<string, CollaboratorCursor>
+}
+
+// Other people's pointers on the mind map canvas. Positions are in flow
+// coordinates, so they stay on the same spot of the map at any zoom.
+// Render inside <ReactFlow>.
+export function CollaboratorCursors({ collaborators, cursors }: CollaboratorCursorsProps) {
+  return (
+    <ViewportPortal>
+      {collaborators.map((collaborator) => {
+        const cursor = cursors[collaborator.uid]
+        if (!cursor) return null
+
+        return (
+          <div
+            key={collaborator.uid}
+            className="absolute pointer-events-none transition-transform duration-75"
+            style={{ transform: `translate(${cursor.x}px, ${cursor.y}px)`, zIndex: 1000 }}
+          >
+            <svg width="18" height="18" viewBox="0 0 18 18" fill={collaborator.color}>
+              <path d="M1 1 L1 15 L5 11 L8 17 L10 16 L7 10 L13 10 Z" stroke="black" strokeWidth="1" />
+            </svg>
+            <span
+              className="ml-3 px-1.5 py-0.5 rounded text-[10px] font-medium text-white whitespace-nowrap"
+              style={{ backgroundColor: collaborator.color }}
+            >
+              {collaborator.name}
+            </span>
+          </div>
+        )
+      })}
+    </ViewportPortal>
+  )
+}
@@ -0,0 +1,111 @@
+"use client"
+import { useEffect, useState } from "react"
+import { apiService, type AuthSessionInfo } from "@/lib/api"
+import { toast } from "sonner"
+import { IconDeviceDesktop, IconDeviceMobile, IconLoader2, IconLogout } from "@tabler/icons-react"
+
+const isMobile = (deviceName: string) => /Android|iOS/.test(deviceName)
+
+interface DeviceSessionsProps {
+  // Called after signing out everywhere, this device included
+  onSignedOutEverywhere: () => void
+}
+
+// The devices the user is signed in on, with buttons to sign one out or all
+export function DeviceSessions({ onSignedOutEverywhere }: DeviceSessionsProps) {
+  const [sessions, setSessions] = useState<AuthSessionInfo[]>([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [revokingId, setRevokingId] = useState<string | null>(null)
+  const [isSigningOutEverywhere, setIsSigningOutEverywhere] = useState(false)
+
+  useEffect(() => {
+    apiService
+      .getAuthSessions()
+      .then((response) => setSessions(response.sessions || []))
+      .catch((error) => console.error("Error loading sessions:", error))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  const handleRevoke = async (session: AuthSessionInfo) => {
+    try {
+      setRevokingId(session.id)
+      await apiService.revokeAuthSession(session.id)
+      setSessions((prev) => prev.filter((other) => other.id !== session.id))
+      toast.success("Device Signed Out", { description: `${session.device_name} was signed out.` })
+    } catch (error) {
+      console.error("Error signing out device:", error)
+      toast.error("Error", { description: "Failed to sign out that device. Please try again." })
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleSignOutEverywhere = async () => {
+    if (!confirm("Sign out of Adhyayan AI on every device, including this one?")) return
+
+    try {
+      setIsSigningOutEverywhere(true)
+      await apiService.signOutEverywhere()
+      onSignedOutEverywhere()
+    } catch (error) {
+      console.error("Error signing out everywhere:", error)
+      toast.error("Error", { description: "Failed to sign out everywhere. Please try again." })
+      setIsSigningOutEverywhere(false)
+    }
+  }
+
+  return (
+    <div className="p-4 bg-gray-800/30 rounded-lg">
+      <h3 className="text-white font-medium mb-2">Signed-in Devices</h3>
+      <p className="text-gray-400 text-sm mb-4">Devices where you&apos;re currently signed in</p>
+
+      {isLoading ? (
+        <div className="flex items-center gap-2 text-gray-400 text-sm">
+          <IconLoader2 className="h-4 w-4 animate-spin" />
+          Loading devices...
+        </div>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {sessions.map((session) => {
+            const DeviceIcon = isMobile(session.device_name) ? IconDeviceMobile : IconDeviceDesktop
+            return (
+              <div key={session.id} className="flex items-center justify-between p-3 bg-gray-900/40 rounded-lg">
+                <div className="flex items-center gap-3">
+                  <DeviceIcon className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <p className="text-white text-sm">
+                      {session.device_name}
+                      {session.current && <span className="ml-2 text-xs text-green-400">This device</span>}
+                    </p>
+                    <p className="text-gray-500 text-xs">
+                      Last active {new Date(session.last_used_at).toLocaleString()}
+                      {session.ip_address && ` · ${session.ip_address}`}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session)}
+                    disabled={revokingId === session.id}
+                    className="px-3 py-1 text-sm text-red-400 hover:text-red-300 hover:bg-red-600/10 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    {revokingId === session.id ? "Signing out..." : "Sign out"}
+                  </button>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      <button
+        onClick={handleSignOutEverywhere}
+        disabled={isSigningOutEverywhere}
+        className="flex items-center gap-2 px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors disabled:opacity-50"
+      >
+        <IconLogout className="h-4 w-4" />
+        {isSigningOutEverywhere ? "Signing out..." : "Sign out everywhere"}
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,126 @@
+"use client"
+import type { GenerationJob, GenerationJobStatus } from "@/lib/api"
+import { Button } from "@/components/ui/button"
+import { cn } from "@/lib/utils"
+import {
+  IconAlertTriangle,
+  IconCircleCheck,
+  IconCircleDashed,
+  IconLoader2,
+  IconSquareRoundedX,
+} from "@tabler/icons-react"
+
+// The steps a generation job moves through, in order
+const STEPS: { status: GenerationJobStatus; label: string }[] = [
+  { status: "queued", label: "Waiting in the queue" },
+  { status: "generating", label: "Generating the mind map" },
+  { status: "validating", label: "Checking and repairing the structure" },
+  { status: "saved", label: "Saving your mind map" },
+]
+
+// Content jobs fill in an imported mind map instead of building one
+const CONTENT_STEPS: { status: GenerationJobStatus; label: string }[] = [
+  { status: "queued", label: "Waiting in the queue" },
+  { status: "generating", label: "Writing content for empty topics" },
+  { status: "validating", label: "Adding the content to your mind map" },
+  { status: "saved", label: "Saving your mind map" },
+]
+
+interface GenerationProgressProps {
+  job: GenerationJob | null
+  open: boolean
+  // Hides the overlay; generation carries on in the background
+  onClose: () => void
+}
+
+export function GenerationProgress({ job, open, onClose }: GenerationProgressProps) {
+  if (!open) return null
+
+  const failed = job?.status === "failed"
+  const steps = job?.kind === "content" ? CONTENT_STEPS : STEPS
+  const currentIndex = job ? steps.findIndex((step) => step.status === job.status) : 0
+
+  const detailFor = (status: GenerationJobStatus) => {
+    if (!job) return null
+    if (status === "generating" && job.status === "generating") {
+      const previous = job.attempted_models.slice(0, -1)
+      return [
+        job.chunk_count && `Part ${job.chunk_index} of ${job.chunk_count}`,
+        job.current_model && `using ${job.current_model}`,
+        previous.length > 0 && !job.chunk_count && `after trying ${previous.join(", ")}`,
+      ]
+        .filter(Boolean)
+        .join(", ")
+        .replace(/^u/, "U")
+    }
+    if (status === "validating" && (job.status === "validating" || job.status === "saved")) {
+      if (job.kind === "content") {
+        if (job.used_fallback) return "No model was available, so the topics were left without content"
+        return job.repairs[0] || null
+      }
+      if (job.used_fallback || (job.status === "validating" && !job.current_model)) {
+        return "No model was available, so a template mind map was built from your syllabus"
+      }
+      if (job.repairs.length > 0) return `Fixed ${job.repairs.length} structural problem(s)`
+    }
+    return null
+  }
+
+  return (
+    <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/80 backdrop-blur-sm">
+      <div className="w-full max-w-md mx-4 p-6 bg-gray-900 border border-gray-700 rounded-xl space-y-6">
+        <div>
+          <h3 className="text-lg font-semibold text-white">{job ? job.subject_name : "Starting generation..."}</h3>
+          <p className="text-sm text-gray-400">
+            You can close this and come back later — generation keeps running.
+          </p>
+        </div>
+
+        <div className="space-y-4">
+          {steps.map((step, index) => {
+            const done = job?.status === "saved" || (!failed && index < currentIndex)
+            const active = !done && !failed && index === currentIndex
+            const detail = detailFor(step.status)
+
+            return (
+              <div key={step.status} className="flex gap-3">
+                {done ? (
+                  <IconCircleCheck className="h-5 w-5 text-orange-400 flex-shrink-0" />
+                ) : active ? (
+                  <IconLoader2 className="h-5 w-5 text-orange-300 animate-spin flex-shrink-0" />
+                ) : (
+                  <IconCircleDashed className="h-5 w-5 text-gray-600 flex-shrink-0" />
+                )}
+                <div>
+                  <p
+                    className={cn(
+                      "text-sm",
+                      done ? "text-orange-400" : active ? "text-white font-semibold" : "text-gray-500",
+                    )}
+                  >
+                    {step.label}
+                  </p>
+                  {detail && <p className="text-xs text-gray-400">{detail}</p>}
+                </div>
+              </div>
+            )
+          })}
+
+          {failed && (
+            <div className="flex gap-3 p-3 rounded-lg bg-red-600/10 text-red-300">
+              <IconAlertTriangle className="h-5 w-5 flex-shrink-0" />
+              <p className="text-sm">{job?.error || "Mind map generation failed"}</p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <Button onClick={onClose} variant="outline" className="border-gray-600 text-gray-300 hover:text-white">
+            <IconSquareRoundedX className="h-4 w-4 mr-2" />
+            {failed ? "Close" : "Hide"}
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
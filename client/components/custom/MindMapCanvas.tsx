@@ -0,0 +1,376 @@
+"use client"
+import type React from "react"
+import { useCallback } from "react"
+import { type NodeProps, type XYPosition, Handle, Position } from "@xyflow/react"
+import { cn } from "@/lib/utils"
+import { IconChevronDown, IconChevronRight, IconCircle, IconCircleCheck, IconPlus } from "@tabler/icons-react"
+
+// The mind map canvas node, topic tree and layout helpers shared by the
+// editable mind map view and the read-only shared view
+
+// A topic as saved in a mind map's data
+export interface MindMapNode {
+  id: string
+  label: string
+  type?: string
+  level?: number
+  parent?: string | null
+  // Ids of the child topics
+  children?: string[]
+  content?: string
+  position?: XYPosition
+  nodeType?: string
+}
+
+// A topic nested under its parent for the topic tree sidebar
+export type TopicTreeNode = Omit<MindMapNode, "children"> & {
+  isRoot?: boolean
+  children: TopicTreeNode[]
+}
+
+// Define the data structure for the custom node
+export type CustomNodeData = {
+  label: string
+  expanded?: boolean
+  hasChildren?: boolean
+  isRoot?: boolean
+  isRead?: boolean
+  parentNode?: string
+  isSelected?: boolean
+  isHighlighted?: boolean
+  // Colours of collaborators who have this node selected in a live session
+  collaboratorColors?: string[]
+  content?: string
+  childrenCount?: number
+  onToggleExpand?: (nodeId: string) => void
+  onNodeClick?: (nodeId: string) => void
+  nodeType?: string
+}
+
+// Custom node component with modern design
+const CustomNode = ({ data, id }: NodeProps) => {
+  const nodeData = data as CustomNodeData
+
+  const handleNodeClick = useCallback(() => {
+    if (nodeData.onNodeClick) {
+      nodeData.onNodeClick(id)
+    }
+  }, [nodeData, id])
+
+  const handleToggleExpand = useCallback(
+    (e: React.MouseEvent) => {
+      e.stopPropagation()
+      if (nodeData.onToggleExpand) {
+        nodeData.onToggleExpand(id)
+      }
+    },
+    [nodeData, id],
+  )
+
+  const getNodeStyle = () => {
+    if (nodeData.isRoot) {
+      return "bg-[#1a1a2e] border-[#0f3460] text-white shadow-[0_0_10px_rgba(15,52,96,0.6)]"
+    }
+    if (nodeData.nodeType === "overview") {
+      return "bg-[#1a1a2e] border-[#16a34a] text-white shadow-[0_0_10px_rgba(22,163,74,0.5)]"
+    }
+    if (nodeData.nodeType === "factors") {
+      return "bg-[#1a1a2e] border-[#6b7280] text-white shadow-[0_0_8px_rgba(107,114,128,0.4)]"
+    }
+    if (nodeData.nodeType === "products") {
+      return "bg-[#1a1a2e] border-[#16a34a] text-white shadow-[0_0_10px_rgba(22,163,74,0.5)]"
+    }
+    if (nodeData.nodeType === "reactions") {
+      return "bg-[#1a1a2e] border-[#6b7280] text-white shadow-[0_0_8px_rgba(107,114,128,0.4)]"
+    }
+    if (nodeData.isSelected) {
+      return "bg-[#1a1a2e] border-[#16a34a] text-white shadow-[0_0_10px_rgba(22,163,74,0.5)]"
+    }
+    return "bg-[#1a1a2e] border-[#6b7280] text-white shadow-[0_0_8px_rgba(107,114,128,0.4)]"
+  }
+
+  const collaboratorColors = nodeData.collaboratorColors || []
+
+  return (
+    <div
+      className={cn(
+        "relative px-4 py-3 rounded-md border-2 cursor-pointer transition-all duration-200 min-w-40 flex items-center justify-between",
+        getNodeStyle(),
+        nodeData.isHighlighted && "ring-2 ring-yellow-400 ring-offset-2 ring-offset-black animate-pulse",
+      )}
+      style={collaboratorColors.length > 0 ? { outline: `2px solid ${collaboratorColors[0]}`, outlineOffset: 3 } : undefined}
+      onClick={handleNodeClick}
+    >
+      {collaboratorColors.length > 0 && (
+        <div className="absolute -top-2 right-2 flex gap-0.5">
+          {collaboratorColors.map((color, index) => (
+            <span key={index} className="w-3 h-3 rounded-full border border-black" style={{ backgroundColor: color }} />
+          ))}
+        </div>
+      )}
+      <div className="text-sm font-medium truncate max-w-[80%]">{nodeData.label}</div>
+      {nodeData.childrenCount && nodeData.childrenCount > 0 ? (
+        <button
+          onClick={handleToggleExpand}
+          className={cn(
+            "w-5 h-5 rounded-full flex items-center justify-center transition-colors",
+            "bg-white/10 hover:bg-white/20",
+          )}
+        >
+          <IconPlus className="w-3 h-3 text-white" />
+        </button>
+      ) : null}
+
+      <Handle type="target" position={Position.Left} className="w-2 h-2 bg-gray-400" />
+      <Handle type="source" position={Position.Right} className="w-2 h-2 bg-gray-400" />
+    </div>
+  )
+}
+
+export const nodeTypes = {
+  customNode: CustomNode,
+}
+
+// Topic Tree Item Component
+interface TopicTreeItemProps {
+  node: TopicTreeNode
+  level: number
+  isExpanded: boolean
+  isRead: boolean
+  readStatus: Record<string, boolean>
+  masteryStatus: Record<string, number | null>
+  onToggleExpand: (nodeId: string) => void
+  // Leave out for read-only trees, where the read status is only shown
+  onToggleRead?: (nodeId: string) => void
+  onSelectNode: (nodeId: string) => void
+  selectedNode: string | null
+  children?: TopicTreeNode[]
+}
+
+export const TopicTreeItem: React.FC<TopicTreeItemProps> = ({
+  node,
+  level,
+  isExpanded,
+  isRead,
+  readStatus,
+  masteryStatus,
+  onToggleExpand,
+  onToggleRead,
+  onSelectNode,
+  selectedNode,
+  children = [],
+}) => {
+  const hasChildren = children.length > 0
+  const isSelected = selectedNode === node.id
+  const mastery = masteryStatus[node.id]
+
+  return (
+    <div className="select-none">
+      <div
+        className={cn(
+          "flex items-center gap-2 py-2 px-3 rounded-lg cursor-pointer transition-all duration-200 group",
+          isSelected ? "bg-green-600/20 border border-green-600/30" : "hover:bg-gray-800/50",
+        )}
+        style={{ paddingLeft: `${level * 16 + 12}px` }}
+        onClick={() => onSelectNode(node.id)}
+      >
+        {/* Expand/Collapse Button */}
+        {hasChildren && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation()
+              onToggleExpand(node.id)
+            }}
+            className="p-1 hover:bg-gray-700 rounded transition-colors"
+          >
+            {isExpanded ? (
+              <IconChevronDown className="h-3 w-3 text-gray-400" />
+            ) : (
+              <IconChevronRight className="h-3 w-3 text-gray-400" />
+            )}
+          </button>
+        )}
+
+        {/* Read Status Indicator */}
+        {!node.isRoot && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation()
+              onToggleRead?.(node.id)
+            }}
+            disabled={!onToggleRead}
+            className="transition-colors"
+          >
+            {isRead ? (
+              <IconCircleCheck className="h-4 w-4 text-green-500" />
+            ) : (
+              <IconCircle className="h-4 w-4 text-gray-500 hover:text-gray-400" />
+            )}
+          </button>
+        )}
+
+        {/* Node Label */}
+        <span
+          className={cn(
+            "text-sm flex-1 truncate",
+            isSelected ? "text-green-300 font-medium" : "text-gray-300",
+            node.isRoot && "font-semibold text-blue-300",
+          )}
+        >
+          {node.label}
+        </span>
+
+        {/* Quiz Mastery */}
+        {mastery !== null && mastery !== undefined && (
+          <span
+            className={cn(
+              "text-[10px] px-1.5 py-0.5 rounded-full",
+              mastery >= 0.8 ? "bg-purple-600/20 text-purple-300" : "bg-gray-700 text-gray-400",
+            )}
+            title="Best quiz score"
+          >
+            {Math.round(mastery * 100)}%
+          </span>
+        )}
+      </div>
+
+      {/* Children */}
+      {hasChildren && isExpanded && (
+        <div className="ml-2">
+          {children.map((child) => (
+            <TopicTreeItem
+              key={child.id}
+              node={child}
+              level={level + 1}
+              isExpanded={isExpanded}
+              isRead={readStatus[child.id] || false}
+              readStatus={readStatus}
+              masteryStatus={masteryStatus}
+              onToggleExpand={onToggleExpand}
+              onToggleRead={onToggleRead}
+              onSelectNode={onSelectNode}
+              selectedNode={selectedNode}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Assign node types based on content or position
+export const assignNodeTypes = <T extends MindMapNode>(nodes: T[]): T[] => {
+  if (!nodes) return []
+
+  // Find the root node
+  const rootNode = nodes.find((node) => node.type === "root" || node.id === "root")
+  if (!rootNode) return nodes
+
+  // Create a map of node types
+  const nodeTypeMap: Record<string, string> = {
+    [rootNode.id]: "root",
+  }
+
+  // Assign types to first level children
+  const firstLevelChildren = nodes.filter((node) => node.parent === rootNode.id)
+
+  firstLevelChildren.forEach((node, index) => {
+    if (node.label.toLowerCase().includes("overview")) {
+      nodeTypeMap[node.id] = "overview"
+    } else if (node.label.toLowerCase().includes("factor")) {
+      nodeTypeMap[node.id] = "factors"
+    } else if (node.label.toLowerCase().includes("product")) {
+      nodeTypeMap[node.id] = "products"
+    } else if (node.label.toLowerCase().includes("reaction")) {
+      nodeTypeMap[node.id] = "reactions"
+    } else if (index % 3 === 0) {
+      nodeTypeMap[node.id] = "overview"
+    } else if (index % 3 === 1) {
+      nodeTypeMap[node.id] = "factors"
+    } else {
+      nodeTypeMap[node.id] = "products"
+    }
+
+    // Assign types to second level children
+    const secondLevelChildren = nodes.filter((n) => n.parent === node.id)
+    secondLevelChildren.forEach((childNode) => {
+      nodeTypeMap[childNode.id] = nodeTypeMap[node.id]
+    })
+  })
+
+  return nodes.map((node) => ({
+    ...node,
+    nodeType: nodeTypeMap[node.id] || "default",
+  }))
+}
+
+// Create a horizontal tree layout
+export const createHorizontalTreeLayout = <T extends MindMapNode>(nodes: T[]) => {
+  if (!nodes || nodes.length === 0) return nodes
+
+  // Find the root node
+  const rootNode = nodes.find((node) => node.type === "root" || node.id === "root")
+  if (!rootNode) return nodes
+
+  // Set root position
+  const rootPosition = { x: 150, y: 300 }
+  rootNode.position = rootPosition
+
+  // Create a map for quick node lookup
+  const nodeMap = new Map()
+  nodes.forEach((node) => nodeMap.set(node.id, node))
+
+  // Get direct children of root
+  const firstLevelChildren = nodes.filter((node) => node.parent === rootNode.id)
+
+  // Position first level children
+  const levelSpacing = 250 // horizontal spacing between levels
+  const nodeSpacing = 100 // vertical spacing between nodes
+
+  // Position deeper levels beside their parent, centred on it
+  const positionChildren = (parentId: string, parentPosition: XYPosition) => {
+    const children = nodes.filter((n) => n.parent === parentId)
+    children.forEach((childNode, childIndex) => {
+      childNode.position = {
+        x: parentPosition.x + levelSpacing,
+        y: parentPosition.y - ((children.length - 1) * nodeSpacing) / 2 + childIndex * nodeSpacing,
+      }
+      positionChildren(childNode.id, childNode.position)
+    })
+  }
+
+  firstLevelChildren.forEach((node, index) => {
+    const yPos = 150 + index * nodeSpacing
+    node.position = {
+      x: rootPosition.x + levelSpacing,
+      y: yPos,
+    }
+
+    positionChildren(node.id, node.position)
+  })
+
+  return nodes
+}
+
+// Nest the nodes under their parents for the topic tree sidebar
+export const buildTopicTree = (nodes: MindMapNode[] | undefined) => {
+  if (!nodes) return []
+
+  const nodeMap = new Map<string, TopicTreeNode>()
+  nodes.forEach((node) => {
+    nodeMap.set(node.id, { ...node, children: [] })
+  })
+
+  const rootNodes: TopicTreeNode[] = []
+  nodes.forEach((node) => {
+    const treeNode = nodeMap.get(node.id)!
+    const parent = node.parent ? nodeMap.get(node.parent) : undefined
+    if (parent) {
+      parent.children.push(treeNode)
+    } else {
+      rootNodes.push(treeNode)
+    }
+  })
+
+  return rootNodes
+}
@@ -1,7 +1,7 @@
 "use client";
 
 import { cn } from "@/lib/utils";
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import {
   IconArrowLeft,
   IconBrandTabler,
@@ -14,6 +14,7 @@ import {
 } from "@tabler/icons-react";
 import Link from "next/link";
 import { motion } from "framer-motion";
+import { apiService } from "@/lib/api";
 
 interface MindMapTopic {
   id: string;
@@ -29,6 +30,8 @@ interface MindMapTopic {
 interface MindMapSidebarProps {
   className?: string;
   mindMapData: MindMapTopic[];
+  // When set, read status is loaded from and saved to the server
+  mindMapId?: string;
   onTopicSelect?: (topicId: string) => void;
   onSubtopicSelect?: (topicId: string, subtopicId: string) => void;
 }
@@ -36,11 +39,40 @@ interface MindMapSidebarProps {
 export const MindMapSidebar: React.FC<MindMapSidebarProps> = ({
   className,
   mindMapData,
+  mindMapId,
   onTopicSelect,
   onSubtopicSelect,
 }) => {
   const [open, setOpen] = useState(false);
   const [expandedTopics, setExpandedTopics] = useState<string[]>([]);
+  const [readStatus, setReadStatus] = useState<Record<string, boolean>>({});
+
+  // Load saved reading progress
+  useEffect(() => {
+    if (!mindMapId) return;
+
+    apiService
+      .getMindMapProgress(mindMapId)
+      .then((response) => setReadStatus(response.progress?.read_status || {}))
+      .catch((error) => console.error("Error loading reading progress:", error));
+  }, [mindMapId]);
+
+  const isItemRead = (id: string, fallback: boolean) =>
+    mindMapId ? !!readStatus[id] : fallback;
+
+  const toggleRead = async (id: string) => {
+    if (!mindMapId) return;
+
+    const isRead = !readStatus[id];
+    setReadStatus(prev => ({ ...prev, [id]: isRead }));
+
+    try {
+      await apiService.updateMindMapProgress(mindMapId, { [id]: isRead });
+    } catch (error) {
+      console.error("Error saving reading progress:", error);
+      setReadStatus(prev => ({ ...prev, [id]: !isRead }));
+    }
+  };
   const toggleTopic = (topicId: string) => {
     setExpandedTopics(prev => 
       prev.includes(topicId) 
@@ -58,17 +90,19 @@ export const MindMapSidebar: React.FC<MindMapSidebarProps> = ({
       if (topic.subtopics.length === 0) {
         // Topic without subtopics
         totalItems += 1;
-        if (topic.isRead) completedItems += 1;
+        if (isItemRead(topic.id, topic.isRead)) completedItems += 1;
       } else {
         // Topic with subtopics - count subtopics
         totalItems += topic.subtopics.length;
-        completedItems += topic.subtopics.filter(sub => sub.isRead).length;
+        completedItems += topic.subtopics.filter(sub => isItemRead(sub.id, sub.isRead)).length;
       }
     });
 
-    return totalItems > 0 ? Math.round((completedItems / totalItems) * 100) : 0;
+    return { completedItems, totalItems };
   };
-  const progressPercentage = calculateProgress();
+  const { completedItems, totalItems } = calculateProgress();
+  const progressPercentage =
+    totalItems > 0 ? Math.round((completedItems / totalItems) * 100) : 0;
   return (
     <Sidebar open={open} setOpen={setOpen}>
       <div className="flex flex-col h-full">
@@ -125,10 +159,20 @@ export const MindMapSidebar: React.FC<MindMapSidebarProps> = ({
                               link={{
                                 label: subtopic.title,
                                 href: "#",
-                                icon: subtopic.isRead ? (
-                                  <IconCheck className="text-green-500 h-4 w-4 flex-shrink-0" />
-                                ) : (
-                                  <IconCircle className="text-neutral-700 dark:text-neutral-200 h-4 w-4 flex-shrink-0" />
+                                icon: (
+                                  <span
+                                    onClick={(e) => {
+                                      if (!mindMapId) return;
+                                      e.stopPropagation();
+                                      toggleRead(subtopic.id);
+                                    }}
+                                  >
+                                    {isItemRead(subtopic.id, subtopic.isRead) ? (
+                                      <IconCheck className="text-green-500 h-4 w-4 flex-shrink-0" />
+                                    ) : (
+                                      <IconCircle className="text-neutral-700 dark:text-neutral-200 h-4 w-4 flex-shrink-0" />
+                                    )}
+                                  </span>
                                 ),
                               }}
                               className="text-sm py-2 pl-2 rounded-md hover:bg-neutral-100 dark:hover:bg-neutral-800 transition-colors duration-200"
@@ -148,7 +192,12 @@ export const MindMapSidebar: React.FC<MindMapSidebarProps> = ({
         
         {/* Progress Circle at Bottom - Fixed at absolute bottom */}
         <div className="flex-shrink-0 p-4 border-t border-neutral-200 dark:border-neutral-700">
-          <ProgressCircle percentage={progressPercentage} open={open} />
+          <ProgressCircle
+            percentage={progressPercentage}
+            completed={completedItems}
+            total={totalItems}
+            open={open}
+          />
         </div>
       </div>
     </Sidebar>
@@ -339,7 +388,17 @@ export const SidebarLink = ({
 };
 
 // Progress Circle Component
-const ProgressCircle = ({ percentage, open }: { percentage: number; open: boolean }) => {
+const ProgressCircle = ({
+  percentage,
+  completed,
+  total,
+  open,
+}: {
+  percentage: number;
+  completed: number;
+  total: number;
+  open: boolean;
+}) => {
   const radius = 20;
   const circumference = 2 * Math.PI * radius;
   const strokeDasharray = circumference;
@@ -403,7 +462,7 @@ const ProgressCircle = ({ percentage, open }: { percentage: number; open: boolea
             Learning Progress
           </div>
           <div className="text-xs text-neutral-500 dark:text-neutral-400 whitespace-nowrap">
-            {Math.round((percentage / 100) * 11)} of 11 topics
+            {completed} of {total} topics
           </div>
         </motion.div>
       )}
@@ -0,0 +1,231 @@
+"use client"
+import { useState } from "react"
+import { apiService } from "@/lib/api"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { toast } from "sonner"
+import { cn } from "@/lib/utils"
+import { IconCircleCheck, IconCircleX, IconLoader2, IconSchool, IconX } from "@tabler/icons-react"
+
+interface QuizQuestion {
+  id: string
+  node_id: string
+  type: "multiple_choice" | "short_answer"
+  prompt: string
+  options: string[]
+}
+
+interface Quiz {
+  id: string
+  title: string
+  questions: QuizQuestion[]
+}
+
+interface QuizResult {
+  question_id: string
+  correct: boolean
+  correct_answer: string
+  explanation: string
+}
+
+interface QuizAttempt {
+  score: number
+  correct_count: number
+  total: number
+  results: QuizResult[]
+}
+
+export interface QuizProgressUpdate {
+  read_status: Record<string, boolean>
+  mastery: Record<string, number>
+}
+
+interface QuizPanelProps {
+  mindMapId: string
+  // null quizzes the whole mind map
+  nodeId: string | null
+  nodeLabel: string
+  onGraded: (progress: QuizProgressUpdate) => void
+  onClose: () => void
+}
+
+export function QuizPanel({ mindMapId, nodeId, nodeLabel, onGraded, onClose }: QuizPanelProps) {
+  const [quiz, setQuiz] = useState<Quiz | null>(null)
+  const [answers, setAnswers] = useState<Record<string, number | string>>({})
+  const [attempt, setAttempt] = useState<QuizAttempt | null>(null)
+  const [isGenerating, setIsGenerating] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleGenerate = async () => {
+    try {
+      setIsGenerating(true)
+      setAttempt(null)
+      setAnswers({})
+
+      const response = await apiService.generateQuiz(mindMapId, nodeId)
+      if (response.success && response.quiz) {
+        setQuiz(response.quiz)
+      }
+    } catch (error) {
+      console.error("Error generating quiz:", error)
+      toast.error("Quiz Generation Failed", {
+        description: error instanceof Error ? error.message : "Failed to generate quiz",
+      })
+    } finally {
+      setIsGenerating(false)
+    }
+  }
+
+  const handleSubmit = async () => {
+    if (!quiz) return
+
+    try {
+      setIsSubmitting(true)
+      const response = await apiService.submitQuiz(quiz.id, answers)
+
+      if (response.success) {
+        setAttempt(response.attempt)
+        onGraded(response.progress)
+        toast.success("Quiz Graded", {
+          description: `You scored ${response.attempt.correct_count} of ${response.attempt.total}.`,
+        })
+      }
+    } catch (error) {
+      console.error("Error submitting quiz:", error)
+      toast.error("Submission Failed", {
+        description: error instanceof Error ? error.message : "Failed to grade quiz",
+      })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const resultFor = (questionId: string) => attempt?.results.find((result) => result.question_id === questionId)
+
+  return (
+    <div className="bg-gray-800 border border-purple-600/30 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <IconSchool className="h-4 w-4 text-purple-400" />
+          <span className="text-sm font-medium text-purple-400">{quiz ? quiz.title : `Quiz: ${nodeLabel}`}</span>
+        </div>
+        <Button onClick={onClose} variant="ghost" size="sm" className="h-6 w-6 p-0 text-gray-400 hover:text-white">
+          <IconX className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {!quiz && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-400">
+            Test yourself on {nodeId ? "this topic and its subtopics" : "the whole mind map"}. Topics you score well on
+            are marked as mastered.
+          </p>
+          <Button
+            onClick={handleGenerate}
+            disabled={isGenerating}
+            size="sm"
+            className="bg-purple-600 hover:bg-purple-700 text-white"
+          >
+            {isGenerating && <IconLoader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {isGenerating ? "Creating Quiz..." : "Start Quiz"}
+          </Button>
+        </div>
+      )}
+
+      {quiz?.questions.map((question, index) => {
+        const result = resultFor(question.id)
+
+        return (
+          <div key={question.id} className="space-y-2">
+            <p className="text-sm text-gray-200 whitespace-pre-wrap">
+              {index + 1}. {question.prompt}
+            </p>
+
+            {question.type === "multiple_choice" ? (
+              <div className="space-y-1">
+                {question.options.map((option, optionIndex) => (
+                  <label
+                    key={optionIndex}
+                    className={cn(
+                      "flex items-center gap-2 px-3 py-2 rounded-md border text-sm cursor-pointer",
+                      answers[question.id] === optionIndex
+                        ? "border-purple-500 bg-purple-600/10 text-white"
+                        : "border-gray-700 text-gray-300 hover:border-gray-600",
+                      attempt && "cursor-default",
+                    )}
+                  >
+                    <input
+                      type="radio"
+                      name={question.id}
+                      className="sr-only"
+                      disabled={!!attempt}
+                      checked={answers[question.id] === optionIndex}
+                      onChange={() => setAnswers((prev) => ({ ...prev, [question.id]: optionIndex }))}
+                    />
+                    {option}
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <Input
+                value={(answers[question.id] as string) || ""}
+                disabled={!!attempt}
+                onChange={(e) => setAnswers((prev) => ({ ...prev, [question.id]: e.target.value }))}
+                placeholder="Your answer..."
+                className="bg-gray-900/50 border-gray-600 text-white"
+              />
+            )}
+
+            {result && (
+              <div
+                className={cn(
+                  "p-2 rounded-md text-xs flex gap-2",
+                  result.correct ? "bg-green-600/10 text-green-300" : "bg-red-600/10 text-red-300",
+                )}
+              >
+                {result.correct ? (
+                  <IconCircleCheck className="h-4 w-4 flex-shrink-0" />
+                ) : (
+                  <IconCircleX className="h-4 w-4 flex-shrink-0" />
+                )}
+                <div>
+                  {!result.correct && <p>Answer: {result.correct_answer}</p>}
+                  {result.explanation && <p className="text-gray-400">{result.explanation}</p>}
+                </div>
+              </div>
+            )}
+          </div>
+        )
+      })}
+
+      {quiz && !attempt && (
+        <Button
+          onClick={handleSubmit}
+          disabled={isSubmitting}
+          size="sm"
+          className="bg-purple-600 hover:bg-purple-700 text-white"
+        >
+          {isSubmitting && <IconLoader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Submit Answers
+        </Button>
+      )}
+
+      {attempt && (
+        <div className="flex items-center justify-between pt-3 border-t border-gray-700">
+          <span className="text-sm text-white">
+            Score: {attempt.correct_count} / {attempt.total} ({Math.round(attempt.score * 100)}%)
+          </span>
+          <Button
+            onClick={handleGenerate}
+            disabled={isGenerating}
+            size="sm"
+            variant="outline"
+            className="text-gray-300 hover:text-white"
+          >
+            New Quiz
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
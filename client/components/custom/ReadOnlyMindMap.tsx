@@ -0,0 +1,296 @@
+"use client"
+import type React from "react"
+import { useState, useMemo, useCallback, useEffect } from "react"
+import { Button } from "@/components/ui/button"
+import {
+  TopicTreeItem,
+  assignNodeTypes,
+  buildTopicTree,
+  createHorizontalTreeLayout,
+  nodeTypes,
+} from "@/components/custom/MindMapCanvas"
+import {
+  ReactFlow,
+  Background,
+  BackgroundVariant,
+  MarkerType,
+  useNodesState,
+  useEdgesState,
+  useReactFlow,
+  ReactFlowProvider,
+  Panel,
+  MiniMap,
+} from "@xyflow/react"
+import "@xyflow/react/dist/style.css"
+import { IconArrowsMaximize, IconEye, IconEyeOff, IconZoomIn, IconZoomOut } from "@tabler/icons-react"
+
+// The parts of a mind map the read-only view uses
+export interface ReadOnlyNode {
+  id: string
+  label: string
+  type?: string
+  parent?: string | null
+  content?: string
+  position?: { x: number; y: number }
+  nodeType?: string
+}
+
+export interface ReadOnlyEdge {
+  id: string
+  source: string
+  target: string
+}
+
+export interface ReadOnlyMindMapData {
+  title?: string
+  nodes: ReadOnlyNode[]
+  edges: ReadOnlyEdge[]
+}
+
+interface ReadOnlyMindMapProps {
+  mindMapData: ReadOnlyMindMapData
+  title: string
+  subtitle: React.ReactNode
+  // Buttons shown on the right of the header
+  actions?: React.ReactNode
+}
+
+// A mind map someone else owns: the canvas, topic tree and topic content
+// without editing, chat, audio or progress. Used for share links and rooms.
+export function ReadOnlyMindMap(props: ReadOnlyMindMapProps) {
+  return (
+    <ReactFlowProvider>
+      <ReadOnlyMindMapContent {...props} />
+    </ReactFlowProvider>
+  )
+}
+
+function ReadOnlyMindMapContent({ mindMapData: rawData, title, subtitle, actions }: ReadOnlyMindMapProps) {
+  const { getNodes, setCenter, getZoom, fitView, zoomIn, zoomOut } = useReactFlow()
+
+  const mindMapData = useMemo(() => ({ ...rawData, nodes: assignNodeTypes(rawData.nodes) }), [rawData])
+
+  const [selectedNode, setSelectedNode] = useState<string | null>("root")
+  const [expandedNodes, setExpandedNodes] = useState<Set<string>>(new Set(["root"]))
+  const [visibleNodes, setVisibleNodes] = useState<Set<string>>(new Set(["root"]))
+  const [showMiniMap, setShowMiniMap] = useState(true)
+
+  const getChildIds = useCallback(
+    (nodeId: string): string[] =>
+      mindMapData.nodes.filter((node: ReadOnlyNode) => node.parent === nodeId).map((node: ReadOnlyNode) => node.id),
+    [mindMapData],
+  )
+
+  // Show or hide a node's direct children
+  const handleToggleExpand = useCallback(
+    (nodeId: string) => {
+      const childIds = getChildIds(nodeId)
+      setExpandedNodes((prev) => {
+        const next = new Set(prev)
+        const wasExpanded = next.has(nodeId)
+        if (wasExpanded) {
+          next.delete(nodeId)
+        } else {
+          next.add(nodeId)
+        }
+
+        setVisibleNodes((visible) => {
+          const nextVisible = new Set(visible)
+          childIds.forEach((id) => (wasExpanded ? nextVisible.delete(id) : nextVisible.add(id)))
+          return nextVisible
+        })
+        return next
+      })
+    },
+    [getChildIds],
+  )
+
+  const handleNodeClick = useCallback(
+    (nodeId: string) => {
+      setSelectedNode(nodeId)
+
+      const node = getNodes().find((flowNode) => flowNode.id === nodeId)
+      if (node) {
+        setCenter(node.position.x, node.position.y, { zoom: getZoom(), duration: 800 })
+      }
+    },
+    [getNodes, setCenter, getZoom],
+  )
+
+  const flowNodes = useMemo(() => {
+    return createHorizontalTreeLayout([...mindMapData.nodes])
+      .filter((node: ReadOnlyNode) => visibleNodes.has(node.id))
+      .map((node: ReadOnlyNode) => ({
+        id: node.id,
+        type: "customNode",
+        position: node.position || { x: 400, y: 300 },
+        data: {
+          label: node.label,
+          isRoot: node.type === "root",
+          isSelected: selectedNode === node.id,
+          content: node.content,
+          childrenCount: getChildIds(node.id).length,
+          expanded: expandedNodes.has(node.id),
+          onNodeClick: handleNodeClick,
+          onToggleExpand: handleToggleExpand,
+          nodeType: node.nodeType || "default",
+        },
+      }))
+  }, [mindMapData, visibleNodes, selectedNode, expandedNodes, getChildIds, handleNodeClick, handleToggleExpand])
+
+  const flowEdges = useMemo(() => {
+    return (mindMapData.edges || [])
+      .filter((edge) => visibleNodes.has(edge.source) && visibleNodes.has(edge.target))
+      .map((edge) => {
+        const active = selectedNode === edge.source || selectedNode === edge.target
+        const color = active ? "#16a34a" : "#6b7280"
+        return {
+          id: edge.id,
+          source: edge.source,
+          target: edge.target,
+          type: "smoothstep",
+          animated: active,
+          style: { stroke: color, strokeWidth: active ? 2 : 1 },
+          markerEnd: { type: MarkerType.ArrowClosed, color },
+        }
+      })
+  }, [mindMapData, visibleNodes, selectedNode])
+
+  const [nodes, setNodes, onNodesChange] = useNodesState(flowNodes)
+  const [edges, setEdges, onEdgesChange] = useEdgesState(flowEdges)
+
+  useEffect(() => {
+    setNodes(flowNodes)
+    setEdges(flowEdges)
+  }, [flowNodes, flowEdges, setNodes, setEdges])
+
+  const treeStructure = buildTopicTree(mindMapData.nodes)
+  const selected = mindMapData.nodes.find((node: ReadOnlyNode) => node.id === selectedNode)
+
+  return (
+    <div className="h-screen bg-black flex">
+      {/* Left Sidebar - Topic Tree */}
+      <div className="w-80 bg-gray-900 border-r border-gray-700 flex flex-col">
+        <div className="p-4 border-b border-gray-700">
+          <div className="flex items-center gap-2">
+            <div className="w-3 h-3 bg-white rounded-full"></div>
+            <span className="text-white font-medium">Mind Map Topics</span>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-2">
+          {treeStructure.map((rootNode) => (
+            <TopicTreeItem
+              key={rootNode.id}
+              node={rootNode}
+              level={0}
+              isExpanded={expandedNodes.has(rootNode.id)}
+              isRead={false}
+              readStatus={{}}
+              masteryStatus={{}}
+              onToggleExpand={handleToggleExpand}
+              onSelectNode={handleNodeClick}
+              selectedNode={selectedNode}
+            >
+              {rootNode.children}
+            </TopicTreeItem>
+          ))}
+        </div>
+      </div>
+
+      {/* Main Content Area */}
+      <div className="flex-1 flex flex-col">
+        <div className="p-6 border-b border-gray-700 bg-gray-900/50 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-white">{mindMapData.title || title}</h1>
+            <p className="text-gray-400 mt-1 flex items-center gap-1">{subtitle}</p>
+          </div>
+          {actions}
+        </div>
+
+        <div className="flex-1 relative">
+          <ReactFlow
+            nodes={nodes}
+            edges={edges}
+            onNodesChange={onNodesChange}
+            onEdgesChange={onEdgesChange}
+            nodeTypes={nodeTypes}
+            nodesConnectable={false}
+            className="bg-black"
+            fitView
+            minZoom={0.2}
+            maxZoom={2}
+          >
+            <Background color="#1a1a2e" gap={20} size={1} variant={BackgroundVariant.Dots} />
+
+            {showMiniMap && (
+              <MiniMap
+                nodeColor={(node) => {
+                  if (node.data?.isRoot) return "#0f3460"
+                  if (node.data?.nodeType === "overview") return "#16a34a"
+                  if (node.data?.isSelected) return "#16a34a"
+                  return "#4b5563"
+                }}
+                maskColor="rgba(0, 0, 0, 0.7)"
+                className="bg-gray-900/80 border border-gray-700 rounded-lg"
+              />
+            )}
+
+            <Panel position="top-right" className="flex flex-col gap-2">
+              <div className="bg-gray-800/90 backdrop-blur-sm p-1 rounded-lg border border-gray-700 flex flex-col gap-1">
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                  onClick={() => zoomIn()}
+                >
+                  <IconZoomIn className="h-4 w-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                  onClick={() => zoomOut()}
+                >
+                  <IconZoomOut className="h-4 w-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                  onClick={() => fitView({ padding: 50, duration: 800 })}
+                >
+                  <IconArrowsMaximize className="h-4 w-4" />
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                  onClick={() => setShowMiniMap(!showMiniMap)}
+                >
+                  {showMiniMap ? <IconEyeOff className="h-4 w-4" /> : <IconEye className="h-4 w-4" />}
+                </Button>
+              </div>
+            </Panel>
+          </ReactFlow>
+        </div>
+      </div>
+
+      {/* Right Sidebar - Topic Content */}
+      {selected && (
+        <div className="w-96 bg-gray-900 border-l border-gray-700 flex flex-col">
+          <div className="p-4 border-b border-gray-700">
+            <h2 className="text-xl font-bold text-white">{selected.label}</h2>
+          </div>
+          <div className="flex-1 p-4 overflow-y-auto">
+            {selected.content ? (
+              <p className="text-gray-300 leading-relaxed whitespace-pre-wrap">{selected.content}</p>
+            ) : (
+              <p className="text-gray-500 text-sm italic">This topic has no notes yet.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
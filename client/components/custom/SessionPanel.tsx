@@ -0,0 +1,261 @@
+"use client"
+import type React from "react"
+import { useEffect, useRef, useState } from "react"
+import {
+  apiService,
+  type SessionChatMessage,
+  type SessionInvite,
+  type SessionParticipant,
+} from "@/lib/api"
+import type { SessionStatus } from "@/lib/mindmap-session"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { toast } from "sonner"
+import { cn } from "@/lib/utils"
+import {
+  IconChevronDown,
+  IconChevronUp,
+  IconLoader2,
+  IconMessageCircle,
+  IconSend,
+  IconUserPlus,
+  IconX,
+} from "@tabler/icons-react"
+
+const STATUS_LABELS: Record<SessionStatus, string> = {
+  connecting: "Connecting...",
+  connected: "Live",
+  disconnected: "Reconnecting...",
+  closed: "Offline",
+}
+
+const initialsOf = (name: string) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("") || "?"
+
+interface SessionPanelProps {
+  mindMapId: string
+  isOwner: boolean
+  status: SessionStatus
+  you: SessionParticipant | null
+  participants: SessionParticipant[]
+  messages: SessionChatMessage[]
+  // Label of the node a participant has selected
+  nodeLabel: (nodeId: string) => string | null
+  onSendChat: (text: string) => void
+  onShowNode: (nodeId: string) => void
+}
+
+// Who else has the mind map open, the session chat and, for the owner,
+// invites to the session
+export function SessionPanel({
+  mindMapId,
+  isOwner,
+  status,
+  you,
+  participants,
+  messages,
+  nodeLabel,
+  onSendChat,
+  onShowNode,
+}: SessionPanelProps) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [draft, setDraft] = useState("")
+  const [readCount, setReadCount] = useState(0)
+  const [invites, setInvites] = useState<SessionInvite[]>([])
+  const [inviteEmail, setInviteEmail] = useState("")
+  const [isInviting, setIsInviting] = useState(false)
+  const messagesEndRef = useRef<HTMLDivElement | null>(null)
+
+  const unreadCount = isOpen ? 0 : Math.max(messages.length - readCount, 0)
+
+  // Messages are read while the panel is open
+  useEffect(() => {
+    if (isOpen) {
+      setReadCount(messages.length)
+      messagesEndRef.current?.scrollIntoView({ block: "end" })
+    }
+  }, [isOpen, messages.length])
+
+  useEffect(() => {
+    if (!isOpen || !isOwner) return
+
+    apiService
+      .getSessionInvites(mindMapId)
+      .then((response) => setInvites(response.invites || []))
+      .catch((error) => console.error("Error loading session invites:", error))
+  }, [isOpen, isOwner, mindMapId])
+
+  const handleSend = (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!draft.trim()) return
+    onSendChat(draft.trim())
+    setDraft("")
+  }
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!inviteEmail.trim()) return
+
+    try {
+      setIsInviting(true)
+      const response = await apiService.inviteToSession(mindMapId, inviteEmail.trim())
+      setInvites((prev) => [
+        ...prev.filter((invite) => invite.user_uid !== response.invite.user_uid),
+        response.invite,
+      ])
+      setInviteEmail("")
+      toast.success("Invite Sent", {
+        description: `${response.invite.display_name || response.invite.email} can now open this mind map with you.`,
+      })
+    } catch (error) {
+      console.error("Error inviting to session:", error)
+      toast.error("Invite Failed", {
+        description: error instanceof Error ? error.message : "Could not send the invite.",
+      })
+    } finally {
+      setIsInviting(false)
+    }
+  }
+
+  const handleWithdraw = async (invite: SessionInvite) => {
+    try {
+      const response = await apiService.withdrawSessionInvite(mindMapId, invite.user_uid)
+      setInvites(response.invites || [])
+    } catch (error) {
+      console.error("Error withdrawing session invite:", error)
+      toast.error("Error", { description: "Failed to withdraw the invite. Please try again." })
+    }
+  }
+
+  return (
+    <div className="w-72 bg-gray-800/90 backdrop-blur-sm rounded-lg border border-gray-700 text-sm">
+      {/* Presence */}
+      <div className="flex items-center gap-2 p-2">
+        <span
+          className={cn(
+            "w-2 h-2 rounded-full",
+            status === "connected" ? "bg-green-400" : status === "closed" ? "bg-gray-500" : "bg-yellow-400 animate-pulse",
+          )}
+        />
+        <span className="text-xs text-gray-400">{STATUS_LABELS[status]}</span>
+        <div className="flex -space-x-2 ml-1">
+          {participants.map((participant) => (
+            <button
+              key={participant.uid}
+              onClick={() => participant.nodeId && onShowNode(participant.nodeId)}
+              title={
+                participant.uid === you?.uid
+                  ? `${participant.name} (you)`
+                  : participant.nodeId
+                    ? `${participant.name} is on "${nodeLabel(participant.nodeId) || participant.nodeId}"`
+                    : participant.name
+              }
+              className="w-7 h-7 rounded-full border-2 border-gray-800 flex items-center justify-center text-[10px] font-bold text-white"
+              style={{ backgroundColor: participant.color }}
+            >
+              {initialsOf(participant.name)}
+            </button>
+          ))}
+        </div>
+        <Button
+          size="sm"
+          variant="ghost"
+          className="ml-auto h-7 px-2 text-gray-300 hover:text-white hover:bg-gray-700"
+          onClick={() => setIsOpen(!isOpen)}
+          title={isOpen ? "Hide session chat" : "Show session chat"}
+        >
+          <IconMessageCircle className="h-4 w-4" />
+          {unreadCount > 0 && (
+            <span className="ml-1 text-[10px] bg-green-600 text-white rounded-full px-1.5">{unreadCount}</span>
+          )}
+          {isOpen ? <IconChevronUp className="h-3 w-3 ml-1" /> : <IconChevronDown className="h-3 w-3 ml-1" />}
+        </Button>
+      </div>
+
+      {isOpen && (
+        <div className="border-t border-gray-700">
+          {/* Chat */}
+          <div className="max-h-64 overflow-y-auto p-2 space-y-2">
+            {messages.length === 0 ? (
+              <p className="text-xs text-gray-500 text-center py-4">
+                Messages here are seen by everyone with this mind map open.
+              </p>
+            ) : (
+              messages.map((message) => (
+                <div key={message.id}>
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs font-medium" style={{ color: message.color }}>
+                      {message.uid === you?.uid ? "You" : message.name}
+                    </span>
+                    <span className="text-[10px] text-gray-500">{new Date(message.sent_at).toLocaleTimeString()}</span>
+                  </div>
+                  <p className="text-gray-300 whitespace-pre-wrap break-words">{message.text}</p>
+                </div>
+              ))
+            )}
+            <div ref={messagesEndRef} />
+          </div>
+          <form onSubmit={handleSend} className="flex gap-2 p-2 border-t border-gray-700">
+            <Input
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder={status === "connected" ? "Message the session..." : "Not connected"}
+              disabled={status !== "connected"}
+              maxLength={1000}
+              className="h-8 bg-gray-900/50 border-gray-600 text-white"
+            />
+            <Button
+              type="submit"
+              size="sm"
+              disabled={status !== "connected" || !draft.trim()}
+              className="h-8 bg-green-600 hover:bg-green-700 text-white"
+            >
+              <IconSend className="h-4 w-4" />
+            </Button>
+          </form>
+
+          {/* Invites */}
+          {isOwner && (
+            <div className="p-2 border-t border-gray-700 space-y-2">
+              <p className="text-xs text-gray-400">Invite people to study this map with you</p>
+              <form onSubmit={handleInvite} className="flex gap-2">
+                <Input
+                  type="email"
+                  value={inviteEmail}
+                  onChange={(e) => setInviteEmail(e.target.value)}
+                  placeholder="Email address"
+                  className="h-8 bg-gray-900/50 border-gray-600 text-white"
+                />
+                <Button
+                  type="submit"
+                  size="sm"
+                  disabled={isInviting || !inviteEmail.trim()}
+                  className="h-8 bg-green-600 hover:bg-green-700 text-white"
+                >
+                  {isInviting ? <IconLoader2 className="h-4 w-4 animate-spin" /> : <IconUserPlus className="h-4 w-4" />}
+                </Button>
+              </form>
+              {invites.map((invite) => (
+                <div key={invite.user_uid} className="flex items-center justify-between gap-2">
+                  <span className="text-xs text-gray-300 truncate">{invite.display_name || invite.email}</span>
+                  <button
+                    onClick={() => handleWithdraw(invite)}
+                    className="text-gray-500 hover:text-red-400"
+                    title="Withdraw invite"
+                  >
+                    <IconX className="h-3 w-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
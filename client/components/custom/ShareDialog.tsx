@@ -0,0 +1,220 @@
+"use client"
+import { useEffect, useState } from "react"
+import { apiService, type ShareLink } from "@/lib/api"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { toast } from "sonner"
+import { cn } from "@/lib/utils"
+import { IconCheck, IconCopy, IconLink, IconLinkOff, IconLoader2 } from "@tabler/icons-react"
+
+// How long a new link stays valid; null never expires
+const EXPIRY_OPTIONS: { days: number | null; label: string }[] = [
+  { days: 1, label: "1 day" },
+  { days: 7, label: "7 days" },
+  { days: 30, label: "30 days" },
+  { days: null, label: "Never" },
+]
+
+const shareUrl = (token: string) =>
+  typeof window === "undefined" ? `/shared/${token}` : `${window.location.origin}/shared/${token}`
+
+interface ShareDialogProps {
+  mindMapId: string
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  forkable: boolean
+  onForkableChange: (forkable: boolean) => void
+}
+
+// Create, copy and revoke read-only links to a mind map, and choose whether
+// people who open them can fork it
+export function ShareDialog({ mindMapId, open, onOpenChange, forkable, onForkableChange }: ShareDialogProps) {
+  const [links, setLinks] = useState<ShareLink[]>([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [isCreating, setIsCreating] = useState(false)
+  const [expiresInDays, setExpiresInDays] = useState<number | null>(7)
+  const [copiedToken, setCopiedToken] = useState<string | null>(null)
+  const [isSavingForkable, setIsSavingForkable] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+
+    setIsLoading(true)
+    apiService
+      .getShareLinks(mindMapId)
+      .then((response) => setLinks(response.links || []))
+      .catch((error) => console.error("Error loading share links:", error))
+      .finally(() => setIsLoading(false))
+  }, [open, mindMapId])
+
+  const handleCopy = async (token: string) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(token))
+      setCopiedToken(token)
+      setTimeout(() => setCopiedToken((current) => (current === token ? null : current)), 2000)
+    } catch (error) {
+      console.error("Error copying share link:", error)
+      toast.error("Copy Failed", { description: "Select the link and copy it instead." })
+    }
+  }
+
+  const handleCreate = async () => {
+    setIsCreating(true)
+    try {
+      const response = await apiService.createShareLink(mindMapId, expiresInDays)
+      setLinks((prev) => [response.link, ...prev])
+      await handleCopy(response.link.token)
+      toast.success("Link Created", { description: "Anyone with the link can view this mind map." })
+    } catch (error) {
+      console.error("Error creating share link:", error)
+      toast.error("Sharing Failed", {
+        description: error instanceof Error ? error.message : "Could not create a share link.",
+      })
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  const handleRevoke = async (token: string) => {
+    try {
+      const response = await apiService.revokeShareLink(mindMapId, token)
+      setLinks((prev) => prev.map((link) => (link.token === token ? response.link : link)))
+      toast.success("Link Revoked", { description: "The link no longer opens this mind map." })
+    } catch (error) {
+      console.error("Error revoking share link:", error)
+      toast.error("Revoke Failed", {
+        description: error instanceof Error ? error.message : "Could not revoke the link.",
+      })
+    }
+  }
+
+  const handleForkableChange = async (nextForkable: boolean) => {
+    setIsSavingForkable(true)
+    try {
+      const response = await apiService.setMindMapForkable(mindMapId, nextForkable)
+      onForkableChange(response.forkable)
+    } catch (error) {
+      console.error("Error updating forkable flag:", error)
+      toast.error("Update Failed", {
+        description: error instanceof Error ? error.message : "Could not change who can fork this mind map.",
+      })
+    } finally {
+      setIsSavingForkable(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-[560px] bg-gradient-to-br from-gray-900/95 to-gray-800/95 backdrop-blur-xl border border-gray-700/50">
+        <DialogHeader>
+          <DialogTitle className="text-white">Share this mind map</DialogTitle>
+          <DialogDescription className="text-gray-400">
+            People with a link can view the map and its topics, but can&apos;t edit it or use chat and audio.
+          </DialogDescription>
+        </DialogHeader>
+
+        <label className="flex items-start gap-3 text-sm text-gray-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={forkable}
+            disabled={isSavingForkable}
+            onChange={(e) => handleForkableChange(e.target.checked)}
+            className="mt-0.5 accent-orange-500"
+          />
+          <span>
+            Allow forking
+            <span className="block text-xs text-gray-500">
+              Signed-in viewers can copy the map into their own library and pull in your later changes.
+            </span>
+          </span>
+        </label>
+
+        <div className="flex items-center gap-3">
+          <label className="text-sm text-gray-300">Expires after</label>
+          <select
+            value={expiresInDays === null ? "never" : String(expiresInDays)}
+            onChange={(e) => setExpiresInDays(e.target.value === "never" ? null : Number(e.target.value))}
+            className="px-3 py-2 bg-gray-900/50 border border-gray-600 rounded-md text-sm text-white"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.days === null ? "never" : option.days}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <Button
+            onClick={handleCreate}
+            disabled={isCreating}
+            className="ml-auto bg-gradient-to-r from-orange-500 to-red-600 hover:from-orange-600 hover:to-red-700 text-white"
+          >
+            {isCreating ? <IconLoader2 className="h-4 w-4 mr-2 animate-spin" /> : <IconLink className="h-4 w-4 mr-2" />}
+            Create link
+          </Button>
+        </div>
+
+        <div className="space-y-2 max-h-72 overflow-y-auto">
+          {isLoading ? (
+            <div className="flex justify-center py-4">
+              <IconLoader2 className="h-5 w-5 text-gray-400 animate-spin" />
+            </div>
+          ) : links.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-4">No links yet</p>
+          ) : (
+            links.map((link) => (
+              <div key={link.token} className="p-3 bg-gray-800/60 border border-gray-700 rounded-lg space-y-2">
+                <div className="flex items-center gap-2">
+                  <Input
+                    readOnly
+                    value={shareUrl(link.token)}
+                    onFocus={(e) => e.target.select()}
+                    className={cn(
+                      "h-8 bg-gray-900/50 border-gray-600 text-xs",
+                      link.status === "active" ? "text-white" : "text-gray-500 line-through",
+                    )}
+                  />
+                  {link.status === "active" && (
+                    <>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => handleCopy(link.token)}
+                        className="h-8 w-8 p-0 text-gray-300 hover:text-white hover:bg-gray-700"
+                        title="Copy link"
+                      >
+                        {copiedToken === link.token ? (
+                          <IconCheck className="h-4 w-4 text-green-400" />
+                        ) : (
+                          <IconCopy className="h-4 w-4" />
+                        )}
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => handleRevoke(link.token)}
+                        className="h-8 w-8 p-0 text-red-400 hover:text-red-300 hover:bg-red-600/10"
+                        title="Revoke link"
+                      >
+                        <IconLinkOff className="h-4 w-4" />
+                      </Button>
+                    </>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {link.status === "revoked"
+                    ? "Revoked"
+                    : link.status === "expired"
+                      ? "Expired"
+                      : link.expires_at
+                        ? `Expires ${new Date(link.expires_at).toLocaleString()}`
+                        : "Never expires"}
+                  {" · "}Created {new Date(link.created_at).toLocaleDateString()}
+                </p>
+              </div>
+            ))
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
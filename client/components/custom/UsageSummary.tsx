@@ -0,0 +1,65 @@
+"use client"
+import { useEffect, useState } from "react"
+import { apiService, type FeatureUsage, type QuotaFeature } from "@/lib/api"
+import { IconBrain, IconMessageCircle, IconHeadphones, IconCards } from "@tabler/icons-react"
+
+const FEATURE_ICONS: Record<QuotaFeature, typeof IconBrain> = {
+  mindmap: IconBrain,
+  chat: IconMessageCircle,
+  audio: IconHeadphones,
+  study: IconCards,
+}
+
+// How many of today's AI generations the user has left, per feature
+export function UsageSummary() {
+  const [features, setFeatures] = useState<FeatureUsage[]>([])
+  const [resetAt, setResetAt] = useState<string | null>(null)
+
+  useEffect(() => {
+    apiService
+      .getUsage()
+      .then((response) => {
+        setFeatures(response.features || [])
+        setResetAt(response.reset_at)
+      })
+      .catch((error) => console.error("Error loading usage:", error))
+  }, [])
+
+  // Users without limits have nothing to count down
+  const limited = features.filter((usage) => usage.limit !== null)
+  if (limited.length === 0) return null
+
+  return (
+    <div className="z-10 w-full max-w-md p-4 bg-black/40 backdrop-blur-sm border border-neutral-700 rounded-xl">
+      <h3 className="text-white font-medium mb-3">Today&apos;s AI usage</h3>
+      <div className="space-y-3">
+        {limited.map((usage) => {
+          const Icon = FEATURE_ICONS[usage.feature]
+          const remaining = usage.remaining ?? 0
+          const limit = usage.limit ?? 0
+          return (
+            <div key={usage.feature}>
+              <div className="flex items-center gap-2 text-sm">
+                <Icon className="h-4 w-4 text-neutral-400" />
+                <span className={remaining === 0 ? "text-red-400" : "text-neutral-200"}>
+                  {remaining} of {limit} {usage.label} left today
+                </span>
+              </div>
+              <div className="mt-1 h-1.5 bg-neutral-800 rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${remaining === 0 ? "bg-red-500" : "bg-blue-500"}`}
+                  style={{ width: `${limit > 0 ? (remaining / limit) * 100 : 0}%` }}
+                />
+              </div>
+            </div>
+          )
+        })}
+      </div>
+      {resetAt && (
+        <p className="mt-3 text-xs text-neutral-500">
+          Resets at {new Date(resetAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+        </p>
+      )}
+    </div>
+  )
+}
@@ -1,14 +1,223 @@
+// Edit operations accepted by PATCH /mindmap/:id
+export type MindMapEditOperation =
+  | { op: "add"; parent: string; label: string; content?: string }
+  | { op: "rename"; id: string; label: string }
+  | { op: "update_content"; id: string; content: string }
+  | { op: "move"; id: string; parent: string }
+  | { op: "delete"; id: string }
+
+// Identifies the saved conversation for one mind map node
+export interface ChatThreadKey {
+  mindMapId: string
+  nodeId: string
+}
+
+// Final event of a streamed chat reply
+export interface ChatStreamResult {
+  response: string
+  model: string | null
+  // Mind map nodes the reply cited as sources
+  cited_node_ids: string[]
+  note?: string
+}
+
+// Background mind map generation job, as reported by the server
+export type GenerationJobStatus = "queued" | "generating" | "validating" | "saved" | "failed"
+
+// "auto" generates long syllabi section by section, "chunked" always does
+export type GenerationMode = "auto" | "single" | "chunked"
+
+// "content" jobs write content for the empty topics of an imported mind map
+export type GenerationJobKind = "mindmap" | "content"
+
+export interface GenerationJob {
+  id: string
+  subject_name: string
+  kind: GenerationJobKind
+  mode: GenerationMode
+  status: GenerationJobStatus
+  // Model currently being tried, null before generation or for the fallback
+  current_model: string | null
+  // Section being generated when the syllabus is split (1-based)
+  chunk_index: number | null
+  chunk_count: number | null
+  attempted_models: string[]
+  repairs: string[]
+  used_fallback: boolean
+  mindmap_id: string | null
+  error: string | null
+  created_at: string
+  started_at: string | null
+  finished_at: string | null
+}
+
+const JOB_POLL_INTERVAL_MS = 2000
+
+const isJobFinished = (job: GenerationJob) => job.status === "saved" || job.status === "failed"
+
+// A read-only link to a mind map that works without signing in
+export interface ShareLink {
+  token: string
+  status: "active" | "expired" | "revoked"
+  // null when the link never expires
+  expires_at: string | null
+  revoked_at: string | null
+  created_at: string
+}
+
+export type RoomRole = "owner" | "member"
+export type RoomPrivacy = "public" | "private"
+
+export interface Room {
+  id: string
+  name: string
+  subject: string
+  privacy: RoomPrivacy
+  // null for public rooms the user hasn't joined
+  role: RoomRole | null
+  // Only sent to the owner
+  invite_code: string | null
+  member_count: number
+  mindmap_count: number
+  created_at: string
+  updated_at: string
+}
+
+export interface RoomMember {
+  user_uid: string
+  display_name: string | null
+  role: RoomRole
+  joined_at: string
+}
+
+export interface RoomMindMap {
+  id: string
+  subject_name: string
+  attached_by: string
+  attached_by_name: string | null
+  attached_at: string
+  updated_at: string
+  can_detach: boolean
+}
+
+export interface RoomDetails extends Room {
+  members: RoomMember[]
+  mindmaps: RoomMindMap[]
+}
+
+// "guest" when the map was opened through a session invite or a study room
+export type MindMapAccess = "owner" | "guest"
+
+// Someone the owner invited to a mind map's live session
+export interface SessionInvite {
+  user_uid: string
+  email: string
+  display_name: string | null
+  invited_at: string
+}
+
+// A person with the mind map open in a live session
+export interface SessionParticipant {
+  uid: string
+  name: string
+  color: string
+  access: MindMapAccess
+  // Node they have selected, if any
+  nodeId: string | null
+}
+
+export interface SessionChatMessage {
+  id: string
+  uid: string
+  name: string
+  color: string
+  text: string
+  sent_at: string
+}
+
+// Messages the live session server sends
+export type SessionServerMessage =
+  | {
+      type: "session"
+      you: SessionParticipant
+      access: MindMapAccess
+      participants: SessionParticipant[]
+      messages: SessionChatMessage[]
+    }
+  | { type: "presence"; participants: SessionParticipant[] }
+  | { type: "focus"; uid: string; nodeId: string | null }
+  | { type: "cursor"; uid: string; x: number | null; y: number | null }
+  | { type: "chat"; message: SessionChatMessage }
+  | { type: "error"; error: string }
+
+// Where a forked mind map came from and how it compares to the original
+export interface MindMapFork {
+  mindmap_id: string
+  subject_name: string
+  synced_at: string
+  // false once the original is deleted or no longer forkable
+  source_available: boolean
+  updates_available: boolean
+  local_changes: boolean
+}
+
+// A device the user is signed in on
+export interface AuthSessionInfo {
+  id: string
+  device_name: string
+  ip_address: string | null
+  created_at: string
+  last_used_at: string
+  // The device making the request
+  current: boolean
+}
+
+export type QuotaFeature = "mindmap" | "chat" | "audio" | "study"
+
+// How much of one AI feature's daily quota the user has used. limit and
+// remaining are null for users without limits.
+export interface FeatureUsage {
+  feature: QuotaFeature
+  label: string
+  used: number
+  limit: number | null
+  remaining: number | null
+}
+
+// Download formats offered by GET /mindmap/:id/export
+export type MindMapExportFormat = "markdown" | "opml" | "freemind" | "json"
+
+// Text extracted from an uploaded syllabus file by POST /syllabus/extract
+export interface SyllabusDocument {
+  filename: string
+  mimetype: string
+  document_type: string
+  extracted_text: string
+}
+
 const API_BASE_URL =
   process.env.NODE_ENV === "production"
     ? process.env.NEXT_PUBLIC_API_URL || "https://adhyayan-ai.onrender.com/api"
     : "http://localhost:5000/api"
 
+// Fired on window when the sign-in session ends and can't be refreshed
+export const SESSION_ENDED_EVENT = "adhyayan:session-ended"
+
+// Endpoints that must not trigger a token refresh when they answer 401
+const NO_REFRESH_ENDPOINTS = ["/auth/google", "/auth/refresh"]
+
+// ElevenLabs' "Rachel" voice, recommended for podcasts
+const DEFAULT_PODCAST_VOICE_ID = "21m00Tcm4TlvDq8ikWAM"
+
+// Live sessions are served on the API's host at /ws
+const SESSION_SOCKET_URL = `${API_BASE_URL.replace(/^http/, "ws").replace(/\/api\/?$/, "")}/ws`
+
 class ApiService {
+  private refreshPromise: Promise<boolean> | null = null
+
   private getToken(): string | null {
     if (typeof window !== "undefined") {
-      const token = localStorage.getItem("authToken")
-      console.log("Retrieved token:", token ? `${token.substring(0, 20)}...` : "null")
-      return token
+      return localStorage.getItem("authToken")
     }
     return null
   }
@@ -27,6 +236,86 @@ class ApiService {
     return headers
   }
 
+  private storeSession(token: string, refreshToken: string) {
+    localStorage.setItem("authToken", token)
+    localStorage.setItem("refreshToken", refreshToken)
+  }
+
+  // Forget the stored tokens and tell the app the user is signed out
+  private clearStoredSession() {
+    if (typeof window === "undefined") return
+    localStorage.removeItem("authToken")
+    localStorage.removeItem("refreshToken")
+    localStorage.removeItem("user")
+    window.dispatchEvent(new Event(SESSION_ENDED_EVENT))
+  }
+
+  // Swap the refresh token for a new access token. failedToken is the access
+  // token that was just rejected; if it has already been replaced (e.g. by
+  // another tab) nothing is refreshed. Resolves with whether a usable token
+  // is now stored. Refresh tokens work once, so tabs take turns.
+  async refreshAccessToken(failedToken: string | null = this.getToken()): Promise<boolean> {
+    if (typeof window === "undefined") return false
+
+    if (!this.refreshPromise) {
+      const refresh = async () => {
+        if (this.getToken() !== failedToken) return true
+
+        const refreshToken = localStorage.getItem("refreshToken")
+        if (!refreshToken) return false
+
+        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ refreshToken }),
+        })
+        if (!response.ok) {
+          console.error("Session refresh failed with status", response.status)
+          return false
+        }
+
+        const data = await response.json()
+        this.storeSession(data.token, data.refreshToken)
+        return true
+      }
+
+      this.refreshPromise = (navigator.locks ? navigator.locks.request("adhyayan-auth-refresh", refresh) : refresh())
+        .catch((error) => {
+          console.error("Error refreshing session:", error)
+          return false
+        })
+        .finally(() => {
+          this.refreshPromise = null
+        })
+    }
+
+    return this.refreshPromise
+  }
+
+  // fetch with the access token, refreshing it and retrying once if the
+  // server says it has expired
+  private async authorizedFetch(url: string, init: RequestInit = {}, canRefresh = true): Promise<Response> {
+    const send = (token: string | null) => {
+      const headers = new Headers(init.headers)
+      if (token) {
+        headers.set("Authorization", `Bearer ${token}`)
+      }
+      return fetch(url, { ...init, headers })
+    }
+
+    const token = this.getToken()
+    const response = await send(token)
+    if (response.status !== 401 || !canRefresh || !token) {
+      return response
+    }
+
+    if (!(await this.refreshAccessToken(token))) {
+      return response
+    }
+    return send(this.getToken())
+  }
+
   private async makeRequest(endpoint: string, options: RequestInit = {}) {
     const url = `${API_BASE_URL}${endpoint}`
     const token = this.getToken()
@@ -34,19 +323,25 @@ class ApiService {
     console.log(`Making ${options.method || "GET"} request to: ${url}`)
     console.log("Token available:", !!token)
 
+    const headers: Record<string, string> = {
+      ...this.getHeaders(),
+      ...(options.headers as Record<string, string>),
+    }
+
+    // Let the browser set the multipart boundary for file uploads
+    if (options.body instanceof FormData) {
+      delete headers["Content-Type"]
+    }
+
     const requestOptions: RequestInit = {
       ...options,
-      headers: {
-        ...this.getHeaders(),
-        ...options.headers,
-      },
+      headers,
       credentials: "include",
     }
 
-    console.log("Request headers:", requestOptions.headers)
-
     try {
-      const response = await fetch(url, requestOptions)
+      const canRefresh = !NO_REFRESH_ENDPOINTS.includes(endpoint)
+      const response = await this.authorizedFetch(url, requestOptions, canRefresh)
 
       console.log("Response status:", response.status)
 
@@ -54,15 +349,10 @@ class ApiService {
         const errorText = await response.text()
         console.error("Error response:", errorText)
 
-        // Handle specific authentication errors
-        if (response.status === 401) {
-          console.error("Authentication failed - clearing stored token")
-          localStorage.removeItem("authToken")
-          localStorage.removeItem("user")
-          // Optionally redirect to login
-          if (typeof window !== "undefined") {
-            window.location.href = "/"
-          }
+        // The session couldn't be refreshed, so the user is signed out
+        if (response.status === 401 && canRefresh) {
+          console.error("Authentication failed - clearing stored session")
+          this.clearStoredSession()
         }
 
         let error
@@ -112,6 +402,20 @@ class ApiService {
     })
   }
 
+  async put(endpoint: string, data: any) {
+    return this.makeRequest(endpoint, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    })
+  }
+
+  async patch(endpoint: string, data: any) {
+    return this.makeRequest(endpoint, {
+      method: "PATCH",
+      body: JSON.stringify(data),
+    })
+  }
+
   async delete(endpoint: string) {
     return this.makeRequest(endpoint, {
       method: "DELETE",
@@ -123,7 +427,7 @@ class ApiService {
     const response = await this.post("/auth/google", { idToken, user })
 
     if (response.token) {
-      localStorage.setItem("authToken", response.token)
+      this.storeSession(response.token, response.refreshToken)
       localStorage.setItem("user", JSON.stringify(response.user))
     }
 
@@ -137,10 +441,33 @@ class ApiService {
   async logout() {
     const response = await this.post("/auth/logout", {})
     localStorage.removeItem("authToken")
+    localStorage.removeItem("refreshToken")
     localStorage.removeItem("user")
     return response
   }
 
+  // Devices the user is signed in on
+  async getAuthSessions() {
+    return this.get("/auth/sessions")
+  }
+
+  // Sign out another device
+  async revokeAuthSession(sessionId: string) {
+    return this.delete(`/auth/sessions/${sessionId}`)
+  }
+
+  // Sign out every device, this one included
+  async signOutEverywhere() {
+    const response = await this.delete("/auth/sessions")
+    this.clearStoredSession()
+    return response
+  }
+
+  // Today's AI quotas, and when they reset
+  async getUsage(): Promise<{ features: FeatureUsage[]; reset_at: string }> {
+    return this.get("/usage")
+  }
+
   // Check if user is authenticated
   isAuthenticated(): boolean {
     return this.getToken() !== null
@@ -156,8 +483,117 @@ class ApiService {
   }
 
   // Mind Map API methods
-  async generateMindMap(subjectName: string, syllabus: string) {
-    return this.post("/mindmap/generate", { subjectName, syllabus })
+  async generateMindMap(subjectName: string, syllabus: string, sourceDocument?: SyllabusDocument | null) {
+    return this.post("/mindmap/generate", { subjectName, syllabus, sourceDocument })
+  }
+
+  // Queue a mind map for background generation; follow it with watchGenerationJob
+  async startMindMapGeneration(
+    subjectName: string,
+    syllabus: string,
+    sourceDocument?: SyllabusDocument | null,
+    generationMode: GenerationMode = "auto",
+  ) {
+    return this.post("/mindmap/jobs", { subjectName, syllabus, sourceDocument, generationMode })
+  }
+
+  async getGenerationJobs(activeOnly = false) {
+    return this.get(`/mindmap/jobs${activeOnly ? "?active=true" : ""}`)
+  }
+
+  async getGenerationJob(jobId: string) {
+    return this.get(`/mindmap/jobs/${jobId}`)
+  }
+
+  // Follow a generation job until it is saved or fails, calling onStatus with
+  // every update. Streams progress from the server and falls back to polling
+  // if the stream is cut off. Resolves with the finished job.
+  async watchGenerationJob(
+    jobId: string,
+    handlers: {
+      onStatus: (job: GenerationJob) => void
+      signal?: AbortSignal
+    },
+  ): Promise<GenerationJob> {
+    let latest: GenerationJob | null = null
+
+    try {
+      const response = await this.authorizedFetch(`${API_BASE_URL}/mindmap/jobs/${jobId}?stream=true`, {
+        headers: {
+          ...this.getHeaders(),
+          Accept: "text/event-stream",
+        },
+        credentials: "include",
+        signal: handlers.signal,
+      })
+
+      if (response.ok && response.body) {
+        const reader = response.body.getReader()
+        const decoder = new TextDecoder()
+        let buffer = ""
+
+        while (true) {
+          const { done, value } = await reader.read()
+          if (done) break
+
+          buffer += decoder.decode(value, { stream: true })
+          const events = buffer.split("\n\n")
+          buffer = events.pop() || ""
+
+          for (const rawEvent of events) {
+            const event = rawEvent.match(/^event: (.*)$/m)?.[1]
+            const data = rawEvent.match(/^data: (.*)$/m)?.[1]
+            if (!event || !data) continue
+
+            if (event === "status" || event === "done") {
+              latest = JSON.parse(data) as GenerationJob
+              handlers.onStatus(latest)
+            }
+          }
+
+          if (latest && isJobFinished(latest)) return latest
+        }
+      }
+    } catch (error) {
+      if (handlers.signal?.aborted) throw error
+      console.error("Generation progress stream failed, polling instead:", error)
+    }
+
+    while (!latest || !isJobFinished(latest)) {
+      if (handlers.signal?.aborted) throw new Error("Stopped watching the generation job")
+      if (latest) await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS))
+
+      const response = await this.getGenerationJob(jobId)
+      latest = response.job as GenerationJob
+      handlers.onStatus(latest)
+    }
+
+    return latest
+  }
+
+  // Upload a PDF, DOCX, HTML or text syllabus and get back a topic outline
+  async extractSyllabus(file: File) {
+    const formData = new FormData()
+    formData.append("file", file)
+
+    return this.makeRequest("/syllabus/extract", {
+      method: "POST",
+      body: formData,
+    })
+  }
+
+  // Create a mind map from a Markdown, OPML, FreeMind or exported JSON file.
+  // generateContent queues a job that writes content for empty topics.
+  async importMindMap(file: File, options: { subjectName?: string; generateContent?: boolean } = {}) {
+    const formData = new FormData()
+    formData.append("file", file)
+    if (options.subjectName) formData.append("subjectName", options.subjectName)
+    if (options.generateContent) formData.append("generateContent", "true")
+
+    return this.makeRequest("/mindmap/import", {
+      method: "POST",
+      body: formData,
+    })
   }
 
   async getMindMaps() {
@@ -168,22 +604,342 @@ class ApiService {
     return this.get(`/mindmap/${id}`)
   }
 
+  async editMindMap(id: string, operations: MindMapEditOperation[]) {
+    return this.patch(`/mindmap/${id}`, { operations })
+  }
+
+  async expandMindMapNode(id: string, nodeId: string) {
+    return this.post(`/mindmap/${id}/nodes/${encodeURIComponent(nodeId)}/expand`, {})
+  }
+
   // DELETE mind map method - NEW METHOD
   async deleteMindMap(id: string) {
     console.log(`Deleting mind map with ID: ${id}`)
     return this.delete(`/mindmap/${id}`)
   }
 
+  // Share link API methods
+  async getShareLinks(id: string) {
+    return this.get(`/mindmap/${id}/share-links`)
+  }
+
+  async createShareLink(id: string, expiresInDays: number | null) {
+    return this.post(`/mindmap/${id}/share-links`, { expiresInDays })
+  }
+
+  async revokeShareLink(id: string, token: string) {
+    return this.delete(`/mindmap/${id}/share-links/${encodeURIComponent(token)}`)
+  }
+
+  // Forking API methods
+  async setMindMapForkable(id: string, forkable: boolean) {
+    return this.put(`/mindmap/${id}/forkable`, { forkable })
+  }
+
+  async cloneMindMap(id: string) {
+    return this.post(`/mindmap/${id}/clone`, {})
+  }
+
+  // Replace a fork's topics with the latest version of the original
+  async pullMindMapSource(id: string) {
+    return this.post(`/mindmap/${id}/pull-source`, {})
+  }
+
+  // Open a mind map someone shared; works without signing in
+  async getSharedMindMap(token: string) {
+    return this.get(`/shared/${encodeURIComponent(token)}`)
+  }
+
+  // Study room API methods
+  async getRooms() {
+    return this.get("/rooms")
+  }
+
+  async getPublicRooms() {
+    return this.get("/rooms/public")
+  }
+
+  async createRoom(room: { name: string; subject: string; privacy: RoomPrivacy }) {
+    return this.post("/rooms", room)
+  }
+
+  async joinRoomByCode(inviteCode: string) {
+    return this.post("/rooms/join", { inviteCode })
+  }
+
+  async joinPublicRoom(id: string) {
+    return this.post(`/rooms/${id}/join`, {})
+  }
+
+  async getRoom(id: string) {
+    return this.get(`/rooms/${id}`)
+  }
+
+  async leaveRoom(id: string) {
+    return this.post(`/rooms/${id}/leave`, {})
+  }
+
+  async deleteRoom(id: string) {
+    return this.delete(`/rooms/${id}`)
+  }
+
+  async removeRoomMember(id: string, userUid: string) {
+    return this.delete(`/rooms/${id}/members/${encodeURIComponent(userUid)}`)
+  }
+
+  async regenerateRoomInviteCode(id: string) {
+    return this.post(`/rooms/${id}/invite-code`, {})
+  }
+
+  async attachRoomMindMap(id: string, mindMapId: string) {
+    return this.post(`/rooms/${id}/mindmaps`, { mindMapId })
+  }
+
+  async detachRoomMindMap(id: string, mindMapId: string) {
+    return this.delete(`/rooms/${id}/mindmaps/${mindMapId}`)
+  }
+
+  async getRoomMindMap(id: string, mindMapId: string) {
+    return this.get(`/rooms/${id}/mindmaps/${mindMapId}`)
+  }
+
+  // Live session API methods
+  async getSessionInvites(id: string) {
+    return this.get(`/mindmap/${id}/session-invites`)
+  }
+
+  async inviteToSession(id: string, email: string) {
+    return this.post(`/mindmap/${id}/session-invites`, { email })
+  }
+
+  async withdrawSessionInvite(id: string, userUid: string) {
+    return this.delete(`/mindmap/${id}/session-invites/${encodeURIComponent(userUid)}`)
+  }
+
+  // Mind maps other people have invited the user to
+  async getInvitedMindMaps() {
+    return this.get("/session-invites")
+  }
+
+  // Connect to a mind map's live session. The join message is sent as soon as
+  // the socket opens, since browsers can't put the token in a header.
+  openMindMapSession(mindMapId: string): WebSocket {
+    const socket = new WebSocket(SESSION_SOCKET_URL)
+    socket.addEventListener("open", () => {
+      socket.send(JSON.stringify({ type: "join", token: this.getToken(), mindMapId }))
+    })
+    return socket
+  }
+
+  // Reading progress API methods
+  async getMindMapProgress(id: string) {
+    return this.get(`/mindmap/${id}/progress`)
+  }
+
+  async updateMindMapProgress(id: string, readStatus: Record<string, boolean>) {
+    return this.put(`/mindmap/${id}/progress`, { read_status: readStatus })
+  }
+
+  // Quiz API methods
+  async generateQuiz(mindMapId: string, nodeId?: string | null, questionCount?: number) {
+    return this.post(`/mindmap/${mindMapId}/quizzes`, {
+      node_id: nodeId || null,
+      question_count: questionCount,
+    })
+  }
+
+  async getQuizzes(mindMapId: string) {
+    return this.get(`/mindmap/${mindMapId}/quizzes`)
+  }
+
+  async submitQuiz(quizId: string, answers: Record<string, number | string>) {
+    return this.post(`/quizzes/${quizId}/submit`, { answers })
+  }
+
+  // Flashcard endpoints
+  async generateFlashcards(mindMapId: string, regenerate = false) {
+    return this.post(`/mindmap/${mindMapId}/flashcards`, { regenerate })
+  }
+
+  async getFlashcards(mindMapId: string, dueOnly = false) {
+    return this.get(`/mindmap/${mindMapId}/flashcards${dueOnly ? "?due=true" : ""}`)
+  }
+
+  async getFlashcardSummary() {
+    return this.get("/flashcards/summary")
+  }
+
+  // quality is the SM-2 recall grade, 0 (forgot) to 5 (perfect)
+  async reviewFlashcard(cardId: string, quality: number) {
+    return this.post(`/flashcards/${cardId}/review`, { quality })
+  }
+
   // Chat API method for Groq integration
-  async chatWithGroq(message: string, context?: string, subject?: string) {
-    return this.post("/chat/groq", { message, context, subject })
+  // Passing a thread continues (and saves to) that node's conversation
+  async chatWithGroq(message: string, context?: string, subject?: string, thread?: ChatThreadKey) {
+    return this.post("/chat/groq", {
+      message,
+      context,
+      subject,
+      mindmap_id: thread?.mindMapId,
+      node_id: thread?.nodeId,
+    })
+  }
+
+  async getChatThreads(mindMapId: string) {
+    return this.get(`/mindmap/${mindMapId}/chats`)
   }
 
-  // Enhanced Audio API methods for Podcast-style generation
-  async generateAudio(text: string, voiceId?: string, topicTitle?: string): Promise<Blob> {
+  async getChatThread(mindMapId: string, nodeId: string) {
+    return this.get(`/mindmap/${mindMapId}/chats/${encodeURIComponent(nodeId)}`)
+  }
+
+  async clearChatThread(mindMapId: string, nodeId: string) {
+    return this.delete(`/mindmap/${mindMapId}/chats/${encodeURIComponent(nodeId)}`)
+  }
+
+  // Stream a chat reply over Server-Sent Events. onToken receives each piece
+  // of the reply; onFallback fires when the server abandons a partial reply
+  // to retry with another model. Abort the signal to cancel.
+  async streamChat(
+    message: string,
+    context: string | undefined,
+    subject: string | undefined,
+    handlers: {
+      onToken: (text: string) => void
+      onFallback?: (failedModel: string, nextModel: string | null) => void
+      signal?: AbortSignal
+      thread?: ChatThreadKey
+    },
+  ): Promise<ChatStreamResult> {
+    const response = await this.authorizedFetch(`${API_BASE_URL}/chat/groq/stream`, {
+      method: "POST",
+      headers: {
+        ...this.getHeaders(),
+        Accept: "text/event-stream",
+      },
+      credentials: "include",
+      body: JSON.stringify({
+        message,
+        context,
+        subject,
+        mindmap_id: handlers.thread?.mindMapId,
+        node_id: handlers.thread?.nodeId,
+      }),
+      signal: handlers.signal,
+    })
+
+    if (!response.ok || !response.body) {
+      const errorText = await response.text()
+      let errorMessage = `Chat request failed with status ${response.status}`
+      try {
+        errorMessage = JSON.parse(errorText).error || errorMessage
+      } catch (parseError) {
+        console.error("Failed to parse error response:", parseError)
+      }
+      throw new Error(errorMessage)
+    }
+
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ""
+    let result: ChatStreamResult | null = null
+
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      buffer += decoder.decode(value, { stream: true })
+      const events = buffer.split("\n\n")
+      buffer = events.pop() || ""
+
+      for (const rawEvent of events) {
+        const event = rawEvent.match(/^event: (.*)$/m)?.[1]
+        const data = rawEvent.match(/^data: (.*)$/m)?.[1]
+        if (!event || !data) continue
+
+        const payload = JSON.parse(data)
+        if (event === "token") {
+          handlers.onToken(payload.text)
+        } else if (event === "fallback") {
+          handlers.onFallback?.(payload.failed_model, payload.next_model)
+        } else if (event === "done") {
+          result = payload
+        } else if (event === "error") {
+          throw new Error(payload.error)
+        }
+      }
+    }
+
+    if (!result) {
+      throw new Error("The chat stream ended before the reply was complete")
+    }
+
+    return result
+  }
+
+  // Fetch a file the server renders. Resolves with the file and the name the
+  // server suggests for it.
+  private async fetchFile(endpoint: string, fallbackName: string): Promise<{ blob: Blob; fileName: string }> {
+    const response = await this.authorizedFetch(`${API_BASE_URL}${endpoint}`, {
+      headers: this.getHeaders(),
+      credentials: "include",
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      let errorMessage = `Download failed with status ${response.status}`
+      try {
+        errorMessage = JSON.parse(errorText).error || errorMessage
+      } catch (parseError) {
+        console.error("Failed to parse error response:", parseError)
+      }
+      throw new Error(errorMessage)
+    }
+
+    const disposition = response.headers.get("Content-Disposition") || ""
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName
+
+    return { blob: await response.blob(), fileName }
+  }
+
+  // Download a mind map in another format
+  async exportMindMap(id: string, format: MindMapExportFormat) {
+    return this.fetchFile(`/mindmap/${id}/export?format=${format}`, `mind-map.${format}`)
+  }
+
+  // Printable study guide with the user's progress: an HTML page or a PDF
+  async getStudyGuide(id: string, format: "html" | "pdf") {
+    return this.fetchFile(`/mindmap/${id}/study-guide?format=${format}`, `study-guide.${format}`)
+  }
+
+  // The podcast already generated for a mind map topic in a voice, or null
+  // if there isn't one for the topic's current content
+  async getStoredPodcast(mindMapId: string, nodeId: string, voiceId = DEFAULT_PODCAST_VOICE_ID): Promise<Blob | null> {
+    const url = `${API_BASE_URL}/mindmap/${mindMapId}/nodes/${encodeURIComponent(nodeId)}/podcast?voice_id=${encodeURIComponent(voiceId)}`
+    const response = await this.authorizedFetch(url, {
+      headers: this.getHeaders(),
+      credentials: "include",
+    })
+
+    if (response.status === 404) return null
+    if (!response.ok) {
+      throw new Error(`Failed to load podcast: ${response.status}`)
+    }
+    return response.blob()
+  }
+
+  // Enhanced Audio API methods for Podcast-style generation. Passing the mind
+  // map topic lets the server keep the podcast for next time.
+  async generateAudio(
+    text: string,
+    voiceId?: string,
+    topicTitle?: string,
+    topic?: { mindMapId: string; nodeId: string },
+  ): Promise<Blob> {
     const url = `${API_BASE_URL}/audio/generate`
 
-    const response = await fetch(url, {
+    const response = await this.authorizedFetch(url, {
       method: "POST",
       headers: {
         ...this.getHeaders(),
@@ -191,14 +947,22 @@ class ApiService {
       credentials: "include",
       body: JSON.stringify({
         text: text,
-        voice_id: voiceId || "21m00Tcm4TlvDq8ikWAM", // Default to Rachel voice (podcast recommended)
+        voice_id: voiceId || DEFAULT_PODCAST_VOICE_ID,
         topic_title: topicTitle || "Learning Topic", // Pass topic title for better podcast script
+        mindmap_id: topic?.mindMapId,
+        node_id: topic?.nodeId,
       }),
     })
 
     if (!response.ok) {
       const errorText = await response.text()
-      throw new Error(`Podcast audio generation failed: ${errorText}`)
+      let errorMessage = errorText
+      try {
+        errorMessage = JSON.parse(errorText).error || errorText
+      } catch (parseError) {
+        console.error("Failed to parse error response:", parseError)
+      }
+      throw new Error(`Podcast audio generation failed: ${errorMessage}`)
     }
 
     return response.blob()
@@ -3,7 +3,7 @@ import type React from "react"
 import { createContext, useContext, useEffect, useState, useRef } from "react"
 import { onAuthStateChanged } from "firebase/auth"
 import { auth } from "./firebase"
-import { apiService } from "./api"
+import { apiService, SESSION_ENDED_EVENT } from "./api"
 import { useRouter } from "next/navigation"
 
 interface CustomUser {
@@ -91,6 +91,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       // Ensure local storage is cleared
       if (typeof window !== "undefined") {
         localStorage.removeItem("authToken")
+        localStorage.removeItem("refreshToken")
         localStorage.removeItem("user")
       }
     } catch (error) {
@@ -100,6 +101,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       setIsAuthenticated(false)
       if (typeof window !== "undefined") {
         localStorage.removeItem("authToken")
+        localStorage.removeItem("refreshToken")
         localStorage.removeItem("user")
       }
       if (auth.currentUser) {
@@ -157,6 +159,7 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         // Clear local storage
         if (typeof window !== "undefined") {
           localStorage.removeItem("authToken")
+          localStorage.removeItem("refreshToken")
           localStorage.removeItem("user")
         }
       }
@@ -166,9 +169,22 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       }
     })
 
+    // The server ended the session (signed out elsewhere, or the refresh
+    // token expired): sign out here too
+    const handleSessionEnded = () => {
+      setUser(null)
+      setIsAuthenticated(false)
+      hasProcessedInitialAuth.current = false
+      if (auth.currentUser) {
+        auth.signOut().catch((error) => console.error("Firebase sign out failed:", error))
+      }
+    }
+    window.addEventListener(SESSION_ENDED_EVENT, handleSessionEnded)
+
     return () => {
       isComponentMounted = false
       unsubscribe()
+      window.removeEventListener(SESSION_ENDED_EVENT, handleSessionEnded)
     }
   }, [router])
 
@@ -0,0 +1,172 @@
+"use client"
+import { useCallback, useEffect, useRef, useState } from "react"
+import {
+  apiService,
+  type SessionChatMessage,
+  type SessionParticipant,
+  type SessionServerMessage,
+} from "@/lib/api"
+
+// Close code for an expired or signed-out access token
+const CLOSE_UNAUTHORIZED = 4001
+// Close codes the server uses when the user can't be in the session;
+// reconnecting wouldn't help
+const FINAL_CLOSE_CODES = [CLOSE_UNAUTHORIZED, 4003, 4004]
+const MAX_RECONNECT_DELAY_MS = 30000
+// Cursor updates are sent at most this often
+const CURSOR_INTERVAL_MS = 50
+
+export interface CollaboratorCursor {
+  x: number
+  y: number
+}
+
+export type SessionStatus = "connecting" | "connected" | "disconnected" | "closed"
+
+// Join a mind map's live session: who else has it open, which node each of
+// them has selected, their cursors on the canvas, and the session chat.
+// Reconnects with backoff when the connection drops.
+export function useMindMapSession(mindMapId: string, enabled = true) {
+  const socketRef = useRef<WebSocket | null>(null)
+  const lastCursorSentRef = useRef(0)
+  const [status, setStatus] = useState<SessionStatus>("connecting")
+  const [error, setError] = useState<string | null>(null)
+  const [you, setYou] = useState<SessionParticipant | null>(null)
+  const [participants, setParticipants] = useState<SessionParticipant[]>([])
+  const [cursors, setCursors] = useState<Record<string, CollaboratorCursor>>({})
+  const [messages, setMessages] = useState<SessionChatMessage[]>([])
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let stopped = false
+    let attempts = 0
+    // Whether the token was already refreshed since the last successful join
+    let refreshed = false
+    let reconnectTimer: ReturnType<typeof setTimeout> | null = null
+
+    const handleMessage = (message: SessionServerMessage) => {
+      switch (message.type) {
+        case "session":
+          attempts = 0
+          refreshed = false
+          setStatus("connected")
+          setError(null)
+          setYou(message.you)
+          setParticipants(message.participants)
+          setMessages(message.messages)
+          setCursors({})
+          break
+        case "presence":
+          setParticipants(message.participants)
+          break
+        case "focus":
+          setParticipants((prev) =>
+            prev.map((participant) =>
+              participant.uid === message.uid ? { ...participant, nodeId: message.nodeId } : participant,
+            ),
+          )
+          break
+        case "cursor":
+          setCursors((prev) => {
+            const next = { ...prev }
+            if (message.x === null || message.y === null) {
+              delete next[message.uid]
+            } else {
+              next[message.uid] = { x: message.x, y: message.y }
+            }
+            return next
+          })
+          break
+        case "chat":
+          setMessages((prev) => [...prev, message.message])
+          break
+        case "error":
+          console.error("Mind map session error:", message.error)
+          setError(message.error)
+          break
+      }
+    }
+
+    const connect = () => {
+      setStatus("connecting")
+      const socket = apiService.openMindMapSession(mindMapId)
+      socketRef.current = socket
+
+      socket.onmessage = (event) => {
+        try {
+          handleMessage(JSON.parse(event.data))
+        } catch (parseError) {
+          console.error("Invalid session message:", parseError)
+        }
+      }
+
+      socket.onclose = async (event) => {
+        if (socketRef.current === socket) socketRef.current = null
+        setParticipants([])
+        setCursors({})
+        if (stopped) return
+
+        // The access token may just have expired: renew it and rejoin once
+        if (event.code === CLOSE_UNAUTHORIZED && !refreshed) {
+          refreshed = true
+          setStatus("disconnected")
+          if ((await apiService.refreshAccessToken()) && !stopped) {
+            connect()
+            return
+          }
+        }
+
+        if (FINAL_CLOSE_CODES.includes(event.code)) {
+          setStatus("closed")
+          return
+        }
+
+        setStatus("disconnected")
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY_MS)
+        attempts += 1
+        reconnectTimer = setTimeout(connect, delay)
+      }
+    }
+
+    connect()
+
+    return () => {
+      stopped = true
+      if (reconnectTimer) clearTimeout(reconnectTimer)
+      socketRef.current?.close()
+      socketRef.current = null
+    }
+  }, [mindMapId, enabled])
+
+  const send = useCallback((message: Record<string, unknown>) => {
+    const socket = socketRef.current
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message))
+    }
+  }, [])
+
+  const sendFocus = useCallback((nodeId: string | null) => send({ type: "focus", nodeId }), [send])
+
+  // Pass null when the pointer leaves the canvas
+  const sendCursor = useCallback(
+    (position: CollaboratorCursor | null) => {
+      if (!position) {
+        send({ type: "cursor", x: null, y: null })
+        return
+      }
+      const now = Date.now()
+      if (now - lastCursorSentRef.current < CURSOR_INTERVAL_MS) return
+      lastCursorSentRef.current = now
+      send({ type: "cursor", x: position.x, y: position.y })
+    },
+    [send],
+  )
+
+  const sendChat = useCallback((text: string) => send({ type: "chat", text }), [send])
+
+  // Everyone except this user
+  const collaborators = participants.filter((participant) => participant.uid !== you?.uid)
+
+  return { status, error, you, participants, collaborators, cursors, messages, sendFocus, sendCursor, sendChat }
+}
@@ -0,0 +1,38 @@
+require("dotenv").config();
+
+// How the server's own access tokens are signed and checked.
+//   JWT_SECRET    required; at least 32 characters. The server won't start
+//                 without it.
+//   JWT_ISSUER    who tokens say issued them (default "adhyayan-ai")
+//   JWT_AUDIENCE  who tokens are for (default "adhyayan-ai-app")
+const MIN_SECRET_LENGTH = 32;
+
+// Secrets that have appeared in this repo and must never be used
+const KNOWN_SECRETS = ["your-secret-key"];
+
+const getAuthConfig = () => ({
+  secret: process.env.JWT_SECRET || null,
+  issuer: process.env.JWT_ISSUER || "adhyayan-ai",
+  audience: process.env.JWT_AUDIENCE || "adhyayan-ai-app",
+});
+
+// Throw if tokens can't be signed safely. Called once at startup.
+function assertAuthConfig() {
+  const { secret } = getAuthConfig();
+
+  if (!secret) {
+    throw new Error("JWT_SECRET is not set; refusing to start");
+  }
+  if (KNOWN_SECRETS.includes(secret)) {
+    throw new Error(
+      "JWT_SECRET is a published example value; pick a new one"
+    );
+  }
+  if (secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(
+      `JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters long`
+    );
+  }
+}
+
+module.exports = { getAuthConfig, assertAuthConfig };
@@ -0,0 +1,17 @@
+require("dotenv").config();
+
+// How sign-in ID tokens from Firebase are checked.
+//   FIREBASE_PROJECT_ID  the Firebase project tokens must be issued for
+//   GOOGLE_JWKS_URL      where Google publishes the keys that sign them
+//   GOOGLE_JWKS_FILE     path to a local JWKS file to use instead of the URL,
+//                        e.g. in tests or on machines without internet access
+const DEFAULT_JWKS_URL =
+  "https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+
+const getGoogleAuthConfig = () => ({
+  projectId: process.env.FIREBASE_PROJECT_ID || null,
+  jwksUrl: process.env.GOOGLE_JWKS_URL || DEFAULT_JWKS_URL,
+  jwksFile: process.env.GOOGLE_JWKS_FILE || null,
+});
+
+module.exports = { getGoogleAuthConfig };
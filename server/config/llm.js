@@ -0,0 +1,29 @@
+require("dotenv").config();
+
+// Which LLM backend to use and how to reach it.
+//   LLM_PROVIDER   groq (default) | openai | ollama | llamacpp | mock;
+//                  ollama and llamacpp are aliases of openai
+//   GROQ_API_KEY   Groq API key (groq provider); without it the provider is
+//                  disabled and AI features use their fallback content
+//   LLM_BASE_URL   base URL of an OpenAI-compatible server (openai provider),
+//                  e.g. http://localhost:11434/v1 for Ollama or
+//                  http://localhost:8080/v1 for llama.cpp
+//   LLM_API_KEY    API key for the OpenAI-compatible server, if it needs one
+//   LLM_MODELS     comma-separated models to try in order, for every task
+//   LLM_MOCK_FIXTURES  path to a JSON file of canned mock responses
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const getLLMConfig = () => ({
+  provider: (process.env.LLM_PROVIDER || "groq").toLowerCase(),
+  groqApiKey: process.env.GROQ_API_KEY,
+  baseUrl: process.env.LLM_BASE_URL || "http://localhost:11434/v1",
+  apiKey: process.env.LLM_API_KEY || null,
+  models: parseList(process.env.LLM_MODELS),
+  mockFixtures: process.env.LLM_MOCK_FIXTURES || null,
+});
+
+module.exports = { getLLMConfig };
@@ -0,0 +1,22 @@
+require("dotenv").config();
+
+// How many AI requests each user may make per day (UTC), per feature.
+// Admins are not limited.
+//   QUOTA_MINDMAP_PER_DAY  mind map generations, topic expansions and content
+//                          for imported maps (default 10)
+//   QUOTA_CHAT_PER_DAY     chat messages to the study assistant (default 100)
+//   QUOTA_AUDIO_PER_DAY    podcast audio generations (default 5)
+//   QUOTA_STUDY_PER_DAY    quiz and flashcard deck generations (default 20)
+const parseLimit = (value, fallback) => {
+  const limit = parseInt(value, 10);
+  return Number.isInteger(limit) && limit >= 0 ? limit : fallback;
+};
+
+const getQuotaConfig = () => ({
+  mindmap: parseLimit(process.env.QUOTA_MINDMAP_PER_DAY, 10),
+  chat: parseLimit(process.env.QUOTA_CHAT_PER_DAY, 100),
+  audio: parseLimit(process.env.QUOTA_AUDIO_PER_DAY, 5),
+  study: parseLimit(process.env.QUOTA_STUDY_PER_DAY, 20),
+});
+
+module.exports = { getQuotaConfig };
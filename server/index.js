@@ -1,19 +1,89 @@
 const express = require("express");
 const cors = require("cors");
-const jwt = require("jsonwebtoken");
-const Groq = require("groq-sdk");
 const fetch = require("node-fetch");
+const mongoose = require("mongoose");
 require("dotenv").config();
 
 // Import database connection and models
 const connectDB = require("./config/database");
-const User = require("./models/User");
+const { assertAuthConfig } = require("./config/auth");
+const { verifyToken } = require("./middleware/auth");
+const {
+  enforceQuota,
+  releaseQuota,
+  sendUpstreamRateLimited,
+} = require("./middleware/rateLimit");
+const {
+  getLLMProvider,
+  completeWithFallback,
+  streamWithFallback,
+  generateJSONWithFallback,
+} = require("./llm");
 const MindMap = require("./models/MindMap");
+const MindMapProgress = require("./models/MindMapProgress");
+const Quiz = require("./models/Quiz");
+const Flashcard = require("./models/Flashcard");
+const ChatThread = require("./models/ChatThread");
+const Podcast = require("./models/Podcast");
+const Room = require("./models/Room");
+const authRoutes = require("./routes/auth");
+const quizRoutes = require("./routes/quiz");
+const flashcardRoutes = require("./routes/flashcards");
+const syllabusRoutes = require("./routes/syllabus");
+const chatThreadRoutes = require("./routes/chatThreads");
+const mindMapJobRoutes = require("./routes/mindmapJobs");
+const mindMapExportRoutes = require("./routes/mindmapExport");
+const mindMapImportRoutes = require("./routes/mindmapImport");
+const studyGuideRoutes = require("./routes/studyGuide");
+const shareLinkRoutes = require("./routes/shareLinks");
+const mindMapForkRoutes = require("./routes/mindmapForks");
+const roomRoutes = require("./routes/rooms");
+const sessionInviteRoutes = require("./routes/sessionInvites");
+const usageRoutes = require("./routes/usage");
+const podcastRoutes = require("./routes/podcasts");
+const {
+  applyNodeOperations,
+  findGraphProblems,
+  getAncestorPath,
+} = require("./utils/mindmapGraph");
+const {
+  createFallbackMindMap,
+  generateMindMap,
+  toSourceDocument,
+} = require("./utils/mindmapGeneration");
+const { startJobRecovery } = require("./utils/generationJobs");
+const { describeForks } = require("./utils/mindmapForks");
+const {
+  attachMindMapSessions,
+  findViewableMindMap,
+} = require("./utils/mindmapSessions");
+const {
+  DEFAULT_PODCAST_VOICE_ID,
+  findStoredPodcast,
+  findStoredScript,
+  storePodcast,
+  pruneStalePodcasts,
+  sendAudio,
+} = require("./utils/podcasts");
+const {
+  selectHistoryWindow,
+  loadChatContext,
+  appendExchange,
+} = require("./utils/chatHistory");
+const {
+  retrievePassages,
+  buildGroundingPrompt,
+  extractCitedNodeIds,
+} = require("./utils/retrieval");
+
+// Refuse to start rather than sign tokens with a missing or guessable secret
+assertAuthConfig();
 
 const app = express();
 
-// Connect to MongoDB Atlas
-connectDB();
+// Connect to MongoDB Atlas, then pick up generation jobs interrupted by a
+// restart and, from then on, ones abandoned by other instances
+connectDB().then(() => startJobRecovery());
 
 // CORS configuration
 app.use(
@@ -102,7 +172,9 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Raised from the 100kb default so text extracted from long syllabus
+// documents can be sent back with the generate request
+app.use(express.json({ limit: "5mb" }));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -113,31 +185,25 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Initialize Groq with your API key
-const groq = new Groq({
-  apiKey:
-    process.env.GROQ_API_KEY ||
-    "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",
-});
-
 // ElevenLabs API configuration
 const ELEVENLABS_API_KEY =
   process.env.ELEVENLABS_API_KEY ||
   "sk_0975ec6db66a0ca0e027ca6466ce021514f2345de6ae435f";
 const ELEVENLABS_BASE_URL = "https://api.elevenlabs.io/v1";
 
-// Test Groq connection and get available models
-const testGroqConnection = async () => {
+// Test the LLM provider connection and get available models
+const testLLMConnection = async () => {
+  const provider = getLLMProvider();
   try {
-    console.log("Testing Groq connection...");
-    const models = await groq.models.list();
-    console.log("Available Groq models:");
-    models.data.forEach((model) => {
-      console.log(`- ${model.id}`);
+    console.log(`Testing ${provider.name} LLM connection...`);
+    const models = await provider.listModels();
+    console.log(`Available ${provider.name} models:`);
+    models.forEach((model) => {
+      console.log(`- ${model}`);
     });
-    return models.data;
+    return models;
   } catch (error) {
-    console.error("Groq connection test failed:", error.message);
+    console.error(`${provider.name} connection test failed:`, error.message);
     return [];
   }
 };
@@ -173,52 +239,9 @@ const testElevenLabsConnection = async () => {
 };
 
 // Test connections on startup
-testGroqConnection();
+testLLMConnection();
 testElevenLabsConnection();
 
-// Enhanced token verification middleware with better error messages
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  console.log("Authorization header:", authHeader);
-
-  if (!authHeader) {
-    console.log("No authorization header provided");
-    return res.status(401).json({ error: "No authorization header provided" });
-  }
-
-  const token = authHeader.split(" ")[1];
-  console.log(
-    "Extracted token:",
-    token ? `${token.substring(0, 20)}...` : "null"
-  );
-
-  if (!token) {
-    console.log("No token provided in authorization header");
-    return res.status(401).json({ error: "No token provided" });
-  }
-
-  try {
-    const jwtSecret = process.env.JWT_SECRET || "your-secret-key";
-    console.log("Using JWT secret:", jwtSecret ? "Set" : "Not set");
-
-    const decoded = jwt.verify(token, jwtSecret);
-    console.log("Token decoded successfully:", decoded);
-
-    req.user = decoded;
-    next();
-  } catch (error) {
-    console.error("Token verification failed:", error.message);
-
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({ error: "Token expired" });
-    } else if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({ error: "Invalid token format" });
-    } else {
-      return res.status(401).json({ error: "Invalid token" });
-    }
-  }
-};
-
 // Test route
 app.get("/api/test", async (req, res) => {
   try {
@@ -232,6 +255,7 @@ app.get("/api/test", async (req, res) => {
       time: new Date().toISOString(),
       database_status: dbStatus,
       database_name: mongoose.connection.name || "Not connected",
+      llm_provider: getLLMProvider().name,
       groq_status: "Connected",
       elevenlabs_status: "Connected",
     });
@@ -241,13 +265,15 @@ app.get("/api/test", async (req, res) => {
       message: "Backend running (DB offline)",
       time: new Date().toISOString(),
       database_status: "Error",
+      llm_provider: getLLMProvider().name,
       groq_status: "Connected",
       elevenlabs_status: "Connected",
     });
   }
 });
 
-// Function to generate podcast-style script using Groq
+// Write a podcast-style script using the configured LLM. Resolves with
+// { script, model }; model is null when a fallback script had to be used.
 const generatePodcastScript = async (topicTitle, content) => {
   try {
     const prompt = `Create an engaging podcast-style script for the topic "${topicTitle}". Transform the following educational content into a conversational, engaging audio experience:
@@ -270,44 +296,32 @@ Format the script as natural speech, not bullet points. Make it sound like a kno
 
 Return only the podcast script, no additional formatting or labels.`;
 
-    const modelsToTry = [
-      "llama-3.1-8b-instant",
-      "llama3-8b-8192",
-      "mixtral-8x7b-32768",
-    ];
-
-    for (const model of modelsToTry) {
-      try {
-        const completion = await groq.chat.completions.create({
-          messages: [
-            {
-              role: "system",
-              content:
-                "You are a professional podcast host and educational content creator. You excel at making complex topics engaging and accessible through conversational storytelling.",
-            },
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-          model: model,
-          temperature: 0.8, // Higher temperature for more creative, conversational output
-          max_tokens: 1500,
-        });
-
-        const script = completion.choices[0]?.message?.content;
-        if (script && script.trim()) {
-          console.log(`Podcast script generated successfully using ${model}`);
-          return script.trim();
-        }
-      } catch (error) {
-        console.error(`Error with model ${model}:`, error.message);
-        continue;
+    const result = await completeWithFallback(
+      [
+        {
+          role: "system",
+          content:
+            "You are a professional podcast host and educational content creator. You excel at making complex topics engaging and accessible through conversational storytelling.",
+        },
+        {
+          role: "user",
+          content: prompt,
+        },
+      ],
+      {
+        task: "script",
+        temperature: 0.8, // Higher temperature for more creative, conversational output
+        max_tokens: 1500,
       }
+    );
+
+    if (result) {
+      console.log(`Podcast script generated successfully using ${result.model}`);
+      return { script: result.text.trim(), model: result.model };
     }
 
     // Fallback script if AI generation fails
-    return `Welcome to your learning journey with ${topicTitle}! 
+    const script = `Welcome to your learning journey with ${topicTitle}! 
 
 Let me take you through this fascinating topic in a way that's both engaging and easy to understand. 
 
@@ -318,102 +332,171 @@ What makes this particularly interesting is how it connects to so many aspects o
 Here's the key takeaway: every expert was once a beginner, and every complex topic becomes simple when broken down into digestible pieces. 
 
 So take your time with this material, ask questions, and remember that learning is a journey, not a destination. You've got this!`;
+    return { script, model: null };
   } catch (error) {
     console.error("Error generating podcast script:", error);
     // Return a basic fallback
-    return `Welcome to your learning session on ${topicTitle}. ${content} Thank you for learning with us today!`;
+    return {
+      script: `Welcome to your learning session on ${topicTitle}. ${content} Thank you for learning with us today!`,
+      model: null,
+    };
   }
 };
 
-// ElevenLabs Text-to-Speech API with Podcast Enhancement
-app.post("/api/audio/generate", verifyToken, async (req, res) => {
-  try {
-    const {
-      text,
-      voice_id = "21m00Tcm4TlvDq8ikWAM",
-      topic_title = "Learning Topic",
-    } = req.body;
+// ElevenLabs Text-to-Speech API with Podcast Enhancement. Sending
+// mindmap_id and node_id narrates that node and keeps the script and audio,
+// so asking again before the node changes returns the stored podcast.
+app.post(
+  "/api/audio/generate",
+  verifyToken,
+  enforceQuota("audio"),
+  async (req, res) => {
+    try {
+      const {
+        text,
+        voice_id = DEFAULT_PODCAST_VOICE_ID,
+        topic_title = "Learning Topic",
+        mindmap_id,
+        node_id,
+      } = req.body;
+
+      // The mind map node being narrated, if any
+      let mindMapId = null;
+      let node = null;
+      if (mindmap_id && node_id) {
+        const found = await findViewableMindMap(mindmap_id, req.user.uid);
+        node = (found?.mindMap.mindmap_data?.nodes || []).find(
+          (candidate) => candidate.id === node_id
+        );
+        if (!node) {
+          return res.status(404).json({ error: "Mind map node not found" });
+        }
+        mindMapId = found.mindMap._id;
+
+        const stored = await findStoredPodcast(mindMapId, node, voice_id);
+        if (stored) {
+          console.log(`Serving stored podcast for node ${node_id}`);
+          await releaseQuota(req);
+          return sendAudio(req, res, stored.audio, {
+            "Cache-Control": "private, max-age=86400",
+            "X-Podcast-Script-Length": stored.script.length.toString(),
+            "X-Podcast-Cache": "hit",
+          });
+        }
+      }
 
-    if (!text || !text.trim()) {
-      return res
-        .status(400)
-        .json({ error: "Text is required for audio generation" });
-    }
+      const content = node ? node.content : text;
+      const title = node ? node.label : topic_title;
 
-    console.log("Generating podcast-style audio for:", topic_title);
+      if (!content || !content.trim()) {
+        return res
+          .status(400)
+          .json({ error: "Text is required for audio generation" });
+      }
 
-    // Step 1: Generate podcast script using Groq
-    console.log("Creating podcast script...");
-    const podcastScript = await generatePodcastScript(topic_title, text);
+      console.log("Generating podcast-style audio for:", title);
+
+      // Step 1: Generate podcast script using the LLM provider, unless one
+      // was already written for this content in another voice
+      const storedScript = node
+        ? await findStoredScript(mindMapId, node)
+        : null;
+      let podcastScript;
+      let scriptModel;
+      if (storedScript) {
+        console.log("Reusing stored podcast script...");
+        podcastScript = storedScript.script;
+        scriptModel = storedScript.script_model;
+      } else {
+        console.log("Creating podcast script...");
+        ({ script: podcastScript, model: scriptModel } =
+          await generatePodcastScript(title, content));
+      }
 
-    console.log("Podcast script generated, length:", podcastScript.length);
+      console.log("Podcast script generated, length:", podcastScript.length);
 
-    // Step 2: Generate audio using ElevenLabs with podcast-optimized settings
-    console.log("Converting script to audio...");
+      // Step 2: Generate audio using ElevenLabs with podcast-optimized settings
+      console.log("Converting script to audio...");
 
-    const response = await fetch(
-      `${ELEVENLABS_BASE_URL}/text-to-speech/${voice_id}`,
-      {
-        method: "POST",
-        headers: {
-          Accept: "audio/mpeg",
-          "Content-Type": "application/json",
-          "xi-api-key": ELEVENLABS_API_KEY,
-        },
-        body: JSON.stringify({
-          text: podcastScript,
-          model_id: "eleven_monolingual_v1",
-          voice_settings: {
-            stability: 0.6, // Slightly higher for consistent podcast voice
-            similarity_boost: 0.8, // Higher for more natural speech
-            style: 0.3, // Add some style for engagement
-            use_speaker_boost: true,
+      const response = await fetch(
+        `${ELEVENLABS_BASE_URL}/text-to-speech/${voice_id}`,
+        {
+          method: "POST",
+          headers: {
+            Accept: "audio/mpeg",
+            "Content-Type": "application/json",
+            "xi-api-key": ELEVENLABS_API_KEY,
           },
-          pronunciation_dictionary_locators: [],
-          seed: null,
-          previous_text: null,
-          next_text: null,
-          previous_request_ids: [],
-          response_format: "mp3_44100_128", // Higher quality for podcast
-        }),
-      }
-    );
+          body: JSON.stringify({
+            text: podcastScript,
+            model_id: "eleven_monolingual_v1",
+            voice_settings: {
+              stability: 0.6, // Slightly higher for consistent podcast voice
+              similarity_boost: 0.8, // Higher for more natural speech
+              style: 0.3, // Add some style for engagement
+              use_speaker_boost: true,
+            },
+            pronunciation_dictionary_locators: [],
+            seed: null,
+            previous_text: null,
+            next_text: null,
+            previous_request_ids: [],
+            response_format: "mp3_44100_128", // Higher quality for podcast
+          }),
+        }
+      );
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("ElevenLabs API error:", response.status, errorText);
-      return res.status(response.status).json({
-        error: "Failed to generate podcast audio",
-        details: errorText,
-      });
-    }
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error("ElevenLabs API error:", response.status, errorText);
+        if (response.status === 429) {
+          return sendUpstreamRateLimited(res, {
+            headers: { "retry-after": response.headers.get("retry-after") },
+          });
+        }
+        return res.status(response.status).json({
+          error: "Failed to generate podcast audio",
+          details: errorText,
+        });
+      }
 
-    // Get the audio buffer
-    const audioBuffer = await response.buffer();
+      // Get the audio buffer
+      const audioBuffer = await response.buffer();
 
-    console.log(
-      "Podcast audio generated successfully, size:",
-      audioBuffer.length,
-      "bytes"
-    );
+      console.log(
+        "Podcast audio generated successfully, size:",
+        audioBuffer.length,
+        "bytes"
+      );
 
-    // Set appropriate headers for audio response
-    res.setHeader("Content-Type", "audio/mpeg");
-    res.setHeader("Content-Length", audioBuffer.length);
-    res.setHeader("Cache-Control", "public, max-age=86400"); // Cache for 24 hours
-    res.setHeader("Accept-Ranges", "bytes");
-    res.setHeader("X-Podcast-Script-Length", podcastScript.length.toString());
+      // Keep podcasts of mind map nodes, unless the script is the generic
+      // fallback, which is worth replacing with a real one next time
+      if (node && scriptModel) {
+        await storePodcast({
+          mindMapId,
+          node,
+          voiceId: voice_id,
+          script: podcastScript,
+          model: scriptModel,
+          audio: audioBuffer,
+        });
+      }
 
-    // Send the audio buffer
-    res.send(audioBuffer);
-  } catch (error) {
-    console.error("Error generating podcast audio:", error);
-    res.status(500).json({
-      error: "Failed to generate podcast audio",
-      details: error.message,
-    });
+      // Send the audio buffer, or the part of it the request asked for
+      sendAudio(req, res, audioBuffer, {
+        "Cache-Control": "private, max-age=86400", // Cache for 24 hours
+        "X-Podcast-Script-Length": podcastScript.length.toString(),
+        "X-Podcast-Cache": "miss",
+      });
+    } catch (error) {
+      console.error("Error generating podcast audio:", error);
+      res.status(500).json({
+        error: "Failed to generate podcast audio",
+        details: error.message,
+      });
+    }
   }
-});
+);
 
 // Get available ElevenLabs voices with podcast recommendations
 app.get("/api/audio/voices", verifyToken, async (req, res) => {
@@ -480,601 +563,442 @@ app.get("/api/audio/voices", verifyToken, async (req, res) => {
   }
 });
 
-// Authentication route - verify Google token and create session
-app.post("/api/auth/google", async (req, res) => {
-  try {
-    const { idToken, user } = req.body;
-
-    // For now, we'll trust the frontend verification
-    // In production, you should verify the idToken with Firebase Admin SDK
+// Google sign-in, token validation and the user's profile
+app.use("/api", authRoutes);
 
+// Mind Map Generation API using the configured LLM provider
+app.post(
+  "/api/mindmap/generate",
+  verifyToken,
+  enforceQuota("mindmap"),
+  async (req, res) => {
     try {
-      // Check if user exists in database
-      let dbUser = await User.findOne({ firebase_uid: user.uid });
-
-      if (!dbUser) {
-        // Create new user
-        dbUser = new User({
-          firebase_uid: user.uid,
-          email: user.email,
-          display_name: user.displayName,
-          photo_url: user.photoURL,
-        });
-        await dbUser.save();
-        console.log("New user created:", user.email);
-      } else {
-        // Update existing user
-        dbUser.display_name = user.displayName;
-        dbUser.photo_url = user.photoURL;
-        dbUser.updated_at = new Date();
-        await dbUser.save();
-        console.log("User updated:", user.email);
+      const {
+        subjectName,
+        syllabus,
+        sourceDocument,
+        generationMode = "auto",
+      } = req.body;
+
+      if (!subjectName || !syllabus) {
+        return res
+          .status(400)
+          .json({ error: "Subject name and syllabus are required" });
       }
-    } catch (dbError) {
-      console.log(
-        "Database not available, continuing without user storage:",
-        dbError.message
+
+      console.log("Generating mind map for:", subjectName);
+      console.log(`Using ${getLLMProvider().name} LLM provider...`);
+
+      const { mindMap: mindMapData, fixes } = await generateMindMap(
+        subjectName,
+        syllabus,
+        { mode: generationMode }
       );
-    }
 
-    // Create JWT token
-    const jwtToken = jwt.sign(
-      {
-        uid: user.uid,
-        email: user.email,
-        displayName: user.displayName,
-      },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "7d" }
-    );
+      // Store in MongoDB
+      let mindMapId;
+      try {
+        const newMindMap = new MindMap({
+          user_uid: req.user.uid,
+          subject_name: subjectName,
+          syllabus: syllabus,
+          mindmap_data: mindMapData,
+          source_document: toSourceDocument(sourceDocument),
+        });
 
-    res.json({
-      success: true,
-      token: jwtToken,
-      user: {
-        uid: user.uid,
-        email: user.email,
-        displayName: user.displayName,
-        photoURL: user.photoURL,
-      },
-    });
-  } catch (error) {
-    console.error("Authentication error:", error);
-    res.status(500).json({ error: "Authentication failed" });
-  }
-});
+        const savedMindMap = await newMindMap.save();
+        mindMapId = savedMindMap._id.toString();
+        console.log("Mind map saved to MongoDB with ID:", mindMapId);
+      } catch (dbError) {
+        console.log(
+          "Database not available, using temporary ID:",
+          dbError.message
+        );
+        mindMapId = Date.now(); // Temporary ID
+      }
 
-// Token validation endpoint
-app.get("/api/auth/validate", verifyToken, (req, res) => {
-  res.json({
-    success: true,
-    user: req.user,
-    message: "Token is valid",
-  });
-});
+      mindMapData.id = mindMapId;
 
-// Get user profile
-app.get("/api/user/profile", verifyToken, async (req, res) => {
-  try {
-    const user = await User.findOne({ firebase_uid: req.user.uid });
+      res.json({
+        success: true,
+        mindMap: mindMapData,
+        repairs: fixes,
+      });
+    } catch (error) {
+      console.error("Error generating mind map:", error);
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
+      // If everything fails, provide a fallback
+      const fallbackMindMap = createFallbackMindMap(
+        req.body.subjectName,
+        req.body.syllabus
+      );
+      fallbackMindMap.id = Date.now();
+      await releaseQuota(req);
 
-    res.json({ user: user });
-  } catch (error) {
-    console.error("Error fetching user profile:", error);
-    res.status(500).json({ error: "Failed to fetch user profile" });
+      res.json({
+        success: true,
+        mindMap: fallbackMindMap,
+        note: "Generated using fallback method due to API limitations",
+      });
+    }
   }
-});
+);
 
-// Logout route
-app.post("/api/auth/logout", verifyToken, (req, res) => {
-  res.json({ success: true, message: "Logged out successfully" });
-});
+// System prompt for the study assistant chat, grounded in any passages
+// retrieved from the student's mind map
+const buildChatSystemPrompt = (context, subject, passages = []) => `You are an expert educational AI assistant specializing in helping students learn and understand complex topics. You provide clear, accurate, and engaging explanations tailored to the student's learning level.
 
-// Mind Map Generation API with Groq - Updated with current models
-app.post("/api/mindmap/generate", verifyToken, async (req, res) => {
-  try {
-    const { subjectName, syllabus } = req.body;
+Guidelines:
+1. Always provide educational, accurate, and helpful responses
+2. Break down complex concepts into understandable parts
+3. Use examples and analogies when helpful
+4. Encourage critical thinking and deeper understanding
+5. Be supportive and encouraging in your tone
+6. If you're unsure about something, acknowledge it honestly
+7. Provide practical learning tips when relevant
+8. Keep responses focused and concise (200-400 words)
 
-    if (!subjectName || !syllabus) {
-      return res
-        .status(400)
-        .json({ error: "Subject name and syllabus are required" });
-    }
+Current learning context:
+${context ? `Topic: ${context}` : "General learning assistance"}
+${subject ? `Subject: ${subject}` : ""}
 
-    console.log("Generating mind map for:", subjectName);
-    console.log("Using Groq API with updated models...");
+${passages.length > 0 ? `\n${buildGroundingPrompt(passages)}\n` : ""}
+Please provide a helpful, educational response to the student's question.`;
 
-    // Create a structured prompt for Groq
-    const prompt = `Create a detailed educational mind map structure for the subject "${subjectName}" based on the following syllabus content:
+// Reply used when no model could answer a chat message
+const createFallbackChatResponse = (message) => `I understand you're asking about "${message}". While I'm having trouble connecting to the AI service right now, I'd recommend breaking down this topic into smaller parts and exploring each concept step by step. 
 
-${syllabus}
+Here are some general learning strategies:
+• Start with the basic definitions and concepts
+• Look for real-world examples and applications
+• Practice with exercises or problems
+• Connect new information to what you already know
+• Ask specific questions about areas you find confusing
 
-Please return a JSON structure with the following exact format:
-{
-  "title": "${subjectName}",
-  "nodes": [
-    {
-      "id": "root",
-      "label": "${subjectName}",
-      "type": "root",
-      "level": 0,
-      "position": { "x": 400, "y": 300 },
-      "content": "Comprehensive overview of ${subjectName}...",
-      "children": ["topic1", "topic2", "topic3"]
-    },
-    {
-      "id": "topic1", 
-      "label": "Main Topic 1",
-      "type": "topic",
-      "level": 1,
-      "position": { "x": 200, "y": 150 },
-      "content": "Detailed explanation of this topic...",
-      "parent": "root",
-      "children": ["subtopic1_1", "subtopic1_2"]
-    },
-    {
-      "id": "subtopic1_1",
-      "label": "Subtopic 1.1",
-      "type": "subtopic", 
-      "level": 2,
-      "position": { "x": 100, "y": 100 },
-      "content": "In-depth content about this subtopic...",
-      "parent": "topic1",
-      "children": []
-    }
-  ],
-  "edges": [
-    {
-      "id": "edge_root_topic1",
-      "source": "root",
-      "target": "topic1",
-      "type": "default"
-    }
-  ]
-}
+Feel free to ask more specific questions, and I'll do my best to help you learn!`;
 
-Important guidelines:
-1. Create a hierarchical structure with 1 root, 4-6 main topics, and 2-3 subtopics per main topic
-2. Each node must have detailed educational content (100-200 words)
-3. Position nodes in a radial layout around the center (root at 400,300)
-4. Main topics should be positioned around the root in a circle pattern
-5. Subtopics should be positioned near their parent topics
-6. Focus only on topics explicitly mentioned in the syllabus
-7. Make content educational, comprehensive, and suitable for learning
-8. Use clear, academic language appropriate for the subject level
-9. Include practical examples and key concepts in the content
-10. Ensure all IDs are unique and follow the naming pattern
+// Build the messages for a chat request, including the recent turns of the
+// node's saved conversation when there is one
+const buildChatMessages = (systemPrompt, message, thread) => [
+  {
+    role: "system",
+    content: systemPrompt,
+  },
+  ...(thread ? selectHistoryWindow(thread.messages) : []),
+  {
+    role: "user",
+    content: message,
+  },
+];
+
+// Load the saved conversation and the grounding passages for a chat
+// message. Chats outside a mind map get neither; returns null when the
+// mind map does not belong to the user.
+const prepareChatContext = async (userUid, message, mindMapId, nodeId) => {
+  if (!mindMapId || !nodeId) {
+    return { thread: null, passages: [] };
+  }
 
-Return ONLY valid JSON, no additional text or formatting.`;
+  const chatContext = await loadChatContext(userUid, mindMapId, nodeId);
+  if (!chatContext) return null;
 
-    // Try multiple models in order of preference
-    const modelsToTry = [
-      "llama-3.1-8b-instant",
-      "llama3-8b-8192",
-      "llama3-70b-8192",
-      "mixtral-8x7b-32768",
-      "gemma-7b-it",
-    ];
+  return {
+    thread: chatContext.thread,
+    passages: retrievePassages(chatContext.mindMap, message, nodeId),
+  };
+};
 
-    let mindMapData = null;
-    let lastError = null;
+// Save an exchange to the node's thread, if there is one. A reply the model
+// already wrote is still sent when this fails, so the failure is only logged.
+const saveExchange = async (thread, message, reply) => {
+  if (!thread) return;
+  try {
+    await appendExchange(thread, message, reply);
+  } catch (error) {
+    console.error("Error saving chat thread:", error);
+  }
+};
 
-    for (const model of modelsToTry) {
-      try {
-        console.log(`Trying model: ${model}`);
-
-        // Call Groq API with current model
-        const completion = await groq.chat.completions.create({
-          messages: [
-            {
-              role: "system",
-              content:
-                "You are an expert educational content creator who specializes in creating structured learning materials and mind maps. You always respond with valid JSON only, no additional text.",
-            },
-            {
-              role: "user",
-              content: prompt,
-            },
-          ],
-          model: model,
-          temperature: 0.3,
-          max_tokens: 4000,
-        });
+// Chat with the configured LLM provider. Sending mindmap_id and node_id
+// continues (and saves to) that node's conversation thread and grounds the
+// answer in the mind map's content; cited_node_ids lists the nodes it cited.
+app.post(
+  "/api/chat/groq",
+  verifyToken,
+  enforceQuota("chat"),
+  async (req, res) => {
+    try {
+      const { message, context, subject, mindmap_id, node_id } = req.body;
 
-        const responseText = completion.choices[0]?.message?.content || "";
-        console.log(`${model} response received, length:`, responseText.length);
-
-        // Clean the response to extract JSON
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          mindMapData = JSON.parse(jsonMatch[0]);
-          console.log(`Successfully parsed mind map data using ${model}`);
-          break; // Success! Exit the loop
-        } else {
-          throw new Error("No valid JSON found in response");
-        }
-      } catch (modelError) {
-        console.error(`Error with model ${model}:`, modelError.message);
-        lastError = modelError;
-        continue; // Try next model
+      if (!message || !message.trim()) {
+        return res.status(400).json({ error: "Message is required" });
       }
-    }
 
-    // If all models failed, use fallback
-    if (!mindMapData) {
-      console.log("All Groq models failed, using fallback mind map");
-      mindMapData = createFallbackMindMap(subjectName, syllabus);
-    }
+      console.log("Chat request:", { message, context, subject });
 
-    // Validate and enhance the mind map structure
-    mindMapData = validateAndEnhanceMindMap(mindMapData, subjectName);
+      const chatContext = await prepareChatContext(
+        req.user.uid,
+        message,
+        mindmap_id,
+        node_id
+      );
+      if (!chatContext) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+      const { thread, passages } = chatContext;
 
-    // Store in MongoDB
-    let mindMapId;
-    try {
-      const newMindMap = new MindMap({
-        user_uid: req.user.uid,
-        subject_name: subjectName,
-        syllabus: syllabus,
-        mindmap_data: mindMapData,
-      });
+      // Create a comprehensive prompt for educational assistance
+      const systemPrompt = buildChatSystemPrompt(context, subject, passages);
 
-      const savedMindMap = await newMindMap.save();
-      mindMapId = savedMindMap._id.toString();
-      console.log("Mind map saved to MongoDB with ID:", mindMapId);
-    } catch (dbError) {
-      console.log(
-        "Database not available, using temporary ID:",
-        dbError.message
+      // Try each configured chat model in turn
+      let lastError = null;
+      const result = await completeWithFallback(
+        buildChatMessages(systemPrompt, message, thread),
+        {
+          task: "chat",
+          temperature: 0.7,
+          max_tokens: 1000,
+          onError: (error) => {
+            lastError = error;
+          },
+        }
       );
-      mindMapId = Date.now(); // Temporary ID
-    }
 
-    mindMapData.id = mindMapId;
-
-    res.json({
-      success: true,
-      mindMap: mindMapData,
-    });
-  } catch (error) {
-    console.error("Error generating mind map:", error);
+      // Every model was refused because the app is over its provider limit
+      if (!result && lastError?.status === 429) {
+        return sendUpstreamRateLimited(res, lastError);
+      }
 
-    // If everything fails, provide a fallback
-    const fallbackMindMap = createFallbackMindMap(
-      req.body.subjectName,
-      req.body.syllabus
-    );
-    fallbackMindMap.id = Date.now();
+      let response = null;
+      if (result) {
+        console.log(
+          `Chat response generated successfully using ${result.model}`
+        );
+        response = result.text;
+      }
 
-    res.json({
-      success: true,
-      mindMap: fallbackMindMap,
-      note: "Generated using fallback method due to API limitations",
-    });
-  }
-});
+      // Fallback response if all models fail
+      if (!response) {
+        response = createFallbackChatResponse(message);
+        await releaseQuota(req);
+      }
 
-// Helper function to create fallback mind map
-function createFallbackMindMap(subjectName, syllabus) {
-  const topics = syllabus
-    .split("\n")
-    .filter((line) => line.trim())
-    .slice(0, 6);
-
-  // If no topics from syllabus, create default ones
-  if (topics.length === 0) {
-    topics.push(
-      `Introduction to ${subjectName}`,
-      `Fundamentals of ${subjectName}`,
-      `Core Concepts`,
-      `Advanced Topics`,
-      `Applications`,
-      `Future Trends`
-    );
-  }
+      const citedNodeIds = extractCitedNodeIds(response, passages);
 
-  const nodes = [
-    {
-      id: "root",
-      label: subjectName,
-      type: "root",
-      level: 0,
-      position: { x: 400, y: 300 },
-      content: `Welcome to ${subjectName}! This comprehensive mind map will guide you through all the essential concepts and help you master this subject step by step. Each topic has been carefully structured to build upon previous knowledge and provide a complete learning experience.
-
-Key learning areas covered:
-• Fundamental concepts and principles
-• Practical applications and examples
-• Advanced techniques and methodologies
-• Real-world case studies and scenarios
-• Current trends and future developments
-
-Use the interactive features to explore each topic in depth and track your learning progress.`,
-      children: [],
-    },
-  ];
-
-  const edges = [];
-
-  topics.forEach((topic, index) => {
-    const nodeId = `topic_${index + 1}`;
-    const angle = (index * 2 * Math.PI) / topics.length;
-    const radius = 200;
-    const x = 400 + radius * Math.cos(angle);
-    const y = 300 + radius * Math.sin(angle);
-
-    nodes[0].children.push(nodeId);
-
-    nodes.push({
-      id: nodeId,
-      label: topic.trim() || `Topic ${index + 1}`,
-      type: "topic",
-      level: 1,
-      position: { x: Math.round(x), y: Math.round(y) },
-      content: `This section covers ${
-        topic.trim() || `Topic ${index + 1}`
-      } in comprehensive detail. Here you'll learn the fundamental concepts, practical applications, and key principles that form the foundation of this important area of study.
-
-Key learning objectives:
-• Understand the core concepts and terminology
-• Apply theoretical knowledge to practical scenarios  
-• Analyze real-world examples and case studies
-• Develop critical thinking skills in this domain
-• Connect this topic to broader subject themes
-
-Learning approach:
-- Start with basic definitions and concepts
-- Progress through practical examples
-- Practice with interactive exercises
-- Test understanding with assessments
-- Apply knowledge to real-world scenarios
-
-Take your time to explore each concept thoroughly and use the AI assistant to ask questions and clarify any doubts you may have.`,
-      parent: "root",
-      children: [],
-    });
+      await saveExchange(thread, message, {
+        content: response,
+        model: result ? result.model : null,
+        cited_node_ids: citedNodeIds,
+      });
 
-    edges.push({
-      id: `edge_root_${nodeId}`,
-      source: "root",
-      target: nodeId,
-      type: "default",
-    });
+      res.json({
+        success: true,
+        response: response,
+        cited_node_ids: citedNodeIds,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error("Error in LLM chat:", error);
 
-    // Add some subtopics for variety
-    if (index < 3) {
-      const subtopics = ["Basics", "Advanced", "Practice"];
-      subtopics.forEach((subtopic, subIndex) => {
-        const subNodeId = `${nodeId}_sub_${subIndex}`;
-        const subAngle = angle + (subIndex - 1) * 0.3;
-        const subRadius = 120;
-        const subX = x + subRadius * Math.cos(subAngle);
-        const subY = y + subRadius * Math.sin(subAngle);
-
-        nodes.push({
-          id: subNodeId,
-          label: `${subtopic}`,
-          type: "subtopic",
-          level: 2,
-          position: { x: Math.round(subX), y: Math.round(subY) },
-          content: `This subtopic focuses on ${subtopic.toLowerCase()} aspects of ${
-            topic.trim() || `Topic ${index + 1}`
-          }. 
-
-Detailed content about ${subtopic.toLowerCase()}:
-• In-depth explanation of concepts
-• Step-by-step learning approach
-• Practical exercises and examples
-• Assessment opportunities
-• Real-world applications
-
-Learning resources:
-- Interactive demonstrations
-- Practice problems
-- Case studies
-- Video explanations
-- Additional reading materials
-
-Use the AI chat feature to ask specific questions about this subtopic and get personalized explanations tailored to your learning needs.`,
-          parent: nodeId,
-          children: [],
-        });
+      // Handle specific provider API errors
+      if (error.status === 429) {
+        return sendUpstreamRateLimited(res, error);
+      }
 
-        edges.push({
-          id: `edge_${nodeId}_${subNodeId}`,
-          source: nodeId,
-          target: subNodeId,
-          type: "default",
+      if (error.status === 401) {
+        return res.status(500).json({
+          error: "AI service configuration error. Please contact support.",
+          details: "Authentication failed",
         });
+      }
 
-        // Update parent's children array
-        const parentNode = nodes.find((n) => n.id === nodeId);
-        if (parentNode) {
-          parentNode.children.push(subNodeId);
-        }
+      // Provide fallback response
+      const userMessage = req.body.message;
+      await releaseQuota(req);
+      res.json({
+        success: true,
+        response: `I understand you're asking about "${userMessage}". While I'm having trouble connecting to the AI service right now, I'd recommend breaking down this topic into smaller parts and exploring each concept step by step. Feel free to ask more specific questions, and I'll do my best to help you learn!`,
+        timestamp: new Date().toISOString(),
+        note: "Fallback response due to service limitations",
       });
     }
-  });
-
-  return {
-    title: subjectName,
-    nodes: nodes,
-    edges: edges,
-  };
-}
-
-// Helper function to validate and enhance mind map structure
-function validateAndEnhanceMindMap(mindMapData, subjectName) {
-  if (!mindMapData || !mindMapData.nodes || !Array.isArray(mindMapData.nodes)) {
-    return createFallbackMindMap(
-      subjectName,
-      "General topics for " + subjectName
-    );
   }
+);
 
-  // Ensure all nodes have required properties
-  mindMapData.nodes = mindMapData.nodes.map((node) => ({
-    id: node.id || `node_${Date.now()}_${Math.random()}`,
-    label: node.label || "Untitled Topic",
-    type: node.type || "topic",
-    level: node.level || 1,
-    position: node.position || { x: 400, y: 300 },
-    content:
-      node.content ||
-      `Learn about ${
-        node.label || "this topic"
-      } and its key concepts. This section provides comprehensive coverage of the fundamental principles and practical applications.`,
-    parent: node.parent || null,
-    children: node.children || [],
-  }));
-
-  // Ensure edges exist
-  if (!mindMapData.edges || !Array.isArray(mindMapData.edges)) {
-    mindMapData.edges = [];
-  }
-
-  return mindMapData;
-}
-
-// Chat with Groq API - Updated with current models
-app.post("/api/chat/groq", verifyToken, async (req, res) => {
-  try {
-    const { message, context, subject } = req.body;
+// Streaming variant of the chat endpoint using Server-Sent Events. Events:
+//   start     { model }                     a model has started answering
+//   token     { text }                      next piece of the reply
+//   fallback  { failed_model, next_model }  discard the partial reply so far
+//   done      { response, model, cited_node_ids, timestamp, note? }
+// Closing the connection cancels the completion. Like the endpoint above, it
+// answers 503 instead when every model is refused for the app's provider rate
+// limit; the stream only opens once the first token arrives to allow that.
+app.post(
+  "/api/chat/groq/stream",
+  verifyToken,
+  enforceQuota("chat"),
+  async (req, res) => {
+    const { message, context, subject, mindmap_id, node_id } = req.body;
 
     if (!message || !message.trim()) {
       return res.status(400).json({ error: "Message is required" });
     }
 
-    console.log("Chat request:", { message, context, subject });
-
-    // Create a comprehensive prompt for educational assistance
-    const systemPrompt = `You are an expert educational AI assistant specializing in helping students learn and understand complex topics. You provide clear, accurate, and engaging explanations tailored to the student's learning level.
+    console.log("Streaming chat request:", { message, context, subject });
 
-Guidelines:
-1. Always provide educational, accurate, and helpful responses
-2. Break down complex concepts into understandable parts
-3. Use examples and analogies when helpful
-4. Encourage critical thinking and deeper understanding
-5. Be supportive and encouraging in your tone
-6. If you're unsure about something, acknowledge it honestly
-7. Provide practical learning tips when relevant
-8. Keep responses focused and concise (200-400 words)
-
-Current learning context:
-${context ? `Topic: ${context}` : "General learning assistance"}
-${subject ? `Subject: ${subject}` : ""}
-
-Please provide a helpful, educational response to the student's question.`;
+    let chatContext;
+    try {
+      chatContext = await prepareChatContext(
+        req.user.uid,
+        message,
+        mindmap_id,
+        node_id
+      );
+    } catch (error) {
+      console.error("Error loading chat thread:", error);
+      return res.status(500).json({ error: "Failed to load conversation" });
+    }
+    if (!chatContext) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+    const { thread, passages } = chatContext;
+
+    // Model start and fallback events wait here until the stream opens
+    const pendingEvents = [];
+    const writeEvent = (event, data) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const sendEvent = (event, data) => {
+      if (res.writableEnded) return;
+      if (!res.headersSent && (event === "start" || event === "fallback")) {
+        pendingEvents.push([event, data]);
+        return;
+      }
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache, no-transform",
+          Connection: "keep-alive",
+          "X-Accel-Buffering": "no", // Stop proxies from buffering the stream
+        });
+        pendingEvents.splice(0).forEach((pending) => writeEvent(...pending));
+      }
+      writeEvent(event, data);
+    };
 
-    // Try multiple models for chat
-    const chatModelsToTry = [
-      "llama-3.1-8b-instant",
-      "llama3-8b-8192",
-      "mixtral-8x7b-32768",
-      "gemma-7b-it",
-    ];
+    const controller = new AbortController();
+    res.on("close", () => {
+      if (!res.writableEnded) controller.abort();
+    });
 
-    let response = null;
+    // The reply so far, kept so a cancelled reply can still be saved
+    let partialReply = "";
     let lastError = null;
 
-    for (const model of chatModelsToTry) {
-      try {
-        console.log(`Trying chat model: ${model}`);
-
-        // Call Groq API
-        const completion = await groq.chat.completions.create({
-          messages: [
-            {
-              role: "system",
-              content: systemPrompt,
-            },
-            {
-              role: "user",
-              content: message,
-            },
-          ],
-          model: model,
+    try {
+      const result = await streamWithFallback(
+        buildChatMessages(
+          buildChatSystemPrompt(context, subject, passages),
+          message,
+          thread
+        ),
+        {
+          task: "chat",
           temperature: 0.7,
           max_tokens: 1000,
-        });
-
-        response = completion.choices[0]?.message?.content;
-        if (response) {
-          console.log(`Chat response generated successfully using ${model}`);
-          break;
+          signal: controller.signal,
+          onStart: (model) => sendEvent("start", { model }),
+          onToken: (text) => {
+            partialReply += text;
+            sendEvent("token", { text });
+          },
+          onFallback: ({ model, nextModel, error }) => {
+            partialReply = "";
+            lastError = error;
+            sendEvent("fallback", {
+              failed_model: model,
+              next_model: nextModel,
+            });
+          },
         }
-      } catch (modelError) {
-        console.error(`Error with chat model ${model}:`, modelError.message);
-        lastError = modelError;
-        continue;
-      }
-    }
-
-    // Fallback response if all models fail
-    if (!response) {
-      response = `I understand you're asking about "${message}". While I'm having trouble connecting to the AI service right now, I'd recommend breaking down this topic into smaller parts and exploring each concept step by step. 
-
-Here are some general learning strategies:
-• Start with the basic definitions and concepts
-• Look for real-world examples and applications
-• Practice with exercises or problems
-• Connect new information to what you already know
-• Ask specific questions about areas you find confusing
-
-Feel free to ask more specific questions, and I'll do my best to help you learn!`;
-    }
+      );
 
-    res.json({
-      success: true,
-      response: response,
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("Error in Groq chat:", error);
+      if (controller.signal.aborted) {
+        await saveExchange(thread, message, {
+          content: partialReply,
+          stopped: true,
+        });
+        return;
+      }
 
-    // Handle specific Groq API errors
-    if (error.status === 429) {
-      return res.status(429).json({
-        error: "Rate limit exceeded. Please wait a moment before trying again.",
-        details: "Too many requests",
-      });
-    }
+      // Every model was refused because the app is over its provider limit
+      if (!result && lastError?.status === 429 && !res.headersSent) {
+        return sendUpstreamRateLimited(res, lastError);
+      }
 
-    if (error.status === 401) {
-      return res.status(500).json({
-        error: "AI service configuration error. Please contact support.",
-        details: "Authentication failed",
+      if (result) {
+        console.log(
+          `Chat response streamed successfully using ${result.model}`
+        );
+        const citedNodeIds = extractCitedNodeIds(result.text, passages);
+        await saveExchange(thread, message, {
+          content: result.text,
+          model: result.model,
+          cited_node_ids: citedNodeIds,
+        });
+        sendEvent("done", {
+          response: result.text,
+          model: result.model,
+          cited_node_ids: citedNodeIds,
+          timestamp: new Date().toISOString(),
+        });
+      } else {
+        // Every model failed: deliver the fallback reply in one piece
+        const response = createFallbackChatResponse(message);
+        await releaseQuota(req);
+        await saveExchange(thread, message, { content: response });
+        sendEvent("token", { text: response });
+        sendEvent("done", {
+          response,
+          model: null,
+          cited_node_ids: [],
+          timestamp: new Date().toISOString(),
+          note: "Fallback response due to service limitations",
+        });
+      }
+    } catch (error) {
+      console.error("Error in streaming LLM chat:", error);
+      await releaseQuota(req);
+      sendEvent("error", {
+        error: "Failed to generate AI response. Please try again.",
+        details: error.message,
       });
+    } finally {
+      if (!res.writableEnded) res.end();
     }
-
-    // Provide fallback response
-    const userMessage = req.body.message;
-    res.json({
-      success: true,
-      response: `I understand you're asking about "${userMessage}". While I'm having trouble connecting to the AI service right now, I'd recommend breaking down this topic into smaller parts and exploring each concept step by step. Feel free to ask more specific questions, and I'll do my best to help you learn!`,
-      timestamp: new Date().toISOString(),
-      note: "Fallback response due to service limitations",
-    });
   }
-});
+);
+
+// Background mind map generation jobs. Mounted ahead of /api/mindmap/:id so
+// "jobs" is not mistaken for a mind map id.
+app.use("/api", mindMapJobRoutes);
 
 // Get user's mind maps
 app.get("/api/mindmap/list", verifyToken, async (req, res) => {
   try {
     const mindMaps = await MindMap.find({ user_uid: req.user.uid })
-      .select("_id subject_name created_at")
+      .select("_id subject_name created_at forkable forked_from")
       .sort({ created_at: -1 })
       .lean();
+    const forks = await describeForks(mindMaps, req.user.uid);
 
     // Transform MongoDB _id to id for frontend compatibility
     const transformedMindMaps = mindMaps.map((mindMap) => ({
       id: mindMap._id.toString(),
       subject_name: mindMap.subject_name,
       created_at: mindMap.created_at,
+      forkable: !!mindMap.forkable,
+      forked_from: forks.get(mindMap._id.toString()) || null,
     }));
 
     res.json({
@@ -1091,17 +1015,16 @@ app.get("/api/mindmap/list", verifyToken, async (req, res) => {
   }
 });
 
-// Get specific mind map
+// Get specific mind map. People invited to its live session, and members of
+// rooms it is attached to, get it read-only with access "guest".
 app.get("/api/mindmap/:id", verifyToken, async (req, res) => {
   try {
-    const mindMap = await MindMap.findOne({
-      _id: req.params.id,
-      user_uid: req.user.uid,
-    }).lean();
+    const found = await findViewableMindMap(req.params.id, req.user.uid);
 
-    if (!mindMap) {
+    if (!found) {
       return res.status(404).json({ error: "Mind map not found" });
     }
+    const { mindMap, access } = found;
 
     // Transform for frontend compatibility
     const transformedMindMap = {
@@ -1109,7 +1032,17 @@ app.get("/api/mindmap/:id", verifyToken, async (req, res) => {
       user_uid: mindMap.user_uid,
       subject_name: mindMap.subject_name,
       syllabus: mindMap.syllabus,
+      source_filename: mindMap.source_document?.filename || null,
       mindmap_data: mindMap.mindmap_data,
+      access,
+      forkable: !!mindMap.forkable,
+      forked_from: mindMap.forked_from?.mindmap_id
+        ? {
+            mindmap_id: mindMap.forked_from.mindmap_id.toString(),
+            subject_name: mindMap.forked_from.subject_name,
+            synced_at: mindMap.forked_from.synced_at,
+          }
+        : null,
       created_at: mindMap.created_at,
       updated_at: mindMap.updated_at,
     };
@@ -1124,6 +1057,84 @@ app.get("/api/mindmap/:id", verifyToken, async (req, res) => {
   }
 });
 
+// Edit the nodes of a specific mind map
+app.patch("/api/mindmap/:id", verifyToken, async (req, res) => {
+  try {
+    const { operations } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "At least one edit operation is required" });
+    }
+
+    const mindMap = mongoose.isValidObjectId(req.params.id)
+      ? await MindMap.findOne({
+          _id: req.params.id,
+          user_uid: req.user.uid,
+        })
+      : null;
+
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const { data, errors } = applyNodeOperations(
+      mindMap.mindmap_data,
+      operations
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid edit operations",
+        details: errors,
+      });
+    }
+
+    // Reject edits that break the graph. Problems that were already in the
+    // stored map are tolerated so older maps stay editable.
+    const existingProblems = new Set(findGraphProblems(mindMap.mindmap_data));
+    const newProblems = findGraphProblems(data).filter(
+      (problem) => !existingProblems.has(problem)
+    );
+
+    if (newProblems.length > 0) {
+      return res.status(422).json({
+        error: "Edits would leave the mind map inconsistent",
+        details: newProblems,
+      });
+    }
+
+    mindMap.mindmap_data = data;
+    mindMap.markModified("mindmap_data");
+    const savedMindMap = await mindMap.save();
+    await pruneStalePodcasts(savedMindMap);
+
+    console.log(
+      `Applied ${operations.length} edit(s) to mind map ${req.params.id}`
+    );
+
+    res.json({
+      success: true,
+      mindMap: {
+        id: savedMindMap._id.toString(),
+        user_uid: savedMindMap.user_uid,
+        subject_name: savedMindMap.subject_name,
+        syllabus: savedMindMap.syllabus,
+        mindmap_data: savedMindMap.mindmap_data,
+        created_at: savedMindMap.created_at,
+        updated_at: savedMindMap.updated_at,
+      },
+    });
+  } catch (error) {
+    console.error("Error editing mind map:", error);
+    res.status(500).json({
+      error: "Failed to edit mind map",
+      details: error.message,
+    });
+  }
+});
+
 // DELETE specific mind map - Updated for MongoDB
 app.delete("/api/mindmap/:id", verifyToken, async (req, res) => {
   try {
@@ -1138,6 +1149,19 @@ app.delete("/api/mindmap/:id", verifyToken, async (req, res) => {
     });
 
     if (deleteResult) {
+      // Remove the progress, quizzes, flashcards, chats and podcasts that
+      // belonged to this mind map, and take it out of any rooms it was shared
+      // with
+      await MindMapProgress.deleteMany({ mindmap_id: deleteResult._id });
+      await Quiz.deleteMany({ mindmap_id: deleteResult._id });
+      await Flashcard.deleteMany({ mindmap_id: deleteResult._id });
+      await ChatThread.deleteMany({ mindmap_id: deleteResult._id });
+      await Podcast.deleteMany({ mindmap_id: deleteResult._id });
+      await Room.updateMany(
+        { "mindmaps.mindmap_id": deleteResult._id },
+        { $pull: { mindmaps: { mindmap_id: deleteResult._id } } }
+      );
+
       console.log(`Successfully deleted mind map with ID: ${req.params.id}`);
       res.json({
         success: true,
@@ -1161,6 +1185,351 @@ app.delete("/api/mindmap/:id", verifyToken, async (req, res) => {
   }
 });
 
+// Helper function to summarise a user's reading progress for a mind map
+function buildProgressSummary(mindMap, progress) {
+  const nodes = mindMap.mindmap_data?.nodes || [];
+  const topics = progress?.topics || new Map();
+
+  const readStatus = {};
+  const mastery = {};
+  nodes.forEach((node) => {
+    const topic = topics.get(node.id);
+    readStatus[node.id] = !!topic?.is_read;
+    mastery[node.id] = topic?.mastery ?? null;
+  });
+
+  // The root node is the subject itself, so it doesn't count as a topic
+  const topicNodes = nodes.filter((node) => node.type !== "root");
+  const completed = topicNodes.filter((node) => readStatus[node.id]).length;
+  const total = topicNodes.length;
+
+  return {
+    mindmap_id: mindMap._id.toString(),
+    read_status: readStatus,
+    mastery: mastery,
+    completed_topics: completed,
+    total_topics: total,
+    percentage: total > 0 ? Math.round((completed / total) * 100) : 0,
+    updated_at: progress?.updated_at || null,
+  };
+}
+
+// Get reading progress for a mind map
+app.get("/api/mindmap/:id/progress", verifyToken, async (req, res) => {
+  try {
+    const mindMap = mongoose.isValidObjectId(req.params.id)
+      ? await MindMap.findOne({
+          _id: req.params.id,
+          user_uid: req.user.uid,
+        })
+          .select("_id mindmap_data.nodes")
+          .lean()
+      : null;
+
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const progress = await MindMapProgress.findOne({
+      user_uid: req.user.uid,
+      mindmap_id: mindMap._id,
+    });
+
+    res.json({
+      success: true,
+      progress: buildProgressSummary(mindMap, progress),
+    });
+  } catch (error) {
+    console.error("Error fetching mind map progress:", error);
+    res.status(500).json({ error: "Failed to fetch mind map progress" });
+  }
+});
+
+// Update reading progress for one or more topics of a mind map
+app.put("/api/mindmap/:id/progress", verifyToken, async (req, res) => {
+  try {
+    const { read_status } = req.body;
+
+    if (!read_status || typeof read_status !== "object") {
+      return res
+        .status(400)
+        .json({ error: "read_status must map node ids to booleans" });
+    }
+
+    const mindMap = mongoose.isValidObjectId(req.params.id)
+      ? await MindMap.findOne({
+          _id: req.params.id,
+          user_uid: req.user.uid,
+        })
+          .select("_id mindmap_data.nodes")
+          .lean()
+      : null;
+
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const nodeIds = new Set(
+      (mindMap.mindmap_data?.nodes || []).map((node) => node.id)
+    );
+    const unknownIds = Object.keys(read_status).filter(
+      (nodeId) => !nodeIds.has(nodeId)
+    );
+    if (unknownIds.length > 0) {
+      return res.status(400).json({
+        error: "Unknown node ids in read_status",
+        details: unknownIds.join(", "),
+      });
+    }
+
+    // Topics that were already read keep the time they were first read
+    const previous = await MindMapProgress.findOne({
+      user_uid: req.user.uid,
+      mindmap_id: mindMap._id,
+    }).lean();
+
+    // One upsert on just the changed topics, so quick successive updates
+    // neither race to create the document nor overwrite each other
+    const changes = {};
+    Object.entries(read_status).forEach(([nodeId, isRead]) => {
+      changes[`topics.${nodeId}.is_read`] = !!isRead;
+      changes[`topics.${nodeId}.read_at`] = isRead
+        ? previous?.topics?.[nodeId]?.read_at || new Date()
+        : null;
+    });
+
+    const progress = await MindMapProgress.findOneAndUpdate(
+      { user_uid: req.user.uid, mindmap_id: mindMap._id },
+      { $set: changes },
+      { upsert: true, new: true }
+    );
+
+    res.json({
+      success: true,
+      progress: buildProgressSummary(mindMap, progress),
+    });
+  } catch (error) {
+    console.error("Error updating mind map progress:", error);
+    res.status(500).json({ error: "Failed to update mind map progress" });
+  }
+});
+
+// Helper function to create fallback subtopics when node expansion fails
+function createFallbackSubtopics(topicLabel) {
+  return ["Key Concepts", "Worked Examples", "Common Mistakes"].map(
+    (subtopic) => ({
+      label: `${subtopic}: ${topicLabel}`,
+      content: `This subtopic looks at ${subtopic.toLowerCase()} in ${topicLabel}.
+
+Focus areas:
+• Review the definitions and ideas this builds on
+• Work through examples step by step
+• Note where students usually go wrong and why
+• Connect the ideas back to ${topicLabel}
+
+Use the AI chat feature to ask specific questions and go deeper into anything that is unclear.`,
+    })
+  );
+}
+
+// Expand a single node with new child subtopics
+app.post(
+  "/api/mindmap/:id/nodes/:nodeId/expand",
+  verifyToken,
+  enforceQuota("mindmap"),
+  async (req, res) => {
+    try {
+      const mindMap = mongoose.isValidObjectId(req.params.id)
+        ? await MindMap.findOne({
+            _id: req.params.id,
+            user_uid: req.user.uid,
+          })
+        : null;
+
+      if (!mindMap) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+
+      const nodes = mindMap.mindmap_data?.nodes || [];
+      const node = nodes.find((n) => n.id === req.params.nodeId);
+
+      if (!node) {
+        return res.status(404).json({ error: "Node not found in mind map" });
+      }
+
+      const ancestorPath = getAncestorPath(nodes, node.id)
+        .map((n) => n.label)
+        .join(" > ");
+      const existingChildren = nodes
+        .filter((n) => n.parent === node.id)
+        .map((n) => n.label);
+
+      console.log("Expanding node:", ancestorPath);
+
+      const prompt = `A student is studying "${mindMap.subject_name}" and wants to go deeper into one topic of their mind map.
+
+Topic path: ${ancestorPath}
+Topic: ${node.label}
+Current content:
+${node.content || "No content yet."}
+${
+  existingChildren.length > 0
+    ? `\nExisting subtopics (do not repeat these): ${existingChildren.join(", ")}\n`
+    : ""
+}
+Please return a JSON structure with the following exact format:
+{
+  "subtopics": [
+    {
+      "label": "Subtopic title",
+      "content": "Detailed educational content about this subtopic..."
+    }
+  ]
+}
+
+Important guidelines:
+1. Create 3-4 subtopics that break "${node.label}" down into more specific ideas
+2. Each subtopic must have detailed educational content (100-200 words)
+3. Stay within the scope of the topic path above
+4. Include practical examples and key concepts in the content
+5. Keep labels short (2-6 words)
+
+Return ONLY valid JSON, no additional text or formatting.`;
+
+      const result = await generateJSONWithFallback(prompt, {
+        temperature: 0.4,
+        validate: (data) =>
+          Array.isArray(data.subtopics) &&
+          data.subtopics.some(
+            (subtopic) =>
+              typeof subtopic?.label === "string" && subtopic.label.trim()
+          ),
+      });
+
+      let subtopics = result
+        ? result.data.subtopics.filter(
+            (subtopic) =>
+              typeof subtopic?.label === "string" && subtopic.label.trim()
+          )
+        : null;
+
+      const usedFallback = !subtopics;
+      if (usedFallback) {
+        console.log("All LLM models failed, using fallback subtopics");
+        subtopics = createFallbackSubtopics(node.label);
+        await releaseQuota(req);
+      }
+
+      // Skip anything that duplicates an existing child
+      const existingLabels = new Set(
+        existingChildren.map((label) =>
+          String(label || "")
+            .trim()
+            .toLowerCase()
+        )
+      );
+      const operations = subtopics
+        .filter(
+          (subtopic) => !existingLabels.has(subtopic.label.trim().toLowerCase())
+        )
+        .map((subtopic) => ({
+          op: "add",
+          parent: node.id,
+          label: subtopic.label,
+          content: typeof subtopic.content === "string" ? subtopic.content : "",
+        }));
+
+      const { data, errors } = applyNodeOperations(
+        mindMap.mindmap_data,
+        operations
+      );
+
+      if (errors.length > 0) {
+        return res.status(500).json({
+          error: "Failed to merge new subtopics",
+          details: errors,
+        });
+      }
+
+      const existingIds = new Set(nodes.map((n) => n.id));
+      const addedNodeIds = data.nodes
+        .filter((n) => !existingIds.has(n.id))
+        .map((n) => n.id);
+
+      mindMap.mindmap_data = data;
+      mindMap.markModified("mindmap_data");
+      const savedMindMap = await mindMap.save();
+
+      console.log(
+        `Added ${addedNodeIds.length} subtopic(s) under node ${node.id}`
+      );
+
+      res.json({
+        success: true,
+        mindMap: {
+          id: savedMindMap._id.toString(),
+          user_uid: savedMindMap.user_uid,
+          subject_name: savedMindMap.subject_name,
+          syllabus: savedMindMap.syllabus,
+          mindmap_data: savedMindMap.mindmap_data,
+          created_at: savedMindMap.created_at,
+          updated_at: savedMindMap.updated_at,
+        },
+        added_node_ids: addedNodeIds,
+        ...(usedFallback && {
+          note: "Generated using fallback method due to API limitations",
+        }),
+      });
+    } catch (error) {
+      console.error("Error expanding mind map node:", error);
+      res.status(500).json({
+        error: "Failed to expand topic",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Quiz generation and grading routes
+app.use("/api", quizRoutes);
+
+// Spaced-repetition flashcard routes
+app.use("/api", flashcardRoutes);
+
+// Syllabus document upload and extraction
+app.use("/api", syllabusRoutes);
+
+// Saved chat conversations per mind map node
+app.use("/api", chatThreadRoutes);
+
+// Mind map downloads in Markdown, OPML, FreeMind and JSON
+app.use("/api", mindMapExportRoutes);
+
+// Mind maps created from Markdown, OPML, FreeMind and JSON files
+app.use("/api", mindMapImportRoutes);
+
+// Printable HTML and PDF study guides
+app.use("/api", studyGuideRoutes);
+
+// Read-only share links, including the public /api/shared/:token view
+app.use("/api", shareLinkRoutes);
+
+// Forkable maps: clone into your own library and pull in later changes
+app.use("/api", mindMapForkRoutes);
+
+// Study rooms: members, invite codes and mind maps shared with the room
+app.use("/api", roomRoutes);
+
+// Invites to a mind map's live session (the WebSocket side is in
+// utils/mindmapSessions.js)
+app.use("/api", sessionInviteRoutes);
+
+// Daily AI quotas
+app.use("/api", usageRoutes);
+
+// Stored podcasts of mind map nodes
+app.use("/api", podcastRoutes);
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   const mongoose = require("mongoose");
@@ -1174,6 +1543,7 @@ app.get("/health", (req, res) => {
     environment: process.env.NODE_ENV,
     database_status: dbStatus,
     database_name: mongoose.connection.name || "Not connected",
+    llm_provider: getLLMProvider().name,
     groq_configured: !!process.env.GROQ_API_KEY,
     elevenlabs_configured: !!ELEVENLABS_API_KEY,
   });
@@ -1187,9 +1557,13 @@ setInterval(() => {
 }, 14 * 60 * 1000); // Ping every 14 minutes
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  console.log("LLM provider:", getLLMProvider().name);
   console.log("Groq API configured:", !!process.env.GROQ_API_KEY);
   console.log("ElevenLabs API configured:", !!ELEVENLABS_API_KEY);
   console.log("Environment:", process.env.NODE_ENV || "development");
 });
+
+// Live mind map sessions share the HTTP server's port
+attachMindMapSessions(server);
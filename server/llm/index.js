@@ -0,0 +1,219 @@
+// Provider-agnostic access to the configured LLM. Every provider exposes:
+//   name                                  provider identifier
+//   models: { json, chat, script }        models to try, in order, per task
+//   complete({ model, messages, temperature, max_tokens }) -> reply text
+//   stream({ model, messages, temperature, max_tokens, signal })
+//                                         -> async iterable of text tokens
+//   listModels()                          -> available model ids
+const { getLLMConfig } = require("../config/llm");
+const { createGroqProvider } = require("./providers/groq");
+const { createOpenAICompatibleProvider } = require("./providers/openaiCompatible");
+const { createMockProvider } = require("./providers/mock");
+const { extractJSONObjects } = require("./json");
+
+const JSON_SYSTEM_PROMPT =
+  "You are an expert educational content creator who specializes in creating structured learning materials and mind maps. You always respond with valid JSON only, no additional text.";
+
+let activeProvider = null;
+
+function createProvider(config = getLLMConfig()) {
+  switch (config.provider) {
+    case "groq":
+      return createGroqProvider(config);
+    case "openai":
+    case "ollama":
+    case "llamacpp":
+      return createOpenAICompatibleProvider(config);
+    case "mock":
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.provider}"`);
+  }
+}
+
+const getLLMProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+    console.log(`Using LLM provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+};
+
+// Swap the provider at runtime, e.g. for a mock in tests
+const setLLMProvider = (provider) => {
+  activeProvider = provider;
+};
+
+// Models to try for a task, honouring an LLM_MODELS override
+const getModels = (task) => {
+  const { models } = getLLMConfig();
+  const provider = getLLMProvider();
+  return models.length > 0 && provider.name !== "mock"
+    ? models
+    : provider.models[task] || provider.models.chat;
+};
+
+// Ask each model in turn until one returns a reply that passes `accept`.
+// Returns { text, model }, or null if every model failed; `onStart` is told
+// which model is being tried and `onError` sees each model's error so callers
+// can react to the last one.
+const completeWithFallback = async (
+  messages,
+  {
+    task = "chat",
+    models = getModels(task),
+    temperature = 0.7,
+    max_tokens = 1000,
+    accept = (text) => !!(text && text.trim()),
+    onStart = () => {},
+    onError = () => {},
+  } = {}
+) => {
+  const provider = getLLMProvider();
+
+  for (const model of models) {
+    try {
+      console.log(`Trying ${provider.name} model: ${model}`);
+      await onStart(model);
+
+      const text = await provider.complete({
+        model,
+        messages,
+        temperature,
+        max_tokens,
+      });
+
+      if (!accept(text)) {
+        throw new Error("Response was empty or unusable");
+      }
+
+      return { text, model };
+    } catch (modelError) {
+      console.error(`Error with model ${model}:`, modelError.message);
+      onError(modelError);
+      continue;
+    }
+  }
+
+  return null;
+};
+
+// Stream a reply token by token, moving on to the next model if one fails,
+// even part-way through its reply. `onToken` receives each token and
+// `onFallback` is told when a model's partial reply has to be discarded.
+// Returns { text, model }, or null if every model failed or `signal` aborted.
+const streamWithFallback = async (
+  messages,
+  {
+    task = "chat",
+    models = getModels(task),
+    temperature = 0.7,
+    max_tokens = 1000,
+    signal = null,
+    onStart = () => {},
+    onToken = () => {},
+    onFallback = () => {},
+  } = {}
+) => {
+  const provider = getLLMProvider();
+
+  for (let index = 0; index < models.length; index++) {
+    const model = models[index];
+    let text = "";
+
+    try {
+      console.log(`Streaming from ${provider.name} model: ${model}`);
+      onStart(model);
+
+      for await (const token of provider.stream({
+        model,
+        messages,
+        temperature,
+        max_tokens,
+        signal,
+      })) {
+        if (signal?.aborted) break;
+        text += token;
+        onToken(token);
+      }
+
+      if (signal?.aborted) {
+        console.log(`Stream from ${model} cancelled by the client`);
+        return null;
+      }
+
+      if (!text.trim()) {
+        throw new Error("Response was empty");
+      }
+
+      return { text, model };
+    } catch (modelError) {
+      if (signal?.aborted) return null;
+
+      console.error(`Error streaming from model ${model}:`, modelError.message);
+      const nextModel = models[index + 1] || null;
+      onFallback({ model, nextModel, error: modelError, partialText: text });
+    }
+  }
+
+  return null;
+};
+
+// Ask each model in turn for a JSON object until one returns something that
+// passes `validate`, so a reply that cannot be used moves on to the next
+// model. Returns { data, model }, or null if every model failed.
+const generateJSONWithFallback = async (
+  prompt,
+  {
+    models = getModels("json"),
+    systemPrompt = JSON_SYSTEM_PROMPT,
+    temperature = 0.3,
+    max_tokens = 2000,
+    validate = () => true,
+    onStart = () => {},
+  } = {}
+) => {
+  let data = null;
+
+  const result = await completeWithFallback(
+    [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: prompt },
+    ],
+    {
+      models,
+      temperature,
+      max_tokens,
+      onStart,
+      accept: (responseText) => {
+        const candidates = extractJSONObjects(responseText);
+        if (candidates.length === 0) {
+          throw new Error("No valid JSON found in response");
+        }
+
+        // Replies sometimes include example objects; take the first that fits
+        data = candidates.find((candidate) => validate(candidate)) || null;
+        if (!data) {
+          throw new Error("Response did not match the expected structure");
+        }
+        return true;
+      },
+    }
+  );
+
+  if (!result) return null;
+
+  console.log(`Successfully parsed JSON response using ${result.model}`);
+  return { data, model: result.model };
+};
+
+module.exports = {
+  JSON_SYSTEM_PROMPT,
+  createProvider,
+  getLLMProvider,
+  setLLMProvider,
+  getModels,
+  completeWithFallback,
+  streamWithFallback,
+  generateJSONWithFallback,
+};
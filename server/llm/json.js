@@ -0,0 +1,82 @@
+// Pull JSON objects out of free-form model replies. Models wrap JSON in code
+// fences, add prose before or after it, or leave trailing commas, so a single
+// greedy match is not enough.
+
+// Find the end of the balanced {...} starting at `start`, skipping braces
+// inside strings. Returns -1 when the object never closes.
+const findObjectEnd = (text, start) => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let index = start; index < text.length; index++) {
+    const char = text[index];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === "{") depth++;
+    else if (char === "}") {
+      depth--;
+      if (depth === 0) return index;
+    }
+  }
+
+  return -1;
+};
+
+const parseObject = (candidate) => {
+  for (const text of [candidate, candidate.replace(/,(\s*[}\]])/g, "$1")]) {
+    try {
+      const value = JSON.parse(text);
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        return value;
+      }
+    } catch (parseError) {
+      // Try the next variant
+    }
+  }
+  return null;
+};
+
+// Every top-level JSON object in a reply, in order of appearance. Fenced
+// ```json blocks are tried first.
+function extractJSONObjects(text) {
+  const source = String(text || "");
+  const sections = [
+    ...[...source.matchAll(/```(?:json)?\s*([\s\S]*?)```/gi)].map(
+      (match) => match[1]
+    ),
+    source,
+  ];
+
+  const objects = [];
+  sections.forEach((section) => {
+    let start = section.indexOf("{");
+
+    while (start !== -1) {
+      const end = findObjectEnd(section, start);
+      if (end === -1) break;
+
+      const value = parseObject(section.slice(start, end + 1));
+      if (value) {
+        objects.push(value);
+        start = section.indexOf("{", end + 1);
+      } else {
+        // Not JSON (e.g. braces in prose); look inside it instead
+        start = section.indexOf("{", start + 1);
+      }
+    }
+  });
+
+  return objects;
+}
+
+module.exports = {
+  extractJSONObjects,
+};
@@ -0,0 +1,76 @@
+const Groq = require("groq-sdk");
+
+// Models to try, in order of preference, for each kind of task
+const GROQ_MODELS = {
+  // Structured JSON output (mind maps, quizzes, flashcards, ...)
+  json: [
+    "llama-3.1-8b-instant",
+    "llama3-8b-8192",
+    "llama3-70b-8192",
+    "mixtral-8x7b-32768",
+    "gemma-7b-it",
+  ],
+  chat: [
+    "llama-3.1-8b-instant",
+    "llama3-8b-8192",
+    "mixtral-8x7b-32768",
+    "gemma-7b-it",
+  ],
+  // Long-form prose such as podcast scripts
+  script: ["llama-3.1-8b-instant", "llama3-8b-8192", "mixtral-8x7b-32768"],
+};
+
+// Without an API key the provider is disabled: every call fails, so callers
+// fall back to their built-in content
+function createGroqProvider({ groqApiKey }) {
+  if (!groqApiKey) {
+    console.warn("GROQ_API_KEY is not set; the Groq provider is disabled");
+  }
+  const groq = groqApiKey ? new Groq({ apiKey: groqApiKey }) : null;
+
+  const client = () => {
+    if (!groq) throw new Error("The Groq provider is disabled: no API key");
+    return groq;
+  };
+
+  return {
+    name: "groq",
+    models: GROQ_MODELS,
+
+    async complete({ model, messages, temperature, max_tokens }) {
+      const completion = await client().chat.completions.create({
+        messages,
+        model,
+        temperature,
+        max_tokens,
+      });
+
+      return completion.choices[0]?.message?.content || "";
+    },
+
+    async *stream({ model, messages, temperature, max_tokens, signal }) {
+      const stream = await client().chat.completions.create(
+        {
+          messages,
+          model,
+          temperature,
+          max_tokens,
+          stream: true,
+        },
+        { signal }
+      );
+
+      for await (const chunk of stream) {
+        const token = chunk.choices[0]?.delta?.content;
+        if (token) yield token;
+      }
+    },
+
+    async listModels() {
+      const models = await client().models.list();
+      return models.data.map((model) => model.id);
+    },
+  };
+}
+
+module.exports = { createGroqProvider, GROQ_MODELS };
@@ -0,0 +1,79 @@
+const fs = require("fs");
+
+// Deterministic provider for offline development and tests. Replies are
+// picked from canned responses whose `match` (a string or RegExp) is found in
+// the last user message; a response may be a string or a function of the
+// messages. Anything unmatched gets a stable placeholder reply, which for JSON
+// requests is an empty object so callers fall back to their own defaults.
+function createMockProvider({ responses = [], mockFixtures = null } = {}) {
+  const fixtures = mockFixtures
+    ? JSON.parse(fs.readFileSync(mockFixtures, "utf8")).map((fixture) => ({
+        match: new RegExp(fixture.match, "i"),
+        response:
+          typeof fixture.response === "string"
+            ? fixture.response
+            : JSON.stringify(fixture.response),
+      }))
+    : [];
+  const cannedResponses = [...responses, ...fixtures];
+  const calls = [];
+
+  const matches = (match, text) =>
+    match instanceof RegExp ? match.test(text) : text.includes(match);
+
+  const reply = async ({ model, messages, temperature, max_tokens }) => {
+    calls.push({ model, messages, temperature, max_tokens });
+
+    const userMessage =
+      [...messages].reverse().find((message) => message.role === "user")
+        ?.content || "";
+    const systemMessage =
+      messages.find((message) => message.role === "system")?.content || "";
+
+    const canned = cannedResponses.find((entry) =>
+      matches(entry.match, userMessage)
+    );
+    if (canned) {
+      return typeof canned.response === "function"
+        ? canned.response(messages)
+        : canned.response;
+    }
+
+    if (/json/i.test(systemMessage)) {
+      return "{}";
+    }
+
+    return `Mock response: ${userMessage.slice(0, 200)}`;
+  };
+
+  return {
+    name: "mock",
+    models: {
+      json: ["mock-model"],
+      chat: ["mock-model"],
+      script: ["mock-model"],
+    },
+    // Every request the provider has answered, for assertions in tests
+    calls,
+
+    complete: reply,
+
+    // Streams the same reply word by word
+    async *stream({ model, messages, temperature, max_tokens, signal }) {
+      const text = await reply({ model, messages, temperature, max_tokens });
+      const tokens = text.match(/\S+\s*|\s+/g) || [];
+
+      for (const token of tokens) {
+        if (signal?.aborted) return;
+        await new Promise((resolve) => setImmediate(resolve));
+        yield token;
+      }
+    },
+
+    async listModels() {
+      return ["mock-model"];
+    },
+  };
+}
+
+module.exports = { createMockProvider };
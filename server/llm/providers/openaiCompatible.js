@@ -0,0 +1,94 @@
+const fetch = require("node-fetch");
+
+// Talks to any server implementing the OpenAI chat completions API, such as
+// Ollama, llama.cpp's server, vLLM or LM Studio
+function createOpenAICompatibleProvider({ baseUrl, apiKey, models }) {
+  const rootUrl = baseUrl.replace(/\/+$/, "");
+  const defaultModels = models.length > 0 ? models : ["llama3.1"];
+
+  const send = async (path, options = {}) => {
+    const response = await fetch(`${rootUrl}${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(
+        `LLM server responded with ${response.status}: ${errorText.slice(0, 200)}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  };
+
+  const request = async (path, options) => (await send(path, options)).json();
+
+  return {
+    name: "openai",
+    models: {
+      json: defaultModels,
+      chat: defaultModels,
+      script: defaultModels,
+    },
+
+    async complete({ model, messages, temperature, max_tokens }) {
+      const data = await request("/chat/completions", {
+        method: "POST",
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens,
+          stream: false,
+        }),
+      });
+
+      return data.choices?.[0]?.message?.content || "";
+    },
+
+    // Streams tokens from the server's SSE response ("data: {...}" lines,
+    // terminated by "data: [DONE]")
+    async *stream({ model, messages, temperature, max_tokens, signal }) {
+      const response = await send("/chat/completions", {
+        method: "POST",
+        signal,
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens,
+          stream: true,
+        }),
+      });
+
+      let buffer = "";
+      for await (const chunk of response.body) {
+        buffer += chunk.toString();
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, "").trim();
+          if (!line.startsWith("data:") || !payload) continue;
+          if (payload === "[DONE]") return;
+
+          const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (token) yield token;
+        }
+      }
+    },
+
+    async listModels() {
+      const data = await request("/models");
+      return (data.data || []).map((model) => model.id);
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
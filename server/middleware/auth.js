@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getAuthConfig } = require("../config/auth");
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  isAuthSessionActive,
+} = require("../utils/authSessions");
+
+// The only algorithm access tokens are signed or accepted with
+const ACCESS_TOKEN_ALGORITHM = "HS256";
+
+// Roles in increasing order of privilege; each includes the ones before it
+const ROLES = ["user", "admin"];
+
+const getSecret = () => {
+  const { secret } = getAuthConfig();
+  // Never fall back to a default: assertAuthConfig stops the server from
+  // starting without one, and this keeps other entry points honest
+  if (!secret) throw new Error("JWT_SECRET is not set");
+  return secret;
+};
+
+// A short fingerprint that identifies a token in logs without revealing it
+const redactToken = (token) => {
+  if (!token) return "no token";
+  const hash = crypto.createHash("sha256").update(token).digest("hex");
+  return `token#${hash.slice(0, 12)}`;
+};
+
+// Issue a short-lived access token for a user's sign-in session
+const signAccessToken = (user, sessionId) => {
+  const { issuer, audience } = getAuthConfig();
+  return jwt.sign(
+    {
+      uid: user.uid,
+      email: user.email,
+      displayName: user.displayName,
+      role: ROLES.includes(user.role) ? user.role : "user",
+      sid: sessionId.toString(),
+    },
+    getSecret(),
+    {
+      algorithm: ACCESS_TOKEN_ALGORITHM,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      issuer,
+      audience,
+    }
+  );
+};
+
+// Decode and check an access token. Throws the jsonwebtoken error when it
+// is invalid, expired, or wasn't issued by this server for this app.
+const verifyAuthToken = (token) => {
+  const { issuer, audience } = getAuthConfig();
+  return jwt.verify(token, getSecret(), {
+    algorithms: [ACCESS_TOKEN_ALGORITHM],
+    issuer,
+    audience,
+  });
+};
+
+// Verify an access token and check its session hasn't been signed out.
+// Resolves with the decoded token, or null if the session is gone. Also
+// used to authenticate WebSocket connections, which can't send headers.
+const authenticateAccessToken = async (token) => {
+  const decoded = verifyAuthToken(token);
+  if (!decoded.sid || !(await isAuthSessionActive(decoded.sid))) {
+    return null;
+  }
+  return decoded;
+};
+
+// The token from an "Authorization: Bearer <token>" header, or null
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1] : null;
+};
+
+// Require a signed-in user; sets req.user to the decoded access token
+const verifyToken = async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: "No token provided" });
+  }
+
+  try {
+    const decoded = await authenticateAccessToken(token);
+    if (!decoded) {
+      console.log(`Rejected ${redactToken(token)}: session signed out`);
+      return res.status(401).json({ error: "Session has been signed out" });
+    }
+
+    req.user = decoded;
+    next();
+  } catch (error) {
+    // The secret is missing or the session lookup failed; the token itself
+    // may be fine
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      console.error("Token verification failed:", error.message);
+      return res.status(500).json({ error: "Failed to verify session" });
+    }
+
+    console.log(`Rejected ${redactToken(token)}: ${error.message}`);
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ error: "Token expired" });
+    }
+    return res.status(401).json({ error: "Invalid token" });
+  }
+};
+
+// Require a signed-in user with at least the given role, e.g.
+//   router.get("/admin/stats", requireRole("admin"), handler)
+const requireRole = (role) => {
+  const required = ROLES.indexOf(role);
+  if (required === -1) {
+    throw new Error(`Unknown role "${role}"`);
+  }
+
+  return [
+    verifyToken,
+    (req, res, next) => {
+      if (ROLES.indexOf(req.user.role || "user") < required) {
+        console.log(`Denied ${req.user.uid}: ${role} role required`);
+        return res
+          .status(403)
+          .json({ error: "You don't have access to this" });
+      }
+      next();
+    },
+  ];
+};
+
+module.exports = {
+  ROLES,
+  verifyToken,
+  requireRole,
+  verifyAuthToken,
+  authenticateAccessToken,
+  signAccessToken,
+  redactToken,
+};
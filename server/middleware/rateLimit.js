@@ -0,0 +1,99 @@
+const {
+  QUOTA_LABELS,
+  consumeQuota,
+  refundQuota,
+} = require("../utils/usageQuotas");
+
+const DAY_SECONDS = 24 * 60 * 60;
+// How long to ask clients to wait when the AI service itself is rate limited
+// and didn't say
+const DEFAULT_UPSTREAM_RETRY_SECONDS = 30;
+
+// Describe a quota with the standard RateLimit-* headers. Returns how many
+// seconds are left until it resets.
+const setRateLimitHeaders = (res, quota) => {
+  const resetSeconds = Math.max(
+    0,
+    Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000)
+  );
+  res.setHeader("RateLimit-Policy", `${quota.limit};w=${DAY_SECONDS}`);
+  res.setHeader("RateLimit-Limit", quota.limit);
+  res.setHeader("RateLimit-Remaining", quota.remaining);
+  res.setHeader("RateLimit-Reset", resetSeconds);
+  return resetSeconds;
+};
+
+// Count the request against the user's daily quota for an AI feature.
+// Resolves with true if it may go ahead, or answers 429 and resolves with
+// false once the quota is used up. For routes that only use the AI service
+// for some requests; the rest use enforceQuota.
+const chargeQuota = async (req, res, feature) => {
+  if (req.user.role === "admin") return true;
+
+  const quota = await consumeQuota(req.user.uid, feature);
+  const resetSeconds = setRateLimitHeaders(res, quota);
+
+  if (!quota.allowed) {
+    res.setHeader("Retry-After", resetSeconds);
+    res.status(429).json({
+      error: `You've used all ${quota.limit} of today's ${QUOTA_LABELS[feature]}. They reset at midnight UTC.`,
+      feature,
+      limit: quota.limit,
+      reset_at: quota.resetAt,
+    });
+    return false;
+  }
+
+  req.quota = { feature, day: quota.day };
+  // Requests that fail don't count against the quota
+  res.on("finish", () => {
+    if (res.statusCode >= 400) releaseQuota(req);
+  });
+  return true;
+};
+
+// Count every request to a route against the user's daily quota for an AI
+// feature. Goes after verifyToken. Admins aren't limited.
+const enforceQuota = (feature) => async (req, res, next) => {
+  try {
+    if (await chargeQuota(req, res, feature)) next();
+  } catch (error) {
+    console.error("Error checking usage quota:", error);
+    res.status(500).json({ error: "Failed to check usage quota" });
+  }
+};
+
+// Give the request back to the user's quota when it succeeded without using
+// the AI service, e.g. when a fallback answer was sent instead
+const releaseQuota = async (req) => {
+  if (!req.quota) return;
+  const { feature, day } = req.quota;
+  req.quota = null;
+
+  try {
+    await refundQuota(req.user.uid, feature, day);
+  } catch (error) {
+    console.error("Error refunding usage quota:", error);
+  }
+};
+
+// Answer a request the AI service refused because the app as a whole is
+// over its rate limit. This isn't the user's fault, so it's a 503 rather
+// than a 429 that would read as their own quota running out.
+const sendUpstreamRateLimited = (res, error) => {
+  const retryAfter =
+    parseInt(error?.headers?.["retry-after"], 10) ||
+    DEFAULT_UPSTREAM_RETRY_SECONDS;
+  res.setHeader("Retry-After", retryAfter);
+  return res.status(503).json({
+    error: "The AI service is busy right now. Please try again in a moment.",
+    retry_after: retryAfter,
+  });
+};
+
+module.exports = {
+  chargeQuota,
+  enforceQuota,
+  releaseQuota,
+  sendUpstreamRateLimited,
+};
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// A signed-in device. Each holds one refresh token, replaced every time it
+// is used; only hashes of the tokens are stored.
+const authSessionSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+    },
+    // Copied from the sign-in so access tokens can be reissued on refresh
+    email: {
+      type: String,
+      default: null,
+    },
+    display_name: {
+      type: String,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    refresh_token_hash: {
+      type: String,
+      required: true,
+    },
+    // The token this one replaced. Seeing it again means it was stolen.
+    previous_refresh_token_hash: {
+      type: String,
+      default: null,
+    },
+    device_name: {
+      type: String,
+      default: "Unknown device",
+    },
+    user_agent: {
+      type: String,
+      default: null,
+    },
+    ip_address: {
+      type: String,
+      default: null,
+    },
+    last_used_at: {
+      type: Date,
+      default: Date.now,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+authSessionSchema.index({ user_uid: 1, revoked_at: 1 });
+authSessionSchema.index({ refresh_token_hash: 1 });
+authSessionSchema.index({ previous_refresh_token_hash: 1 });
+// MongoDB deletes sessions once their refresh token has expired
+authSessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthSession", authSessionSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+const chatMessageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ["user", "assistant"],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    // Model that produced an assistant reply (null for fallback replies)
+    model: {
+      type: String,
+      default: null,
+    },
+    // Mind map nodes an assistant reply cited as sources
+    cited_node_ids: {
+      type: [String],
+      default: [],
+    },
+    // The student cancelled this reply part-way through
+    stopped: {
+      type: Boolean,
+      default: false,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One conversation per user, mind map and node
+const chatThreadSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    mindmap_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MindMap",
+      required: true,
+    },
+    node_id: {
+      type: String,
+      required: true,
+    },
+    messages: {
+      type: [chatMessageSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+chatThreadSchema.index(
+  { user_uid: 1, mindmap_id: 1, node_id: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("ChatThread", chatThreadSchema);
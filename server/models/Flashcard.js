@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const flashcardSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    mindmap_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MindMap",
+      required: true,
+    },
+    // Mind map node the card was derived from
+    node_id: {
+      type: String,
+      required: true,
+    },
+    front: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    back: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // SM-2 scheduling state
+    ease_factor: {
+      type: Number,
+      default: 2.5,
+    },
+    interval_days: {
+      type: Number,
+      default: 0,
+    },
+    repetitions: {
+      type: Number,
+      default: 0,
+    },
+    lapses: {
+      type: Number,
+      default: 0,
+    },
+    due_at: {
+      type: Date,
+      default: Date.now,
+    },
+    last_reviewed_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+flashcardSchema.index({ user_uid: 1, mindmap_id: 1, due_at: 1 });
+
+module.exports = mongoose.model("Flashcard", flashcardSchema);
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+const JOB_STATUSES = ["queued", "generating", "validating", "saved", "failed"];
+
+// A model that was tried while the job was generating
+const jobAttemptSchema = new mongoose.Schema(
+  {
+    model: {
+      type: String,
+      required: true,
+    },
+    started_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A mind map being generated in the background, or content being written
+// for the empty topics of an imported one
+const generationJobSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // "mindmap" builds a new map from the syllabus; "content" fills in empty
+    // node content on the existing map in mindmap_id
+    kind: {
+      type: String,
+      enum: ["mindmap", "content"],
+      default: "mindmap",
+    },
+    subject_name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    syllabus: {
+      type: String,
+      required: true,
+    },
+    // Uploaded document the syllabus was extracted from, if any
+    source_document: {
+      filename: { type: String, default: null },
+      mimetype: { type: String, default: null },
+      extracted_text: { type: String, default: null },
+    },
+    // "auto" generates long syllabi section by section, "single" never does
+    // and "chunked" always does
+    mode: {
+      type: String,
+      enum: ["auto", "single", "chunked"],
+      default: "auto",
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: "queued",
+    },
+    // Model currently being tried (null before generation or for the fallback)
+    current_model: {
+      type: String,
+      default: null,
+    },
+    attempts: {
+      type: [jobAttemptSchema],
+      default: [],
+    },
+    // Section being generated when the syllabus is split (1-based)
+    chunk_index: {
+      type: Number,
+      default: null,
+    },
+    chunk_count: {
+      type: Number,
+      default: null,
+    },
+    // Problems the validation pass repaired in the generated mind map
+    repairs: {
+      type: [String],
+      default: [],
+    },
+    used_fallback: {
+      type: Boolean,
+      default: false,
+    },
+    // UTC day the job was counted against the user's mind map quota, so a
+    // refund goes back to that day's counter. Null if it wasn't counted.
+    quota_day: {
+      type: String,
+      default: null,
+    },
+    // Set once the mind map has been saved (from the start for content jobs)
+    mindmap_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MindMap",
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    started_at: {
+      type: Date,
+      default: null,
+    },
+    // Last time the instance running the job marked it alive; jobs that go
+    // unmarked for too long are queued again
+    heartbeat_at: {
+      type: Date,
+      default: null,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+generationJobSchema.index({ user_uid: 1, created_at: -1 });
+
+module.exports = mongoose.model("GenerationJob", generationJobSchema);
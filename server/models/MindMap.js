@@ -1,5 +1,52 @@
 const mongoose = require("mongoose");
 
+// Someone the owner invited to study this map together in a live session
+const sessionInviteSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+    },
+    display_name: {
+      type: String,
+      default: null,
+    },
+    invited_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A read-only link anyone can open without signing in
+const shareLinkSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+    },
+    // null means the link never expires
+    expires_at: {
+      type: Date,
+      default: null,
+    },
+    revoked_at: {
+      type: Date,
+      default: null,
+    },
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const mindMapSchema = new mongoose.Schema(
   {
     user_uid: {
@@ -20,6 +67,37 @@ const mindMapSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.Mixed,
       required: true,
     },
+    // Uploaded document the syllabus was extracted from, if any
+    source_document: {
+      filename: { type: String, default: null },
+      mimetype: { type: String, default: null },
+      extracted_text: { type: String, default: null },
+    },
+    share_links: {
+      type: [shareLinkSchema],
+      default: [],
+    },
+    session_invites: {
+      type: [sessionInviteSchema],
+      default: [],
+    },
+    // Whether other users may clone this map into their own library
+    forkable: {
+      type: Boolean,
+      default: false,
+    },
+    // Set on clones: the map this one was forked from and the content hash
+    // of both maps at the last sync, used to spot changes on either side
+    forked_from: {
+      mindmap_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "MindMap",
+        default: null,
+      },
+      subject_name: { type: String, default: null },
+      synced_hash: { type: String, default: null },
+      synced_at: { type: Date, default: null },
+    },
     created_at: {
       type: Date,
       default: Date.now,
@@ -37,5 +115,8 @@ const mindMapSchema = new mongoose.Schema(
 // Only define indexes once - removed duplicate index definitions
 mindMapSchema.index({ user_uid: 1, created_at: -1 });
 mindMapSchema.index({ subject_name: "text" }); // Text search index
+mindMapSchema.index({ "share_links.token": 1 });
+mindMapSchema.index({ "forked_from.mindmap_id": 1 });
+mindMapSchema.index({ "session_invites.user_uid": 1 });
 
 module.exports = mongoose.model("MindMap", mindMapSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Per-topic learning state, keyed by mind map node id
+const topicProgressSchema = new mongoose.Schema(
+  {
+    is_read: {
+      type: Boolean,
+      default: false,
+    },
+    read_at: {
+      type: Date,
+      default: null,
+    },
+    // Best quiz score for this topic, from 0 to 1
+    mastery: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    last_quiz_score: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null,
+    },
+    last_quizzed_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const mindMapProgressSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    mindmap_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MindMap",
+      required: true,
+    },
+    topics: {
+      type: Map,
+      of: topicProgressSchema,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+// One progress document per user and mind map
+mindMapProgressSchema.index({ user_uid: 1, mindmap_id: 1 }, { unique: true });
+
+module.exports = mongoose.model("MindMapProgress", mindMapProgressSchema);
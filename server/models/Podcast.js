@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// A generated podcast for one mind map node in one voice. It stays valid
+// while the node's label and content hash to content_hash; the script is
+// shared by every voice generated from the same content.
+const podcastSchema = new mongoose.Schema(
+  {
+    mindmap_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MindMap",
+      required: true,
+    },
+    node_id: {
+      type: String,
+      required: true,
+    },
+    voice_id: {
+      type: String,
+      required: true,
+    },
+    content_hash: {
+      type: String,
+      required: true,
+    },
+    script: {
+      type: String,
+      required: true,
+    },
+    // The model that wrote the script
+    script_model: {
+      type: String,
+      default: null,
+    },
+    // MP3 audio; left out of queries unless asked for
+    audio: {
+      type: Buffer,
+      required: true,
+      select: false,
+    },
+    audio_size: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+podcastSchema.index(
+  { mindmap_id: 1, node_id: 1, voice_id: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("Podcast", podcastSchema);
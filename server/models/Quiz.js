@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+
+const questionSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    // Mind map node this question tests
+    node_id: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["multiple_choice", "short_answer"],
+      required: true,
+    },
+    prompt: {
+      type: String,
+      required: true,
+    },
+    // Multiple choice only
+    options: {
+      type: [String],
+      default: [],
+    },
+    answer_index: {
+      type: Number,
+      default: null,
+    },
+    // Short answer only
+    accepted_answers: {
+      type: [String],
+      default: [],
+    },
+    keywords: {
+      type: [String],
+      default: [],
+    },
+    explanation: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const attemptSchema = new mongoose.Schema(
+  {
+    answers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    results: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    correct_count: {
+      type: Number,
+      required: true,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    submitted_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const quizSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    mindmap_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MindMap",
+      required: true,
+    },
+    // null when the quiz covers the whole mind map
+    node_id: {
+      type: String,
+      default: null,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    questions: {
+      type: [questionSchema],
+      default: [],
+    },
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+quizSchema.index({ user_uid: 1, mindmap_id: 1, created_at: -1 });
+
+module.exports = mongoose.model("Quiz", quizSchema);
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+// Someone in a room. The name is copied from their token when they join so
+// member lists don't need a user lookup.
+const roomMemberSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+    },
+    display_name: {
+      type: String,
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ["owner", "member"],
+      default: "member",
+    },
+    joined_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// A mind map a member has made viewable to everyone in the room
+const roomMindMapSchema = new mongoose.Schema(
+  {
+    mindmap_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MindMap",
+      required: true,
+    },
+    attached_by: {
+      type: String,
+      required: true,
+    },
+    attached_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const roomSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    subject: {
+      type: String,
+      default: "other",
+      trim: true,
+    },
+    // Public rooms can be found and joined by anyone; private ones only
+    // with the invite code
+    privacy: {
+      type: String,
+      enum: ["public", "private"],
+      default: "private",
+    },
+    invite_code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // The creator is the only owner
+    members: {
+      type: [roomMemberSchema],
+      default: [],
+    },
+    mindmaps: {
+      type: [roomMindMapSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+roomSchema.index({ "members.user_uid": 1, updated_at: -1 });
+roomSchema.index({ privacy: 1, updated_at: -1 });
+
+module.exports = mongoose.model("Room", roomSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// How many times a user has used an AI feature on one UTC day
+const usageCounterSchema = new mongoose.Schema(
+  {
+    user_uid: {
+      type: String,
+      required: true,
+    },
+    feature: {
+      type: String,
+      enum: ["mindmap", "chat", "audio", "study"],
+      required: true,
+    },
+    // e.g. "2025-01-31"
+    day: {
+      type: String,
+      required: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    // Counters are only needed until the day is over
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
+  }
+);
+
+usageCounterSchema.index({ user_uid: 1, feature: 1, day: 1 }, { unique: true });
+usageCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("UsageCounter", usageCounterSchema);
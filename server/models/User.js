@@ -22,6 +22,12 @@ const userSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Granted by hand in the database; admins pass requireRole("admin")
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
   },
   {
     timestamps: { createdAt: "created_at", updatedAt: "updated_at" },
@@ -0,0 +1,92 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const ChatThread = require("../models/ChatThread");
+const { verifyToken } = require("../middleware/auth");
+const { toPublicThread } = require("../utils/chatHistory");
+
+// Threads are continued by sending mindmap_id and node_id with a message to
+// /api/chat/groq or /api/chat/groq/stream; these routes list, read and clear them.
+
+// List the conversations for a mind map, most recent first
+router.get("/mindmap/:id/chats", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const threads = await ChatThread.find({
+      user_uid: req.user.uid,
+      mindmap_id: req.params.id,
+    })
+      .sort({ updated_at: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      threads: threads.map((thread) =>
+        toPublicThread(thread, { includeMessages: false })
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching chat threads:", error);
+    res.status(500).json({ error: "Failed to fetch chat threads" });
+  }
+});
+
+// Get the conversation for one node (empty if there isn't one yet)
+router.get("/mindmap/:id/chats/:nodeId", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const thread = await ChatThread.findOne({
+      user_uid: req.user.uid,
+      mindmap_id: req.params.id,
+      node_id: req.params.nodeId,
+    }).lean();
+
+    res.json({
+      success: true,
+      thread: thread
+        ? toPublicThread(thread)
+        : {
+            mindmap_id: req.params.id,
+            node_id: req.params.nodeId,
+            message_count: 0,
+            last_message: null,
+            messages: [],
+            updated_at: null,
+          },
+    });
+  } catch (error) {
+    console.error("Error fetching chat thread:", error);
+    res.status(500).json({ error: "Failed to fetch chat thread" });
+  }
+});
+
+// Clear the conversation for one node
+router.delete("/mindmap/:id/chats/:nodeId", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    await ChatThread.deleteOne({
+      user_uid: req.user.uid,
+      mindmap_id: req.params.id,
+      node_id: req.params.nodeId,
+    });
+
+    res.json({
+      success: true,
+      message: "Conversation cleared",
+    });
+  } catch (error) {
+    console.error("Error clearing chat thread:", error);
+    res.status(500).json({ error: "Failed to clear chat thread" });
+  }
+});
+
+module.exports = router;
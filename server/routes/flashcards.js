@@ -0,0 +1,248 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const Flashcard = require("../models/Flashcard");
+const { verifyToken } = require("../middleware/auth");
+const { enforceQuota, releaseQuota } = require("../middleware/rateLimit");
+const { generateJSONWithFallback } = require("../llm");
+const { scheduleReview } = require("../utils/spacedRepetition");
+const {
+  selectFlashcardNodes,
+  buildFlashcardPrompt,
+  normalizeGeneratedCards,
+  createFallbackCards,
+  toPublicCard,
+} = require("../utils/flashcards");
+
+const deckStats = (cards, now = new Date()) => ({
+  total: cards.length,
+  due: cards.filter((card) => card.due_at <= now).length,
+  new: cards.filter((card) => !card.last_reviewed_at).length,
+});
+
+// Build (or top up) the flashcard deck for a mind map. Topics that already
+// have cards keep them and their review history unless regenerate is set.
+// A rebuild only replaces the deck once new cards were generated.
+router.post(
+  "/mindmap/:id/flashcards",
+  verifyToken,
+  enforceQuota("study"),
+  async (req, res) => {
+    try {
+      const { regenerate = false } = req.body;
+
+      const mindMap = mongoose.isValidObjectId(req.params.id)
+        ? await MindMap.findOne({
+            _id: req.params.id,
+            user_uid: req.user.uid,
+          }).lean()
+        : null;
+
+      if (!mindMap) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+
+      const coveredNodeIds = regenerate
+        ? new Set()
+        : new Set(
+            await Flashcard.distinct("node_id", {
+              user_uid: req.user.uid,
+              mindmap_id: mindMap._id,
+            })
+          );
+
+      const deckNodes = selectFlashcardNodes(
+        mindMap.mindmap_data?.nodes || [],
+        coveredNodeIds
+      );
+
+      let usedFallback = false;
+      let newCards = [];
+
+      if (deckNodes.length === 0) {
+        // The deck already covers every topic, so nothing was generated
+        await releaseQuota(req);
+      } else {
+        console.log(
+          `Generating flashcards for ${deckNodes.length} topics in mind map ${req.params.id}`
+        );
+
+        const result = await generateJSONWithFallback(
+          buildFlashcardPrompt(mindMap.subject_name, deckNodes),
+          {
+            temperature: 0.3,
+            max_tokens: 4000,
+            validate: (data) =>
+              normalizeGeneratedCards(data.cards, deckNodes).length > 0,
+          }
+        );
+
+        newCards = result
+          ? normalizeGeneratedCards(result.data.cards, deckNodes)
+          : null;
+
+        usedFallback = !newCards;
+        if (usedFallback) {
+          await releaseQuota(req);
+
+          // Template cards are no replacement for a deck with review history
+          if (regenerate) {
+            console.log("All LLM models failed, keeping the existing deck");
+            return res.status(503).json({
+              error:
+                "Flashcards can't be rebuilt right now, so your deck was kept. Please try again later.",
+            });
+          }
+
+          console.log("All LLM models failed, using fallback flashcards");
+          newCards = createFallbackCards(deckNodes);
+        }
+
+        if (regenerate) {
+          await Flashcard.deleteMany({
+            user_uid: req.user.uid,
+            mindmap_id: mindMap._id,
+          });
+        }
+
+        await Flashcard.insertMany(
+          newCards.map((card) => ({
+            ...card,
+            user_uid: req.user.uid,
+            mindmap_id: mindMap._id,
+          }))
+        );
+      }
+
+      const cards = await Flashcard.find({
+        user_uid: req.user.uid,
+        mindmap_id: mindMap._id,
+      })
+        .sort({ due_at: 1 })
+        .lean();
+
+      res.json({
+        success: true,
+        added_count: newCards.length,
+        cards: cards.map(toPublicCard),
+        stats: deckStats(cards),
+        ...(usedFallback && {
+          note: "Generated using fallback method due to API limitations",
+        }),
+      });
+    } catch (error) {
+      console.error("Error generating flashcards:", error);
+      res.status(500).json({
+        error: "Failed to generate flashcards",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// List the cards for a mind map; ?due=true returns only cards due for review
+router.get("/mindmap/:id/flashcards", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const now = new Date();
+    const cards = await Flashcard.find({
+      user_uid: req.user.uid,
+      mindmap_id: req.params.id,
+    })
+      .sort({ due_at: 1 })
+      .lean();
+
+    const dueOnly = req.query.due === "true";
+
+    res.json({
+      success: true,
+      cards: (dueOnly ? cards.filter((card) => card.due_at <= now) : cards).map(
+        toPublicCard
+      ),
+      stats: deckStats(cards, now),
+    });
+  } catch (error) {
+    console.error("Error fetching flashcards:", error);
+    res.status(500).json({ error: "Failed to fetch flashcards" });
+  }
+});
+
+// Card and due counts for each of the user's mind maps
+router.get("/flashcards/summary", verifyToken, async (req, res) => {
+  try {
+    const now = new Date();
+    const counts = await Flashcard.aggregate([
+      { $match: { user_uid: req.user.uid } },
+      {
+        $group: {
+          _id: "$mindmap_id",
+          total: { $sum: 1 },
+          due: { $sum: { $cond: [{ $lte: ["$due_at", now] }, 1, 0] } },
+        },
+      },
+    ]);
+
+    const summary = {};
+    counts.forEach((count) => {
+      summary[count._id.toString()] = { total: count.total, due: count.due };
+    });
+
+    res.json({
+      success: true,
+      summary,
+    });
+  } catch (error) {
+    console.error("Error fetching flashcard summary:", error);
+    res.status(500).json({ error: "Failed to fetch flashcard summary" });
+  }
+});
+
+// Record a review. quality is the SM-2 recall grade from 0 (forgot) to 5
+// (perfect recall) and decides when the card is next due.
+router.post("/flashcards/:cardId/review", verifyToken, async (req, res) => {
+  try {
+    // Only a number will do: Number("") and Number(null) would both be 0
+    const { quality } = req.body;
+
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      return res
+        .status(400)
+        .json({ error: "quality must be an integer from 0 to 5" });
+    }
+
+    const card = mongoose.isValidObjectId(req.params.cardId)
+      ? await Flashcard.findOne({
+          _id: req.params.cardId,
+          user_uid: req.user.uid,
+        })
+      : null;
+
+    if (!card) {
+      return res.status(404).json({ error: "Flashcard not found" });
+    }
+
+    Object.assign(card, scheduleReview(card, quality));
+    await card.save();
+
+    console.log(
+      `Flashcard ${card._id} reviewed (quality ${quality}), next due in ${card.interval_days} day(s)`
+    );
+
+    res.json({
+      success: true,
+      card: toPublicCard(card),
+    });
+  } catch (error) {
+    console.error("Error reviewing flashcard:", error);
+    res.status(500).json({
+      error: "Failed to record review",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
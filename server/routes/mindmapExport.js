@@ -0,0 +1,56 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const { verifyToken } = require("../middleware/auth");
+const { EXPORT_FORMATS, exportMindMap } = require("../utils/mindmapExport");
+
+// Download a mind map as Markdown, OPML, FreeMind (.mm) or versioned JSON.
+// ?format= defaults to markdown.
+router.get("/mindmap/:id/export", verifyToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || "markdown").toLowerCase();
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const mindMap = mongoose.isValidObjectId(req.params.id)
+      ? await MindMap.findOne({
+          _id: req.params.id,
+          user_uid: req.user.uid,
+        }).lean()
+      : null;
+
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const exported = exportMindMap(mindMap, format);
+    if (!exported) {
+      return res
+        .status(422)
+        .json({ error: "This mind map has no root node to export from" });
+    }
+
+    console.log(`Exporting mind map ${req.params.id} as ${format}`);
+
+    res.set({
+      "Content-Type": exported.contentType,
+      "Content-Disposition": `attachment; filename="${exported.fileName}"`,
+    });
+    res.send(exported.body);
+  } catch (error) {
+    console.error("Error exporting mind map:", error);
+    res.status(500).json({
+      error: "Failed to export mind map",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
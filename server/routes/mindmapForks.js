@@ -0,0 +1,163 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const { verifyToken } = require("../middleware/auth");
+const {
+  contentHash,
+  canFork,
+  describeFork,
+} = require("../utils/mindmapForks");
+const { pruneStalePodcasts } = require("../utils/podcasts");
+
+// Find a mind map by id, or null
+const findMindMap = (id, filter = {}) =>
+  mongoose.isValidObjectId(id)
+    ? MindMap.findOne({ _id: id, ...filter })
+    : null;
+
+// Let other users fork a map, or stop them. Existing forks are unaffected,
+// but they can no longer pull in changes while forking is off.
+router.put("/mindmap/:id/forkable", verifyToken, async (req, res) => {
+  try {
+    const { forkable } = req.body;
+
+    if (typeof forkable !== "boolean") {
+      return res.status(400).json({ error: "forkable must be true or false" });
+    }
+
+    const mindMap = await findMindMap(req.params.id, {
+      user_uid: req.user.uid,
+    });
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    mindMap.forkable = forkable;
+    await mindMap.save();
+
+    console.log(
+      `Mind map ${req.params.id} is ${forkable ? "now" : "no longer"} forkable`
+    );
+
+    res.json({ success: true, forkable: mindMap.forkable });
+  } catch (error) {
+    console.error("Error updating forkable flag:", error);
+    res.status(500).json({
+      error: "Failed to update mind map",
+      details: error.message,
+    });
+  }
+});
+
+// Copy a forkable map (or one of the caller's own) into the caller's
+// library. Progress, quizzes, flashcards and chats stay with the original.
+router.post("/mindmap/:id/clone", verifyToken, async (req, res) => {
+  try {
+    const source = await findMindMap(req.params.id);
+
+    // Maps that can't be forked look the same as missing ones
+    if (!canFork(source, req.user.uid)) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const clone = new MindMap({
+      user_uid: req.user.uid,
+      subject_name: source.subject_name,
+      syllabus: source.syllabus,
+      mindmap_data: source.mindmap_data,
+      forked_from: {
+        mindmap_id: source._id,
+        subject_name: source.subject_name,
+        synced_hash: contentHash(source),
+        synced_at: new Date(),
+      },
+    });
+    const savedMindMap = await clone.save();
+
+    console.log(
+      `Forked mind map ${req.params.id} into ${savedMindMap._id} for user ${req.user.uid}`
+    );
+
+    res.status(201).json({
+      success: true,
+      mindMap: {
+        id: savedMindMap._id.toString(),
+        subject_name: savedMindMap.subject_name,
+        created_at: savedMindMap.created_at,
+        forked_from: describeFork(savedMindMap, source),
+      },
+    });
+  } catch (error) {
+    console.error("Error forking mind map:", error);
+    res.status(500).json({
+      error: "Failed to fork mind map",
+      details: error.message,
+    });
+  }
+});
+
+// Replace a fork's syllabus and topics with the current version of the map
+// it was forked from. Edits made to the fork are overwritten; reading
+// progress is kept for topics that still exist.
+router.post("/mindmap/:id/pull-source", verifyToken, async (req, res) => {
+  try {
+    const mindMap = await findMindMap(req.params.id, {
+      user_uid: req.user.uid,
+    });
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    if (!mindMap.forked_from?.mindmap_id) {
+      return res
+        .status(400)
+        .json({ error: "This mind map isn't a fork of another map" });
+    }
+
+    const source = await MindMap.findById(mindMap.forked_from.mindmap_id);
+    if (!canFork(source, req.user.uid)) {
+      return res.status(410).json({
+        error: "The original mind map was deleted or is no longer shared",
+      });
+    }
+
+    const sourceHash = contentHash(source);
+    const updated = sourceHash !== mindMap.forked_from.synced_hash;
+
+    if (updated) {
+      mindMap.syllabus = source.syllabus;
+      mindMap.mindmap_data = source.mindmap_data;
+      mindMap.markModified("mindmap_data");
+    }
+    mindMap.forked_from.subject_name = source.subject_name;
+    mindMap.forked_from.synced_hash = sourceHash;
+    mindMap.forked_from.synced_at = new Date();
+    const savedMindMap = await mindMap.save();
+    if (updated) await pruneStalePodcasts(savedMindMap);
+
+    console.log(
+      `Pulled ${updated ? "changes" : "no changes"} from mind map ${source._id} into ${req.params.id}`
+    );
+
+    res.json({
+      success: true,
+      updated,
+      mindMap: {
+        id: savedMindMap._id.toString(),
+        subject_name: savedMindMap.subject_name,
+        mindmap_data: savedMindMap.mindmap_data,
+        updated_at: savedMindMap.updated_at,
+        forked_from: describeFork(savedMindMap, source),
+      },
+    });
+  } catch (error) {
+    console.error("Error pulling changes into fork:", error);
+    res.status(500).json({
+      error: "Failed to pull changes from the original mind map",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
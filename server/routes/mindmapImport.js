@@ -0,0 +1,119 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const GenerationJob = require("../models/GenerationJob");
+const { verifyToken } = require("../middleware/auth");
+const { chargeQuota } = require("../middleware/rateLimit");
+const { IMPORT_FORMATS, importMindMap } = require("../utils/mindmapImport");
+const { enqueueJob, toPublicJob } = require("../utils/generationJobs");
+
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024; // 5MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+});
+
+// Create a mind map from a Markdown, OPML, FreeMind (.mm) or exported JSON
+// file without calling the LLM. Expects multipart/form-data with the file in
+// the "file" field. Optional fields: format (otherwise detected), subjectName
+// (otherwise taken from the file) and generateContent=true to queue a job
+// that writes content for topics that have none.
+router.post("/mindmap/import", verifyToken, (req, res) => {
+  upload.single("file")(req, res, async (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === "LIMIT_FILE_SIZE";
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? "Import files must be 5MB or smaller"
+          : "Invalid file upload",
+        details: uploadError.message,
+      });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "A file to import is required" });
+      }
+
+      const { format, subjectName, generateContent } = req.body;
+      if (format && !IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: `format must be one of: ${IMPORT_FORMATS.join(", ")}`,
+        });
+      }
+
+      const { originalname, buffer } = req.file;
+      const imported = importMindMap(buffer.toString("utf8"), {
+        format,
+        filename: originalname,
+        subjectName: subjectName && subjectName.trim(),
+      });
+
+      if (imported.error) {
+        return res.status(422).json({
+          error: "Failed to import the file",
+          details: imported.error,
+        });
+      }
+
+      console.log(
+        `Imported ${imported.format} file "${originalname}" with ${imported.mindMap.nodes.length} nodes`
+      );
+
+      // Writing the missing content uses the AI service, so it counts as a
+      // mind map generation
+      const writeContent =
+        generateContent === "true" && imported.emptyNodeIds.length > 0;
+      if (writeContent && !(await chargeQuota(req, res, "mindmap"))) return;
+
+      const savedMindMap = await new MindMap({
+        user_uid: req.user.uid,
+        subject_name: imported.subjectName,
+        syllabus: imported.syllabus,
+        mindmap_data: imported.mindMap,
+      }).save();
+
+      let job = null;
+      if (writeContent) {
+        job = await new GenerationJob({
+          user_uid: req.user.uid,
+          kind: "content",
+          subject_name: imported.subjectName,
+          syllabus: imported.syllabus,
+          mindmap_id: savedMindMap._id,
+          quota_day: req.quota?.day || null,
+        }).save();
+
+        console.log(`Queued content job ${job._id} for:`, imported.subjectName);
+        enqueueJob(job);
+      }
+
+      res.status(201).json({
+        success: true,
+        mindMap: {
+          id: savedMindMap._id.toString(),
+          user_uid: savedMindMap.user_uid,
+          subject_name: savedMindMap.subject_name,
+          syllabus: savedMindMap.syllabus,
+          mindmap_data: savedMindMap.mindmap_data,
+          created_at: savedMindMap.created_at,
+          updated_at: savedMindMap.updated_at,
+        },
+        format: imported.format,
+        repairs: imported.fixes,
+        empty_node_count: imported.emptyNodeIds.length,
+        job: job ? toPublicJob(job) : null,
+      });
+    } catch (error) {
+      console.error("Error importing mind map:", error);
+      res.status(500).json({
+        error: "Failed to import mind map",
+        details: error.message,
+      });
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const GenerationJob = require("../models/GenerationJob");
+const { verifyToken } = require("../middleware/auth");
+const { enforceQuota } = require("../middleware/rateLimit");
+const {
+  GENERATION_MODES,
+  toSourceDocument,
+} = require("../utils/mindmapGeneration");
+const {
+  ACTIVE_STATUSES,
+  isJobFinished,
+  toPublicJob,
+  enqueueJob,
+  watchJob,
+} = require("../utils/generationJobs");
+
+const RECENT_JOB_LIMIT = 20;
+// Comment lines sent while a job is quiet so proxies keep the stream open,
+// each also a chance to re-read the job
+const STREAM_HEARTBEAT_MS = 15000;
+
+// Queue a mind map for background generation
+router.post(
+  "/mindmap/jobs",
+  verifyToken,
+  enforceQuota("mindmap"),
+  async (req, res) => {
+    try {
+      const {
+        subjectName,
+        syllabus,
+        sourceDocument,
+        generationMode = "auto",
+      } = req.body;
+
+      if (!subjectName || !syllabus) {
+        return res
+          .status(400)
+          .json({ error: "Subject name and syllabus are required" });
+      }
+
+      if (!GENERATION_MODES.includes(generationMode)) {
+        return res.status(400).json({
+          error: `generationMode must be one of: ${GENERATION_MODES.join(", ")}`,
+        });
+      }
+
+      const job = await new GenerationJob({
+        user_uid: req.user.uid,
+        subject_name: subjectName,
+        syllabus,
+        source_document: toSourceDocument(sourceDocument),
+        mode: generationMode,
+        quota_day: req.quota?.day || null,
+      }).save();
+
+      console.log(`Queued generation job ${job._id} for:`, subjectName);
+      enqueueJob(job);
+
+      res.status(202).json({
+        success: true,
+        job: toPublicJob(job),
+      });
+    } catch (error) {
+      console.error("Error queueing mind map generation:", error);
+      res.status(500).json({
+        error: "Failed to start mind map generation",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// List the user's recent generation jobs; ?active=true only lists unfinished ones
+router.get("/mindmap/jobs", verifyToken, async (req, res) => {
+  try {
+    const jobs = await GenerationJob.find({
+      user_uid: req.user.uid,
+      ...(req.query.active === "true" && {
+        status: { $in: ACTIVE_STATUSES },
+      }),
+    })
+      .sort({ created_at: -1 })
+      .limit(RECENT_JOB_LIMIT)
+      .lean();
+
+    res.json({
+      success: true,
+      jobs: jobs.map(toPublicJob),
+    });
+  } catch (error) {
+    console.error("Error fetching generation jobs:", error);
+    res.status(500).json({ error: "Failed to fetch generation jobs" });
+  }
+});
+
+// Get a job's status. With ?stream=true (or Accept: text/event-stream) the
+// response is a Server-Sent Events stream of "status" events that ends with
+// "done" once the job is saved or has failed.
+router.get("/mindmap/jobs/:jobId", verifyToken, async (req, res) => {
+  let job;
+  try {
+    job = mongoose.isValidObjectId(req.params.jobId)
+      ? await GenerationJob.findOne({
+          _id: req.params.jobId,
+          user_uid: req.user.uid,
+        }).lean()
+      : null;
+  } catch (error) {
+    console.error("Error fetching generation job:", error);
+    return res.status(500).json({ error: "Failed to fetch generation job" });
+  }
+
+  if (!job) {
+    return res.status(404).json({ error: "Generation job not found" });
+  }
+
+  const wantsStream =
+    req.query.stream === "true" ||
+    (req.headers.accept || "").includes("text/event-stream");
+
+  if (!wantsStream) {
+    return res.json({ success: true, job: toPublicJob(job) });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stop proxies from buffering the stream
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  let unwatch = () => {};
+  let heartbeat = null;
+  const stopWatching = () => {
+    clearInterval(heartbeat);
+    unwatch();
+  };
+  const finish = (publicJob) => {
+    stopWatching();
+    sendEvent("done", publicJob);
+    res.end();
+  };
+
+  // Updates come from this instance's events and from re-reading the job,
+  // so the same status may turn up twice
+  let lastStatus = null;
+  const sendStatus = (publicJob) => {
+    const status = JSON.stringify(publicJob);
+    if (res.writableEnded || status === lastStatus) return;
+    lastStatus = status;
+    sendEvent("status", publicJob);
+    if (isJobFinished(publicJob)) finish(publicJob);
+  };
+
+  // Another instance may be running the job, and its updates only show up
+  // in the database, so re-read the job with every heartbeat
+  heartbeat = setInterval(async () => {
+    if (res.writableEnded) return;
+    res.write(": keep-alive\n\n");
+    try {
+      const current = await GenerationJob.findById(job._id).lean();
+      if (current) sendStatus(toPublicJob(current));
+    } catch (error) {
+      console.error("Error re-reading generation job:", error.message);
+    }
+  }, STREAM_HEARTBEAT_MS);
+
+  // Start listening before re-reading the job so no update is missed
+  unwatch = watchJob(job._id, sendStatus);
+  res.on("close", () => stopWatching());
+
+  try {
+    const current = await GenerationJob.findById(job._id).lean();
+    sendStatus(toPublicJob(current || job));
+  } catch (error) {
+    console.error("Error streaming generation job:", error);
+    sendEvent("error", { error: "Failed to fetch generation job" });
+    stopWatching();
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const { findViewableMindMap } = require("../utils/mindmapSessions");
+const {
+  DEFAULT_PODCAST_VOICE_ID,
+  findStoredPodcast,
+  sendAudio,
+} = require("../utils/podcasts");
+
+// The stored podcast for a mind map node, honouring Range requests so
+// players can seek without downloading it all. ?voice_id picks the voice.
+// 404 until POST /audio/generate has made one for the node's current
+// content.
+router.get(
+  "/mindmap/:id/nodes/:nodeId/podcast",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const voiceId = String(req.query.voice_id || DEFAULT_PODCAST_VOICE_ID);
+
+      const found = await findViewableMindMap(req.params.id, req.user.uid);
+      const node = (found?.mindMap.mindmap_data?.nodes || []).find(
+        (candidate) => candidate.id === req.params.nodeId
+      );
+      if (!node) {
+        return res.status(404).json({ error: "Mind map node not found" });
+      }
+
+      const podcast = await findStoredPodcast(found.mindMap._id, node, voiceId);
+      if (!podcast) {
+        return res
+          .status(404)
+          .json({ error: "No podcast has been generated for this topic yet" });
+      }
+
+      sendAudio(req, res, podcast.audio, {
+        "Cache-Control": "private, max-age=86400",
+        "X-Podcast-Script-Length": podcast.script.length.toString(),
+      });
+    } catch (error) {
+      console.error("Error fetching podcast:", error);
+      res.status(500).json({ error: "Failed to fetch podcast" });
+    }
+  }
+);
+
+module.exports = router;
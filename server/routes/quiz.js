@@ -0,0 +1,257 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const MindMapProgress = require("../models/MindMapProgress");
+const Quiz = require("../models/Quiz");
+const { verifyToken } = require("../middleware/auth");
+const { enforceQuota, releaseQuota } = require("../middleware/rateLimit");
+const { generateJSONWithFallback } = require("../llm");
+const {
+  MASTERY_THRESHOLD,
+  selectQuizNodes,
+  buildQuizPrompt,
+  normalizeGeneratedQuestions,
+  createFallbackQuestions,
+  toPublicQuiz,
+  gradeQuiz,
+} = require("../utils/quiz");
+
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 15;
+
+// Generate a quiz for one node (and its subtopics) or for the whole mind map
+router.post(
+  "/mindmap/:id/quizzes",
+  verifyToken,
+  enforceQuota("study"),
+  async (req, res) => {
+    try {
+      const { node_id = null } = req.body;
+      const questionCount = Math.min(
+        Math.max(
+          parseInt(req.body.question_count, 10) || DEFAULT_QUESTION_COUNT,
+          1
+        ),
+        MAX_QUESTION_COUNT
+      );
+
+      const mindMap = mongoose.isValidObjectId(req.params.id)
+        ? await MindMap.findOne({
+            _id: req.params.id,
+            user_uid: req.user.uid,
+          }).lean()
+        : null;
+
+      if (!mindMap) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+
+      const nodes = mindMap.mindmap_data?.nodes || [];
+      const targetNode = node_id ? nodes.find((n) => n.id === node_id) : null;
+
+      if (node_id && !targetNode) {
+        return res.status(404).json({ error: "Node not found in mind map" });
+      }
+
+      const quizNodes = selectQuizNodes(nodes, node_id);
+      if (quizNodes.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "There is no topic content to build a quiz from" });
+      }
+
+      console.log(
+        `Generating ${questionCount}-question quiz for mind map ${req.params.id}`,
+        node_id ? `(node ${node_id})` : "(whole map)"
+      );
+
+      const result = await generateJSONWithFallback(
+        buildQuizPrompt(mindMap.subject_name, quizNodes, questionCount),
+        {
+          temperature: 0.4,
+          max_tokens: 3000,
+          validate: (data) =>
+            normalizeGeneratedQuestions(data.questions, quizNodes).length > 0,
+        }
+      );
+
+      let questions = result
+        ? normalizeGeneratedQuestions(result.data.questions, quizNodes).slice(
+            0,
+            questionCount
+          )
+        : null;
+
+      const usedFallback = !questions;
+      if (usedFallback) {
+        console.log("All LLM models failed, using fallback quiz questions");
+        questions = createFallbackQuestions(nodes, quizNodes, questionCount);
+        await releaseQuota(req);
+      }
+
+      const quiz = await new Quiz({
+        user_uid: req.user.uid,
+        mindmap_id: mindMap._id,
+        node_id: node_id,
+        title: `${targetNode ? targetNode.label : mindMap.subject_name} Quiz`,
+        questions,
+      }).save();
+
+      res.json({
+        success: true,
+        quiz: toPublicQuiz(quiz),
+        ...(usedFallback && {
+          note: "Generated using fallback method due to API limitations",
+        }),
+      });
+    } catch (error) {
+      console.error("Error generating quiz:", error);
+      res.status(500).json({
+        error: "Failed to generate quiz",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// List the quizzes for a mind map
+router.get("/mindmap/:id/quizzes", verifyToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const quizzes = await Quiz.find({
+      user_uid: req.user.uid,
+      mindmap_id: req.params.id,
+    })
+      .sort({ created_at: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      quizzes: quizzes.map(toPublicQuiz),
+    });
+  } catch (error) {
+    console.error("Error fetching quizzes:", error);
+    res.status(500).json({ error: "Failed to fetch quizzes" });
+  }
+});
+
+// Get a specific quiz (without answers)
+router.get("/quizzes/:quizId", verifyToken, async (req, res) => {
+  try {
+    const quiz = mongoose.isValidObjectId(req.params.quizId)
+      ? await Quiz.findOne({
+          _id: req.params.quizId,
+          user_uid: req.user.uid,
+        }).lean()
+      : null;
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    res.json({
+      success: true,
+      quiz: toPublicQuiz(quiz),
+    });
+  } catch (error) {
+    console.error("Error fetching quiz:", error);
+    res.status(500).json({ error: "Failed to fetch quiz" });
+  }
+});
+
+// Grade a quiz attempt and update topic mastery
+router.post("/quizzes/:quizId/submit", verifyToken, async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!answers || typeof answers !== "object") {
+      return res
+        .status(400)
+        .json({ error: "answers must map question ids to answers" });
+    }
+
+    const quiz = mongoose.isValidObjectId(req.params.quizId)
+      ? await Quiz.findOne({
+          _id: req.params.quizId,
+          user_uid: req.user.uid,
+        })
+      : null;
+
+    if (!quiz) {
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+
+    const { attempt, nodeScores } = gradeQuiz(quiz, answers);
+    quiz.attempts.push(attempt);
+    await quiz.save();
+
+    // Feed the per-topic scores into the reading progress. It's one upsert
+    // with $max for the mastery, so submissions at the same time neither race
+    // to create the document nor lower each other's best score.
+    const previous = await MindMapProgress.findOne({
+      user_uid: req.user.uid,
+      mindmap_id: quiz.mindmap_id,
+    }).lean();
+
+    const changes = {};
+    const bestScores = {};
+    Object.entries(nodeScores).forEach(([nodeId, score]) => {
+      const topic = `topics.${nodeId}`;
+      bestScores[`${topic}.mastery`] = score;
+      changes[`${topic}.last_quiz_score`] = score;
+      changes[`${topic}.last_quizzed_at`] = attempt.submitted_at;
+
+      // Mastering a topic marks it read; it's never marked unread here
+      if (score >= MASTERY_THRESHOLD) {
+        changes[`${topic}.is_read`] = true;
+        changes[`${topic}.read_at`] =
+          previous?.topics?.[nodeId]?.read_at || attempt.submitted_at;
+      }
+    });
+
+    const progress = await MindMapProgress.findOneAndUpdate(
+      { user_uid: req.user.uid, mindmap_id: quiz.mindmap_id },
+      { $set: changes, $max: bestScores },
+      { upsert: true, new: true }
+    );
+
+    const readStatus = {};
+    const mastery = {};
+    Object.keys(nodeScores).forEach((nodeId) => {
+      const topic = progress.topics.get(nodeId);
+      readStatus[nodeId] = !!topic?.is_read;
+      mastery[nodeId] = topic?.mastery ?? null;
+    });
+
+    console.log(
+      `Quiz ${quiz._id} graded: ${attempt.correct_count}/${attempt.total}`
+    );
+
+    res.json({
+      success: true,
+      attempt: {
+        score: attempt.score,
+        correct_count: attempt.correct_count,
+        total: attempt.total,
+        results: attempt.results,
+        submitted_at: attempt.submitted_at,
+      },
+      progress: {
+        read_status: readStatus,
+        mastery,
+      },
+    });
+  } catch (error) {
+    console.error("Error grading quiz:", error);
+    res.status(500).json({
+      error: "Failed to grade quiz",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,638 @@
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Room = require("../models/Room");
+const MindMap = require("../models/MindMap");
+const { verifyToken } = require("../middleware/auth");
+const { recheckSessionAccess } = require("../utils/mindmapSessions");
+
+const ROOM_PRIVACY = ["public", "private"];
+const MAX_ROOM_NAME_LENGTH = 80;
+const MAX_ROOM_MEMBERS = 50;
+
+// Invite codes skip letters and digits that are easy to mix up when read aloud
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 8;
+
+const generateInviteCode = () =>
+  Array.from(
+    { length: INVITE_CODE_LENGTH },
+    () => INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)]
+  ).join("");
+
+const normalizeInviteCode = (code) =>
+  String(code || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+// Save a room, picking a new invite code if the current one is already taken
+async function saveWithUniqueInviteCode(room) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await room.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 3) throw error;
+      room.invite_code = generateInviteCode();
+    }
+  }
+}
+
+const findMember = (room, userUid) =>
+  room.members.find((member) => member.user_uid === userUid) || null;
+
+const memberFromToken = (user, role) => ({
+  user_uid: user.uid,
+  display_name: user.displayName || user.email || null,
+  role,
+  joined_at: new Date(),
+});
+
+// Find a room the user belongs to, or null
+const findMemberRoom = (id, userUid) =>
+  mongoose.isValidObjectId(id)
+    ? Room.findOne({ _id: id, "members.user_uid": userUid })
+    : null;
+
+// Shape a room for list responses. Only the owner sees the invite code.
+const toPublicRoom = (room, userUid) => {
+  const member = findMember(room, userUid);
+  return {
+    id: room._id.toString(),
+    name: room.name,
+    subject: room.subject,
+    privacy: room.privacy,
+    role: member?.role || null,
+    invite_code: member?.role === "owner" ? room.invite_code : null,
+    member_count: room.members.length,
+    mindmap_count: room.mindmaps.length,
+    created_at: room.created_at,
+    updated_at: room.updated_at,
+  };
+};
+
+const toPublicMember = (member) => ({
+  user_uid: member.user_uid,
+  display_name: member.display_name,
+  role: member.role,
+  joined_at: member.joined_at,
+});
+
+// A room with its members and attached mind maps. Maps deleted since they
+// were attached are left out.
+async function toRoomDetails(room, userUid) {
+  const mindMaps = await MindMap.find({
+    _id: { $in: room.mindmaps.map((attached) => attached.mindmap_id) },
+  })
+    .select("_id subject_name created_at updated_at")
+    .lean();
+  const mindMapsById = new Map(
+    mindMaps.map((mindMap) => [mindMap._id.toString(), mindMap])
+  );
+  const isOwner = findMember(room, userUid)?.role === "owner";
+
+  return {
+    ...toPublicRoom(room, userUid),
+    members: room.members.map(toPublicMember),
+    mindmaps: room.mindmaps
+      .filter((attached) => mindMapsById.has(attached.mindmap_id.toString()))
+      .map((attached) => {
+        const mindMap = mindMapsById.get(attached.mindmap_id.toString());
+        return {
+          id: mindMap._id.toString(),
+          subject_name: mindMap.subject_name,
+          attached_by: attached.attached_by,
+          attached_by_name:
+            findMember(room, attached.attached_by)?.display_name || null,
+          attached_at: attached.attached_at,
+          updated_at: mindMap.updated_at,
+          can_detach: isOwner || attached.attached_by === userUid,
+        };
+      }),
+  };
+}
+
+// Add the user to a room, unless they're already in it. It's one
+// conditional update, so people joining at the same time can't overfill the
+// room or add the same member twice. Resolves with the room as it is now, or
+// null if it's full.
+async function addMember(roomId, user) {
+  const room = await Room.findOneAndUpdate(
+    {
+      _id: roomId,
+      "members.user_uid": { $ne: user.uid },
+      [`members.${MAX_ROOM_MEMBERS - 1}`]: { $exists: false },
+    },
+    { $push: { members: memberFromToken(user, "member") } },
+    { new: true }
+  );
+  if (room) {
+    console.log(`User ${user.uid} joined room ${roomId}`);
+    return room;
+  }
+
+  // Either they're already in the room or it's full
+  return Room.findOne({ _id: roomId, "members.user_uid": user.uid });
+}
+
+// Take a member out of a room along with the maps they attached, then
+// disconnect whoever lost access to the room's maps: the member, and the
+// others from the maps that went with them. Resolves with the room as it is
+// now, or null if they weren't in it.
+async function removeMember(room, userUid) {
+  const updated = await Room.findOneAndUpdate(
+    { _id: room._id, "members.user_uid": userUid },
+    {
+      $pull: {
+        members: { user_uid: userUid },
+        mindmaps: { attached_by: userUid },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await recheckSessionAccess(
+    room.mindmaps.map((attached) => attached.mindmap_id)
+  );
+  return updated;
+}
+
+// List the rooms the user belongs to, most recently active first
+router.get("/rooms", verifyToken, async (req, res) => {
+  try {
+    const rooms = await Room.find({ "members.user_uid": req.user.uid }).sort({
+      updated_at: -1,
+    });
+
+    res.json({
+      success: true,
+      rooms: rooms.map((room) => toPublicRoom(room, req.user.uid)),
+    });
+  } catch (error) {
+    console.error("Error fetching rooms:", error);
+    res.status(500).json({ error: "Failed to fetch rooms" });
+  }
+});
+
+// Public rooms the user hasn't joined yet
+router.get("/rooms/public", verifyToken, async (req, res) => {
+  try {
+    const rooms = await Room.find({
+      privacy: "public",
+      "members.user_uid": { $ne: req.user.uid },
+    })
+      .sort({ updated_at: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      rooms: rooms.map((room) => toPublicRoom(room, req.user.uid)),
+    });
+  } catch (error) {
+    console.error("Error fetching public rooms:", error);
+    res.status(500).json({ error: "Failed to fetch public rooms" });
+  }
+});
+
+// Create a room with the caller as its owner.
+// Body: { name, subject, privacy: "public" | "private" }
+router.post("/rooms", verifyToken, async (req, res) => {
+  try {
+    const { name, subject, privacy = "private" } = req.body;
+    const trimmedName = typeof name === "string" ? name.trim() : "";
+
+    if (!trimmedName) {
+      return res.status(400).json({ error: "Room name is required" });
+    }
+
+    if (trimmedName.length > MAX_ROOM_NAME_LENGTH) {
+      return res.status(400).json({
+        error: `Room names can be at most ${MAX_ROOM_NAME_LENGTH} characters`,
+      });
+    }
+
+    if (!ROOM_PRIVACY.includes(privacy)) {
+      return res.status(400).json({
+        error: `privacy must be one of: ${ROOM_PRIVACY.join(", ")}`,
+      });
+    }
+
+    const room = new Room({
+      name: trimmedName,
+      subject:
+        typeof subject === "string" && subject.trim() ? subject : "other",
+      privacy,
+      invite_code: generateInviteCode(),
+      members: [memberFromToken(req.user, "owner")],
+    });
+    const savedRoom = await saveWithUniqueInviteCode(room);
+
+    console.log(`Created room ${savedRoom._id} for user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      room: await toRoomDetails(savedRoom, req.user.uid),
+    });
+  } catch (error) {
+    console.error("Error creating room:", error);
+    res.status(500).json({
+      error: "Failed to create room",
+      details: error.message,
+    });
+  }
+});
+
+// Join any room with its invite code. Body: { inviteCode }
+router.post("/rooms/join", verifyToken, async (req, res) => {
+  try {
+    const inviteCode = normalizeInviteCode(req.body.inviteCode);
+
+    if (!inviteCode) {
+      return res.status(400).json({ error: "Invite code is required" });
+    }
+
+    const room = await Room.findOne({ invite_code: inviteCode });
+    if (!room) {
+      return res.status(404).json({ error: "No room has that invite code" });
+    }
+
+    const joined = await addMember(room._id, req.user);
+    if (!joined) {
+      return res
+        .status(409)
+        .json({ error: `Rooms can have at most ${MAX_ROOM_MEMBERS} members` });
+    }
+
+    res.json({
+      success: true,
+      room: await toRoomDetails(joined, req.user.uid),
+    });
+  } catch (error) {
+    console.error("Error joining room:", error);
+    res.status(500).json({
+      error: "Failed to join room",
+      details: error.message,
+    });
+  }
+});
+
+// Join a public room without a code. Private rooms look missing here.
+router.post("/rooms/:id/join", verifyToken, async (req, res) => {
+  try {
+    const room = mongoose.isValidObjectId(req.params.id)
+      ? await Room.findOne({ _id: req.params.id, privacy: "public" })
+      : null;
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const joined = await addMember(room._id, req.user);
+    if (!joined) {
+      return res
+        .status(409)
+        .json({ error: `Rooms can have at most ${MAX_ROOM_MEMBERS} members` });
+    }
+
+    res.json({
+      success: true,
+      room: await toRoomDetails(joined, req.user.uid),
+    });
+  } catch (error) {
+    console.error("Error joining room:", error);
+    res.status(500).json({
+      error: "Failed to join room",
+      details: error.message,
+    });
+  }
+});
+
+// A room's details, members and attached mind maps. Members only.
+router.get("/rooms/:id", verifyToken, async (req, res) => {
+  try {
+    const room = await findMemberRoom(req.params.id, req.user.uid);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    res.json({
+      success: true,
+      room: await toRoomDetails(room, req.user.uid),
+    });
+  } catch (error) {
+    console.error("Error fetching room:", error);
+    res.status(500).json({ error: "Failed to fetch room" });
+  }
+});
+
+// List a room's members, owner first
+router.get("/rooms/:id/members", verifyToken, async (req, res) => {
+  try {
+    const room = await findMemberRoom(req.params.id, req.user.uid);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    res.json({
+      success: true,
+      members: [...room.members]
+        .sort((a, b) => (a.role === "owner" ? -1 : b.role === "owner" ? 1 : 0))
+        .map(toPublicMember),
+    });
+  } catch (error) {
+    console.error("Error fetching room members:", error);
+    res.status(500).json({ error: "Failed to fetch room members" });
+  }
+});
+
+// Leave a room. The owner can't leave; they delete the room instead.
+router.post("/rooms/:id/leave", verifyToken, async (req, res) => {
+  try {
+    const room = await findMemberRoom(req.params.id, req.user.uid);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    if (findMember(room, req.user.uid).role === "owner") {
+      return res.status(400).json({
+        error: "The owner can't leave the room; delete it instead",
+      });
+    }
+
+    // Maps the member attached go with them
+    if (!(await removeMember(room, req.user.uid))) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    console.log(`User ${req.user.uid} left room ${req.params.id}`);
+
+    res.json({ success: true, message: "Left the room" });
+  } catch (error) {
+    console.error("Error leaving room:", error);
+    res.status(500).json({
+      error: "Failed to leave room",
+      details: error.message,
+    });
+  }
+});
+
+// Remove a member from a room. Owner only.
+router.delete("/rooms/:id/members/:uid", verifyToken, async (req, res) => {
+  try {
+    const room = await findMemberRoom(req.params.id, req.user.uid);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    if (findMember(room, req.user.uid).role !== "owner") {
+      return res
+        .status(403)
+        .json({ error: "Only the room owner can remove members" });
+    }
+
+    if (req.params.uid === req.user.uid) {
+      return res
+        .status(400)
+        .json({ error: "The owner can't remove themselves from the room" });
+    }
+
+    if (!findMember(room, req.params.uid)) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+
+    const updated = await removeMember(room, req.params.uid);
+    if (!updated) {
+      return res.status(404).json({ error: "Member not found" });
+    }
+
+    console.log(`Removed user ${req.params.uid} from room ${req.params.id}`);
+
+    res.json({
+      success: true,
+      members: updated.members.map(toPublicMember),
+    });
+  } catch (error) {
+    console.error("Error removing room member:", error);
+    res.status(500).json({
+      error: "Failed to remove member",
+      details: error.message,
+    });
+  }
+});
+
+// Replace the invite code, so the old one stops working. Owner only.
+router.post("/rooms/:id/invite-code", verifyToken, async (req, res) => {
+  try {
+    const room = await findMemberRoom(req.params.id, req.user.uid);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    if (findMember(room, req.user.uid).role !== "owner") {
+      return res
+        .status(403)
+        .json({ error: "Only the room owner can change the invite code" });
+    }
+
+    room.invite_code = generateInviteCode();
+    await saveWithUniqueInviteCode(room);
+
+    res.json({ success: true, invite_code: room.invite_code });
+  } catch (error) {
+    console.error("Error changing invite code:", error);
+    res.status(500).json({
+      error: "Failed to change invite code",
+      details: error.message,
+    });
+  }
+});
+
+// Delete a room. Owner only; the attached mind maps are not touched, but
+// members who were viewing them through the room are disconnected.
+router.delete("/rooms/:id", verifyToken, async (req, res) => {
+  try {
+    const room = await findMemberRoom(req.params.id, req.user.uid);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    if (findMember(room, req.user.uid).role !== "owner") {
+      return res
+        .status(403)
+        .json({ error: "Only the room owner can delete the room" });
+    }
+
+    await Room.deleteOne({ _id: room._id });
+    await recheckSessionAccess(
+      room.mindmaps.map((attached) => attached.mindmap_id)
+    );
+
+    console.log(`Deleted room ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: "Room deleted successfully",
+      deletedId: req.params.id,
+    });
+  } catch (error) {
+    console.error("Error deleting room:", error);
+    res.status(500).json({
+      error: "Failed to delete room",
+      details: error.message,
+    });
+  }
+});
+
+// Attach one of the caller's mind maps so every member can view it.
+// Body: { mindMapId }
+router.post("/rooms/:id/mindmaps", verifyToken, async (req, res) => {
+  try {
+    const { mindMapId } = req.body;
+
+    const room = await findMemberRoom(req.params.id, req.user.uid);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const mindMap = mongoose.isValidObjectId(mindMapId)
+      ? await MindMap.findOne({ _id: mindMapId, user_uid: req.user.uid })
+          .select("_id")
+          .lean()
+      : null;
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    if (
+      room.mindmaps.some((attached) => attached.mindmap_id.equals(mindMap._id))
+    ) {
+      return res
+        .status(409)
+        .json({ error: "This mind map is already in the room" });
+    }
+
+    room.mindmaps.push({
+      mindmap_id: mindMap._id,
+      attached_by: req.user.uid,
+      attached_at: new Date(),
+    });
+    await room.save();
+
+    console.log(`Attached mind map ${mindMapId} to room ${req.params.id}`);
+
+    res.status(201).json({
+      success: true,
+      room: await toRoomDetails(room, req.user.uid),
+    });
+  } catch (error) {
+    console.error("Error attaching mind map to room:", error);
+    res.status(500).json({
+      error: "Failed to attach mind map",
+      details: error.message,
+    });
+  }
+});
+
+// Detach a mind map. The owner can detach any map, members only their own.
+router.delete(
+  "/rooms/:id/mindmaps/:mindMapId",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const room = await findMemberRoom(req.params.id, req.user.uid);
+      if (!room) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+
+      const attached = room.mindmaps.find(
+        (item) => item.mindmap_id.toString() === req.params.mindMapId
+      );
+      if (!attached) {
+        return res
+          .status(404)
+          .json({ error: "Mind map is not attached to this room" });
+      }
+
+      if (
+        attached.attached_by !== req.user.uid &&
+        findMember(room, req.user.uid).role !== "owner"
+      ) {
+        return res.status(403).json({
+          error: "Only the room owner or the member who attached it can remove this mind map",
+        });
+      }
+
+      // Pull just this map, so a save can't undo changes made to the room
+      // since it was read. If nothing was pulled, someone else got there first.
+      const { modifiedCount } = await Room.updateOne(
+        { _id: room._id },
+        { $pull: { mindmaps: { mindmap_id: attached.mindmap_id } } }
+      );
+      if (!modifiedCount) {
+        return res
+          .status(404)
+          .json({ error: "Mind map is not attached to this room" });
+      }
+      room.mindmaps = room.mindmaps.filter((item) => item !== attached);
+      await recheckSessionAccess([attached.mindmap_id]);
+
+      console.log(
+        `Detached mind map ${req.params.mindMapId} from room ${req.params.id}`
+      );
+
+      res.json({
+        success: true,
+        room: await toRoomDetails(room, req.user.uid),
+      });
+    } catch (error) {
+      console.error("Error detaching mind map from room:", error);
+      res.status(500).json({
+        error: "Failed to detach mind map",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// View a mind map attached to the room. Members only, read-only.
+router.get(
+  "/rooms/:id/mindmaps/:mindMapId",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const room = await findMemberRoom(req.params.id, req.user.uid);
+      const attached = room?.mindmaps.find(
+        (item) => item.mindmap_id.toString() === req.params.mindMapId
+      );
+      if (!attached) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+
+      const mindMap = await MindMap.findById(attached.mindmap_id)
+        .select("subject_name mindmap_data created_at updated_at")
+        .lean();
+      if (!mindMap) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+
+      res.json({
+        success: true,
+        mindMap: {
+          id: mindMap._id.toString(),
+          subject_name: mindMap.subject_name,
+          mindmap_data: mindMap.mindmap_data,
+          created_at: mindMap.created_at,
+          updated_at: mindMap.updated_at,
+          attached_by_name:
+            findMember(room, attached.attached_by)?.display_name || null,
+        },
+        room: { id: room._id.toString(), name: room.name },
+      });
+    } catch (error) {
+      console.error("Error fetching room mind map:", error);
+      res.status(500).json({ error: "Failed to fetch mind map" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const User = require("../models/User");
+const { verifyToken } = require("../middleware/auth");
+const { recheckSessionAccess } = require("../utils/mindmapSessions");
+
+const MAX_SESSION_INVITES = 20;
+
+// Find one of the user's mind maps by id, or null
+const findOwnMindMap = (id, userUid) =>
+  mongoose.isValidObjectId(id)
+    ? MindMap.findOne({ _id: id, user_uid: userUid })
+    : null;
+
+const toPublicInvite = (invite) => ({
+  user_uid: invite.user_uid,
+  email: invite.email,
+  display_name: invite.display_name,
+  invited_at: invite.invited_at,
+});
+
+// Invite someone with an account to study the map together in its live
+// session. Body: { email }
+router.post("/mindmap/:id/session-invites", verifyToken, async (req, res) => {
+  try {
+    const email =
+      typeof req.body.email === "string"
+        ? req.body.email.trim().toLowerCase()
+        : "";
+
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const mindMap = await findOwnMindMap(req.params.id, req.user.uid);
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const invitee = await User.findOne({ email }).lean();
+    if (!invitee) {
+      return res.status(404).json({
+        error: "No one has signed in with that email yet",
+      });
+    }
+
+    if (invitee.firebase_uid === req.user.uid) {
+      return res.status(400).json({ error: "You can't invite yourself" });
+    }
+
+    const existing = mindMap.session_invites.find(
+      (invite) => invite.user_uid === invitee.firebase_uid
+    );
+    if (existing) {
+      return res.json({ success: true, invite: toPublicInvite(existing) });
+    }
+
+    if (mindMap.session_invites.length >= MAX_SESSION_INVITES) {
+      return res.status(409).json({
+        error: `A mind map can have at most ${MAX_SESSION_INVITES} invited people`,
+      });
+    }
+
+    const invite = {
+      user_uid: invitee.firebase_uid,
+      email: invitee.email,
+      display_name: invitee.display_name || null,
+      invited_at: new Date(),
+    };
+    mindMap.session_invites.push(invite);
+    await mindMap.save();
+
+    console.log(`Invited ${invite.email} to mind map ${req.params.id}`);
+
+    res.status(201).json({ success: true, invite: toPublicInvite(invite) });
+  } catch (error) {
+    console.error("Error inviting to mind map session:", error);
+    res.status(500).json({
+      error: "Failed to send invite",
+      details: error.message,
+    });
+  }
+});
+
+// List the people invited to a mind map
+router.get("/mindmap/:id/session-invites", verifyToken, async (req, res) => {
+  try {
+    const mindMap = await findOwnMindMap(req.params.id, req.user.uid);
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    res.json({
+      success: true,
+      invites: mindMap.session_invites.map(toPublicInvite),
+    });
+  } catch (error) {
+    console.error("Error fetching session invites:", error);
+    res.status(500).json({ error: "Failed to fetch invites" });
+  }
+});
+
+// Withdraw an invite. The person is disconnected from the session unless
+// they can still open the map another way, e.g. through a room.
+router.delete(
+  "/mindmap/:id/session-invites/:uid",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const mindMap = await findOwnMindMap(req.params.id, req.user.uid);
+      if (!mindMap) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+
+      const remaining = mindMap.session_invites.filter(
+        (invite) => invite.user_uid !== req.params.uid
+      );
+      if (remaining.length === mindMap.session_invites.length) {
+        return res.status(404).json({ error: "Invite not found" });
+      }
+
+      mindMap.session_invites = remaining;
+      await mindMap.save();
+      await recheckSessionAccess([mindMap._id], req.params.uid);
+
+      console.log(
+        `Withdrew session invite for ${req.params.uid} on mind map ${req.params.id}`
+      );
+
+      res.json({
+        success: true,
+        invites: mindMap.session_invites.map(toPublicInvite),
+      });
+    } catch (error) {
+      console.error("Error withdrawing session invite:", error);
+      res.status(500).json({
+        error: "Failed to withdraw invite",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Mind maps other people have invited the user to
+router.get("/session-invites", verifyToken, async (req, res) => {
+  try {
+    const mindMaps = await MindMap.find({
+      "session_invites.user_uid": req.user.uid,
+    })
+      .select("_id subject_name user_uid session_invites updated_at")
+      .sort({ updated_at: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      mindMaps: mindMaps.map((mindMap) => ({
+        id: mindMap._id.toString(),
+        subject_name: mindMap.subject_name,
+        invited_at: mindMap.session_invites.find(
+          (invite) => invite.user_uid === req.user.uid
+        ).invited_at,
+        updated_at: mindMap.updated_at,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching session invites:", error);
+    res.status(500).json({ error: "Failed to fetch invites" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const { verifyToken } = require("../middleware/auth");
+
+// Longest expiry a link can be given; links may also never expire
+const MAX_SHARE_DAYS = 365;
+
+const shareLinkStatus = (link, now = new Date()) => {
+  if (link.revoked_at) return "revoked";
+  if (link.expires_at && link.expires_at <= now) return "expired";
+  return "active";
+};
+
+// Shape a share link for API responses
+const toPublicShareLink = (link) => ({
+  token: link.token,
+  status: shareLinkStatus(link),
+  expires_at: link.expires_at,
+  revoked_at: link.revoked_at,
+  created_at: link.created_at,
+});
+
+// Find one of the user's mind maps by id, or null
+const findOwnMindMap = (id, userUid) =>
+  mongoose.isValidObjectId(id)
+    ? MindMap.findOne({ _id: id, user_uid: userUid })
+    : null;
+
+// Create a read-only link. Body: { expiresInDays } (omit for no expiry)
+router.post("/mindmap/:id/share-links", verifyToken, async (req, res) => {
+  try {
+    const { expiresInDays = null } = req.body;
+
+    if (
+      expiresInDays !== null &&
+      !(
+        Number.isInteger(expiresInDays) &&
+        expiresInDays >= 1 &&
+        expiresInDays <= MAX_SHARE_DAYS
+      )
+    ) {
+      return res.status(400).json({
+        error: `expiresInDays must be a whole number from 1 to ${MAX_SHARE_DAYS}, or null`,
+      });
+    }
+
+    const mindMap = await findOwnMindMap(req.params.id, req.user.uid);
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const link = {
+      token: crypto.randomBytes(24).toString("base64url"),
+      expires_at: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+      revoked_at: null,
+      created_at: new Date(),
+    };
+    mindMap.share_links.push(link);
+    await mindMap.save();
+
+    console.log(`Created share link for mind map ${req.params.id}`);
+
+    res.status(201).json({
+      success: true,
+      link: toPublicShareLink(link),
+    });
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    res.status(500).json({
+      error: "Failed to create share link",
+      details: error.message,
+    });
+  }
+});
+
+// List a mind map's share links, newest first
+router.get("/mindmap/:id/share-links", verifyToken, async (req, res) => {
+  try {
+    const mindMap = await findOwnMindMap(req.params.id, req.user.uid);
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    res.json({
+      success: true,
+      links: [...mindMap.share_links]
+        .reverse()
+        .map((link) => toPublicShareLink(link)),
+    });
+  } catch (error) {
+    console.error("Error fetching share links:", error);
+    res.status(500).json({ error: "Failed to fetch share links" });
+  }
+});
+
+// Revoke a share link; it stops working straight away
+router.delete(
+  "/mindmap/:id/share-links/:token",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const mindMap = await findOwnMindMap(req.params.id, req.user.uid);
+      if (!mindMap) {
+        return res.status(404).json({ error: "Mind map not found" });
+      }
+
+      const link = mindMap.share_links.find(
+        (shareLink) => shareLink.token === req.params.token
+      );
+      if (!link) {
+        return res.status(404).json({ error: "Share link not found" });
+      }
+
+      if (!link.revoked_at) {
+        link.revoked_at = new Date();
+        await mindMap.save();
+        console.log(`Revoked share link for mind map ${req.params.id}`);
+      }
+
+      res.json({
+        success: true,
+        link: toPublicShareLink(link),
+      });
+    } catch (error) {
+      console.error("Error revoking share link:", error);
+      res.status(500).json({
+        error: "Failed to revoke share link",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Open a shared mind map. No sign-in needed; only what the read-only view
+// shows is returned.
+router.get("/shared/:token", async (req, res) => {
+  try {
+    const mindMap = await MindMap.findOne({
+      "share_links.token": req.params.token,
+    })
+      .select(
+        "subject_name mindmap_data forkable share_links created_at updated_at"
+      )
+      .lean();
+
+    const link = mindMap?.share_links.find(
+      (shareLink) => shareLink.token === req.params.token
+    );
+    const status = link ? shareLinkStatus(link) : null;
+
+    if (!link || status === "revoked") {
+      return res
+        .status(404)
+        .json({ error: "This link doesn't exist or has been revoked" });
+    }
+
+    if (status === "expired") {
+      return res.status(410).json({ error: "This link has expired" });
+    }
+
+    res.json({
+      success: true,
+      mindMap: {
+        subject_name: mindMap.subject_name,
+        mindmap_data: mindMap.mindmap_data,
+        created_at: mindMap.created_at,
+        updated_at: mindMap.updated_at,
+        // The id is only given out when the owner lets others fork the map
+        forkable: !!mindMap.forkable,
+        id: mindMap.forkable ? mindMap._id.toString() : null,
+      },
+      link: { expires_at: link.expires_at },
+    });
+  } catch (error) {
+    console.error("Error fetching shared mind map:", error);
+    res.status(500).json({ error: "Failed to fetch shared mind map" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MindMap = require("../models/MindMap");
+const MindMapProgress = require("../models/MindMapProgress");
+const { verifyToken } = require("../middleware/auth");
+const { exportFileName } = require("../utils/mindmapExport");
+const {
+  buildStudyGuide,
+  renderStudyGuideHTML,
+  renderStudyGuidePDF,
+} = require("../utils/studyGuide");
+
+const STUDY_GUIDE_FORMATS = ["html", "pdf"];
+
+// A printable study guide for a mind map with the user's read and quiz
+// status. ?format=html (default) returns a page to print from the browser,
+// ?format=pdf a ready-made PDF download.
+router.get("/mindmap/:id/study-guide", verifyToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || "html").toLowerCase();
+
+    if (!STUDY_GUIDE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${STUDY_GUIDE_FORMATS.join(", ")}`,
+      });
+    }
+
+    const mindMap = mongoose.isValidObjectId(req.params.id)
+      ? await MindMap.findOne({
+          _id: req.params.id,
+          user_uid: req.user.uid,
+        }).lean()
+      : null;
+
+    if (!mindMap) {
+      return res.status(404).json({ error: "Mind map not found" });
+    }
+
+    const progress = await MindMapProgress.findOne({
+      user_uid: req.user.uid,
+      mindmap_id: mindMap._id,
+    });
+
+    const guide = buildStudyGuide(mindMap, progress);
+    if (!guide) {
+      return res
+        .status(422)
+        .json({ error: "This mind map has no root node to build a guide from" });
+    }
+
+    console.log(
+      `Building ${format} study guide for mind map ${req.params.id} (${guide.sections.length} sections)`
+    );
+
+    if (format === "pdf") {
+      const pdf = await renderStudyGuidePDF(guide);
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${exportFileName(
+          `${mindMap.subject_name} study guide`,
+          "pdf"
+        )}"`,
+      });
+      return res.send(pdf);
+    }
+
+    res.set("Content-Type", "text/html; charset=utf-8");
+    res.send(renderStudyGuideHTML(guide));
+  } catch (error) {
+    console.error("Error building study guide:", error);
+    res.status(500).json({
+      error: "Failed to build study guide",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const {
+  detectDocumentType,
+  extractText,
+  buildTopicOutline,
+} = require("../utils/syllabusExtractor");
+
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+});
+
+// Extract a topic outline from an uploaded PDF, DOCX, HTML or text syllabus.
+// Expects multipart/form-data with the document in the "file" field.
+router.post("/syllabus/extract", verifyToken, (req, res) => {
+  upload.single("file")(req, res, async (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === "LIMIT_FILE_SIZE";
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? "Syllabus files must be 10MB or smaller"
+          : "Invalid file upload",
+        details: uploadError.message,
+      });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "A syllabus file is required" });
+      }
+
+      const { originalname, mimetype, buffer } = req.file;
+      const documentType = detectDocumentType(mimetype, originalname);
+
+      if (!documentType) {
+        return res.status(415).json({
+          error: "Unsupported file type. Upload a PDF, DOCX, HTML or text file.",
+        });
+      }
+
+      console.log(
+        `Extracting ${documentType} syllabus "${originalname}" (${buffer.length} bytes)`
+      );
+
+      const extractedText = (await extractText(buffer, documentType)).trim();
+      if (!extractedText) {
+        return res.status(422).json({
+          error:
+            "No text could be found in this file. Scanned PDFs need to be converted to text first.",
+        });
+      }
+
+      const { outline, heading_count, truncated } =
+        buildTopicOutline(extractedText);
+
+      res.json({
+        success: true,
+        document: {
+          filename: originalname,
+          mimetype,
+          document_type: documentType,
+          extracted_text: extractedText,
+        },
+        outline,
+        heading_count,
+        truncated,
+      });
+    } catch (error) {
+      console.error("Error extracting syllabus:", error);
+      res.status(422).json({
+        error: "Failed to read the syllabus file",
+        details: error.message,
+      });
+    }
+  });
+});
+
+module.exports = router;
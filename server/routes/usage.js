@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken } = require("../middleware/auth");
+const { getUsage } = require("../utils/usageQuotas");
+
+// How much of today's AI quotas the user has left
+router.get("/usage", verifyToken, async (req, res) => {
+  try {
+    const usage = await getUsage(req.user.uid, req.user.role);
+    res.json({ success: true, ...usage });
+  } catch (error) {
+    console.error("Error fetching usage:", error);
+    res.status(500).json({ error: "Failed to fetch usage" });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,12 @@
 const Groq = require("groq-sdk");
 require("dotenv").config();
 
-const groq = new Groq({
-  apiKey:
-    process.env.GROQ_API_KEY ||
-    "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",
-});
+if (!process.env.GROQ_API_KEY) {
+  console.error("❌ Set GROQ_API_KEY (e.g. in server/.env) to run this test");
+  process.exit(1);
+}
+
+const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
 
 async function testGroqModels() {
   try {
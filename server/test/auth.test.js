@@ -0,0 +1,413 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const AuthSession = require("../models/AuthSession");
+const User = require("../models/User");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const PROJECT_ID = "adhyayan-test";
+const KEY_ID = "test-key-1";
+const JWT_SECRET = "test-jwt-secret-that-is-long-enough";
+// What jwt.verify needs to accept the server's access tokens
+const ACCESS_TOKEN_OPTIONS = {
+  algorithms: ["HS256"],
+  issuer: "adhyayan-ai",
+  audience: "adhyayan-ai-app",
+};
+
+// Google's signing key, and one Google never published
+const signingKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+let server;
+let baseUrl;
+let jwksDir;
+let sessionStore;
+let userStore;
+
+const idTokenFor = (claims = {}, options = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  return jwt.sign(
+    {
+      iss: `https://securetoken.google.com/${PROJECT_ID}`,
+      aud: PROJECT_ID,
+      sub: "user-123",
+      auth_time: now - 60,
+      iat: now - 60,
+      exp: now + 3600,
+      email: "student@example.com",
+      email_verified: true,
+      name: "Test Student",
+      picture: "https://example.com/photo.png",
+      ...claims,
+    },
+    options.privateKey || signingKey.privateKey,
+    {
+      algorithm: "RS256",
+      keyid: options.keyId || KEY_ID,
+    }
+  );
+};
+
+const request = async (method, endpoint, { body, token } = {}) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}/api${endpoint}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const signIn = (body) => request("POST", "/auth/google", { body });
+
+const refresh = (refreshToken) =>
+  request("POST", "/auth/refresh", { body: { refreshToken } });
+
+// Sign in and return the tokens
+const signedIn = async () => {
+  const { body } = await signIn({ idToken: idTokenFor() });
+  return body;
+};
+
+before(async () => {
+  jwksDir = fs.mkdtempSync(path.join(os.tmpdir(), "adhyayan-jwks-"));
+  const jwksFile = path.join(jwksDir, "jwks.json");
+  fs.writeFileSync(
+    jwksFile,
+    JSON.stringify({
+      keys: [
+        {
+          ...signingKey.publicKey.export({ format: "jwk" }),
+          kid: KEY_ID,
+          alg: "RS256",
+          use: "sig",
+        },
+      ],
+    })
+  );
+
+  process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+  process.env.GOOGLE_JWKS_FILE = jwksFile;
+  process.env.JWT_SECRET = JWT_SECRET;
+
+  // No database in tests: users and sign-in sessions are kept in memory
+  mongoose.set("bufferCommands", false);
+  sessionStore = useMemoryModel(AuthSession);
+  userStore = useMemoryModel(User);
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", require("../routes/auth"));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  sessionStore.restore();
+  userStore.restore();
+  server.close();
+  fs.rmSync(jwksDir, { recursive: true, force: true });
+});
+
+test("signs in with a valid ID token", async () => {
+  const { status, body } = await signIn({
+    idToken: idTokenFor(),
+    user: { uid: "user-123", email: "student@example.com" },
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.success, true);
+  assert.deepStrictEqual(body.user, {
+    uid: "user-123",
+    email: "student@example.com",
+    displayName: "Test Student",
+    photoURL: "https://example.com/photo.png",
+    role: "user",
+  });
+
+  const session = jwt.verify(body.token, JWT_SECRET, ACCESS_TOKEN_OPTIONS);
+  assert.strictEqual(session.uid, "user-123");
+  assert.strictEqual(session.email, "student@example.com");
+  assert.strictEqual(session.role, "user");
+  assert.ok(session.sid);
+  assert.ok(session.exp - session.iat <= 15 * 60);
+  assert.ok(body.refreshToken);
+});
+
+test("answers 503 when the session can't be stored", async () => {
+  const { save } = AuthSession.prototype;
+  AuthSession.prototype.save = async () => {
+    throw new Error("Database unavailable");
+  };
+
+  try {
+    const { status, body } = await signIn({ idToken: idTokenFor() });
+
+    assert.strictEqual(status, 503);
+    assert.match(body.error, /temporarily unavailable/);
+    assert.strictEqual(body.token, undefined);
+  } finally {
+    AuthSession.prototype.save = save;
+  }
+});
+
+test("takes the identity from the token, not the request body", async () => {
+  const { status, body } = await signIn({
+    idToken: idTokenFor(),
+    user: { email: "someone-else@example.com", displayName: "Someone Else" },
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.user.email, "student@example.com");
+  assert.strictEqual(body.user.displayName, "Test Student");
+});
+
+test("rejects a uid that doesn't match the token", async () => {
+  const { status, body } = await signIn({
+    idToken: idTokenFor(),
+    user: { uid: "victim-456", email: "victim@example.com" },
+  });
+
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.token, undefined);
+});
+
+test("rejects a request without an ID token", async () => {
+  const { status } = await signIn({
+    user: { uid: "user-123", email: "student@example.com" },
+  });
+
+  assert.strictEqual(status, 401);
+});
+
+test("rejects a token signed with an unpublished key", async () => {
+  const { status } = await signIn({
+    idToken: idTokenFor({}, { privateKey: otherKey.privateKey }),
+  });
+
+  assert.strictEqual(status, 401);
+});
+
+test("rejects a token naming an unknown key", async () => {
+  const { status } = await signIn({
+    idToken: idTokenFor({}, { keyId: "unknown-key" }),
+  });
+
+  assert.strictEqual(status, 401);
+});
+
+test("rejects a token for another Firebase project", async () => {
+  const wrongAudience = await signIn({
+    idToken: idTokenFor({ aud: "another-project" }),
+  });
+  const wrongIssuer = await signIn({
+    idToken: idTokenFor({
+      iss: "https://securetoken.google.com/another-project",
+    }),
+  });
+
+  assert.strictEqual(wrongAudience.status, 401);
+  assert.strictEqual(wrongIssuer.status, 401);
+});
+
+test("rejects an expired token", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const { status, body } = await signIn({
+    idToken: idTokenFor({ iat: now - 7200, exp: now - 3600 }),
+  });
+
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.error, "ID token has expired");
+});
+
+test("rejects a token without a user or sign-in time", async () => {
+  const noSubject = await signIn({ idToken: idTokenFor({ sub: "" }) });
+  const futureSignIn = await signIn({
+    idToken: idTokenFor({ auth_time: Math.floor(Date.now() / 1000) + 600 }),
+  });
+
+  assert.strictEqual(noSubject.status, 401);
+  assert.strictEqual(futureSignIn.status, 401);
+});
+
+test("rejects a token signed with a shared secret", async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const forged = jwt.sign(
+    {
+      iss: `https://securetoken.google.com/${PROJECT_ID}`,
+      aud: PROJECT_ID,
+      sub: "user-123",
+      auth_time: now,
+      exp: now + 3600,
+    },
+    JWT_SECRET,
+    { algorithm: "HS256", keyid: KEY_ID }
+  );
+
+  const { status } = await signIn({ idToken: forged });
+
+  assert.strictEqual(status, 401);
+});
+
+test("fails closed when the Firebase project isn't configured", async () => {
+  delete process.env.FIREBASE_PROJECT_ID;
+  try {
+    const { status } = await signIn({ idToken: idTokenFor() });
+    assert.strictEqual(status, 500);
+  } finally {
+    process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+  }
+});
+
+test("refreshes an access token and rotates the refresh token", async () => {
+  const tokens = await signedIn();
+
+  const { status, body } = await refresh(tokens.refreshToken);
+
+  assert.strictEqual(status, 200);
+  assert.notStrictEqual(body.refreshToken, tokens.refreshToken);
+  const session = jwt.verify(body.token, JWT_SECRET, ACCESS_TOKEN_OPTIONS);
+  assert.strictEqual(session.uid, "user-123");
+  assert.strictEqual(session.sid, jwt.decode(tokens.token).sid);
+
+  const validated = await request("GET", "/auth/validate", {
+    token: body.token,
+  });
+  assert.strictEqual(validated.status, 200);
+});
+
+test("takes the role from the user record when refreshing", async () => {
+  const tokens = await signedIn();
+  assert.strictEqual(jwt.decode(tokens.token).role, "user");
+
+  const user = userStore.docs.find((doc) => doc.firebase_uid === "user-123");
+  user.role = "admin";
+  try {
+    const { status, body } = await refresh(tokens.refreshToken);
+
+    assert.strictEqual(status, 200);
+    const session = jwt.verify(body.token, JWT_SECRET, ACCESS_TOKEN_OPTIONS);
+    assert.strictEqual(session.role, "admin");
+  } finally {
+    user.role = "user";
+  }
+});
+
+test("revokes the session when a rotated refresh token is reused", async () => {
+  const tokens = await signedIn();
+  const rotated = (await refresh(tokens.refreshToken)).body;
+
+  const reused = await refresh(tokens.refreshToken);
+  assert.strictEqual(reused.status, 401);
+
+  // The stolen token's replacement stops working too
+  const afterReuse = await refresh(rotated.refreshToken);
+  assert.strictEqual(afterReuse.status, 401);
+  const validated = await request("GET", "/auth/validate", {
+    token: rotated.token,
+  });
+  assert.strictEqual(validated.status, 401);
+});
+
+test("only one of two concurrent refreshes gets a new token", async () => {
+  const tokens = await signedIn();
+
+  const results = await Promise.all([
+    refresh(tokens.refreshToken),
+    refresh(tokens.refreshToken),
+  ]);
+
+  assert.deepStrictEqual(
+    results.map(({ status }) => status).sort(),
+    [200, 401]
+  );
+});
+
+test("rejects an unknown refresh token", async () => {
+  const { status } = await refresh("not-a-real-token");
+
+  assert.strictEqual(status, 401);
+});
+
+test("signing out revokes the device's tokens", async () => {
+  const tokens = await signedIn();
+
+  const logout = await request("POST", "/auth/logout", { token: tokens.token });
+  assert.strictEqual(logout.status, 200);
+
+  const validated = await request("GET", "/auth/validate", {
+    token: tokens.token,
+  });
+  assert.strictEqual(validated.status, 401);
+  assert.strictEqual((await refresh(tokens.refreshToken)).status, 401);
+});
+
+test("rejects access tokens without a session", async () => {
+  const legacy = jwt.sign(
+    { uid: "user-123", email: "student@example.com" },
+    JWT_SECRET,
+    { expiresIn: "7d" }
+  );
+
+  const { status } = await request("GET", "/auth/validate", { token: legacy });
+
+  assert.strictEqual(status, 401);
+});
+
+test("lists devices and signs one out", async () => {
+  const laptop = await signedIn();
+  const phone = await signedIn();
+
+  const listed = await request("GET", "/auth/sessions", {
+    token: laptop.token,
+  });
+  assert.strictEqual(listed.status, 200);
+  const phoneId = jwt.decode(phone.token).sid;
+  const current = listed.body.sessions.find((session) => session.current);
+  assert.strictEqual(current.id, jwt.decode(laptop.token).sid);
+  assert.ok(listed.body.sessions.some((session) => session.id === phoneId));
+
+  const revoked = await request("DELETE", `/auth/sessions/${phoneId}`, {
+    token: laptop.token,
+  });
+  assert.strictEqual(revoked.status, 200);
+
+  const phoneCheck = await request("GET", "/auth/validate", {
+    token: phone.token,
+  });
+  const laptopCheck = await request("GET", "/auth/validate", {
+    token: laptop.token,
+  });
+  assert.strictEqual(phoneCheck.status, 401);
+  assert.strictEqual(laptopCheck.status, 200);
+});
+
+test("signs out everywhere", async () => {
+  const laptop = await signedIn();
+  const phone = await signedIn();
+
+  const { status } = await request("DELETE", "/auth/sessions", {
+    token: laptop.token,
+  });
+  assert.strictEqual(status, 200);
+
+  for (const tokens of [laptop, phone]) {
+    const validated = await request("GET", "/auth/validate", {
+      token: tokens.token,
+    });
+    assert.strictEqual(validated.status, 401);
+    assert.strictEqual((await refresh(tokens.refreshToken)).status, 401);
+  }
+});
@@ -0,0 +1,138 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const AuthSession = require("../models/AuthSession");
+const { assertAuthConfig } = require("../config/auth");
+const { createAuthSession } = require("../utils/authSessions");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const JWT_SECRET = "test-jwt-secret-that-is-long-enough";
+
+let server;
+let baseUrl;
+let sessionStore;
+let middleware;
+
+// Sign a user in on a fake device and return their access token
+const accessTokenFor = async (user) => {
+  const req = { get: () => "node-test", ip: "127.0.0.1" };
+  const { session } = await createAuthSession(user, req);
+  return middleware.signAccessToken(user, session._id);
+};
+
+// Sign a token the way the server would, with some options swapped out
+const forgeToken = (claims, options = {}) =>
+  jwt.sign({ uid: "user-123", ...claims }, JWT_SECRET, {
+    algorithm: "HS256",
+    issuer: "adhyayan-ai",
+    audience: "adhyayan-ai-app",
+    expiresIn: 60,
+    ...options,
+  });
+
+const get = async (endpoint, token) => {
+  const response = await fetch(`${baseUrl}${endpoint}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Runs assertAuthConfig with JWT_SECRET set to secret
+const withSecret = (secret, check) => {
+  const original = process.env.JWT_SECRET;
+  if (secret === undefined) delete process.env.JWT_SECRET;
+  else process.env.JWT_SECRET = secret;
+  try {
+    check();
+  } finally {
+    process.env.JWT_SECRET = original;
+  }
+};
+
+before(async () => {
+  process.env.JWT_SECRET = JWT_SECRET;
+  sessionStore = useMemoryModel(AuthSession);
+  middleware = require("../middleware/auth");
+
+  const app = express();
+  app.get("/me", middleware.verifyToken, (req, res) => res.json(req.user));
+  app.get("/admin", middleware.requireRole("admin"), (req, res) =>
+    res.json({ ok: true })
+  );
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  sessionStore.restore();
+  server.close();
+});
+
+test("refuses to start without a usable secret", () => {
+  withSecret(undefined, () => assert.throws(assertAuthConfig, /not set/));
+  withSecret("too-short", () => assert.throws(assertAuthConfig, /32/));
+  withSecret("your-secret-key", () =>
+    assert.throws(assertAuthConfig, /example value/)
+  );
+  withSecret(JWT_SECRET, () => assert.doesNotThrow(assertAuthConfig));
+});
+
+test("accepts its own access tokens", async () => {
+  const token = await accessTokenFor({ uid: "user-123", email: "a@b.co" });
+
+  const { status, body } = await get("/me", token);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.uid, "user-123");
+  assert.strictEqual(body.role, "user");
+});
+
+test("rejects tokens with another algorithm, issuer or audience", async () => {
+  const { sid } = jwt.decode(await accessTokenFor({ uid: "user-123" }));
+  const unsigned = forgeToken({ sid }, { algorithm: "none" });
+  const otherAlgorithm = forgeToken({ sid }, { algorithm: "HS512" });
+  const otherIssuer = forgeToken({ sid }, { issuer: "someone-else" });
+  const otherAudience = forgeToken({ sid }, { audience: "another-app" });
+
+  for (const token of [unsigned, otherAlgorithm, otherIssuer, otherAudience]) {
+    const { status, body } = await get("/me", token);
+    assert.strictEqual(status, 401);
+    assert.strictEqual(body.error, "Invalid token");
+  }
+});
+
+test("rejects a malformed Authorization header", async () => {
+  const token = await accessTokenFor({ uid: "user-123" });
+
+  const response = await fetch(`${baseUrl}/me`, {
+    headers: { Authorization: `Token ${token}` },
+  });
+
+  assert.strictEqual(response.status, 401);
+});
+
+test("only lets admins past an admin guard", async () => {
+  const userToken = await accessTokenFor({ uid: "user-123" });
+  const adminToken = await accessTokenFor({ uid: "admin-1", role: "admin" });
+
+  assert.strictEqual((await get("/admin")).status, 401);
+  assert.strictEqual((await get("/admin", userToken)).status, 403);
+  assert.strictEqual((await get("/admin", adminToken)).status, 200);
+});
+
+test("rejects guards for unknown roles", () => {
+  assert.throws(() => middleware.requireRole("superuser"), /Unknown role/);
+});
+
+test("redacts tokens to a fingerprint", () => {
+  const token = forgeToken({});
+  const redacted = middleware.redactToken(token);
+
+  assert.match(redacted, /^token#[0-9a-f]{12}$/);
+  assert.ok(!redacted.includes(token.slice(0, 12)));
+  assert.strictEqual(redacted, middleware.redactToken(token));
+});
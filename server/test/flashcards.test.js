@@ -0,0 +1,190 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const mongoose = require("mongoose");
+const AuthSession = require("../models/AuthSession");
+const Flashcard = require("../models/Flashcard");
+const MindMap = require("../models/MindMap");
+const { setLLMProvider } = require("../llm");
+const { createMockProvider } = require("../llm/providers/mock");
+const { createAuthSession } = require("../utils/authSessions");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const TOPIC_COUNT = 30;
+
+let server;
+let baseUrl;
+let stores;
+let token;
+let card;
+let mindMap;
+// Whether the mock model writes cards; otherwise it replies with nothing
+// usable and the route falls back
+let modelAnswers = false;
+
+const review = async (cardId, body) => {
+  const response = await fetch(`${baseUrl}/api/flashcards/${cardId}/review`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const generate = async (body = {}) => {
+  const response = await fetch(
+    `${baseUrl}/api/mindmap/${mindMap._id}/flashcards`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    }
+  );
+  return { status: response.status, body: await response.json() };
+};
+
+// One card per topic in the prompt
+const writeCards = (messages) => {
+  const prompt = messages[messages.length - 1].content;
+  const nodeIds = [...prompt.matchAll(/\[node_id: ([^\]]+)\]/g)].map(
+    (match) => match[1]
+  );
+  return JSON.stringify({
+    cards: nodeIds.map((nodeId) => ({
+      node_id: nodeId,
+      front: `What is ${nodeId}?`,
+      back: `The ${nodeId} topic`,
+    })),
+  });
+};
+
+const deckNodeIds = async () =>
+  Flashcard.distinct("node_id", { mindmap_id: mindMap._id });
+
+before(async () => {
+  process.env.JWT_SECRET = "test-jwt-secret-that-is-long-enough";
+  stores = [
+    useMemoryModel(AuthSession),
+    useMemoryModel(Flashcard),
+    useMemoryModel(MindMap),
+  ];
+  setLLMProvider(
+    createMockProvider({
+      responses: [
+        {
+          match: "Create study flashcards",
+          response: (messages) => (modelAnswers ? writeCards(messages) : "{}"),
+        },
+      ],
+    })
+  );
+
+  const { signAccessToken } = require("../middleware/auth");
+  const user = { uid: "student-1", email: "student@example.com" };
+  const { session } = await createAuthSession(user, {
+    get: () => "node-test",
+    ip: "127.0.0.1",
+  });
+  token = signAccessToken(user, session._id);
+
+  card = await new Flashcard({
+    user_uid: "student-1",
+    mindmap_id: new mongoose.Types.ObjectId(),
+    node_id: "cells",
+    front: "What is the basic unit of life?",
+    back: "The cell",
+  }).save();
+
+  const topics = Array.from({ length: TOPIC_COUNT }, (_, index) => ({
+    id: `topic-${index + 1}`,
+    label: `Topic ${index + 1}`,
+    parent: "root",
+    content: `- Point ${index + 1}: what topic ${index + 1} is about`,
+  }));
+  mindMap = await new MindMap({
+    user_uid: "student-1",
+    subject_name: "Biology",
+    syllabus: "Everything",
+    mindmap_data: {
+      nodes: [{ id: "root", label: "Biology", type: "root" }, ...topics],
+    },
+  }).save();
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", require("../routes/flashcards"));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  stores.forEach((store) => store.restore());
+  server.close();
+});
+
+test("records a review", async () => {
+  const { status, body } = await review(card._id, { quality: 4 });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.card.id, card._id.toString());
+});
+
+test("only accepts an integer quality from 0 to 5", async () => {
+  for (const quality of ["", null, "3", 2.5, -1, 6, true]) {
+    const { status } = await review(card._id, { quality });
+    assert.strictEqual(status, 400, `quality ${JSON.stringify(quality)}`);
+  }
+  assert.strictEqual((await review(card._id, {})).status, 400);
+});
+
+test("answers 404 for card ids that aren't ObjectIds", async () => {
+  const { status } = await review("not-an-id", { quality: 3 });
+
+  assert.strictEqual(status, 404);
+});
+
+test("tops up the deck with the topics past the first deck", async () => {
+  const first = await generate();
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual((await deckNodeIds()).length, 25);
+
+  const second = await generate();
+  assert.strictEqual(second.status, 200);
+  assert.ok(second.body.added_count > 0);
+  assert.strictEqual((await deckNodeIds()).length, TOPIC_COUNT);
+
+  const third = await generate();
+  assert.strictEqual(third.body.added_count, 0);
+});
+
+test("keeps the deck when a rebuild can't generate cards", async () => {
+  const deckBefore = await Flashcard.find({ mindmap_id: mindMap._id });
+
+  const { status } = await generate({ regenerate: true });
+
+  assert.strictEqual(status, 503);
+  const deckAfter = await Flashcard.find({ mindmap_id: mindMap._id });
+  assert.deepStrictEqual(
+    deckAfter.map((item) => String(item._id)),
+    deckBefore.map((item) => String(item._id))
+  );
+});
+
+test("replaces the deck once a rebuild has generated cards", async () => {
+  modelAnswers = true;
+
+  const { status, body } = await generate({ regenerate: true });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.added_count, 25);
+  assert.ok(body.cards.every((item) => item.front.startsWith("What is ")));
+});
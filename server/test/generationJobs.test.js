@@ -0,0 +1,77 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const GenerationJob = require("../models/GenerationJob");
+const MindMap = require("../models/MindMap");
+const { setLLMProvider } = require("../llm");
+const { createMockProvider } = require("../llm/providers/mock");
+const {
+  enqueueJob,
+  isJobFinished,
+  resumePendingJobs,
+  watchJob,
+} = require("../utils/generationJobs");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+let stores;
+
+const newJob = (fields = {}) =>
+  new GenerationJob({
+    user_uid: "student-1",
+    subject_name: "Biology",
+    syllabus: "Cells, DNA and ecology",
+    ...fields,
+  }).save();
+
+// Resolves with the job's status once it has finished
+const finished = (job) =>
+  new Promise((resolve) => {
+    const unwatch = watchJob(job._id, (publicJob) => {
+      if (!isJobFinished(publicJob)) return;
+      unwatch();
+      resolve(publicJob.status);
+    });
+  });
+
+before(() => {
+  // The mock's empty replies make generation fall back to its own map
+  setLLMProvider(createMockProvider());
+  stores = [useMemoryModel(GenerationJob), useMemoryModel(MindMap)];
+});
+
+after(() => {
+  stores.forEach((store) => store.restore());
+});
+
+test("runs a queued job", async () => {
+  const job = await newJob();
+
+  const done = finished(job);
+  enqueueJob(job);
+
+  assert.strictEqual(await done, "saved");
+  assert.ok((await GenerationJob.findById(job._id)).mindmap_id);
+});
+
+test("leaves jobs another instance has claimed alone", async () => {
+  const job = await newJob({ status: "generating", heartbeat_at: new Date() });
+
+  enqueueJob(job);
+  await resumePendingJobs();
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const current = await GenerationJob.findById(job._id);
+  assert.strictEqual(current.status, "generating");
+  assert.strictEqual(current.mindmap_id, null);
+});
+
+test("takes over jobs whose instance stopped marking them alive", async () => {
+  const job = await newJob({
+    status: "generating",
+    heartbeat_at: new Date(Date.now() - 60 * 60 * 1000),
+  });
+
+  const done = finished(job);
+  await resumePendingJobs();
+
+  assert.strictEqual(await done, "saved");
+});
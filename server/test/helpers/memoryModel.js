@@ -0,0 +1,169 @@
+// Keeps a Mongoose model's documents in memory so routes can be tested
+// without a database. Supports the queries the code under test makes:
+// equality (also with an array's elements), null, $gt, $lt, $in and $or
+// conditions; sort, select and lean; exists checks; updates with $set (and
+// $setOnInsert when upserting); inserts, deletes and distinct values.
+// Returns the stored documents and a function that restores the model.
+function useMemoryModel(Model) {
+  const docs = [];
+  const originals = {
+    find: Model.find,
+    findOne: Model.findOne,
+    findById: Model.findById,
+    exists: Model.exists,
+    findOneAndUpdate: Model.findOneAndUpdate,
+    updateOne: Model.updateOne,
+    updateMany: Model.updateMany,
+    deleteMany: Model.deleteMany,
+    insertMany: Model.insertMany,
+    distinct: Model.distinct,
+    save: Model.prototype.save,
+  };
+
+  const matches = (doc, conditions) =>
+    Object.entries(conditions).every(([path, condition]) => {
+      if (path === "$or") {
+        return condition.some((branch) => matches(doc, branch));
+      }
+      const value = doc.get(path);
+      if (condition === null) return value === null || value === undefined;
+      if (condition instanceof Date) {
+        return value?.getTime() === condition.getTime();
+      }
+      if (typeof condition === "object" && "$gt" in condition) {
+        return value > condition.$gt;
+      }
+      if (typeof condition === "object" && "$lt" in condition) {
+        return value < condition.$lt;
+      }
+      if (typeof condition === "object" && "$in" in condition) {
+        return condition.$in.some((item) => String(item) === String(value));
+      }
+      // Like Mongo, a value matches an array that contains it
+      if (Array.isArray(value)) {
+        return value.some((item) => String(item) === String(condition));
+      }
+      return String(value) === String(condition);
+    });
+
+  // A chainable, awaitable stand-in for a Mongoose query
+  const query = (run) => {
+    let sortSpec = null;
+    let lean = false;
+    const chain = {
+      sort(spec) {
+        sortSpec = spec;
+        return chain;
+      },
+      select() {
+        return chain;
+      },
+      lean() {
+        lean = true;
+        return chain;
+      },
+      then(resolve, reject) {
+        let result = run();
+        if (Array.isArray(result) && sortSpec) {
+          const [[path, direction]] = Object.entries(sortSpec);
+          result = [...result].sort(
+            (a, b) => (a.get(path) > b.get(path) ? 1 : -1) * direction
+          );
+        }
+        if (lean) {
+          result = Array.isArray(result)
+            ? result.map((doc) => doc.toObject())
+            : result && result.toObject();
+        }
+        return Promise.resolve(result).then(resolve, reject);
+      },
+    };
+    return chain;
+  };
+
+  const update = (conditions, changes, many) => {
+    const targets = docs.filter((doc) => matches(doc, conditions));
+    (many ? targets : targets.slice(0, 1)).forEach((doc) =>
+      doc.set(changes.$set)
+    );
+    return Promise.resolve({
+      modifiedCount: many ? targets.length : Math.min(targets.length, 1),
+    });
+  };
+
+  Model.find = (conditions = {}) =>
+    query(() => docs.filter((doc) => matches(doc, conditions)));
+  Model.findOne = (conditions = {}) =>
+    query(() => docs.find((doc) => matches(doc, conditions)) || null);
+  Model.findById = (id) =>
+    query(() => docs.find((doc) => String(doc._id) === String(id)) || null);
+  Model.exists = (conditions = {}) =>
+    query(() => {
+      const doc = docs.find((item) => matches(item, conditions));
+      return doc ? { _id: doc._id } : null;
+    });
+  // Resolves with the document as it was before the update, or after it
+  // with { new: true }
+  Model.findOneAndUpdate = (conditions, changes, options = {}) =>
+    query(() => {
+      let doc = docs.find((item) => matches(item, conditions));
+      if (!doc && !options.upsert) return null;
+
+      const before = doc && Model.hydrate(doc.toObject());
+      if (!doc) {
+        // Plain values in the conditions become fields, like Mongo does
+        const fields = Object.fromEntries(
+          Object.entries(conditions).filter(
+            ([, value]) =>
+              !value || !Object.keys(value).some((key) => key.startsWith("$"))
+          )
+        );
+        doc = new Model({ ...fields, ...changes.$setOnInsert });
+        docs.push(doc);
+      }
+      doc.set(changes.$set || {});
+      return options.new ? doc : before;
+    });
+  Model.updateOne = (conditions, changes) => update(conditions, changes, false);
+  Model.updateMany = (conditions, changes) => update(conditions, changes, true);
+  Model.deleteMany = async (conditions = {}) => {
+    const remaining = docs.filter((doc) => !matches(doc, conditions));
+    const deletedCount = docs.length - remaining.length;
+    docs.splice(0, docs.length, ...remaining);
+    return { deletedCount };
+  };
+  Model.insertMany = async (items) => {
+    const inserted = items.map((item) => new Model(item));
+    docs.push(...inserted);
+    return inserted;
+  };
+  Model.distinct = async (path, conditions = {}) => [
+    ...new Set(
+      docs.filter((doc) => matches(doc, conditions)).map((doc) => doc.get(path))
+    ),
+  ];
+  Model.prototype.save = async function save() {
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  };
+
+  const restore = () => {
+    Object.assign(Model, {
+      find: originals.find,
+      findOne: originals.findOne,
+      findById: originals.findById,
+      exists: originals.exists,
+      findOneAndUpdate: originals.findOneAndUpdate,
+      updateOne: originals.updateOne,
+      updateMany: originals.updateMany,
+      deleteMany: originals.deleteMany,
+      insertMany: originals.insertMany,
+      distinct: originals.distinct,
+    });
+    Model.prototype.save = originals.save;
+  };
+
+  return { docs, restore };
+}
+
+module.exports = { useMemoryModel };
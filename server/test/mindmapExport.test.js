@@ -0,0 +1,124 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  EXPORT_FORMAT_NAME,
+  EXPORT_FORMAT_VERSION,
+  EXPORT_FORMATS,
+  exportFileName,
+  exportMindMap,
+} = require("../utils/mindmapExport");
+const { importMindMap } = require("../utils/mindmapImport");
+
+const node = (id, label, parent, children, content) => ({
+  id,
+  label,
+  type: parent ? "topic" : "root",
+  level: parent ? 1 : 0,
+  parent,
+  children,
+  content,
+  position: { x: 0, y: 0 },
+});
+
+// The root has an id other than "root", as in maps from other tools
+const mindMap = {
+  subject_name: "Biology & Life",
+  syllabus: "Cells and DNA",
+  created_at: new Date("2026-01-05T00:00:00Z"),
+  mindmap_data: {
+    nodes: [
+      node("bio", "Biology & Life", null, ["dna", "cells"], "Overview"),
+      node(
+        "cells",
+        "Cells",
+        "bio",
+        [],
+        "Membranes keep <things> in.\n\n- Lipids"
+      ),
+      node("dna", "DNA", "bio", [], "Line one\nLine two"),
+    ],
+    edges: [
+      { id: "edge_bio_cells", source: "bio", target: "cells" },
+      { id: "edge_bio_dna", source: "bio", target: "dna" },
+    ],
+  },
+};
+
+// [label, parent label, content] for each node, sorted by label
+const topics = (nodes) => {
+  const labels = new Map(nodes.map((item) => [item.id, item.label]));
+  return nodes
+    .map((item) => [item.label, labels.get(item.parent) || null, item.content])
+    .sort(([a], [b]) => a.localeCompare(b));
+};
+
+test("names the file after the subject", () => {
+  assert.strictEqual(exportFileName("Biology & Life", "md"), "biology-life.md");
+  assert.strictEqual(exportFileName("", "json"), "mind-map.json");
+});
+
+test("nests Markdown headings in the order the parent lists", () => {
+  const { body, fileName } = exportMindMap(mindMap, "markdown");
+
+  assert.strictEqual(fileName, "biology-life.md");
+  assert.strictEqual(
+    body,
+    "# Biology & Life\n\nOverview\n\n## DNA\n\nLine one\nLine two\n\n## Cells\n\nMembranes keep <things> in.\n\n- Lipids\n"
+  );
+});
+
+test("escapes labels and keeps line breaks in OPML notes", () => {
+  const { body } = exportMindMap(mindMap, "opml");
+
+  assert.match(body, /<title>Biology &amp; Life<\/title>/);
+  assert.match(body, /<outline text="DNA" _note="Line one&#10;Line two"\/>/);
+  assert.match(body, /_note="Membranes keep &lt;things&gt; in\./);
+});
+
+test("writes FreeMind notes as paragraphs", () => {
+  const { body } = exportMindMap(mindMap, "freemind");
+
+  assert.match(body, /<node ID="ID_bio" TEXT="Biology &amp; Life">/);
+  assert.match(body, /<p>Line one<br\/>Line two<\/p>/);
+  assert.match(
+    body,
+    /<p>Membranes keep &lt;things&gt; in\.<\/p><p>- Lipids<\/p>/
+  );
+});
+
+test("versions the JSON export", () => {
+  const exported = JSON.parse(exportMindMap(mindMap, "json").body);
+
+  assert.strictEqual(exported.format, EXPORT_FORMAT_NAME);
+  assert.strictEqual(exported.version, EXPORT_FORMAT_VERSION);
+  assert.strictEqual(exported.mind_map.subject_name, "Biology & Life");
+  assert.deepStrictEqual(
+    exported.mind_map.nodes.map((item) => item.id),
+    ["bio", "cells", "dna"]
+  );
+});
+
+test("has nothing to export for an empty map or unknown format", () => {
+  assert.strictEqual(exportMindMap(mindMap, "docx"), null);
+  assert.strictEqual(
+    exportMindMap({ mindmap_data: { nodes: [] } }, "json"),
+    null
+  );
+});
+
+Object.keys(EXPORT_FORMATS).forEach((format) => {
+  test(`imports a ${format} export back into the same map`, () => {
+    const exported = exportMindMap(mindMap, format);
+    const result = importMindMap(exported.body, {
+      filename: exported.fileName,
+    });
+
+    assert.strictEqual(result.format, format);
+    assert.strictEqual(result.subjectName, "Biology & Life");
+    assert.strictEqual(result.mindMap.nodes[0].id, "root");
+    assert.deepStrictEqual(
+      topics(result.mindMap.nodes),
+      topics(mindMap.mindmap_data.nodes)
+    );
+  });
+});
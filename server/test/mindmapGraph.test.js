@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  applyNodeOperations,
+  repairMindMapGraph,
+} = require("../utils/mindmapGraph");
+
+const mindMap = () => ({
+  nodes: [
+    {
+      id: "root",
+      label: "Biology",
+      type: "root",
+      level: 0,
+      parent: null,
+      children: ["cells"],
+    },
+    {
+      id: "cells",
+      label: "Cells",
+      type: "main",
+      level: 1,
+      parent: "root",
+      children: [],
+    },
+  ],
+  edges: [{ id: "edge_root_cells", source: "root", target: "cells" }],
+});
+
+test("adds and renames nodes", () => {
+  const { data, errors } = applyNodeOperations(mindMap(), [
+    { op: "add", parent: "root", label: " Genetics ", id: "genetics" },
+    { op: "rename", id: "cells", label: "Cell biology" },
+  ]);
+
+  assert.deepStrictEqual(errors, []);
+  const byId = new Map(data.nodes.map((node) => [node.id, node]));
+  assert.strictEqual(byId.get("genetics").label, "Genetics");
+  assert.strictEqual(byId.get("cells").label, "Cell biology");
+});
+
+test("reports fields that aren't strings instead of throwing", () => {
+  const { errors } = applyNodeOperations(mindMap(), [
+    { op: "add", parent: "root", label: 5 },
+    { op: "add", parent: "root", label: "Genetics", id: { $ne: null } },
+    { op: "add", parent: ["root"], label: "Genetics" },
+    { op: "add", parent: "root", label: "Genetics", content: 42 },
+    { op: "rename", id: "cells", label: { text: "Cells" } },
+  ]);
+
+  assert.deepStrictEqual(errors, [
+    "Operation 1 (add): label must be a string",
+    "Operation 2 (add): id must be a string",
+    "Operation 3 (add): parent must be a string",
+    "Operation 4 (add): content must be a string",
+    "Operation 5 (rename): label must be a string",
+  ]);
+});
+
+test("explains re-attaching a node that is its own parent", () => {
+  const data = mindMap();
+  data.nodes[1].parent = "cells";
+
+  const { data: repaired, fixes } = repairMindMapGraph(data);
+
+  assert.ok(
+    fixes.includes('Node "cells" was its own parent; attached it to "root"')
+  );
+  assert.strictEqual(repaired.nodes[1].parent, "root");
+});
@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { detectImportFormat, importMindMap } = require("../utils/mindmapImport");
+
+// [id, label, parent] for each imported node
+const outline = (result) =>
+  result.mindMap.nodes.map((node) => [node.id, node.label, node.parent]);
+
+const contentOf = (result, label) =>
+  result.mindMap.nodes.find((node) => node.label === label).content;
+
+test("detects the format from the extension, then the content", () => {
+  assert.strictEqual(detectImportFormat("", "notes.md"), "markdown");
+  assert.strictEqual(detectImportFormat("", "map.MM"), "freemind");
+  assert.strictEqual(detectImportFormat('{"nodes": []}', "upload"), "json");
+  assert.strictEqual(
+    detectImportFormat('<?xml version="1.0"?>\n<opml version="2.0">', ""),
+    "opml"
+  );
+  assert.strictEqual(detectImportFormat("<map>", ""), "freemind");
+  assert.strictEqual(detectImportFormat("Cells\nDNA", ""), "markdown");
+});
+
+test("nests Markdown lists by indentation", () => {
+  const result = importMindMap(
+    "# Biology\n\n- Cells\n  - Organelles\n  - Membrane\n- Genetics\n",
+    { format: "markdown" }
+  );
+
+  assert.deepStrictEqual(outline(result), [
+    ["root", "Biology", null],
+    ["topic_1", "Cells", "root"],
+    ["topic_1_sub_0", "Organelles", "topic_1"],
+    ["topic_1_sub_1", "Membrane", "topic_1"],
+    ["topic_2", "Genetics", "root"],
+  ]);
+  assert.strictEqual(result.subjectName, "Biology");
+});
+
+test("keeps headings and lists inside fenced code as content", () => {
+  const result = importMindMap(
+    "# Biology\n\n## Cells\n\nSome text\n\n```\n# not a heading\n- not a topic\n```\n\n## DNA\n",
+    { format: "markdown" }
+  );
+
+  assert.deepStrictEqual(
+    outline(result).map(([, label]) => label),
+    ["Biology", "Cells", "DNA"]
+  );
+  assert.strictEqual(
+    contentOf(result, "Cells"),
+    "Some text\n\n```\n# not a heading\n- not a topic\n```"
+  );
+});
+
+test("decodes entities in OPML and reads notes", () => {
+  const result = importMindMap(
+    '<opml><head><title>Bio &amp; Chem</title></head><body><outline text="Cells &lt;3" _note="Line one&#10;Line two"/><outline text="DNA"/></body></opml>',
+    { format: "opml" }
+  );
+
+  assert.strictEqual(result.subjectName, "Bio & Chem");
+  assert.strictEqual(contentOf(result, "Cells <3"), "Line one\nLine two");
+});
+
+test("reads CDATA in FreeMind notes", () => {
+  const result = importMindMap(
+    '<map><node TEXT="Bio"><node TEXT="Cells"><richcontent TYPE="NOTE"><html><body><p><![CDATA[a < b & c]]></p></body></html></richcontent></node><node TEXT="DNA"/></node></map>',
+    { format: "freemind" }
+  );
+
+  assert.strictEqual(result.subjectName, "Bio");
+  assert.strictEqual(contentOf(result, "Cells"), "a < b & c");
+  assert.deepStrictEqual(result.emptyNodeIds, ["root", "topic_2"]);
+});
+
+test("refuses unbalanced XML", () => {
+  const result = importMindMap(
+    '<opml><body><outline text="Cells"></body></opml>',
+    { format: "opml" }
+  );
+
+  assert.strictEqual(result.error, "This file could not be read as opml");
+});
+
+test("refuses exports from a newer version", () => {
+  const result = importMindMap(
+    JSON.stringify({
+      format: "adhyayan-mindmap",
+      version: 2,
+      mind_map: { nodes: [] },
+    }),
+    { format: "json" }
+  );
+
+  assert.strictEqual(
+    result.error,
+    "Unsupported export version 2; this server reads up to version 1"
+  );
+});
+
+test("gives an imported root the id the client looks for", () => {
+  const result = importMindMap(
+    JSON.stringify({
+      nodes: [
+        { id: "a", label: "Biology", parent: null },
+        { id: "b", label: "Cells", parent: "a" },
+        { id: "root", label: "Organelles", parent: "b" },
+      ],
+    }),
+    { format: "json" }
+  );
+
+  assert.deepStrictEqual(outline(result), [
+    ["root", "Biology", null],
+    ["b", "Cells", "root"],
+    ["root_2", "Organelles", "b"],
+  ]);
+  assert.deepStrictEqual(result.mindMap.nodes[0].children, ["b"]);
+  assert.deepStrictEqual(
+    result.mindMap.edges.map((edge) => [edge.id, edge.source, edge.target]),
+    [
+      ["edge_root_b", "root", "b"],
+      ["edge_b_root_2", "b", "root_2"],
+    ]
+  );
+});
@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { repairMindMap } = require("../utils/mindmapSchema");
+
+test("spreads out nodes that have no position", () => {
+  const { mindMap, fixes } = repairMindMap(
+    {
+      nodes: [
+        { id: "root", label: "Biology", type: "root", parent: null },
+        { id: "cells", label: "Cells", parent: "root" },
+        { id: "dna", label: "DNA", parent: "root" },
+        {
+          id: "ecology",
+          label: "Ecology",
+          parent: "root",
+          position: { x: 900, y: 600 },
+        },
+      ],
+    },
+    "Biology"
+  );
+
+  const positions = mindMap.nodes.map(
+    (node) => `${node.position.x},${node.position.y}`
+  );
+  assert.strictEqual(new Set(positions).size, positions.length);
+  assert.deepStrictEqual(mindMap.nodes[3].position, { x: 900, y: 600 });
+  assert.ok(fixes.includes('Gave node "dna" a default position'));
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const { WebSocket } = require("ws");
+const AuthSession = require("../models/AuthSession");
+const MindMap = require("../models/MindMap");
+const Room = require("../models/Room");
+const { createAuthSession } = require("../utils/authSessions");
+const {
+  attachMindMapSessions,
+  recheckSessionAccess,
+  disconnectSignedOut,
+} = require("../utils/mindmapSessions");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+let server;
+let wss;
+let wsUrl;
+let stores;
+let mindMap;
+let room;
+
+// Sign a user in on a new device and return an access token for it
+const signIn = async (uid) => {
+  const { signAccessToken } = require("../middleware/auth");
+  const user = { uid, email: `${uid}@example.com`, displayName: uid };
+  const { session } = await createAuthSession(user, {
+    get: () => "node-test",
+    ip: "127.0.0.1",
+  });
+  return signAccessToken(user, session._id);
+};
+
+// Open a socket and send a join. Resolves once the server has answered it
+// with either the session or an error.
+const join = (token, mindMapId = mindMap._id.toString()) =>
+  new Promise((resolve, reject) => {
+    const ws = new WebSocket(wsUrl);
+    const received = [];
+    const closed = new Promise((resolveClose) => {
+      ws.on("close", (code) => resolveClose(code));
+    });
+    const client = { ws, received, closed };
+
+    ws.on("open", () =>
+      ws.send(JSON.stringify({ type: "join", token, mindMapId }))
+    );
+    ws.on("message", (data) => {
+      const message = JSON.parse(data.toString());
+      received.push(message);
+      if (received.length === 1) resolve({ ...client, first: message });
+    });
+    ws.on("error", reject);
+  });
+
+const leave = async (client) => {
+  client.ws.close();
+  await client.closed;
+};
+
+before(async () => {
+  process.env.JWT_SECRET = "test-jwt-secret-that-is-long-enough";
+  stores = [
+    useMemoryModel(AuthSession),
+    useMemoryModel(MindMap),
+    useMemoryModel(Room),
+  ];
+
+  mindMap = await new MindMap({
+    user_uid: "owner-1",
+    subject_name: "Biology",
+    syllabus: "Everything",
+    mindmap_data: { nodes: [{ id: "root", label: "Biology" }] },
+  }).save();
+  room = await new Room({
+    name: "Study group",
+    invite_code: "ABC123",
+    members: [{ user_uid: "owner-1", role: "owner" }, { user_uid: "member-1" }],
+    mindmaps: [{ mindmap_id: mindMap._id, attached_by: "owner-1" }],
+  }).save();
+
+  server = http.createServer();
+  wss = attachMindMapSessions(server);
+  await new Promise((resolve) => {
+    server.listen(0, resolve);
+  });
+  wsUrl = `ws://127.0.0.1:${server.address().port}/ws`;
+});
+
+after(async () => {
+  stores.forEach((store) => store.restore());
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test("refuses to join with an invalid token", async () => {
+  const client = await join("not-a-token");
+
+  assert.deepStrictEqual(client.first, {
+    type: "error",
+    error: "Invalid or expired token",
+  });
+  assert.strictEqual(await client.closed, 4001);
+});
+
+test("refuses a map the user can't open", async () => {
+  const client = await join(await signIn("stranger-1"));
+
+  assert.strictEqual(client.first.error, "Mind map not found");
+  assert.strictEqual(await client.closed, 4003);
+});
+
+test("lets the owner and room members join", async () => {
+  const owner = await join(await signIn("owner-1"));
+  const member = await join(await signIn("member-1"));
+
+  assert.strictEqual(owner.first.type, "session");
+  assert.strictEqual(owner.first.access, "owner");
+  assert.strictEqual(member.first.access, "guest");
+  assert.deepStrictEqual(
+    member.first.participants.map((participant) => participant.uid),
+    ["owner-1", "member-1"]
+  );
+
+  await leave(owner);
+  await leave(member);
+});
+
+test("disconnects guests who lost access when rechecked", async () => {
+  const owner = await join(await signIn("owner-1"));
+  const member = await join(await signIn("member-1"));
+
+  // Still in the room, so this check leaves them be
+  await recheckSessionAccess([mindMap._id]);
+
+  room.members = room.members.filter((item) => item.user_uid !== "member-1");
+  try {
+    await recheckSessionAccess([mindMap._id]);
+
+    assert.strictEqual(await member.closed, 4004);
+    assert.deepStrictEqual(
+      member.received.filter((message) => message.type === "error"),
+      [{ type: "error", error: "You no longer have access to this mind map" }]
+    );
+    assert.strictEqual(owner.ws.readyState, WebSocket.OPEN);
+  } finally {
+    room.members.push({ user_uid: "member-1" });
+    await leave(owner);
+  }
+});
+
+test("disconnects only the device that signed out", async () => {
+  const token = await signIn("owner-1");
+  const laptop = await join(token);
+  const phone = await join(await signIn("owner-1"));
+
+  disconnectSignedOut("owner-1", jwt.decode(token).sid);
+
+  assert.strictEqual(await laptop.closed, 4001);
+  assert.strictEqual(phone.ws.readyState, WebSocket.OPEN);
+
+  disconnectSignedOut("owner-1");
+  assert.strictEqual(await phone.closed, 4001);
+});
@@ -0,0 +1,151 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const AuthSession = require("../models/AuthSession");
+const MindMap = require("../models/MindMap");
+const Podcast = require("../models/Podcast");
+const { createAuthSession } = require("../utils/authSessions");
+const {
+  DEFAULT_PODCAST_VOICE_ID,
+  parseRange,
+  pruneStalePodcasts,
+  storePodcast,
+} = require("../utils/podcasts");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const AUDIO = Buffer.from("ID3-pretend-this-is-an-mp3");
+
+let server;
+let baseUrl;
+let stores;
+let token;
+let mindMap;
+
+const node = (id, content) => ({ id, label: `Topic ${id}`, content });
+
+const getPodcast = async (nodeId, headers = {}) => {
+  const response = await fetch(
+    `${baseUrl}/api/mindmap/${mindMap._id}/nodes/${nodeId}/podcast`,
+    { headers: { Authorization: `Bearer ${token}`, ...headers } }
+  );
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: Buffer.from(await response.arrayBuffer()),
+  };
+};
+
+before(async () => {
+  process.env.JWT_SECRET = "test-jwt-secret-that-is-long-enough";
+  stores = [
+    useMemoryModel(AuthSession),
+    useMemoryModel(MindMap),
+    useMemoryModel(Podcast),
+  ];
+
+  const { signAccessToken } = require("../middleware/auth");
+  const user = { uid: "owner-1", email: "owner@example.com" };
+  const { session } = await createAuthSession(user, {
+    get: () => "node-test",
+    ip: "127.0.0.1",
+  });
+  token = signAccessToken(user, session._id);
+
+  mindMap = await new MindMap({
+    user_uid: "owner-1",
+    subject_name: "Biology",
+    syllabus: "Cells",
+    mindmap_data: {
+      nodes: [node("cells", "Cells are the unit of life."), node("dna", "")],
+    },
+  }).save();
+  await storePodcast({
+    mindMapId: mindMap._id,
+    node: mindMap.mindmap_data.nodes[0],
+    voiceId: DEFAULT_PODCAST_VOICE_ID,
+    script: "Welcome to cells!",
+    model: "test-model",
+    audio: AUDIO,
+  });
+
+  const app = express();
+  app.use("/api", require("../routes/podcasts"));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  stores.forEach((store) => store.restore());
+  server.close();
+});
+
+test("parses byte ranges", () => {
+  assert.deepStrictEqual(parseRange("bytes=0-9", 100), { start: 0, end: 9 });
+  assert.deepStrictEqual(parseRange("bytes=90-", 100), { start: 90, end: 99 });
+  assert.deepStrictEqual(parseRange("bytes=-10", 100), { start: 90, end: 99 });
+  assert.deepStrictEqual(parseRange("bytes=50-500", 100), {
+    start: 50,
+    end: 99,
+  });
+  assert.strictEqual(parseRange("bytes=100-", 100), "unsatisfiable");
+  assert.strictEqual(parseRange("bytes=200-300", 100), "unsatisfiable");
+  assert.strictEqual(parseRange(undefined, 100), null);
+  assert.strictEqual(parseRange("bytes=9-0", 100), null);
+  assert.strictEqual(parseRange("bytes=0-1,5-6", 100), null);
+  assert.strictEqual(parseRange("items=0-1", 100), null);
+});
+
+test("serves a stored podcast", async () => {
+  const { status, headers, body } = await getPodcast("cells");
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(headers.get("content-type"), "audio/mpeg");
+  assert.strictEqual(headers.get("accept-ranges"), "bytes");
+  assert.strictEqual(headers.get("x-podcast-script-length"), "17");
+  assert.deepStrictEqual(body, AUDIO);
+});
+
+test("serves part of a podcast for a Range request", async () => {
+  const { status, headers, body } = await getPodcast("cells", {
+    Range: "bytes=4-9",
+  });
+
+  assert.strictEqual(status, 206);
+  assert.strictEqual(headers.get("content-range"), `bytes 4-9/${AUDIO.length}`);
+  assert.strictEqual(headers.get("content-length"), "6");
+  assert.deepStrictEqual(body, AUDIO.subarray(4, 10));
+});
+
+test("refuses a range past the end", async () => {
+  const { status, headers } = await getPodcast("cells", {
+    Range: `bytes=${AUDIO.length}-`,
+  });
+
+  assert.strictEqual(status, 416);
+  assert.strictEqual(headers.get("content-range"), `bytes */${AUDIO.length}`);
+});
+
+test("has nothing for topics without a podcast", async () => {
+  assert.strictEqual((await getPodcast("dna")).status, 404);
+  assert.strictEqual((await getPodcast("missing")).status, 404);
+});
+
+test("stops serving and prunes a podcast when its topic changes", async () => {
+  mindMap.mindmap_data = {
+    nodes: [
+      node("cells", "Cells are the basic unit of all living things."),
+      node("dna", ""),
+    ],
+  };
+
+  assert.strictEqual((await getPodcast("cells")).status, 404);
+
+  await pruneStalePodcasts(mindMap);
+  assert.strictEqual(
+    (await Podcast.find({ mindmap_id: mindMap._id })).length,
+    0
+  );
+});
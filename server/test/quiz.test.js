@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { gradeQuiz } = require("../utils/quiz");
+
+const quiz = (question) => ({
+  questions: [
+    {
+      id: "q1",
+      node_id: "cells",
+      type: "short_answer",
+      prompt: "What do plant cells have that animal cells lack?",
+      accepted_answers: [],
+      keywords: [],
+      ...question,
+    },
+  ],
+});
+
+const isCorrect = (question, answer) =>
+  gradeQuiz(quiz(question), { q1: answer }).attempt.results[0].correct;
+
+test("accepts answers that contain an accepted answer as whole words", () => {
+  const question = { accepted_answers: ["cell wall"] };
+
+  assert.strictEqual(isCorrect(question, "Cell wall"), true);
+  assert.strictEqual(isCorrect(question, "They have a cell wall."), true);
+  assert.strictEqual(isCorrect(question, "a cell walls"), false);
+});
+
+test("only counts keywords that appear as whole words", () => {
+  const question = { keywords: ["cell", "wall"] };
+
+  assert.strictEqual(isCorrect(question, "a wall around each cell"), true);
+  assert.strictEqual(isCorrect(question, "cellulose walls"), false);
+});
+
+test("needs most of the keywords", () => {
+  const question = { keywords: ["chloroplast", "cell wall", "vacuole"] };
+
+  assert.strictEqual(isCorrect(question, "chloroplast and vacuole"), true);
+  assert.strictEqual(isCorrect(question, "a chloroplast"), false);
+});
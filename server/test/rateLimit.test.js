@@ -0,0 +1,236 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const mongoose = require("mongoose");
+const UsageCounter = require("../models/UsageCounter");
+const {
+  enforceQuota,
+  releaseQuota,
+  sendUpstreamRateLimited,
+} = require("../middleware/rateLimit");
+const { consumeQuota, getUsage, refundQuota } = require("../utils/usageQuotas");
+
+let server;
+let baseUrl;
+
+// Stands in for verifyToken: the user comes from headers
+const fakeAuth = (req, res, next) => {
+  req.user = {
+    uid: req.get("x-user"),
+    role: req.get("x-role") || "user",
+  };
+  next();
+};
+
+const call = async (endpoint, user, { role, body } = {}) => {
+  const headers = { "Content-Type": "application/json", "x-user": user };
+  if (role) headers["x-role"] = role;
+
+  const response = await fetch(`${baseUrl}${endpoint}`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body || {}),
+  });
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+};
+
+// Runs fn as if the database were connected, with counter updates answered
+// by each of results in turn: an error to throw or a counter to return
+const withCounterUpdates = async (results, fn) => {
+  const { findOneAndUpdate } = UsageCounter;
+  const calls = [];
+  Object.defineProperty(mongoose.connection, "readyState", {
+    configurable: true,
+    get: () => 1,
+  });
+  UsageCounter.findOneAndUpdate = (...args) => {
+    const result = results[calls.push(args) - 1];
+    return {
+      lean: async () => {
+        if (result instanceof Error) throw result;
+        return result;
+      },
+    };
+  };
+
+  try {
+    await fn();
+  } finally {
+    UsageCounter.findOneAndUpdate = findOneAndUpdate;
+    delete mongoose.connection.readyState;
+  }
+  return calls;
+};
+
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+before(async () => {
+  // No database in tests: counters are kept in memory
+  process.env.QUOTA_CHAT_PER_DAY = "2";
+  process.env.QUOTA_AUDIO_PER_DAY = "1";
+
+  const app = express();
+  app.use(express.json());
+  app.post("/chat", fakeAuth, enforceQuota("chat"), (req, res) => {
+    if (!req.body.message) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+    res.json({ success: true });
+  });
+  app.post(
+    "/chat/fallback",
+    fakeAuth,
+    enforceQuota("chat"),
+    async (req, res) => {
+      await releaseQuota(req);
+      res.json({ success: true, note: "Fallback response" });
+    }
+  );
+  app.post("/audio", fakeAuth, enforceQuota("audio"), (req, res) =>
+    sendUpstreamRateLimited(res, { headers: { "retry-after": "12" } })
+  );
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete process.env.QUOTA_CHAT_PER_DAY;
+  delete process.env.QUOTA_AUDIO_PER_DAY;
+  server.close();
+});
+
+test("counts requests down and refuses them once the quota is used", async () => {
+  const first = await call("/chat", "alice", { body: { message: "hi" } });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get("ratelimit-limit"), "2");
+  assert.strictEqual(first.headers.get("ratelimit-remaining"), "1");
+  assert.strictEqual(first.headers.get("ratelimit-policy"), "2;w=86400");
+  const resetSeconds = Number(first.headers.get("ratelimit-reset"));
+  assert.ok(resetSeconds > 0 && resetSeconds <= 86400);
+
+  const second = await call("/chat", "alice", { body: { message: "hi" } });
+  assert.strictEqual(second.headers.get("ratelimit-remaining"), "0");
+
+  const refused = await call("/chat", "alice", { body: { message: "hi" } });
+  assert.strictEqual(refused.status, 429);
+  assert.strictEqual(refused.headers.get("ratelimit-remaining"), "0");
+  assert.ok(Number(refused.headers.get("retry-after")) > 0);
+  assert.strictEqual(refused.body.feature, "chat");
+  assert.match(refused.body.error, /all 2 of today's chat messages/);
+
+  // Other users have their own quota
+  const other = await call("/chat", "bob", { body: { message: "hi" } });
+  assert.strictEqual(other.status, 200);
+});
+
+test("doesn't count failed or fallback requests", async () => {
+  const invalid = await call("/chat", "carol");
+  assert.strictEqual(invalid.status, 400);
+
+  const fallback = await call("/chat/fallback", "carol");
+  assert.strictEqual(fallback.status, 200);
+
+  const usage = await getUsage("carol");
+  const chat = usage.features.find((item) => item.feature === "chat");
+  assert.strictEqual(chat.used, 0);
+  assert.strictEqual(chat.remaining, 2);
+});
+
+test("doesn't limit admins", async () => {
+  for (let i = 0; i < 3; i++) {
+    const { status, headers } = await call("/chat", "admin-1", {
+      role: "admin",
+      body: { message: "hi" },
+    });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get("ratelimit-limit"), null);
+  }
+
+  const usage = await getUsage("admin-1", "admin");
+  assert.ok(usage.features.every((item) => item.limit === null));
+});
+
+test("reports today's usage per feature", async () => {
+  await call("/chat", "dave", { body: { message: "hi" } });
+
+  const usage = await getUsage("dave");
+
+  assert.ok(new Date(usage.reset_at) > new Date());
+  assert.deepStrictEqual(
+    usage.features.map(({ feature, used, limit, remaining }) => ({
+      feature,
+      used,
+      limit,
+      remaining,
+    })),
+    [
+      { feature: "mindmap", used: 0, limit: 10, remaining: 10 },
+      { feature: "chat", used: 1, limit: 2, remaining: 1 },
+      { feature: "audio", used: 0, limit: 1, remaining: 1 },
+      { feature: "study", used: 0, limit: 20, remaining: 20 },
+    ]
+  );
+});
+
+test("answers a provider rate limit with 503 and gives the request back", async () => {
+  const busy = await call("/audio", "erin");
+  assert.strictEqual(busy.status, 503);
+  assert.strictEqual(busy.headers.get("retry-after"), "12");
+  assert.strictEqual(busy.body.retry_after, 12);
+
+  // The failed attempt didn't use up the single audio generation
+  const usage = await getUsage("erin");
+  const audio = usage.features.find((item) => item.feature === "audio");
+  assert.strictEqual(audio.used, 0);
+});
+
+test("gives a request back to the day it was counted", async () => {
+  await call("/chat", "frank", { body: { message: "hi" } });
+
+  // A job queued yesterday that fails today doesn't free up today's quota
+  await refundQuota("frank", "chat", "2000-01-01");
+
+  const usage = await getUsage("frank");
+  const chat = usage.features.find((item) => item.feature === "chat");
+  assert.strictEqual(chat.used, 1);
+});
+
+test("retries when another request created the day's counter first", async () => {
+  let quota;
+  const calls = await withCounterUpdates(
+    [duplicateKeyError(), { count: 1 }],
+    async () => {
+      quota = await consumeQuota("grace", "chat");
+    }
+  );
+
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(quota.allowed, true);
+  assert.strictEqual(quota.remaining, 1);
+
+  // Nothing was counted in memory instead
+  const usage = await getUsage("grace");
+  const chat = usage.features.find((item) => item.feature === "chat");
+  assert.strictEqual(chat.used, 0);
+});
+
+test("doesn't count in memory while the database is up", async () => {
+  await withCounterUpdates(
+    [new Error("Write conflict"), duplicateKeyError()],
+    async () => {
+      await assert.rejects(consumeQuota("heidi", "chat"), /Write conflict/);
+    }
+  );
+
+  const usage = await getUsage("heidi");
+  const chat = usage.features.find((item) => item.feature === "chat");
+  assert.strictEqual(chat.used, 0);
+});
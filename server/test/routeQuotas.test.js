@@ -0,0 +1,118 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const AuthSession = require("../models/AuthSession");
+const MindMap = require("../models/MindMap");
+const { createAuthSession } = require("../utils/authSessions");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const OUTLINE = "# Biology\n\n## Cells\n\n## DNA\n";
+
+let server;
+let baseUrl;
+let stores;
+let token;
+let mindMap;
+
+const post = async (endpoint, body) => {
+  const response = await fetch(`${baseUrl}/api${endpoint}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(!(body instanceof FormData) && {
+        "Content-Type": "application/json",
+      }),
+    },
+    body: body instanceof FormData ? body : JSON.stringify(body || {}),
+  });
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+};
+
+const importForm = (fields = {}) => {
+  const form = new FormData();
+  form.append("file", new Blob([OUTLINE]), "biology.md");
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  return form;
+};
+
+before(async () => {
+  process.env.JWT_SECRET = "test-jwt-secret-that-is-long-enough";
+  // No database in tests, so counters are kept in memory. A quota of zero
+  // is used up from the start.
+  process.env.QUOTA_MINDMAP_PER_DAY = "0";
+  process.env.QUOTA_STUDY_PER_DAY = "0";
+  stores = [useMemoryModel(AuthSession), useMemoryModel(MindMap)];
+
+  const { signAccessToken } = require("../middleware/auth");
+  const user = { uid: "student-1", email: "student@example.com" };
+  const { session } = await createAuthSession(user, {
+    get: () => "node-test",
+    ip: "127.0.0.1",
+  });
+  token = signAccessToken(user, session._id);
+
+  mindMap = await new MindMap({
+    user_uid: "student-1",
+    subject_name: "Biology",
+    syllabus: "Cells",
+    mindmap_data: { nodes: [{ id: "cells", label: "Cells", content: "" }] },
+  }).save();
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", require("../routes/quiz"));
+  app.use("/api", require("../routes/flashcards"));
+  app.use("/api", require("../routes/mindmapImport"));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  delete process.env.QUOTA_MINDMAP_PER_DAY;
+  delete process.env.QUOTA_STUDY_PER_DAY;
+  stores.forEach((store) => store.restore());
+  server.close();
+});
+
+test("refuses quizzes once the study quota is used", async () => {
+  const { status, headers, body } = await post(
+    `/mindmap/${mindMap._id}/quizzes`
+  );
+
+  assert.strictEqual(status, 429);
+  assert.strictEqual(headers.get("ratelimit-remaining"), "0");
+  assert.strictEqual(body.feature, "study");
+});
+
+test("refuses flashcards once the study quota is used", async () => {
+  const { status, body } = await post(`/mindmap/${mindMap._id}/flashcards`);
+
+  assert.strictEqual(status, 429);
+  assert.strictEqual(body.feature, "study");
+});
+
+test("refuses to write content for an import once the quota is used", async () => {
+  const { status, body } = await post(
+    "/mindmap/import",
+    importForm({ generateContent: "true" })
+  );
+
+  assert.strictEqual(status, 429);
+  assert.strictEqual(body.feature, "mindmap");
+  // Nothing was imported either
+  assert.strictEqual((await MindMap.find({ user_uid: "student-1" })).length, 1);
+});
+
+test("still imports without content generation", async () => {
+  const { status, body } = await post("/mindmap/import", importForm());
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.job, null);
+});
@@ -0,0 +1,132 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const AuthSession = require("../models/AuthSession");
+const MindMap = require("../models/MindMap");
+const { createAuthSession } = require("../utils/authSessions");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let baseUrl;
+let stores;
+let token;
+let mindMap;
+let forkableMindMap;
+
+const request = async (method, endpoint, { auth = false, body } = {}) => {
+  const headers = { "Content-Type": "application/json" };
+  if (auth) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}/api${endpoint}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const createLink = async (map, expiresInDays = null) => {
+  const { body } = await request("POST", `/mindmap/${map._id}/share-links`, {
+    auth: true,
+    body: { expiresInDays },
+  });
+  return body.link.token;
+};
+
+const openLink = (linkToken) => request("GET", `/shared/${linkToken}`);
+
+const newMindMap = (subjectName, forkable) =>
+  new MindMap({
+    user_uid: "owner-1",
+    subject_name: subjectName,
+    syllabus: "Everything",
+    forkable,
+    mindmap_data: { nodes: [{ id: "root", label: subjectName }] },
+  }).save();
+
+before(async () => {
+  process.env.JWT_SECRET = "test-jwt-secret-that-is-long-enough";
+  stores = [useMemoryModel(AuthSession), useMemoryModel(MindMap)];
+
+  const { signAccessToken } = require("../middleware/auth");
+  const user = { uid: "owner-1", email: "owner@example.com" };
+  const { session } = await createAuthSession(user, {
+    get: () => "node-test",
+    ip: "127.0.0.1",
+  });
+  token = signAccessToken(user, session._id);
+
+  mindMap = await newMindMap("Biology", false);
+  forkableMindMap = await newMindMap("Chemistry", true);
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api", require("../routes/shareLinks"));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  stores.forEach((store) => store.restore());
+  server.close();
+});
+
+test("opens a shared map without signing in", async () => {
+  const linkToken = await createLink(mindMap, 7);
+
+  const { status, body } = await openLink(linkToken);
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.mindMap.subject_name, "Biology");
+  assert.ok(new Date(body.link.expires_at) > new Date());
+});
+
+test("answers 404 once a link is revoked", async () => {
+  const linkToken = await createLink(mindMap);
+
+  const revoked = await request(
+    "DELETE",
+    `/mindmap/${mindMap._id}/share-links/${linkToken}`,
+    { auth: true }
+  );
+  assert.strictEqual(revoked.status, 200);
+  assert.strictEqual(revoked.body.link.status, "revoked");
+
+  const { status, body } = await openLink(linkToken);
+  assert.strictEqual(status, 404);
+  assert.match(body.error, /revoked/);
+  assert.strictEqual(body.mindMap, undefined);
+});
+
+test("answers 410 once a link has expired", async () => {
+  const linkToken = await createLink(mindMap, 1);
+  mindMap.share_links.find((link) => link.token === linkToken).expires_at =
+    new Date(Date.now() - DAY_MS);
+
+  const { status, body } = await openLink(linkToken);
+
+  assert.strictEqual(status, 410);
+  assert.strictEqual(body.error, "This link has expired");
+  assert.strictEqual(body.mindMap, undefined);
+});
+
+test("answers 404 for a link that never existed", async () => {
+  const { status } = await openLink("not-a-real-link");
+
+  assert.strictEqual(status, 404);
+});
+
+test("only gives out the map's id when it can be forked", async () => {
+  const privateMap = await openLink(await createLink(mindMap));
+  assert.strictEqual(privateMap.body.mindMap.forkable, false);
+  assert.strictEqual(privateMap.body.mindMap.id, null);
+
+  const forkable = await openLink(await createLink(forkableMindMap));
+  assert.strictEqual(forkable.body.mindMap.forkable, true);
+  assert.strictEqual(forkable.body.mindMap.id, forkableMindMap._id.toString());
+});
@@ -0,0 +1,206 @@
+// Sign-in sessions, one per device. Access tokens are short-lived JWTs that
+// name their session; the refresh token that renews them is rotated on every
+// use. Presenting a refresh token that was already rotated away revokes the
+// session, since only a copy of it could still be in circulation.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AuthSession = require("../models/AuthSession");
+const User = require("../models/User");
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Refresh token problems are the caller's fault and answered with a 401
+const invalidRefreshToken = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+// A readable name for the device, e.g. "Chrome on Windows"
+function describeDevice(userAgent) {
+  if (!userAgent) return "Unknown device";
+
+  const browser =
+    [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Browser";
+  const os =
+    [
+      [/Android/, "Android"],
+      [/iPhone|iPad|iPod/, "iOS"],
+      [/Windows/, "Windows"],
+      [/Mac OS X|Macintosh/, "macOS"],
+      [/CrOS/, "ChromeOS"],
+      [/Linux/, "Linux"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// Start a session for a user who just signed in on the device making req.
+// Resolves with the session and its first refresh token.
+async function createAuthSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const userAgent = req.get("user-agent") || null;
+
+  const session = new AuthSession({
+    user_uid: user.uid,
+    email: user.email || null,
+    display_name: user.displayName || null,
+    role: user.role || "user",
+    refresh_token_hash: hashToken(refreshToken),
+    device_name: describeDevice(userAgent),
+    user_agent: userAgent ? userAgent.slice(0, 500) : null,
+    ip_address: req.ip || null,
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  await session.save();
+
+  return { session, refreshToken };
+}
+
+// Swap a refresh token for a new one. Resolves with the session and the new
+// token; rejects with a 401 error if the token is unknown, expired or revoked.
+async function rotateRefreshToken(refreshToken, req) {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    throw invalidRefreshToken("Refresh token is required");
+  }
+
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  // Check and rotate in one step, so of two requests racing with the same
+  // token only one gets a new one and the other counts as reuse
+  const session = await AuthSession.findOneAndUpdate(
+    { refresh_token_hash: hash, revoked_at: null, expires_at: { $gt: now } },
+    {
+      $set: {
+        previous_refresh_token_hash: hash,
+        refresh_token_hash: hashToken(nextToken),
+        last_used_at: now,
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+        ...(req.ip && { ip_address: req.ip }),
+      },
+    },
+    { new: true }
+  );
+  if (session) {
+    return {
+      session,
+      refreshToken: nextToken,
+      role: await currentRole(session),
+    };
+  }
+
+  const reused = await AuthSession.findOneAndUpdate(
+    { previous_refresh_token_hash: hash, revoked_at: null },
+    { $set: { revoked_at: now } }
+  );
+  if (reused) {
+    console.warn(
+      `Refresh token reused for session ${reused._id}; session revoked`
+    );
+    throw invalidRefreshToken("Refresh token is invalid");
+  }
+
+  const current = await AuthSession.findOne({ refresh_token_hash: hash })
+    .select("revoked_at")
+    .lean();
+  if (current?.revoked_at) {
+    throw invalidRefreshToken("Session has been signed out");
+  }
+  if (current) {
+    throw invalidRefreshToken("Session has expired");
+  }
+  throw invalidRefreshToken("Refresh token is invalid");
+}
+
+// The role to put in a refreshed access token. Read from the user record
+// rather than the session, so a promotion or demotion applies from the next
+// refresh instead of lasting as long as the session. Without a readable
+// record the user gets no more than the default role.
+async function currentRole(session) {
+  try {
+    const user = await User.findOne({ firebase_uid: session.user_uid })
+      .select("role")
+      .lean();
+    return user?.role || "user";
+  } catch (error) {
+    console.error("Error reading role for refresh:", error.message);
+    return "user";
+  }
+}
+
+// Whether access tokens for this session should still be accepted
+async function isAuthSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await AuthSession.findById(sessionId)
+    .select("revoked_at expires_at")
+    .lean();
+  return !!session && !session.revoked_at && session.expires_at > new Date();
+}
+
+// The user's signed-in devices, most recently used first
+async function listAuthSessions(userUid) {
+  return AuthSession.find({
+    user_uid: userUid,
+    revoked_at: null,
+    expires_at: { $gt: new Date() },
+  })
+    .sort({ last_used_at: -1 })
+    .lean();
+}
+
+// Sign out one device. Resolves with false if the user has no such session.
+async function revokeAuthSession(userUid, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, user_uid: userUid, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Sign out every device. Resolves with how many were signed out.
+async function revokeAllAuthSessions(userUid) {
+  const result = await AuthSession.updateMany(
+    { user_uid: userUid, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+// Shape a session for API responses
+const toPublicAuthSession = (session, currentSessionId) => ({
+  id: session._id.toString(),
+  device_name: session.device_name,
+  ip_address: session.ip_address,
+  created_at: session.created_at,
+  last_used_at: session.last_used_at,
+  current: session._id.toString() === currentSessionId,
+});
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  describeDevice,
+  createAuthSession,
+  rotateRefreshToken,
+  isAuthSessionActive,
+  listAuthSessions,
+  revokeAuthSession,
+  revokeAllAuthSessions,
+  toPublicAuthSession,
+};
@@ -0,0 +1,117 @@
+// Helpers for multi-turn chat threads stored per mind map node
+const mongoose = require("mongoose");
+const MindMap = require("../models/MindMap");
+const ChatThread = require("../models/ChatThread");
+
+// Earlier turns sent to the LLM are trimmed to roughly this many tokens
+const HISTORY_TOKEN_BUDGET = 2500;
+
+// Threads keep at most this many messages in the database
+const MAX_STORED_MESSAGES = 200;
+
+// Rough token count; about four characters per token for English text
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+// Pick the most recent messages that fit in the token budget, oldest first.
+// The window never starts on an assistant reply, so the model always sees
+// the question a reply was answering.
+function selectHistoryWindow(messages, budget = HISTORY_TOKEN_BUDGET) {
+  const window = [];
+  let used = 0;
+
+  for (let index = messages.length - 1; index >= 0; index--) {
+    const cost = estimateTokens(messages[index].content);
+    if (used + cost > budget) break;
+    used += cost;
+    window.unshift(messages[index]);
+  }
+
+  while (window.length > 0 && window[0].role !== "user") {
+    window.shift();
+  }
+
+  return window.map((message) => ({
+    role: message.role,
+    content: message.content,
+  }));
+}
+
+// Load the mind map and the node's conversation (started empty if there
+// isn't one yet) for a chat message, or null if the mind map does not
+// belong to the user
+async function loadChatContext(userUid, mindMapId, nodeId) {
+  if (!mongoose.isValidObjectId(mindMapId)) return null;
+
+  const mindMap = await MindMap.findOne({
+    _id: mindMapId,
+    user_uid: userUid,
+  }).lean();
+  if (!mindMap) return null;
+
+  const thread =
+    (await ChatThread.findOne({
+      user_uid: userUid,
+      mindmap_id: mindMap._id,
+      node_id: nodeId,
+    })) ||
+    new ChatThread({
+      user_uid: userUid,
+      mindmap_id: mindMap._id,
+      node_id: nodeId,
+    });
+
+  return { mindMap, thread };
+}
+
+// Record one exchange and drop the oldest messages past the storage cap
+async function appendExchange(thread, userMessage, reply) {
+  thread.messages.push({ role: "user", content: userMessage });
+  if (reply && reply.content) {
+    thread.messages.push({ role: "assistant", ...reply });
+  }
+
+  if (thread.messages.length > MAX_STORED_MESSAGES) {
+    thread.messages.splice(0, thread.messages.length - MAX_STORED_MESSAGES);
+  }
+
+  await thread.save();
+}
+
+// Shape a thread for the client
+function toPublicThread(thread, { includeMessages = true } = {}) {
+  const messages = thread.messages || [];
+  const lastMessage = messages[messages.length - 1];
+
+  return {
+    mindmap_id: thread.mindmap_id.toString(),
+    node_id: thread.node_id,
+    message_count: messages.length,
+    last_message: lastMessage
+      ? {
+          role: lastMessage.role,
+          content: lastMessage.content.slice(0, 200),
+          created_at: lastMessage.created_at,
+        }
+      : null,
+    ...(includeMessages && {
+      messages: messages.map((message) => ({
+        role: message.role,
+        content: message.content,
+        model: message.model,
+        stopped: message.stopped,
+        cited_node_ids: message.cited_node_ids || [],
+        created_at: message.created_at,
+      })),
+    }),
+    updated_at: thread.updated_at,
+  };
+}
+
+module.exports = {
+  HISTORY_TOKEN_BUDGET,
+  estimateTokens,
+  selectHistoryWindow,
+  loadChatContext,
+  appendExchange,
+  toPublicThread,
+};
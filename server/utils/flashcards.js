@@ -0,0 +1,165 @@
+// Helpers for building flashcard decks from mind map content
+
+const MAX_DECK_NODES = 25;
+const MAX_CONTENT_LENGTH = 1200;
+const MAX_CARDS_PER_NODE = 6;
+
+// Topics worth turning into cards: everything except the root that has notes
+// and isn't in `coveredNodeIds` yet, up to a deck's worth at a time
+function selectFlashcardNodes(nodes, coveredNodeIds = new Set()) {
+  return nodes
+    .filter((node) => node.type !== "root" && node.parent)
+    .filter((node) => node.content && node.content.trim())
+    .filter((node) => !coveredNodeIds.has(node.id))
+    .slice(0, MAX_DECK_NODES);
+}
+
+// Build the LLM prompt for a flashcard deck over the given nodes
+function buildFlashcardPrompt(subjectName, deckNodes) {
+  const topics = deckNodes
+    .map(
+      (node) =>
+        `[node_id: ${node.id}] ${node.label}\n${node.content.slice(
+          0,
+          MAX_CONTENT_LENGTH
+        )}`
+    )
+    .join("\n\n");
+
+  return `Create study flashcards for a student studying "${subjectName}". Base every card only on the following topics from their mind map:
+
+${topics}
+
+Please return a JSON structure with the following exact format:
+{
+  "cards": [
+    {
+      "node_id": "id of the topic this card comes from",
+      "front": "A short question or term",
+      "back": "The answer or definition"
+    }
+  ]
+}
+
+Important guidelines:
+1. Create 1-${MAX_CARDS_PER_NODE} cards per topic depending on how much it covers
+2. Each card tests exactly one fact, definition or idea
+3. Keep the front under 20 words and the back under 50 words
+4. Use only node_id values listed above
+5. Do not repeat the same fact on several cards
+
+Return ONLY valid JSON, no additional text or formatting.`;
+}
+
+// Keep only well-formed cards from an LLM response, deduplicated by front
+function normalizeGeneratedCards(rawCards, deckNodes) {
+  const nodeIds = new Set(deckNodes.map((node) => node.id));
+  const seenFronts = new Set();
+  const perNode = {};
+
+  return (Array.isArray(rawCards) ? rawCards : [])
+    .map((card) => {
+      if (!card || !nodeIds.has(card.node_id)) return null;
+
+      const front = String(card.front || "").trim();
+      const back = String(card.back || "").trim();
+      const key = front.toLowerCase();
+      if (!front || !back || seenFronts.has(key)) return null;
+
+      perNode[card.node_id] = (perNode[card.node_id] || 0) + 1;
+      if (perNode[card.node_id] > MAX_CARDS_PER_NODE) return null;
+
+      seenFronts.add(key);
+      return { node_id: card.node_id, front, back };
+    })
+    .filter(Boolean);
+}
+
+// Pull bullet points ("• ...", "- ...", "* ...", "1. ...") out of node content
+const extractBulletPoints = (content) =>
+  content
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => /^([•\-*]|\d+[.)])\s+/.test(line))
+    .map((line) => line.replace(/^([•\-*]|\d+[.)])\s+/, "").trim())
+    .filter(Boolean);
+
+// Split "Term: definition" or "Term - definition" bullets into a pair
+const splitDefinition = (bullet) => {
+  const match = bullet.match(/^([^:]{2,60}?)\s*(?::|\s[-–—]\s)\s*(.{3,})$/);
+  return match ? { term: match[1].trim(), definition: match[2].trim() } : null;
+};
+
+// Deterministic cards built from node content when the LLM is unavailable.
+// Definition-style bullets become term/definition cards; the remaining
+// bullets are grouped into one "key points" card per topic.
+function createFallbackCards(deckNodes) {
+  const cards = [];
+
+  deckNodes.forEach((node) => {
+    const bullets = extractBulletPoints(node.content);
+    const keyPoints = [];
+    let nodeCards = 0;
+
+    bullets.forEach((bullet) => {
+      const definition = splitDefinition(bullet);
+      if (definition && nodeCards < MAX_CARDS_PER_NODE - 1) {
+        cards.push({
+          node_id: node.id,
+          front: `${node.label}: what is "${definition.term}"?`,
+          back: definition.definition,
+        });
+        nodeCards++;
+      } else {
+        keyPoints.push(bullet);
+      }
+    });
+
+    if (keyPoints.length > 0) {
+      cards.push({
+        node_id: node.id,
+        front: `What are the key points of "${node.label}"?`,
+        back: keyPoints.map((point) => `• ${point}`).join("\n"),
+      });
+    } else if (nodeCards === 0) {
+      // No bullets at all: fall back to the opening sentences of the notes
+      const summary = node.content
+        .split(/(?<=[.!?])\s+/)
+        .slice(0, 2)
+        .join(" ")
+        .trim();
+      cards.push({
+        node_id: node.id,
+        front: `Explain "${node.label}".`,
+        back: summary.slice(0, 400),
+      });
+    }
+  });
+
+  return cards;
+}
+
+// Shape a stored card for the client
+function toPublicCard(card) {
+  return {
+    id: card._id.toString(),
+    mindmap_id: card.mindmap_id.toString(),
+    node_id: card.node_id,
+    front: card.front,
+    back: card.back,
+    ease_factor: card.ease_factor,
+    interval_days: card.interval_days,
+    repetitions: card.repetitions,
+    lapses: card.lapses,
+    due_at: card.due_at,
+    last_reviewed_at: card.last_reviewed_at,
+  };
+}
+
+module.exports = {
+  selectFlashcardNodes,
+  buildFlashcardPrompt,
+  normalizeGeneratedCards,
+  createFallbackCards,
+  toPublicCard,
+};
@@ -0,0 +1,319 @@
+// Background mind map generation. Jobs are persisted in MongoDB so their
+// status survives the request that created them. Each user's jobs run one at
+// a time, several users' at once, and a job is claimed in the database before
+// it runs so only one server instance ever works on it. Running jobs are
+// marked alive regularly; ones that stop being marked (their instance went
+// away) are queued again. watchJob lets a request follow a job's status
+// changes on this instance as they happen. Content jobs write explanations
+// for the empty topics of an imported mind map.
+const { EventEmitter } = require("events");
+const GenerationJob = require("../models/GenerationJob");
+const MindMap = require("../models/MindMap");
+const {
+  generateMindMap,
+  generateMissingContent,
+  toSourceDocument,
+} = require("./mindmapGeneration");
+const { refundQuota } = require("./usageQuotas");
+
+const ACTIVE_STATUSES = ["queued", "generating", "validating"];
+const RUNNING_STATUSES = ["generating", "validating"];
+
+// How many users' jobs this instance runs at once
+const MAX_CONCURRENT_USERS = 4;
+// How often a running job is marked alive, and how long after the last mark
+// it counts as abandoned
+const JOB_HEARTBEAT_MS = 30 * 1000;
+const STALE_JOB_MS = 2 * 60 * 1000;
+
+const jobEvents = new EventEmitter();
+// Any number of clients may follow the same job
+jobEvents.setMaxListeners(0);
+
+// Job ids waiting to run, per user, and the users whose jobs are running
+const userQueues = new Map();
+const runningUsers = new Set();
+
+const isJobFinished = (job) => !ACTIVE_STATUSES.includes(job.status);
+
+// Shape a job for API responses
+function toPublicJob(job) {
+  return {
+    id: job._id.toString(),
+    subject_name: job.subject_name,
+    kind: job.kind,
+    mode: job.mode,
+    status: job.status,
+    current_model: job.current_model,
+    chunk_index: job.chunk_index,
+    chunk_count: job.chunk_count,
+    attempted_models: (job.attempts || []).map((attempt) => attempt.model),
+    repairs: job.repairs || [],
+    used_fallback: job.used_fallback,
+    mindmap_id: job.mindmap_id ? job.mindmap_id.toString() : null,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+}
+
+// Save a status change and tell anyone following the job
+async function updateJob(job, changes) {
+  Object.assign(job, changes);
+  await job.save();
+  jobEvents.emit(job._id.toString(), toPublicJob(job));
+}
+
+// Record a model being tried, and which part of the work it is on
+const statusUpdater = (job) => async (status, model, progress) => {
+  if (status === "generating") job.attempts.push({ model });
+  await updateJob(job, {
+    status,
+    current_model: model,
+    ...(progress && {
+      chunk_index: progress.chunk,
+      chunk_count: progress.chunks,
+    }),
+  });
+};
+
+// Give back the mind map generation a job was counted as, on the day it was
+// counted
+async function refundJobQuota(job) {
+  if (job.quota_day) {
+    await refundQuota(job.user_uid, "mindmap", job.quota_day);
+  }
+}
+
+// Fill in content for the nodes of an imported mind map that have none
+async function runContentJob(job) {
+  const mindMap = await MindMap.findOne({
+    _id: job.mindmap_id,
+    user_uid: job.user_uid,
+  });
+  if (!mindMap) throw new Error("The mind map no longer exists");
+
+  const emptyNodeIds = (mindMap.mindmap_data?.nodes || [])
+    .filter((node) => !String(node.content || "").trim())
+    .map((node) => node.id);
+
+  console.log(
+    `Writing content for ${emptyNodeIds.length} node(s) in mind map ${mindMap._id}`
+  );
+  const { contents } = await generateMissingContent(
+    mindMap.subject_name,
+    mindMap.mindmap_data.nodes,
+    emptyNodeIds,
+    { onStatus: statusUpdater(job) }
+  );
+
+  await updateJob(job, { status: "validating" });
+
+  // Re-read the map so edits made while the job ran are kept, and only
+  // fill nodes that are still empty
+  const latest = await MindMap.findById(mindMap._id);
+  if (!latest) throw new Error("The mind map no longer exists");
+
+  let filled = 0;
+  latest.mindmap_data.nodes = latest.mindmap_data.nodes.map((node) => {
+    if (String(node.content || "").trim() || !contents.has(node.id)) {
+      return node;
+    }
+    filled++;
+    return { ...node, content: contents.get(node.id) };
+  });
+  latest.markModified("mindmap_data");
+  await latest.save();
+
+  const missing = emptyNodeIds.length - filled;
+  const usedFallback = filled === 0 && emptyNodeIds.length > 0;
+  await updateJob(job, {
+    status: "saved",
+    used_fallback: usedFallback,
+    repairs:
+      missing > 0
+        ? [`${missing} topic(s) could not be given content and were left empty`]
+        : [],
+    finished_at: new Date(),
+  });
+  console.log(`Content job ${job._id} filled ${filled} node(s)`);
+  // Content the AI service never wrote doesn't count against the quota
+  if (usedFallback) await refundJobQuota(job);
+}
+
+// Take a queued job for this instance. Resolves with null if it isn't
+// queued any more, e.g. because another instance took it first.
+async function claimJob(jobId) {
+  const now = new Date();
+  const job = await GenerationJob.findOneAndUpdate(
+    { _id: jobId, status: "queued" },
+    {
+      $set: {
+        status: "generating",
+        current_model: null,
+        started_at: now,
+        heartbeat_at: now,
+      },
+    },
+    { new: true }
+  );
+  if (job) jobEvents.emit(job._id.toString(), toPublicJob(job));
+  return job;
+}
+
+async function runJob(jobId) {
+  let job;
+  let heartbeat = null;
+
+  try {
+    job = await claimJob(jobId);
+    if (!job) return;
+
+    heartbeat = setInterval(() => {
+      GenerationJob.updateOne(
+        { _id: job._id },
+        { $set: { heartbeat_at: new Date() } }
+      ).catch((error) =>
+        console.error(`Error marking job ${jobId} alive:`, error.message)
+      );
+    }, JOB_HEARTBEAT_MS);
+
+    if (job.kind === "content") {
+      await runContentJob(job);
+      return;
+    }
+
+    console.log(`Starting generation job ${jobId} for:`, job.subject_name);
+
+    const { mindMap, fixes, usedFallback } = await generateMindMap(
+      job.subject_name,
+      job.syllabus,
+      {
+        mode: job.mode,
+        onStatus: statusUpdater(job),
+      }
+    );
+
+    const savedMindMap = await new MindMap({
+      user_uid: job.user_uid,
+      subject_name: job.subject_name,
+      syllabus: job.syllabus,
+      mindmap_data: mindMap,
+      source_document: toSourceDocument(job.source_document),
+    }).save();
+
+    await updateJob(job, {
+      status: "saved",
+      repairs: fixes,
+      used_fallback: usedFallback,
+      mindmap_id: savedMindMap._id,
+      finished_at: new Date(),
+    });
+    console.log(
+      `Generation job ${jobId} saved mind map ${savedMindMap._id.toString()}`
+    );
+    // A map built without the AI service doesn't count against the quota
+    if (usedFallback) await refundJobQuota(job);
+  } catch (error) {
+    console.error(`Generation job ${jobId} failed:`, error);
+
+    if (job) {
+      try {
+        await updateJob(job, {
+          status: "failed",
+          error: error.message,
+          finished_at: new Date(),
+        });
+        await refundJobQuota(job);
+      } catch (saveError) {
+        console.error("Error recording failed generation job:", saveError);
+      }
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Work through one user's queue, then make room for the next user
+async function runUserQueue(userUid) {
+  const jobIds = userQueues.get(userUid);
+  while (jobIds.length > 0) {
+    await runJob(jobIds.shift());
+  }
+
+  userQueues.delete(userUid);
+  runningUsers.delete(userUid);
+  startQueues();
+}
+
+// Start the queues of users who are waiting, as far as there is room
+function startQueues() {
+  for (const userUid of userQueues.keys()) {
+    if (runningUsers.size >= MAX_CONCURRENT_USERS) return;
+    if (runningUsers.has(userUid)) continue;
+
+    runningUsers.add(userUid);
+    runUserQueue(userUid);
+  }
+}
+
+// Add a saved job to its user's work queue
+function enqueueJob(job) {
+  const jobId = job._id.toString();
+  const jobIds = userQueues.get(job.user_uid) || [];
+  if (jobIds.includes(jobId)) return;
+
+  jobIds.push(jobId);
+  userQueues.set(job.user_uid, jobIds);
+  startQueues();
+}
+
+// Follow a job's status changes. Returns a function that stops listening.
+function watchJob(jobId, listener) {
+  const eventName = jobId.toString();
+  jobEvents.on(eventName, listener);
+  return () => jobEvents.off(eventName, listener);
+}
+
+// Queue the jobs no instance is working on: running ones that stopped being
+// marked alive go back to queued first. Claiming makes it safe for several
+// instances to pick up the same job here.
+async function resumePendingJobs() {
+  try {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MS);
+    await GenerationJob.updateMany(
+      {
+        status: { $in: RUNNING_STATUSES },
+        $or: [{ heartbeat_at: null }, { heartbeat_at: { $lt: staleBefore } }],
+      },
+      { $set: { status: "queued", current_model: null } }
+    );
+
+    const pendingJobs = await GenerationJob.find({ status: "queued" })
+      .sort({ created_at: 1 })
+      .select("_id user_uid");
+    if (pendingJobs.length === 0) return;
+
+    console.log(`Resuming ${pendingJobs.length} unfinished generation job(s)`);
+    pendingJobs.forEach((job) => enqueueJob(job));
+  } catch (error) {
+    console.error("Error resuming generation jobs:", error.message);
+  }
+}
+
+// Resume unfinished jobs now, and keep taking over abandoned ones
+function startJobRecovery() {
+  resumePendingJobs();
+  setInterval(resumePendingJobs, STALE_JOB_MS).unref();
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  isJobFinished,
+  toPublicJob,
+  enqueueJob,
+  watchJob,
+  resumePendingJobs,
+  startJobRecovery,
+};
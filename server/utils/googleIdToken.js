@@ -0,0 +1,137 @@
+// Checks the Firebase ID tokens the client gets from Google sign-in. A token
+// is only trusted if Google signed it for our Firebase project, it hasn't
+// expired, and it names a user. See
+// https://firebase.google.com/docs/auth/admin/verify-id-tokens
+const crypto = require("crypto");
+const fs = require("fs");
+const jwt = require("jsonwebtoken");
+const fetch = require("node-fetch");
+const { getGoogleAuthConfig } = require("../config/googleAuth");
+
+// Google rotates its keys every few hours; the response says how long to
+// keep them, and this is used when it doesn't
+const DEFAULT_KEY_CACHE_MS = 60 * 60 * 1000;
+// Don't refetch more often than this when a token names an unknown key
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+// Allow for clocks a little out of step with Google's
+const CLOCK_TOLERANCE_SECONDS = 5;
+
+let cachedKeys = null; // { url, keys, expiresAt, fetchedAt }
+
+// Token problems are the caller's fault and answered with a 401
+const invalidToken = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const maxAgeMs = (cacheControl) => {
+  const match = /max-age=(\d+)/.exec(cacheControl || "");
+  return match ? Number(match[1]) * 1000 : DEFAULT_KEY_CACHE_MS;
+};
+
+// The signing keys as a JWKS "keys" array
+async function loadSigningKeys({ forceRefresh = false } = {}) {
+  const config = getGoogleAuthConfig();
+
+  if (config.jwksFile) {
+    return JSON.parse(fs.readFileSync(config.jwksFile, "utf8")).keys || [];
+  }
+
+  const now = Date.now();
+  const cacheUsable =
+    cachedKeys &&
+    cachedKeys.url === config.jwksUrl &&
+    (forceRefresh
+      ? now - cachedKeys.fetchedAt < MIN_REFETCH_INTERVAL_MS
+      : now < cachedKeys.expiresAt);
+  if (cacheUsable) return cachedKeys.keys;
+
+  const response = await fetch(config.jwksUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Google signing keys: ${response.status}`);
+  }
+  const body = await response.json();
+
+  cachedKeys = {
+    url: config.jwksUrl,
+    keys: body.keys || [],
+    fetchedAt: now,
+    expiresAt: now + maxAgeMs(response.headers.get("cache-control")),
+  };
+  return cachedKeys.keys;
+}
+
+async function findSigningKey(kid) {
+  let jwk = (await loadSigningKeys()).find((key) => key.kid === kid);
+  if (!jwk) {
+    // The keys may have rotated since they were cached
+    jwk = (await loadSigningKeys({ forceRefresh: true })).find(
+      (key) => key.kid === kid
+    );
+  }
+  return jwk ? crypto.createPublicKey({ key: jwk, format: "jwk" }) : null;
+}
+
+// Verify a Firebase ID token. Resolves with the signed-in user's uid, email
+// and profile, or rejects; errors with status 401 mean the token is bad.
+async function verifyGoogleIdToken(idToken) {
+  const { projectId } = getGoogleAuthConfig();
+  if (!projectId) {
+    throw new Error("FIREBASE_PROJECT_ID is not set");
+  }
+
+  if (typeof idToken !== "string" || !idToken) {
+    throw invalidToken("ID token is required");
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || decoded.header.alg !== "RS256" || !decoded.header.kid) {
+    throw invalidToken("ID token is malformed");
+  }
+
+  const publicKey = await findSigningKey(decoded.header.kid);
+  if (!publicKey) {
+    throw invalidToken("ID token was not signed by a known key");
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, publicKey, {
+      algorithms: ["RS256"],
+      audience: projectId,
+      issuer: `https://securetoken.google.com/${projectId}`,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    throw invalidToken(
+      error.name === "TokenExpiredError"
+        ? "ID token has expired"
+        : `ID token is invalid: ${error.message}`
+    );
+  }
+
+  if (
+    typeof payload.sub !== "string" ||
+    !payload.sub ||
+    payload.sub.length > 128
+  ) {
+    throw invalidToken("ID token has no user");
+  }
+  if (
+    typeof payload.auth_time !== "number" ||
+    payload.auth_time > Date.now() / 1000 + CLOCK_TOLERANCE_SECONDS
+  ) {
+    throw invalidToken("ID token has an invalid sign-in time");
+  }
+
+  return {
+    uid: payload.sub,
+    email: payload.email || null,
+    emailVerified: !!payload.email_verified,
+    displayName: payload.name || null,
+    photoURL: payload.picture || null,
+  };
+}
+
+module.exports = { verifyGoogleIdToken };
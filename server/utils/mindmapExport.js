@@ -0,0 +1,249 @@
+// Render a stored mind map in formats other tools can open: nested Markdown
+// (Obsidian and notes apps), OPML (outliners, XMind), FreeMind .mm XML and a
+// versioned JSON document that can be imported back.
+const { findRootNode } = require("./mindmapGraph");
+
+const EXPORT_FORMAT_NAME = "adhyayan-mindmap";
+const EXPORT_FORMAT_VERSION = 1;
+
+const escapeXml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Attribute values also need their line breaks kept
+const escapeXmlAttribute = (text) =>
+  escapeXml(text).replace(/\r?\n/g, "&#10;");
+
+// Build the node tree from parent links, ordering children as listed by
+// their parent. Returns { node, children } for the root, or null.
+function buildNodeTree(nodes) {
+  const root = findRootNode(nodes);
+  if (!root) return null;
+
+  const byParent = new Map();
+  nodes.forEach((node) => {
+    if (!node.parent) return;
+    if (!byParent.has(node.parent)) byParent.set(node.parent, []);
+    byParent.get(node.parent).push(node);
+  });
+
+  const seen = new Set();
+  const toTree = (node) => {
+    seen.add(node.id);
+    const listed = node.children || [];
+    const children = (byParent.get(node.id) || [])
+      .filter((child) => !seen.has(child.id))
+      .sort((a, b) => {
+        const indexA = listed.indexOf(a.id);
+        const indexB = listed.indexOf(b.id);
+        return (
+          (indexA === -1 ? Infinity : indexA) -
+          (indexB === -1 ? Infinity : indexB)
+        );
+      });
+
+    return { node, children: children.map(toTree) };
+  };
+
+  return toTree(root);
+}
+
+// Nested headings, one level per depth (capped at h6), each followed by the
+// node's content
+function renderMarkdown(mindMap, tree) {
+  const sections = [];
+
+  const visit = ({ node, children }, depth) => {
+    const heading = "#".repeat(Math.min(depth + 1, 6));
+    sections.push(`${heading} ${node.label}`);
+    if (node.content && node.content.trim()) {
+      sections.push(node.content.trim());
+    }
+    children.forEach((child) => visit(child, depth + 1));
+  };
+
+  visit(tree, 0);
+  return `${sections.join("\n\n")}\n`;
+}
+
+// OPML 2.0 with each node's content in the _note attribute
+function renderOPML(mindMap, tree) {
+  const outline = ({ node, children }, indent) => {
+    const attributes = `text="${escapeXmlAttribute(node.label)}"${
+      node.content ? ` _note="${escapeXmlAttribute(node.content)}"` : ""
+    }`;
+    if (children.length === 0) {
+      return `${indent}<outline ${attributes}/>`;
+    }
+
+    return [
+      `${indent}<outline ${attributes}>`,
+      ...children.map((child) => outline(child, `${indent}  `)),
+      `${indent}</outline>`,
+    ].join("\n");
+  };
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(mindMap.subject_name)}</title>
+    <dateCreated>${new Date(
+      mindMap.created_at || Date.now()
+    ).toUTCString()}</dateCreated>
+  </head>
+  <body>
+${outline(tree, "    ")}
+  </body>
+</opml>
+`;
+}
+
+// FreeMind 1.0 map with each node's content as a note
+function renderFreeMind(mindMap, tree) {
+  const usedIds = new Set();
+  const freeMindId = (id) => {
+    let candidate = `ID_${String(id).replace(/[^A-Za-z0-9_]/g, "_")}`;
+    while (usedIds.has(candidate)) candidate += "_";
+    usedIds.add(candidate);
+    return candidate;
+  };
+
+  const note = (content, indent) => {
+    const paragraphs = content
+      .trim()
+      .split(/\n\s*\n/)
+      .map(
+        (paragraph) =>
+          `<p>${escapeXml(paragraph).replace(/\r?\n/g, "<br/>")}</p>`
+      )
+      .join("");
+    return `${indent}<richcontent TYPE="NOTE"><html><head/><body>${paragraphs}</body></html></richcontent>`;
+  };
+
+  // Topics directly under the root alternate between its two sides
+  const element = ({ node, children }, indent, depth, index = 0) => {
+    const position =
+      depth === 1 ? ` POSITION="${index % 2 === 0 ? "right" : "left"}"` : "";
+    const attributes = `ID="${freeMindId(node.id)}" TEXT="${escapeXmlAttribute(
+      node.label
+    )}"${position}`;
+    const body = [
+      ...(node.content && node.content.trim()
+        ? [note(node.content, `${indent}  `)]
+        : []),
+      ...children.map((child, childIndex) =>
+        element(child, `${indent}  `, depth + 1, childIndex)
+      ),
+    ];
+
+    if (body.length === 0) {
+      return `${indent}<node ${attributes}/>`;
+    }
+    return [`${indent}<node ${attributes}>`, ...body, `${indent}</node>`].join(
+      "\n"
+    );
+  };
+
+  return `<map version="1.0.1">
+${element(tree, "", 0)}
+</map>
+`;
+}
+
+// Versioned JSON: everything needed to recreate the mind map
+function renderJSON(mindMap) {
+  const data = mindMap.mindmap_data || {};
+
+  return `${JSON.stringify(
+    {
+      format: EXPORT_FORMAT_NAME,
+      version: EXPORT_FORMAT_VERSION,
+      exported_at: new Date().toISOString(),
+      mind_map: {
+        subject_name: mindMap.subject_name,
+        syllabus: mindMap.syllabus,
+        created_at: mindMap.created_at,
+        updated_at: mindMap.updated_at,
+        title: data.title || mindMap.subject_name,
+        nodes: (data.nodes || []).map((node) => ({
+          id: node.id,
+          label: node.label,
+          type: node.type,
+          level: node.level,
+          parent: node.parent || null,
+          children: node.children || [],
+          content: node.content || "",
+          position: node.position || null,
+        })),
+        edges: (data.edges || []).map((edge) => ({
+          id: edge.id,
+          source: edge.source,
+          target: edge.target,
+          type: edge.type,
+        })),
+      },
+    },
+    null,
+    2
+  )}\n`;
+}
+
+const EXPORT_FORMATS = {
+  markdown: {
+    extension: "md",
+    contentType: "text/markdown; charset=utf-8",
+    render: renderMarkdown,
+  },
+  opml: {
+    extension: "opml",
+    contentType: "text/x-opml; charset=utf-8",
+    render: renderOPML,
+  },
+  freemind: {
+    extension: "mm",
+    contentType: "application/x-freemind; charset=utf-8",
+    render: renderFreeMind,
+  },
+  json: {
+    extension: "json",
+    contentType: "application/json; charset=utf-8",
+    render: renderJSON,
+  },
+};
+
+// A filesystem-friendly name for the exported file
+const exportFileName = (subjectName, extension) =>
+  `${
+    String(subjectName || "mind-map")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 80) || "mind-map"
+  }.${extension}`;
+
+// Render a MindMap document in one of EXPORT_FORMATS. Returns
+// { body, contentType, fileName }, or null when the map has no root node.
+function exportMindMap(mindMap, format) {
+  const exporter = EXPORT_FORMATS[format];
+  const tree = buildNodeTree(mindMap.mindmap_data?.nodes || []);
+  if (!exporter || !tree) return null;
+
+  return {
+    body: exporter.render(mindMap, tree),
+    contentType: exporter.contentType,
+    fileName: exportFileName(mindMap.subject_name, exporter.extension),
+  };
+}
+
+module.exports = {
+  EXPORT_FORMAT_NAME,
+  EXPORT_FORMAT_VERSION,
+  EXPORT_FORMATS,
+  buildNodeTree,
+  exportFileName,
+  exportMindMap,
+};
@@ -0,0 +1,76 @@
+// Forks: copies of a mind map in another user's library that remember the
+// map they came from. Both sides are compared by a hash of their content, so
+// a fork can tell when the original has changed since it was last synced and
+// whether it has been edited itself.
+const crypto = require("crypto");
+const MindMap = require("../models/MindMap");
+
+// Hash of the parts of a map a fork copies
+const contentHash = (mindMap) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify({
+        syllabus: mindMap.syllabus,
+        mindmap_data: mindMap.mindmap_data,
+      })
+    )
+    .digest("hex");
+
+// Owners can always copy their own maps; anyone else needs it to be forkable
+const canFork = (source, userUid) =>
+  !!source && (source.forkable || source.user_uid === userUid);
+
+// Describe where a fork came from and how it compares to its source.
+// `source` is the original map, or null when it was deleted or is no longer
+// forkable.
+const describeFork = (mindMap, source) => ({
+  mindmap_id: mindMap.forked_from.mindmap_id.toString(),
+  subject_name: source?.subject_name || mindMap.forked_from.subject_name,
+  synced_at: mindMap.forked_from.synced_at,
+  source_available: !!source,
+  updates_available:
+    !!source && contentHash(source) !== mindMap.forked_from.synced_hash,
+  local_changes: contentHash(mindMap) !== mindMap.forked_from.synced_hash,
+});
+
+// Fork descriptions for a list of the user's maps, keyed by map id. The
+// list only needs each map's id and forked_from; the content of the forks and
+// their sources is fetched in one query. Maps that aren't forks are left out.
+async function describeForks(mindMaps, userUid) {
+  const forks = mindMaps.filter((mindMap) => mindMap.forked_from?.mindmap_id);
+  if (forks.length === 0) return new Map();
+
+  const related = await MindMap.find({
+    _id: {
+      $in: forks.flatMap((mindMap) => [
+        mindMap._id,
+        mindMap.forked_from.mindmap_id,
+      ]),
+    },
+  })
+    .select("user_uid subject_name syllabus mindmap_data forkable forked_from")
+    .lean();
+  const byId = new Map(
+    related.map((mindMap) => [mindMap._id.toString(), mindMap])
+  );
+
+  const descriptions = new Map();
+  forks.forEach((mindMap) => {
+    const fork = byId.get(mindMap._id.toString());
+    if (!fork) return;
+    const source = byId.get(mindMap.forked_from.mindmap_id.toString());
+    descriptions.set(
+      mindMap._id.toString(),
+      describeFork(fork, canFork(source, userUid) ? source : null)
+    );
+  });
+  return descriptions;
+}
+
+module.exports = {
+  contentHash,
+  canFork,
+  describeFork,
+  describeForks,
+};
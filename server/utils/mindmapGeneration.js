@@ -0,0 +1,501 @@
+// Building mind maps from a syllabus: the LLM prompt, the template used when
+// no model is available, and the generate -> validate pipeline shared by the
+// synchronous endpoint and background generation jobs
+const { generateJSONWithFallback } = require("../llm");
+const { repairMindMap } = require("./mindmapSchema");
+const { getAncestorPath } = require("./mindmapGraph");
+const {
+  parseOutline,
+  outlineToText,
+  mergeTopicTrees,
+  topicTreeToMindMap,
+} = require("./mindmapTree");
+
+// Prompt asking the LLM for a complete mind map of the syllabus
+const buildMindMapPrompt = (subjectName, syllabus) => `Create a detailed educational mind map structure for the subject "${subjectName}" based on the following syllabus content:
+
+${syllabus}
+
+Please return a JSON structure with the following exact format:
+{
+  "title": "${subjectName}",
+  "nodes": [
+    {
+      "id": "root",
+      "label": "${subjectName}",
+      "type": "root",
+      "level": 0,
+      "position": { "x": 400, "y": 300 },
+      "content": "Comprehensive overview of ${subjectName}...",
+      "children": ["topic1", "topic2", "topic3"]
+    },
+    {
+      "id": "topic1", 
+      "label": "Main Topic 1",
+      "type": "topic",
+      "level": 1,
+      "position": { "x": 200, "y": 150 },
+      "content": "Detailed explanation of this topic...",
+      "parent": "root",
+      "children": ["subtopic1_1", "subtopic1_2"]
+    },
+    {
+      "id": "subtopic1_1",
+      "label": "Subtopic 1.1",
+      "type": "subtopic", 
+      "level": 2,
+      "position": { "x": 100, "y": 100 },
+      "content": "In-depth content about this subtopic...",
+      "parent": "topic1",
+      "children": []
+    }
+  ],
+  "edges": [
+    {
+      "id": "edge_root_topic1",
+      "source": "root",
+      "target": "topic1",
+      "type": "default"
+    }
+  ]
+}
+
+Important guidelines:
+1. Create a hierarchical structure with 1 root, 4-6 main topics, and 2-3 subtopics per main topic
+2. Each node must have detailed educational content (100-200 words)
+3. Position nodes in a radial layout around the center (root at 400,300)
+4. Main topics should be positioned around the root in a circle pattern
+5. Subtopics should be positioned near their parent topics
+6. Focus only on topics explicitly mentioned in the syllabus
+7. Make content educational, comprehensive, and suitable for learning
+8. Use clear, academic language appropriate for the subject level
+9. Include practical examples and key concepts in the content
+10. Ensure all IDs are unique and follow the naming pattern
+
+Return ONLY valid JSON, no additional text or formatting.`;
+
+const rootContent = (subjectName) => `Welcome to ${subjectName}! This comprehensive mind map will guide you through all the essential concepts and help you master this subject step by step. Each topic has been carefully structured to build upon previous knowledge and provide a complete learning experience.
+
+Key learning areas covered:
+• Fundamental concepts and principles
+• Practical applications and examples
+• Advanced techniques and methodologies
+• Real-world case studies and scenarios
+• Current trends and future developments
+
+Use the interactive features to explore each topic in depth and track your learning progress.`;
+
+const topicContent = (label, childLabels) => `This section covers ${label} in comprehensive detail. Here you'll learn the fundamental concepts, practical applications, and key principles that form the foundation of this important area of study.
+${
+  childLabels.length > 0
+    ? `\nTopics covered:\n${childLabels.map((child) => `• ${child}`).join("\n")}\n`
+    : ""
+}
+Key learning objectives:
+• Understand the core concepts and terminology
+• Apply theoretical knowledge to practical scenarios  
+• Analyze real-world examples and case studies
+• Develop critical thinking skills in this domain
+• Connect this topic to broader subject themes
+
+Learning approach:
+- Start with basic definitions and concepts
+- Progress through practical examples
+- Practice with interactive exercises
+- Test understanding with assessments
+- Apply knowledge to real-world scenarios
+
+Take your time to explore each concept thoroughly and use the AI assistant to ask questions and clarify any doubts you may have.`;
+
+const subtopicContent = (focus, parentLabel) => `This subtopic focuses on ${focus} of ${parentLabel}. 
+
+Detailed content about ${focus}:
+• In-depth explanation of concepts
+• Step-by-step learning approach
+• Practical exercises and examples
+• Assessment opportunities
+• Real-world applications
+
+Learning resources:
+- Interactive demonstrations
+- Practice problems
+- Case studies
+- Video explanations
+- Additional reading materials
+
+Use the AI chat feature to ask specific questions about this subtopic and get personalized explanations tailored to your learning needs.`;
+
+// Template content for a topic found in the syllabus outline
+const fallbackContentFor = (topic, path) =>
+  path.length === 1
+    ? topicContent(
+        topic.label,
+        (topic.children || []).map((child) => child.label)
+      )
+    : subtopicContent(topic.label, path[path.length - 2]);
+
+// Template mind map built from the syllabus outline when no model is
+// available. Indented, numbered and bulleted lines become nested topics.
+function createFallbackMindMap(subjectName, syllabus) {
+  const topics = parseOutline(syllabus);
+
+  // If no topics from syllabus, create default ones
+  if (topics.length === 0) {
+    [
+      `Introduction to ${subjectName}`,
+      `Fundamentals of ${subjectName}`,
+      `Core Concepts`,
+      `Advanced Topics`,
+      `Applications`,
+      `Future Trends`,
+    ].forEach((label) => topics.push({ label, children: [] }));
+  }
+
+  // A flat list gets some generic subtopics for variety
+  if (topics.every((topic) => topic.children.length === 0)) {
+    topics.slice(0, 3).forEach((topic) => {
+      topic.children = ["Basics", "Advanced", "Practice"].map((subtopic) => ({
+        label: subtopic,
+        content: subtopicContent(
+          `${subtopic.toLowerCase()} aspects`,
+          topic.label
+        ),
+        children: [],
+      }));
+    });
+  }
+
+  return topicTreeToMindMap(
+    subjectName,
+    rootContent(subjectName),
+    topics,
+    fallbackContentFor
+  );
+}
+
+const GENERATION_MODES = ["auto", "single", "chunked"];
+
+// Syllabi longer than this are generated a section at a time in "auto" mode
+const CHUNK_THRESHOLD_CHARS = 4000;
+// Sections are packed into chunks of up to this many characters
+const MAX_CHUNK_CHARS = 3000;
+// Deepest topic nesting accepted from a chunk response
+const MAX_CHUNK_DEPTH = 4;
+
+// Split a syllabus into chunks of whole top-level sections (units, headings).
+// A syllabus with a single title line is split by the sections under it.
+function splitSyllabus(syllabus) {
+  let sections = parseOutline(syllabus);
+  if (sections.length === 1 && sections[0].children.length > 1) {
+    sections = sections[0].children;
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+
+  sections.forEach((section) => {
+    const text = outlineToText([section]);
+    if (current.length > 0 && currentLength + text.length > MAX_CHUNK_CHARS) {
+      chunks.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push(section);
+    currentLength += text.length + 1;
+  });
+  if (current.length > 0) chunks.push(current);
+
+  return chunks;
+}
+
+// Whether to generate section by section. mode is "single", "chunked", or
+// "auto" (chunk long syllabi only).
+function shouldChunk(syllabus, mode, chunks) {
+  if (mode === "single" || chunks.length < 2) return false;
+  return mode === "chunked" || syllabus.length > CHUNK_THRESHOLD_CHARS;
+}
+
+// Prompt for the sub-map covering one chunk of a long syllabus
+const buildChunkPrompt = (subjectName, chunkText, index, count) => `You are creating part ${index} of ${count} of a detailed educational mind map for the subject "${subjectName}". Cover only this part of the syllabus:
+
+${chunkText}
+
+Please return a JSON structure with the following exact format:
+{
+  "topics": [
+    {
+      "label": "Unit or heading from the syllabus",
+      "content": "Detailed explanation of this topic...",
+      "subtopics": [
+        {
+          "label": "Item listed under it",
+          "content": "In-depth content about this subtopic...",
+          "subtopics": []
+        }
+      ]
+    }
+  ]
+}
+
+Important guidelines:
+1. Create one topic for every unit or top-level heading in this part, keeping its wording
+2. Add the items listed under each heading as subtopics, nested no more than 3 levels deep
+3. Do not add topics that are not in this part of the syllabus
+4. Each topic and subtopic must have detailed educational content (80-150 words)
+5. Make content educational, comprehensive, and suitable for learning
+6. Use clear, academic language appropriate for the subject level
+7. Include practical examples and key concepts in the content
+
+Return ONLY valid JSON, no additional text or formatting.`;
+
+// Turn a chunk response into a topic tree, dropping anything malformed
+function normalizeChunkTopics(rawTopics, depth = 1) {
+  if (!Array.isArray(rawTopics) || depth > MAX_CHUNK_DEPTH) return [];
+
+  return rawTopics
+    .map((topic) => {
+      const label =
+        topic && typeof topic.label === "string" ? topic.label.trim() : "";
+      if (!label) return null;
+
+      return {
+        label,
+        content: typeof topic.content === "string" ? topic.content.trim() : "",
+        children: normalizeChunkTopics(topic.subtopics, depth + 1),
+      };
+    })
+    .filter(Boolean);
+}
+
+// Generate a sub-map per chunk and merge them under one root, folding
+// together topics that more than one chunk produced
+async function generateChunkedMindMap(subjectName, chunks, onStatus) {
+  const topicLists = [];
+  const modelsUsed = [];
+
+  for (let index = 0; index < chunks.length; index++) {
+    const progress = { chunk: index + 1, chunks: chunks.length };
+    const chunkText = outlineToText(chunks[index]);
+    console.log(
+      `Generating part ${progress.chunk} of ${progress.chunks} for:`,
+      subjectName
+    );
+
+    const result = await generateJSONWithFallback(
+      buildChunkPrompt(subjectName, chunkText, progress.chunk, progress.chunks),
+      {
+        temperature: 0.3,
+        max_tokens: 4000,
+        validate: (data) => normalizeChunkTopics(data.topics).length > 0,
+        onStart: (model) => onStatus("generating", model, progress),
+      }
+    );
+
+    if (result) {
+      modelsUsed.push(result.model);
+      topicLists.push(normalizeChunkTopics(result.data.topics));
+    } else {
+      // Keep the part's outline so the merged map still covers it
+      console.log(`All LLM models failed for part ${progress.chunk}`);
+      topicLists.push(chunks[index]);
+    }
+  }
+
+  const model = modelsUsed[modelsUsed.length - 1] || null;
+  await onStatus("validating", model, null);
+
+  const mindMap = topicTreeToMindMap(
+    subjectName,
+    rootContent(subjectName),
+    mergeTopicTrees(topicLists),
+    fallbackContentFor
+  );
+
+  return {
+    mindMap,
+    model,
+    usedFallback: modelsUsed.length === 0,
+  };
+}
+
+// Generate, validate and repair a mind map for a syllabus. `onStatus` is
+// called with ("generating", model, progress) for each model tried and
+// ("validating", model) once generation is done; progress is
+// { chunk, chunks } when a long syllabus is generated section by section.
+// mode is "auto", "single" or "chunked" (see shouldChunk). Always resolves
+// to { mindMap, fixes, model, usedFallback, chunked }; model is null for the
+// fallback.
+async function generateMindMap(
+  subjectName,
+  syllabus,
+  { onStatus = () => {}, mode = "auto" } = {}
+) {
+  const chunks = splitSyllabus(syllabus);
+  const chunked = shouldChunk(syllabus, mode, chunks);
+
+  let generated = null;
+  if (chunked) {
+    generated = await generateChunkedMindMap(subjectName, chunks, onStatus);
+  } else {
+    const result = await generateJSONWithFallback(
+      buildMindMapPrompt(subjectName, syllabus),
+      {
+        temperature: 0.3,
+        max_tokens: 4000,
+        // Move on to the next model when a response is too broken to repair
+        validate: (data) => !!repairMindMap(data, subjectName),
+        onStart: (model) => onStatus("generating", model, null),
+      }
+    );
+
+    if (result) {
+      await onStatus("validating", result.model, null);
+      generated = {
+        mindMap: result.data,
+        model: result.model,
+        usedFallback: false,
+      };
+    }
+  }
+
+  let repaired = generated
+    ? repairMindMap(generated.mindMap, subjectName)
+    : null;
+
+  const usedFallback = !repaired;
+  if (usedFallback) {
+    console.log("All LLM models failed, using fallback mind map");
+    await onStatus("validating", null, null);
+    repaired = repairMindMap(
+      createFallbackMindMap(subjectName, syllabus),
+      subjectName
+    );
+  }
+
+  if (repaired.fixes.length > 0) {
+    console.log(
+      `Repaired ${repaired.fixes.length} problem(s) in the generated mind map:`,
+      repaired.fixes
+    );
+  }
+
+  return {
+    mindMap: repaired.mindMap,
+    fixes: repaired.fixes,
+    model: usedFallback ? null : generated.model,
+    usedFallback: usedFallback || generated.usedFallback,
+    chunked,
+  };
+}
+
+// Nodes written per request when filling in content for an imported map
+const CONTENT_BATCH_SIZE = 6;
+
+// Prompt asking for content for a batch of existing nodes
+const buildContentPrompt = (subjectName, nodes, batch) => `A student is studying "${subjectName}" with a mind map they imported. Some of its topics have no explanation yet.
+
+Write educational content for each of these topics:
+${batch
+  .map(
+    (node) =>
+      `- id "${node.id}": ${getAncestorPath(nodes, node.id)
+        .map((ancestor) => ancestor.label)
+        .join(" > ")}`
+  )
+  .join("\n")}
+
+Please return a JSON structure with the following exact format:
+{
+  "contents": [
+    {
+      "id": "the topic id from the list above",
+      "content": "Detailed educational content about this topic..."
+    }
+  ]
+}
+
+Important guidelines:
+1. Write content for every id listed above, and only those ids
+2. Each content must be 80-150 words of detailed educational explanation
+3. Stay within the scope of the topic path shown for each id
+4. Include practical examples and key concepts in the content
+
+Return ONLY valid JSON, no additional text or formatting.`;
+
+// Write content for the listed nodes in batches. `onStatus` is called with
+// ("generating", model, { chunk, chunks }) for each model tried. Nodes a
+// model could not write content for are left out. Resolves to
+// { contents: Map(id -> content), model }.
+async function generateMissingContent(
+  subjectName,
+  nodes,
+  nodeIds,
+  { onStatus = () => {} } = {}
+) {
+  const wanted = nodes.filter((node) => nodeIds.includes(node.id));
+  const batches = [];
+  for (let index = 0; index < wanted.length; index += CONTENT_BATCH_SIZE) {
+    batches.push(wanted.slice(index, index + CONTENT_BATCH_SIZE));
+  }
+
+  const contents = new Map();
+  let model = null;
+
+  for (let index = 0; index < batches.length; index++) {
+    const batch = batches[index];
+    const progress = { chunk: index + 1, chunks: batches.length };
+    const batchIds = new Set(batch.map((node) => node.id));
+    const written = (data) =>
+      (Array.isArray(data.contents) ? data.contents : []).filter(
+        (entry) =>
+          entry &&
+          batchIds.has(entry.id) &&
+          typeof entry.content === "string" &&
+          entry.content.trim()
+      );
+
+    const result = await generateJSONWithFallback(
+      buildContentPrompt(subjectName, nodes, batch),
+      {
+        temperature: 0.4,
+        max_tokens: 4000,
+        validate: (data) => written(data).length > 0,
+        onStart: (startedModel) =>
+          onStatus("generating", startedModel, progress),
+      }
+    );
+
+    if (!result) {
+      console.log(`All LLM models failed for content batch ${progress.chunk}`);
+      continue;
+    }
+
+    model = result.model;
+    written(result.data).forEach((entry) =>
+      contents.set(entry.id, entry.content.trim())
+    );
+  }
+
+  return { contents, model };
+}
+
+// The source_document to store for an uploaded syllabus file, if any
+const toSourceDocument = (sourceDocument) =>
+  sourceDocument?.filename
+    ? {
+        filename: String(sourceDocument.filename),
+        mimetype: sourceDocument.mimetype || null,
+        extracted_text: sourceDocument.extracted_text || null,
+      }
+    : undefined;
+
+module.exports = {
+  GENERATION_MODES,
+  buildMindMapPrompt,
+  splitSyllabus,
+  createFallbackMindMap,
+  generateMindMap,
+  generateMissingContent,
+  toSourceDocument,
+};
@@ -0,0 +1,558 @@
+// Helpers for reading and editing the node/edge graph stored in mindmap_data
+
+// Find the root node of a mind map
+const findRootNode = (nodes) =>
+  nodes.find((node) => node.type === "root") ||
+  nodes.find((node) => !node.parent) ||
+  null;
+
+// Collect the ids of a node and everything below it
+const collectSubtree = (nodes, nodeId) => {
+  const ids = new Set([nodeId]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    nodes.forEach((node) => {
+      if (node.parent && ids.has(node.parent) && !ids.has(node.id)) {
+        ids.add(node.id);
+        added = true;
+      }
+    });
+  }
+
+  return ids;
+};
+
+// List the nodes from the root down to (and including) the given node
+const getAncestorPath = (nodes, nodeId) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const path = [];
+  const seen = new Set();
+  let current = byId.get(nodeId);
+
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    path.unshift(current);
+    current = current.parent ? byId.get(current.parent) : null;
+  }
+
+  return path;
+};
+
+// Generate an id for a new child that follows the existing naming scheme,
+// e.g. topic_1 -> topic_1_sub_0, topic_1_sub_1, ...
+const nextChildId = (nodes, parentId) => {
+  const existingIds = new Set(nodes.map((node) => node.id));
+
+  if (parentId === "root") {
+    let index = 1;
+    while (existingIds.has(`topic_${index}`)) index++;
+    return `topic_${index}`;
+  }
+
+  let index = 0;
+  while (existingIds.has(`${parentId}_sub_${index}`)) index++;
+  return `${parentId}_sub_${index}`;
+};
+
+const edgeId = (source, target) => `edge_${source}_${target}`;
+
+const nodeTypeForLevel = (level) => (level <= 1 ? "topic" : "subtopic");
+
+// Update level and type for a node and all of its descendants
+const refreshLevels = (nodes, nodeId, level) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const queue = [[nodeId, level]];
+
+  while (queue.length > 0) {
+    const [id, nodeLevel] = queue.shift();
+    const node = byId.get(id);
+    if (!node) continue;
+
+    node.level = nodeLevel;
+    if (node.type !== "root") node.type = nodeTypeForLevel(nodeLevel);
+    (node.children || []).forEach((childId) =>
+      queue.push([childId, nodeLevel + 1])
+    );
+  }
+};
+
+// List every structural problem with a mind map graph. An empty array means
+// ids are unique, parent/children links agree with each other and with the
+// edges, and every node hangs off a single root.
+function findGraphProblems(mindMapData) {
+  const problems = [];
+  const nodes = mindMapData?.nodes || [];
+  const edges = mindMapData?.edges || [];
+
+  const byId = new Map();
+  nodes.forEach((node) => {
+    if (!node.id) {
+      problems.push("A node is missing its id");
+    } else if (byId.has(node.id)) {
+      problems.push(`Duplicate node id "${node.id}"`);
+    } else {
+      byId.set(node.id, node);
+    }
+  });
+
+  const roots = nodes.filter((node) => !node.parent);
+  if (roots.length !== 1) {
+    problems.push(`Expected exactly one root node, found ${roots.length}`);
+  }
+
+  nodes.forEach((node) => {
+    if (node.parent) {
+      const parent = byId.get(node.parent);
+      if (!parent) {
+        problems.push(`Node "${node.id}" has unknown parent "${node.parent}"`);
+      } else if (!(parent.children || []).includes(node.id)) {
+        problems.push(
+          `Node "${node.parent}" does not list child "${node.id}" in its children`
+        );
+      }
+    }
+
+    (node.children || []).forEach((childId) => {
+      const child = byId.get(childId);
+      if (!child) {
+        problems.push(`Node "${node.id}" lists unknown child "${childId}"`);
+      } else if (child.parent !== node.id) {
+        problems.push(
+          `Node "${node.id}" lists child "${childId}" whose parent is "${child.parent}"`
+        );
+      }
+    });
+  });
+
+  // Every parent link needs exactly one matching edge, and nothing else
+  const edgeKeys = new Set();
+  const edgeIds = new Set();
+  edges.forEach((edge) => {
+    if (edgeIds.has(edge.id)) {
+      problems.push(`Duplicate edge id "${edge.id}"`);
+    }
+    edgeIds.add(edge.id);
+
+    const key = `${edge.source}->${edge.target}`;
+    if (edgeKeys.has(key)) {
+      problems.push(`Duplicate edge from "${edge.source}" to "${edge.target}"`);
+    }
+    edgeKeys.add(key);
+
+    const target = byId.get(edge.target);
+    if (!byId.has(edge.source) || !target) {
+      problems.push(`Edge "${edge.id}" references a missing node`);
+    } else if (target.parent !== edge.source) {
+      problems.push(
+        `Edge "${edge.id}" does not match the parent of "${edge.target}"`
+      );
+    }
+  });
+
+  nodes.forEach((node) => {
+    if (node.parent && !edgeKeys.has(`${node.parent}->${node.id}`)) {
+      problems.push(`Missing edge from "${node.parent}" to "${node.id}"`);
+    }
+  });
+
+  // Everything must be reachable from the root (this also catches cycles)
+  if (roots.length === 1) {
+    const reachable = collectSubtree(nodes, roots[0].id);
+    nodes
+      .filter((node) => !reachable.has(node.id))
+      .forEach((node) =>
+        problems.push(`Node "${node.id}" is not connected to the root`)
+      );
+  }
+
+  return problems;
+}
+
+// Repair the problems findGraphProblems reports, treating each node's parent
+// link as the source of truth: duplicate and missing ids are fixed, orphans
+// and cycles are re-attached to the root, and children, levels and edges are
+// rebuilt from the parent links. Returns { data, fixes } where fixes
+// describes every change, in plain words.
+function repairMindMapGraph(mindMapData) {
+  const data = JSON.parse(JSON.stringify(mindMapData || {}));
+  const fixes = [];
+  const nodes = [];
+  const byId = new Map();
+
+  (Array.isArray(data.nodes) ? data.nodes : []).forEach((node, index) => {
+    if (!node || typeof node !== "object" || Array.isArray(node)) {
+      fixes.push(`Removed the invalid node at position ${index + 1}`);
+      return;
+    }
+
+    let id =
+      node.id === undefined || node.id === null ? "" : String(node.id).trim();
+    if (!id) {
+      id = `node_${index + 1}`;
+      while (byId.has(id)) id = `${id}_${index + 1}`;
+      fixes.push(`Gave the node at position ${index + 1} the id "${id}"`);
+    } else if (byId.has(id)) {
+      // A repeated copy of the same node is dropped; a different node that
+      // reused the id keeps its content under a new id
+      if (byId.get(id).label === node.label) {
+        fixes.push(`Removed a duplicate of node "${id}"`);
+        return;
+      }
+
+      let suffix = 2;
+      while (byId.has(`${id}_${suffix}`)) suffix++;
+      fixes.push(`Renamed the duplicate node id "${id}" to "${id}_${suffix}"`);
+      id = `${id}_${suffix}`;
+    }
+
+    node.id = id;
+    node.parent =
+      node.parent === undefined || node.parent === null || node.parent === ""
+        ? null
+        : String(node.parent);
+    byId.set(id, node);
+    nodes.push(node);
+  });
+
+  data.nodes = nodes;
+  if (nodes.length === 0) {
+    data.edges = [];
+    return { data, fixes };
+  }
+
+  const root =
+    nodes.find((node) => node.type === "root") ||
+    nodes.find((node) => !node.parent || !byId.has(node.parent)) ||
+    nodes[0];
+
+  if (root.parent) {
+    fixes.push(`Removed the parent link from root node "${root.id}"`);
+    root.parent = null;
+  }
+
+  // Nodes without a usable parent go under whichever node lists them as a
+  // child, or else under the root
+  const claimedBy = new Map();
+  nodes.forEach((node) =>
+    (Array.isArray(node.children) ? node.children : []).forEach((childId) => {
+      if (!claimedBy.has(String(childId))) {
+        claimedBy.set(String(childId), node.id);
+      }
+    })
+  );
+
+  nodes.forEach((node) => {
+    if (node === root) return;
+
+    if (node.type === "root") {
+      fixes.push(`Turned extra root node "${node.id}" into a topic`);
+    }
+
+    if (node.parent && byId.has(node.parent) && node.parent !== node.id) {
+      return;
+    }
+
+    const claimant = claimedBy.get(node.id);
+    const newParent = claimant && claimant !== node.id ? claimant : root.id;
+    let fix = `Attached orphan node "${node.id}" to "${newParent}"`;
+    if (node.parent === node.id) {
+      fix = `Node "${node.id}" was its own parent; attached it to "${newParent}"`;
+    } else if (node.parent) {
+      fix = `Moved node "${node.id}" from unknown parent "${node.parent}" to "${newParent}"`;
+    }
+    fixes.push(fix);
+    node.parent = newParent;
+  });
+
+  // Walk up from every node; meeting a node twice before the root means a cycle
+  nodes.forEach((node) => {
+    const path = new Set();
+    let current = node;
+
+    while (current && current !== root) {
+      if (path.has(current.id)) {
+        fixes.push(
+          `Broke a parent cycle by attaching "${current.id}" to the root`
+        );
+        current.parent = root.id;
+        break;
+      }
+      path.add(current.id);
+      current = byId.get(current.parent);
+    }
+  });
+
+  // Rebuild children lists, keeping the listed order where it was valid
+  const childrenOf = new Map(nodes.map((node) => [node.id, []]));
+  nodes.forEach((node) => {
+    if (node.parent) childrenOf.get(node.parent).push(node.id);
+  });
+
+  nodes.forEach((node) => {
+    const listed = (Array.isArray(node.children) ? node.children : []).map(
+      String
+    );
+    const actual = childrenOf.get(node.id);
+
+    listed.forEach((childId) => {
+      if (!byId.has(childId)) {
+        fixes.push(`Removed unknown child "${childId}" from "${node.id}"`);
+      } else if (!actual.includes(childId)) {
+        fixes.push(
+          `Removed child "${childId}" from "${node.id}" because its parent is "${byId.get(childId).parent}"`
+        );
+      }
+    });
+    actual
+      .filter((childId) => !listed.includes(childId))
+      .forEach((childId) =>
+        fixes.push(`Added missing child "${childId}" to "${node.id}"`)
+      );
+
+    node.children = [
+      ...new Set([
+        ...listed.filter((childId) => actual.includes(childId)),
+        ...actual,
+      ]),
+    ];
+  });
+
+  // Levels and types follow from the depth below the root
+  let relevelled = 0;
+  const queue = [[root.id, 0]];
+  while (queue.length > 0) {
+    const [id, level] = queue.shift();
+    const node = byId.get(id);
+    if (node.level !== level) relevelled++;
+    node.level = level;
+    node.type = level === 0 ? "root" : nodeTypeForLevel(level);
+    node.children.forEach((childId) => queue.push([childId, level + 1]));
+  }
+  if (relevelled > 0) {
+    fixes.push(`Corrected the level of ${relevelled} node(s)`);
+  }
+
+  // Edges mirror the parent links exactly
+  const originalEdges = Array.isArray(data.edges) ? data.edges : [];
+  const edgeTypes = new Map();
+  originalEdges.forEach((edge) => {
+    if (edge && typeof edge === "object") {
+      edgeTypes.set(`${edge.source}->${edge.target}`, edge.type);
+    }
+  });
+
+  data.edges = nodes
+    .filter((node) => node.parent)
+    .map((node) => ({
+      id: edgeId(node.parent, node.id),
+      source: node.parent,
+      target: node.id,
+      type: edgeTypes.get(`${node.parent}->${node.id}`) || "default",
+    }));
+
+  const kept = new Set(
+    data.edges.map((edge) => `${edge.source}->${edge.target}`)
+  );
+  const removedEdges = originalEdges.filter(
+    (edge) => !edge || !kept.has(`${edge.source}->${edge.target}`)
+  ).length;
+  const addedEdges = data.edges.filter(
+    (edge) => !edgeTypes.has(`${edge.source}->${edge.target}`)
+  ).length;
+  const duplicateEdges =
+    originalEdges.length - removedEdges - (data.edges.length - addedEdges);
+
+  if (removedEdges > 0 || addedEdges > 0 || duplicateEdges > 0) {
+    fixes.push(
+      `Rebuilt edges from parent links (${addedEdges} added, ${
+        removedEdges + duplicateEdges
+      } dangling, mismatched or duplicate removed)`
+    );
+  }
+
+  return { data, fixes };
+}
+
+// Operation fields that must be strings when given
+const STRING_OPERATION_FIELDS = ["id", "parent", "label", "content"];
+
+// Apply a list of edit operations to a copy of mindmap_data.
+// Supported operations:
+//   { op: "add", parent, label, content?, id? }
+//   { op: "rename", id, label }
+//   { op: "update_content", id, content }
+//   { op: "move", id, parent }
+//   { op: "delete", id }  (removes the node and its descendants)
+// Returns { data, errors }; data is only meaningful when errors is empty.
+function applyNodeOperations(mindMapData, operations) {
+  const data = JSON.parse(JSON.stringify(mindMapData || {}));
+  data.nodes = data.nodes || [];
+  data.edges = data.edges || [];
+  const errors = [];
+
+  const getNode = (id) => data.nodes.find((node) => node.id === id);
+
+  operations.forEach((operation, index) => {
+    const label = `Operation ${index + 1} (${operation?.op})`;
+
+    const nonString = STRING_OPERATION_FIELDS.find(
+      (field) =>
+        operation?.[field] != null && typeof operation[field] !== "string"
+    );
+    if (nonString) {
+      errors.push(`${label}: ${nonString} must be a string`);
+      return;
+    }
+
+    const node = operation?.id ? getNode(operation.id) : null;
+
+    switch (operation?.op) {
+      case "add": {
+        const parent = getNode(operation.parent);
+        if (!parent) {
+          errors.push(`${label}: unknown parent "${operation.parent}"`);
+          break;
+        }
+        if (!operation.label || !operation.label.trim()) {
+          errors.push(`${label}: label is required`);
+          break;
+        }
+
+        const id = operation.id || nextChildId(data.nodes, parent.id);
+        if (getNode(id)) {
+          errors.push(`${label}: node id "${id}" already exists`);
+          break;
+        }
+
+        const level = (parent.level || 0) + 1;
+        const siblings = parent.children || [];
+        data.nodes.push({
+          id,
+          label: operation.label.trim(),
+          type: nodeTypeForLevel(level),
+          level,
+          position: {
+            x: (parent.position?.x || 400) + 250,
+            y: (parent.position?.y || 300) + siblings.length * 100,
+          },
+          content: operation.content || "",
+          parent: parent.id,
+          children: [],
+        });
+        parent.children = [...siblings, id];
+        data.edges.push({
+          id: edgeId(parent.id, id),
+          source: parent.id,
+          target: id,
+          type: "default",
+        });
+        break;
+      }
+
+      case "rename": {
+        if (!node) {
+          errors.push(`${label}: unknown node "${operation.id}"`);
+        } else if (!operation.label || !operation.label.trim()) {
+          errors.push(`${label}: label is required`);
+        } else {
+          node.label = operation.label.trim();
+        }
+        break;
+      }
+
+      case "update_content": {
+        if (!node) {
+          errors.push(`${label}: unknown node "${operation.id}"`);
+        } else if (typeof operation.content !== "string") {
+          errors.push(`${label}: content must be a string`);
+        } else {
+          node.content = operation.content;
+        }
+        break;
+      }
+
+      case "move": {
+        const newParent = getNode(operation.parent);
+        if (!node) {
+          errors.push(`${label}: unknown node "${operation.id}"`);
+          break;
+        }
+        if (!node.parent) {
+          errors.push(`${label}: the root node cannot be moved`);
+          break;
+        }
+        if (!newParent) {
+          errors.push(`${label}: unknown parent "${operation.parent}"`);
+          break;
+        }
+        if (collectSubtree(data.nodes, node.id).has(newParent.id)) {
+          errors.push(`${label}: a node cannot be moved under itself`);
+          break;
+        }
+        if (node.parent === newParent.id) break;
+
+        const oldParent = getNode(node.parent);
+        if (oldParent) {
+          oldParent.children = (oldParent.children || []).filter(
+            (childId) => childId !== node.id
+          );
+        }
+        data.edges = data.edges.filter(
+          (edge) => !(edge.source === node.parent && edge.target === node.id)
+        );
+
+        node.parent = newParent.id;
+        newParent.children = [...(newParent.children || []), node.id];
+        data.edges.push({
+          id: edgeId(newParent.id, node.id),
+          source: newParent.id,
+          target: node.id,
+          type: "default",
+        });
+        refreshLevels(data.nodes, node.id, (newParent.level || 0) + 1);
+        break;
+      }
+
+      case "delete": {
+        if (!node) {
+          errors.push(`${label}: unknown node "${operation.id}"`);
+          break;
+        }
+        if (!node.parent) {
+          errors.push(`${label}: the root node cannot be deleted`);
+          break;
+        }
+
+        const removed = collectSubtree(data.nodes, node.id);
+        const parent = getNode(node.parent);
+        if (parent) {
+          parent.children = (parent.children || []).filter(
+            (childId) => childId !== node.id
+          );
+        }
+        data.nodes = data.nodes.filter((n) => !removed.has(n.id));
+        data.edges = data.edges.filter(
+          (edge) => !removed.has(edge.source) && !removed.has(edge.target)
+        );
+        break;
+      }
+
+      default:
+        errors.push(`${label}: unsupported operation`);
+    }
+  });
+
+  return { data, errors };
+}
+
+module.exports = {
+  findRootNode,
+  collectSubtree,
+  getAncestorPath,
+  nextChildId,
+  findGraphProblems,
+  repairMindMapGraph,
+  applyNodeOperations,
+};
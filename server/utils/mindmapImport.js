@@ -0,0 +1,455 @@
+// Turn existing outlines into mind maps without the LLM: Markdown headings
+// and lists, OPML, FreeMind .mm files and the versioned JSON written by
+// mindmapExport. Tree formats are parsed into a topic tree and laid out with
+// topicTreeToMindMap; JSON mind maps go through the usual repair pass.
+const path = require("path");
+const { repairMindMap } = require("./mindmapSchema");
+const {
+  outlineToText,
+  layoutMindMapNodes,
+  topicTreeToMindMap,
+} = require("./mindmapTree");
+const {
+  EXPORT_FORMAT_NAME,
+  EXPORT_FORMAT_VERSION,
+  buildNodeTree,
+} = require("./mindmapExport");
+
+const IMPORT_FORMATS = ["markdown", "opml", "freemind", "json"];
+
+const EXTENSIONS = {
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".txt": "markdown",
+  ".opml": "opml",
+  ".mm": "freemind",
+  ".json": "json",
+};
+
+// Work out the format from the file extension, then from the content
+function detectImportFormat(text, filename) {
+  const byExtension = EXTENSIONS[path.extname(filename || "").toLowerCase()];
+  if (byExtension) return byExtension;
+
+  const start = String(text || "").trimStart();
+  if (start.startsWith("{")) return "json";
+  if (/^(<\?xml[^>]*>\s*)?<opml[\s>]/i.test(start)) return "opml";
+  if (/^(<\?xml[^>]*>\s*)?<map[\s>]/i.test(start)) return "freemind";
+  return "markdown";
+}
+
+// A name for the mind map taken from the uploaded file
+const subjectFromFileName = (filename) =>
+  path
+    .basename(filename || "", path.extname(filename || ""))
+    .replace(/[-_]+/g, " ")
+    .trim();
+
+// --- XML --------------------------------------------------------------------
+
+const decodeXmlEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, name) => {
+    const lower = name.toLowerCase();
+    if (lower.startsWith("#x")) {
+      return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    }
+    if (lower.startsWith("#")) return String.fromCodePoint(Number(lower.slice(1)));
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[lower];
+  });
+
+// Parse XML into { name, attributes, children } elements, with text kept in
+// document order as { name: "#text", text } children. Good enough for the
+// outline formats we read; returns null for unbalanced documents.
+function parseXml(xml) {
+  const document = { name: "#document", attributes: {}, children: [] };
+  const stack = [document];
+  const tokens =
+    /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+  let match;
+
+  while ((match = tokens.exec(xml))) {
+    const [, cdata, closingName, openingName, rawAttributes, selfClosing, text] =
+      match;
+    const current = stack[stack.length - 1];
+    const addText = (value) =>
+      current.children.push({ name: "#text", children: [], text: value });
+
+    if (cdata !== undefined) {
+      addText(cdata);
+    } else if (text !== undefined) {
+      addText(decodeXmlEntities(text));
+    } else if (closingName) {
+      if (stack.length < 2 || current.name !== closingName) return null;
+      stack.pop();
+    } else if (openingName) {
+      const attributes = {};
+      const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(rawAttributes || ""))) {
+        attributes[attribute[1]] = decodeXmlEntities(
+          attribute[2] ?? attribute[3]
+        );
+      }
+
+      const element = { name: openingName, attributes, children: [] };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  return stack.length === 1 ? document : null;
+}
+
+const childElements = (element, name) =>
+  element.children.filter(
+    (child) => child.name.toLowerCase() === name.toLowerCase()
+  );
+
+const findElement = (element, name) => {
+  if (element.name.toLowerCase() === name.toLowerCase()) return element;
+  for (const child of element.children) {
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+};
+
+// All the text inside an element, with block-level tags as line breaks
+const elementText = (element) =>
+  element.children.reduce((text, child) => {
+    if (child.name === "#text") return text + child.text;
+    if (child.name.toLowerCase() === "br") return `${text}\n`;
+    return /^(p|div|li|h[1-6])$/i.test(child.name)
+      ? `${text}\n${elementText(child)}\n`
+      : text + elementText(child);
+  }, "");
+
+const cleanText = (text) =>
+  String(text || "")
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// --- Formats ----------------------------------------------------------------
+
+// Each parser returns { title, content, topics } where topics is a topic
+// tree ({ label, content, children }), or null when nothing could be read.
+
+// OPML outlines; the _note attribute holds a node's content
+function parseOPML(text) {
+  const document = parseXml(text);
+  const body = document && findElement(document, "body");
+  if (!body) return null;
+
+  const toTopic = (outline) => ({
+    label: cleanText(outline.attributes.text || outline.attributes.title),
+    // Notes are plain text, so their line indentation is kept
+    content: String(outline.attributes._note || "")
+      .replace(/[ \t]+$/gm, "")
+      .trim(),
+    children: childElements(outline, "outline").map(toTopic),
+  });
+
+  const titleElement = findElement(document, "title");
+  return {
+    title: titleElement ? cleanText(elementText(titleElement)) : "",
+    content: "",
+    topics: childElements(body, "outline").map(toTopic),
+  };
+}
+
+// FreeMind maps: nested <node TEXT=""> with notes in <richcontent TYPE="NOTE">
+function parseFreeMind(text) {
+  const document = parseXml(text);
+  const map = document && findElement(document, "map");
+  if (!map) return null;
+
+  const toTopic = (node) => {
+    const richContent = childElements(node, "richcontent");
+    const note = richContent.find(
+      (element) => (element.attributes.TYPE || "").toUpperCase() === "NOTE"
+    );
+    // Nodes with formatted titles keep them in a NODE richcontent block
+    const richLabel = richContent.find(
+      (element) => (element.attributes.TYPE || "").toUpperCase() === "NODE"
+    );
+
+    return {
+      label: cleanText(
+        node.attributes.TEXT ?? (richLabel ? elementText(richLabel) : "")
+      ),
+      content: note ? cleanText(elementText(note)) : "",
+      children: childElements(node, "node").map(toTopic),
+    };
+  };
+
+  return {
+    title: "",
+    content: "",
+    topics: childElements(map, "node").map(toTopic),
+  };
+}
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^(\s*)(?:[-*+•]|\d+[.)])\s+(.*)$/;
+const FENCE = /^\s*(```|~~~)/;
+
+// Strip inline Markdown from a heading or list item
+const markdownLabel = (text) =>
+  text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/(\*\*|__)(.+?)\1/g, "$2")
+    .replace(/(\*|_)(.+?)\1/g, "$2")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/^\[[ xX]\]\s+/, "")
+    .trim();
+
+// Markdown headings nest by level. A list that starts a section (before any
+// paragraph text) is an outline of subtopics, nested by indentation; once a
+// section has text, the rest of it, lists included, is that topic's content.
+function parseMarkdown(text) {
+  const root = { label: "", content: [], children: [] };
+  const stack = [{ weight: -1, topic: root }];
+  let fenced = false;
+
+  const current = () => stack[stack.length - 1].topic;
+  const addTopic = (label, weight) => {
+    while (stack[stack.length - 1].weight >= weight) stack.pop();
+    const topic = { label, content: [], children: [] };
+    current().children.push(topic);
+    stack.push({ weight, topic });
+  };
+
+  String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      if (FENCE.test(line)) fenced = !fenced;
+      const topic = current();
+
+      if (!fenced && HEADING.test(line)) {
+        const [, hashes, heading] = line.match(HEADING);
+        const label = markdownLabel(heading);
+        if (label) addTopic(label, hashes.length);
+        return;
+      }
+
+      const hasText = topic.content.some((entry) => entry.trim());
+      const inList = stack[stack.length - 1].weight >= 10;
+      if (!fenced && (!hasText || inList) && LIST_ITEM.test(line)) {
+        const [, indent, item] = line.match(LIST_ITEM);
+        const label = markdownLabel(item);
+        if (label) {
+          addTopic(label, 10 + indent.replace(/\t/g, "    ").length);
+          return;
+        }
+      }
+
+      // Continuation lines of a list item stay with it rather than turning
+      // it into content
+      if (!line.trim() && !hasText) return;
+      topic.content.push(line);
+    });
+
+  const finish = (topic) => ({
+    label: topic.label,
+    content: topic.content.join("\n").replace(/\n{3,}/g, "\n\n").trim(),
+    children: topic.children.map(finish),
+  });
+
+  const document = finish(root);
+  return {
+    title: "",
+    content: document.content,
+    topics: document.children,
+  };
+}
+
+// Versioned JSON from mindmapExport, or a bare { nodes, edges } mind map
+function parseMindMapJSON(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+
+  if (parsed && parsed.format === EXPORT_FORMAT_NAME) {
+    if (!(parsed.version <= EXPORT_FORMAT_VERSION)) {
+      return {
+        error: `Unsupported export version ${parsed.version}; this server reads up to version ${EXPORT_FORMAT_VERSION}`,
+      };
+    }
+    parsed = parsed.mind_map;
+  }
+
+  const data = parsed?.mindmap_data || parsed;
+  if (!data || !Array.isArray(data.nodes)) {
+    return { error: "The JSON file does not contain a nodes array" };
+  }
+
+  return {
+    data,
+    subjectName: parsed.subject_name || data.title || "",
+    syllabus: typeof parsed.syllabus === "string" ? parsed.syllabus : "",
+  };
+}
+
+const TREE_PARSERS = {
+  markdown: parseMarkdown,
+  opml: parseOPML,
+  freemind: parseFreeMind,
+};
+
+// Drop topics without a label, keeping their subtopics in their place
+const pruneTopics = (topics) =>
+  topics.flatMap((topic) =>
+    topic.label
+      ? [{ ...topic, children: pruneTopics(topic.children) }]
+      : pruneTopics(topic.children)
+  );
+
+// Import a document into mindmap_data. Returns { subjectName, syllabus,
+// mindMap, fixes, emptyNodeIds } or { error } when the file can't be used.
+// subjectName overrides the name found in the file.
+function importMindMap(text, { format, filename, subjectName } = {}) {
+  const importFormat = format || detectImportFormat(text, filename);
+
+  if (importFormat === "json") {
+    const parsed = parseMindMapJSON(text);
+    if (parsed.error) return { error: parsed.error };
+
+    const name =
+      subjectName || parsed.subjectName || subjectFromFileName(filename);
+    const hadPositions = parsed.data.nodes.every(
+      (node) =>
+        Number.isFinite(Number(node?.position?.x)) &&
+        Number.isFinite(Number(node?.position?.y))
+    );
+
+    const repaired = repairMindMap(parsed.data, name || "Imported mind map");
+    if (!repaired) {
+      return { error: "The mind map in this file is too broken to import" };
+    }
+
+    const { mindMap } = repaired;
+    let fixes = repaired.fixes;
+    if (!hadPositions) {
+      // Default positions stack every node on top of each other
+      layoutMindMapNodes(mindMap.nodes);
+      fixes = fixes.filter((fix) => !fix.endsWith("a default position"));
+    }
+
+    const tree = buildNodeTree(mindMap.nodes);
+    return finishImport(
+      importFormat,
+      name || tree.node.label,
+      parsed.syllabus ||
+        outlineToText(
+          tree.children.map(function toTopic({ node, children }) {
+            return { label: node.label, children: children.map(toTopic) };
+          })
+        ),
+      mindMap,
+      fixes
+    );
+  }
+
+  const parse = TREE_PARSERS[importFormat];
+  if (!parse) {
+    return { error: `format must be one of: ${IMPORT_FORMATS.join(", ")}` };
+  }
+
+  const parsed = parse(text);
+  if (!parsed) {
+    return { error: `This file could not be read as ${importFormat}` };
+  }
+
+  let topics = pruneTopics(parsed.topics);
+  let rootContent = parsed.content;
+  let rootLabel = parsed.title;
+
+  // A single top-level topic is the central idea of the map
+  if (topics.length === 1 && (!rootLabel || rootLabel === topics[0].label)) {
+    rootLabel = topics[0].label;
+    rootContent = [rootContent, topics[0].content].filter(Boolean).join("\n\n");
+    topics = topics[0].children;
+  }
+
+  if (topics.length === 0) {
+    return { error: "No topics were found in this file" };
+  }
+
+  const name =
+    subjectName || rootLabel || subjectFromFileName(filename) || "Imported mind map";
+
+  return finishImport(
+    importFormat,
+    name,
+    outlineToText(topics),
+    topicTreeToMindMap(name, rootContent, topics, () => ""),
+    []
+  );
+}
+
+// The client and the expand route look the root up by this id
+const ROOT_ID = "root";
+
+// Give an imported root the id "root", moving aside a topic that already
+// had it, and rewrite the links to both
+function useRootId(mindMap, fixes) {
+  const root = mindMap.nodes.find((node) => !node.parent);
+  if (!root || root.id === ROOT_ID) return;
+
+  const ids = new Set(mindMap.nodes.map((node) => node.id));
+  const renames = new Map([[root.id, ROOT_ID]]);
+  if (ids.has(ROOT_ID)) {
+    let suffix = 2;
+    while (ids.has(`${ROOT_ID}_${suffix}`)) suffix++;
+    renames.set(ROOT_ID, `${ROOT_ID}_${suffix}`);
+  }
+  const rename = (id) => renames.get(id) ?? id;
+
+  renames.forEach((newId, oldId) =>
+    fixes.push(`Renamed node "${oldId}" to "${newId}"`)
+  );
+  mindMap.nodes.forEach((node) => {
+    node.id = rename(node.id);
+    if (node.parent) node.parent = rename(node.parent);
+    node.children = node.children.map(rename);
+  });
+  mindMap.edges = mindMap.edges.map((edge) => {
+    const source = rename(edge.source);
+    const target = rename(edge.target);
+    return source === edge.source && target === edge.target
+      ? edge
+      : { ...edge, id: `edge_${source}_${target}`, source, target };
+  });
+}
+
+// Name the root after the subject and list the nodes still needing content
+function finishImport(format, subjectName, syllabus, mindMap, fixes) {
+  mindMap.title = subjectName;
+  useRootId(mindMap, fixes);
+  const root = mindMap.nodes.find((node) => !node.parent);
+  if (root) root.label = subjectName;
+
+  return {
+    format,
+    subjectName,
+    syllabus: syllabus || subjectName,
+    mindMap,
+    fixes,
+    emptyNodeIds: mindMap.nodes
+      .filter((node) => !String(node.content || "").trim())
+      .map((node) => node.id),
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  importMindMap,
+};
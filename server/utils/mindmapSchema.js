@@ -0,0 +1,113 @@
+// Schema for the mindmap_data stored on a MindMap, and the repair pass that
+// turns an LLM response into something the canvas can render
+const { findGraphProblems, repairMindMapGraph } = require("./mindmapGraph");
+
+// mindmap_data = {
+//   title: string,
+//   nodes: [{
+//     id: string (unique),
+//     label: string,
+//     type: "root" | "topic" | "subtopic",
+//     level: number (depth below the root),
+//     position: { x: number, y: number },
+//     content: string,
+//     parent: string | null (null only for the root),
+//     children: string[] (ids of the nodes whose parent is this node)
+//   }],
+//   edges: [{ id, source, target, type }] (one per parent link)
+// }
+const NODE_TYPES = ["root", "topic", "subtopic"];
+
+// A usable mind map needs a root and at least one topic
+const MIN_NODE_COUNT = 2;
+
+const defaultContent = (label) =>
+  `Learn about ${label} and its key concepts. This section provides comprehensive coverage of the fundamental principles and practical applications.`;
+
+// Where the index-th node of a map goes when it has no position: on a grid,
+// so nodes without one don't all stack up in the same spot
+const DEFAULT_GRID_COLUMNS = 5;
+const defaultPosition = (index) => ({
+  x: 400 + (index % DEFAULT_GRID_COLUMNS) * 250,
+  y: 300 + Math.floor(index / DEFAULT_GRID_COLUMNS) * 150,
+});
+
+const toText = (value) =>
+  typeof value === "string" || typeof value === "number"
+    ? String(value).trim()
+    : "";
+
+// Coerce one node's fields to the schema, recording what had to change.
+// index is the node's place in the map.
+function normalizeNodeFields(node, fixes, index) {
+  const label = toText(node.label) || toText(node.title) || toText(node.name);
+  if (!label) {
+    fixes.push(`Gave node "${node.id}" a placeholder label`);
+  }
+
+  const content = typeof node.content === "string" ? node.content.trim() : "";
+  if (!content) {
+    fixes.push(`Filled in missing content for node "${node.id}"`);
+  }
+
+  const x = Number(node.position?.x);
+  const y = Number(node.position?.y);
+  const hasPosition = Number.isFinite(x) && Number.isFinite(y);
+  if (!hasPosition) {
+    fixes.push(`Gave node "${node.id}" a default position`);
+  }
+
+  return {
+    id: node.id,
+    label: label || "Untitled Topic",
+    type: NODE_TYPES.includes(node.type) ? node.type : "topic",
+    level: Number.isInteger(node.level) ? node.level : 1,
+    position: hasPosition
+      ? { x: Math.round(x), y: Math.round(y) }
+      : defaultPosition(index),
+    content: content || defaultContent(label || "this topic"),
+    parent: node.parent ?? null,
+    children: Array.isArray(node.children) ? node.children : [],
+  };
+}
+
+// Validate mindmap_data from the LLM (or any other source) against the
+// schema and repair what can be repaired. Returns { mindMap, fixes }, or
+// null when there is nothing usable to repair.
+function repairMindMap(rawData, subjectName) {
+  if (!rawData || typeof rawData !== "object" || !Array.isArray(rawData.nodes)) {
+    return null;
+  }
+
+  const { data, fixes } = repairMindMapGraph(rawData);
+  if (data.nodes.length < MIN_NODE_COUNT) {
+    return null;
+  }
+
+  data.nodes = data.nodes.map((node, index) =>
+    normalizeNodeFields(node, fixes, index)
+  );
+  data.title = toText(data.title) || subjectName;
+
+  // The graph repair should leave nothing behind; if it does, the response
+  // is too broken to trust
+  const remaining = findGraphProblems(data);
+  if (remaining.length > 0) {
+    console.error("Mind map still invalid after repair:", remaining);
+    return null;
+  }
+
+  return {
+    mindMap: {
+      title: data.title,
+      nodes: data.nodes,
+      edges: data.edges,
+    },
+    fixes,
+  };
+}
+
+module.exports = {
+  NODE_TYPES,
+  repairMindMap,
+};
@@ -0,0 +1,413 @@
+// Live co-viewing of a mind map. Everyone with the map open in the view page
+// joins its session over a WebSocket and sees who else is there, which node
+// each person has selected, where their cursor is on the canvas, and a chat
+// shared by the session. Sessions live in memory and end when the last
+// person leaves.
+//
+// Protocol (JSON messages):
+//   client -> server
+//     { type: "join", token, mindMapId }  must be the first message
+//     { type: "focus", nodeId }           nodeId may be null
+//     { type: "cursor", x, y }            flow coordinates, or null to hide
+//     { type: "chat", text }
+//   server -> client
+//     { type: "session", you, participants, messages, access }
+//     { type: "presence", participants }
+//     { type: "focus", uid, nodeId }
+//     { type: "cursor", uid, x, y }
+//     { type: "chat", message }
+//     { type: "error", error }            followed by a close for join errors
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { WebSocketServer, WebSocket } = require("ws");
+const MindMap = require("../models/MindMap");
+const Room = require("../models/Room");
+const { authenticateAccessToken } = require("../middleware/auth");
+
+const SESSION_PATH = "/ws";
+const JOIN_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const MAX_CHAT_LENGTH = 1000;
+const CHAT_HISTORY_SIZE = 50;
+
+// Close codes in the 4000 range are free for applications to use
+const CLOSE_UNAUTHORIZED = 4001;
+const CLOSE_FORBIDDEN = 4003;
+const CLOSE_REMOVED = 4004;
+
+// Collaborator colours, picked per user so they stay the same across visits
+const PARTICIPANT_COLORS = [
+  "#f97316",
+  "#3b82f6",
+  "#a855f7",
+  "#ec4899",
+  "#14b8a6",
+  "#eab308",
+  "#ef4444",
+  "#22c55e",
+];
+
+const colorFor = (uid) =>
+  PARTICIPANT_COLORS[
+    crypto.createHash("md5").update(uid).digest().readUInt32BE(0) %
+      PARTICIPANT_COLORS.length
+  ];
+
+// mind map id -> { clients: Set, messages: [] }
+const sessions = new Map();
+
+// Find a mind map the user may open. The owner gets full access; people the
+// owner invited to a session, and members of a room the map is attached to,
+// can view it as guests. Returns { mindMap, access } or null.
+async function findViewableMindMap(id, userUid) {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const mindMap = await MindMap.findById(id).lean();
+  if (!mindMap) return null;
+
+  if (mindMap.user_uid === userUid) {
+    return { mindMap, access: "owner" };
+  }
+
+  const invited = (mindMap.session_invites || []).some(
+    (invite) => invite.user_uid === userUid
+  );
+  if (
+    invited ||
+    (await Room.exists({
+      "mindmaps.mindmap_id": mindMap._id,
+      "members.user_uid": userUid,
+    }))
+  ) {
+    return { mindMap, access: "guest" };
+  }
+
+  return null;
+}
+
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+const toParticipant = (client) => ({
+  uid: client.uid,
+  name: client.name,
+  color: client.color,
+  access: client.access,
+  nodeId: client.nodeId,
+});
+
+// One entry per user, even with the map open in several tabs
+const participantsOf = (session) => {
+  const byUid = new Map();
+  session.clients.forEach((client) => {
+    if (!byUid.has(client.uid)) byUid.set(client.uid, toParticipant(client));
+  });
+  return [...byUid.values()];
+};
+
+const broadcast = (session, message, except = null) => {
+  session.clients.forEach((client) => {
+    if (client !== except) send(client.ws, message);
+  });
+};
+
+function leaveSession(client) {
+  const session = sessions.get(client.mindMapId);
+  if (!session || !session.clients.delete(client)) return;
+
+  if (session.clients.size === 0) {
+    sessions.delete(client.mindMapId);
+    console.log(`Mind map session ${client.mindMapId} ended`);
+    return;
+  }
+
+  // Tell the others, and clear this user's cursor if it was their last tab
+  broadcast(session, {
+    type: "presence",
+    participants: participantsOf(session),
+  });
+  const stillHere = [...session.clients].some(
+    (other) => other.uid === client.uid
+  );
+  if (!stillHere) {
+    broadcast(session, { type: "cursor", uid: client.uid, x: null, y: null });
+  }
+}
+
+async function handleJoin(ws, message) {
+  let user = null;
+  try {
+    user = await authenticateAccessToken(message.token);
+  } catch (error) {
+    user = null;
+  }
+  if (!user) {
+    send(ws, { type: "error", error: "Invalid or expired token" });
+    ws.close(CLOSE_UNAUTHORIZED, "Unauthorized");
+    return null;
+  }
+
+  const found = await findViewableMindMap(message.mindMapId, user.uid);
+  if (!found) {
+    send(ws, { type: "error", error: "Mind map not found" });
+    ws.close(CLOSE_FORBIDDEN, "Forbidden");
+    return null;
+  }
+
+  // The socket may have closed while the map was loading
+  if (ws.readyState !== WebSocket.OPEN) return null;
+
+  const mindMapId = found.mindMap._id.toString();
+  const client = {
+    ws,
+    mindMapId,
+    uid: user.uid,
+    sid: user.sid,
+    name: user.displayName || user.email || "Anonymous",
+    color: colorFor(user.uid),
+    access: found.access,
+    nodeId: null,
+  };
+
+  if (!sessions.has(mindMapId)) {
+    sessions.set(mindMapId, { clients: new Set(), messages: [] });
+    console.log(`Mind map session ${mindMapId} started`);
+  }
+  const session = sessions.get(mindMapId);
+  session.clients.add(client);
+
+  send(ws, {
+    type: "session",
+    you: toParticipant(client),
+    access: found.access,
+    participants: participantsOf(session),
+    messages: session.messages,
+  });
+  broadcast(
+    session,
+    { type: "presence", participants: participantsOf(session) },
+    client
+  );
+
+  return client;
+}
+
+function handleMessage(client, message) {
+  const session = sessions.get(client.mindMapId);
+  if (!session) return;
+
+  switch (message.type) {
+    case "focus": {
+      client.nodeId =
+        typeof message.nodeId === "string"
+          ? message.nodeId.slice(0, 200)
+          : null;
+      broadcast(
+        session,
+        { type: "focus", uid: client.uid, nodeId: client.nodeId },
+        client
+      );
+      break;
+    }
+
+    case "cursor": {
+      const visible = Number.isFinite(message.x) && Number.isFinite(message.y);
+      broadcast(
+        session,
+        {
+          type: "cursor",
+          uid: client.uid,
+          x: visible ? message.x : null,
+          y: visible ? message.y : null,
+        },
+        client
+      );
+      break;
+    }
+
+    case "chat": {
+      const text =
+        typeof message.text === "string" ? message.text.trim() : "";
+      if (!text) return;
+
+      const chatMessage = {
+        id: crypto.randomUUID(),
+        uid: client.uid,
+        name: client.name,
+        color: client.color,
+        text: text.slice(0, MAX_CHAT_LENGTH),
+        sent_at: new Date().toISOString(),
+      };
+      session.messages.push(chatMessage);
+      if (session.messages.length > CHAT_HISTORY_SIZE) {
+        session.messages.shift();
+      }
+      broadcast(session, { type: "chat", message: chatMessage });
+      break;
+    }
+
+    default:
+      send(client.ws, { type: "error", error: "Unknown message type" });
+  }
+}
+
+// Disconnect a user from a map's session, e.g. after their invite is
+// withdrawn. Other people in the session are told they left.
+function removeFromSession(mindMapId, userUid) {
+  const session = sessions.get(String(mindMapId));
+  if (!session) return;
+
+  [...session.clients]
+    .filter((client) => client.uid === userUid)
+    .forEach((client) => {
+      send(client.ws, {
+        type: "error",
+        error: "You no longer have access to this mind map",
+      });
+      client.ws.close(CLOSE_REMOVED, "Removed");
+    });
+}
+
+// Re-check who may still be in the sessions of these mind maps after access
+// was taken away, e.g. a room member removed, and disconnect the guests who
+// can no longer open the map. Pass a user id to only check that user. Never
+// rejects; failed checks are logged.
+async function recheckSessionAccess(mindMapIds, userUid = null) {
+  const checks = [];
+  new Set(mindMapIds.map(String)).forEach((mindMapId) => {
+    const session = sessions.get(mindMapId);
+    if (!session) return;
+
+    const guests = new Set(
+      [...session.clients]
+        .filter(
+          (client) =>
+            client.access === "guest" && (!userUid || client.uid === userUid)
+        )
+        .map((client) => client.uid)
+    );
+    guests.forEach((uid) =>
+      checks.push(
+        findViewableMindMap(mindMapId, uid).then((viewable) => {
+          if (!viewable) removeFromSession(mindMapId, uid);
+        })
+      )
+    );
+  });
+
+  const results = await Promise.allSettled(checks);
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      console.error("Error re-checking session access:", result.reason)
+    );
+}
+
+// Disconnect a user's devices after they sign out. Pass a sign-in session
+// id to disconnect only that device.
+function disconnectSignedOut(userUid, authSessionId = null) {
+  sessions.forEach((session) => {
+    [...session.clients]
+      .filter(
+        (client) =>
+          client.uid === userUid &&
+          (!authSessionId || client.sid === authSessionId)
+      )
+      .forEach((client) => client.ws.close(CLOSE_UNAUTHORIZED, "Signed out"));
+  });
+}
+
+// Accept mind map session connections on the HTTP server at /ws
+function attachMindMapSessions(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: SESSION_PATH,
+    maxPayload: MAX_MESSAGE_BYTES,
+  });
+
+  wss.on("connection", (ws) => {
+    let client = null;
+    let joining = false;
+    ws.isAlive = true;
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    // Connections that never join are dropped
+    const joinTimer = setTimeout(() => {
+      if (!client) ws.close(CLOSE_UNAUTHORIZED, "Join timeout");
+    }, JOIN_TIMEOUT_MS);
+
+    ws.on("message", async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        message = null;
+      }
+      if (!message || typeof message !== "object") {
+        return send(ws, {
+          type: "error",
+          error: "Messages must be JSON objects",
+        });
+      }
+
+      if (client) {
+        return handleMessage(client, message);
+      }
+
+      if (message.type !== "join") {
+        return send(ws, { type: "error", error: "Join a session first" });
+      }
+      if (joining) return;
+
+      joining = true;
+      try {
+        client = await handleJoin(ws, message);
+      } catch (error) {
+        console.error("Error joining mind map session:", error);
+        send(ws, { type: "error", error: "Failed to join the session" });
+        ws.close(1011, "Server error");
+      } finally {
+        joining = false;
+        if (client) clearTimeout(joinTimer);
+      }
+    });
+
+    ws.on("close", () => {
+      clearTimeout(joinTimer);
+      if (client) leaveSession(client);
+    });
+
+    ws.on("error", (error) => {
+      console.error("Mind map session socket error:", error.message);
+    });
+  });
+
+  // Drop connections that stop answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  console.log(
+    `Mind map sessions accepting WebSocket connections on ${SESSION_PATH}`
+  );
+  return wss;
+}
+
+module.exports = {
+  attachMindMapSessions,
+  findViewableMindMap,
+  removeFromSession,
+  recheckSessionAccess,
+  disconnectSignedOut,
+};
@@ -0,0 +1,242 @@
+// Topic trees: the nested { label, content, children } form used for syllabus
+// outlines and chunked generation, and its conversion to mind map nodes.
+const { nextChildId } = require("./mindmapGraph");
+
+const TAB_WIDTH = 4;
+
+// Unit/chapter style headings always start a new top-level section
+const SECTION_HEADING =
+  /^(unit|module|chapter|part|section|week|lecture|topic)\s+([0-9]+|[ivxlc]+)\b\s*[:.\-–—)]?\s*/i;
+// 1.  1)  1.2  1.2.3  (the number of parts gives the depth)
+const DOTTED_NUMBER = /^(\d+(?:\.\d+)*)[.)]?\s+/;
+// I.  II)  IV.
+const ROMAN_MARKER = /^\(?(?=[IVXLC])(C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})[.)]\s+/;
+// A.  B)
+const CAPITAL_MARKER = /^\(?[A-Z][.)]\s+/;
+// a)  b.  (a)  iv)  ii.
+const LETTER_MARKER = /^\(?([a-z]|[ivx]{1,4})[.)]\s+/;
+const BULLET_MARKER = /^[-*•▪◦●○‣]\s+/;
+
+// Work out a line's label and how deeply it nests. The weight combines the
+// indentation with the kind of marker, so at the same indentation
+// "Unit 1" / "I." < "A." < plain text < "1." < "1.1" < "a)" < "- item";
+// a line nests under the closest earlier line with a smaller weight.
+function classifyOutlineLine(rawLine) {
+  const expanded = rawLine.replace(/\t/g, " ".repeat(TAB_WIDTH));
+  const indent = expanded.length - expanded.trimStart().length;
+  let text = expanded.trim();
+  let marker;
+
+  if (SECTION_HEADING.test(text)) {
+    marker = 0;
+  } else if (ROMAN_MARKER.test(text)) {
+    marker = 0;
+    text = text.replace(ROMAN_MARKER, "");
+  } else if (CAPITAL_MARKER.test(text)) {
+    marker = 0.5;
+    text = text.replace(CAPITAL_MARKER, "");
+  } else if (DOTTED_NUMBER.test(text)) {
+    const number = text.match(DOTTED_NUMBER)[1];
+    marker = number.split(".").length + 0.5;
+    text = text.replace(DOTTED_NUMBER, "");
+  } else if (LETTER_MARKER.test(text)) {
+    marker = 5;
+    text = text.replace(LETTER_MARKER, "");
+  } else if (BULLET_MARKER.test(text)) {
+    marker = 6;
+    text = text.replace(BULLET_MARKER, "");
+  } else {
+    marker = 1;
+  }
+
+  return {
+    label: text.replace(/[:;,.]+$/, "").trim(),
+    weight: indent * 10 + marker,
+  };
+}
+
+// Parse an indented, numbered or bulleted syllabus into a topic tree.
+// Returns the top-level topics: [{ label, children: [...] }]
+function parseOutline(text) {
+  const topics = [];
+  const stack = [];
+
+  String(text || "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .forEach((line) => {
+      const { label, weight } = classifyOutlineLine(line);
+      if (!label) return;
+
+      while (stack.length > 0 && stack[stack.length - 1].weight >= weight) {
+        stack.pop();
+      }
+
+      const topic = { label, children: [] };
+      if (stack.length > 0) {
+        stack[stack.length - 1].topic.children.push(topic);
+      } else {
+        topics.push(topic);
+      }
+      stack.push({ weight, topic });
+    });
+
+  return topics;
+}
+
+// Write a topic tree back out as an outline: top-level topics flush left and
+// nested topics as indented "- " items
+function outlineToText(topics, depth = 0) {
+  return topics
+    .map((topic) => {
+      const line =
+        depth === 0 ? topic.label : `${"  ".repeat(depth - 1)}- ${topic.label}`;
+      const children = outlineToText(topic.children || [], depth + 1);
+      return children ? `${line}\n${children}` : line;
+    })
+    .join("\n");
+}
+
+// Normalised form of a label for spotting duplicate topics
+const labelKey = (label) =>
+  String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Merge topic lists, folding topics with the same label (and their
+// subtopics) together. The longer content wins.
+function mergeTopicTrees(topicLists) {
+  const merged = [];
+  const byKey = new Map();
+
+  topicLists.flat().forEach((topic) => {
+    if (!topic || !topic.label) return;
+
+    const key = labelKey(topic.label);
+    const existing = byKey.get(key);
+
+    if (!existing) {
+      const copy = {
+        label: topic.label,
+        content: topic.content || "",
+        children: mergeTopicTrees([topic.children || []]),
+      };
+      byKey.set(key, copy);
+      merged.push(copy);
+      return;
+    }
+
+    if ((topic.content || "").length > existing.content.length) {
+      existing.content = topic.content;
+    }
+    existing.children = mergeTopicTrees([
+      existing.children,
+      topic.children || [],
+    ]);
+  });
+
+  return merged;
+}
+
+// Radial positions: topics on a circle around the root and each deeper level
+// fanned out around its parent, matching the layout the LLM is asked for
+function layoutMindMapNodes(nodes) {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const root = nodes.find((node) => !node.parent);
+  if (!root) return nodes;
+
+  root.position = { x: 400, y: 300 };
+  const topics = nodes.filter((node) => node.parent === root.id);
+
+  const placeChildren = (parent, angle, radius) => {
+    const children = (parent.children || [])
+      .map((childId) => byId.get(childId))
+      .filter(Boolean);
+
+    children.forEach((child, index) => {
+      const childAngle = angle + (index - (children.length - 1) / 2) * 0.3;
+      child.position = {
+        x: Math.round(parent.position.x + radius * Math.cos(childAngle)),
+        y: Math.round(parent.position.y + radius * Math.sin(childAngle)),
+      };
+      placeChildren(child, childAngle, Math.max(radius * 0.8, 80));
+    });
+  };
+
+  topics.forEach((topic, index) => {
+    const angle = (index * 2 * Math.PI) / topics.length;
+    topic.position = {
+      x: Math.round(400 + 200 * Math.cos(angle)),
+      y: Math.round(300 + 200 * Math.sin(angle)),
+    };
+    placeChildren(topic, angle, 120);
+  });
+
+  return nodes;
+}
+
+// Turn a topic tree into mindmap_data with ids following the usual scheme
+// (topic_1, topic_1_sub_0, ...). `contentFor(topic, path)` supplies content
+// for topics that have none; path lists the labels from the top-level topic.
+function topicTreeToMindMap(subjectName, rootContent, topics, contentFor) {
+  const nodes = [
+    {
+      id: "root",
+      label: subjectName,
+      type: "root",
+      level: 0,
+      position: { x: 400, y: 300 },
+      content: rootContent,
+      parent: null,
+      children: [],
+    },
+  ];
+  const edges = [];
+
+  const addTopics = (parent, children, path) => {
+    children.forEach((topic) => {
+      const id = nextChildId(nodes, parent.id);
+      const level = parent.level + 1;
+      const topicPath = [...path, topic.label];
+      const node = {
+        id,
+        label: topic.label,
+        type: level <= 1 ? "topic" : "subtopic",
+        level,
+        position: { x: 400, y: 300 },
+        content: topic.content || contentFor(topic, topicPath),
+        parent: parent.id,
+        children: [],
+      };
+
+      nodes.push(node);
+      parent.children.push(id);
+      edges.push({
+        id: `edge_${parent.id}_${id}`,
+        source: parent.id,
+        target: id,
+        type: "default",
+      });
+
+      addTopics(node, topic.children || [], topicPath);
+    });
+  };
+
+  addTopics(nodes[0], topics, []);
+
+  return {
+    title: subjectName,
+    nodes: layoutMindMapNodes(nodes),
+    edges,
+  };
+}
+
+module.exports = {
+  parseOutline,
+  outlineToText,
+  labelKey,
+  mergeTopicTrees,
+  layoutMindMapNodes,
+  topicTreeToMindMap,
+};
@@ -0,0 +1,159 @@
+// Stored podcasts for mind map nodes. Each is keyed by a hash of the node's
+// label and content, so editing a node makes its podcasts stale: they are
+// never served again and are pruned when the mind map is saved.
+const crypto = require("crypto");
+const Podcast = require("../models/Podcast");
+
+// ElevenLabs' "Rachel", recommended for podcasts
+const DEFAULT_PODCAST_VOICE_ID = "21m00Tcm4TlvDq8ikWAM";
+
+// Returned by parseRange when none of the requested bytes exist
+const UNSATISFIABLE = "unsatisfiable";
+
+// Hash of the parts of a node a podcast is generated from
+const podcastContentHash = (node) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([node.label || "", node.content || ""]))
+    .digest("hex");
+
+// The podcast for a node in a voice, with its audio, if one was generated
+// from the node's current content
+async function findStoredPodcast(mindMapId, node, voiceId) {
+  return Podcast.findOne({
+    mindmap_id: mindMapId,
+    node_id: node.id,
+    voice_id: voiceId,
+    content_hash: podcastContentHash(node),
+  }).select("+audio");
+}
+
+// A script already written for the node's current content in any voice, so
+// a new voice only needs the audio synthesised
+async function findStoredScript(mindMapId, node) {
+  return Podcast.findOne({
+    mindmap_id: mindMapId,
+    node_id: node.id,
+    content_hash: podcastContentHash(node),
+  })
+    .select("script script_model")
+    .lean();
+}
+
+// Keep a generated podcast, replacing any older one for the node and voice.
+// Failing to store it only costs a regeneration later, so errors are logged.
+async function storePodcast({
+  mindMapId,
+  node,
+  voiceId,
+  script,
+  model,
+  audio,
+}) {
+  try {
+    await Podcast.findOneAndUpdate(
+      { mindmap_id: mindMapId, node_id: node.id, voice_id: voiceId },
+      {
+        $set: {
+          content_hash: podcastContentHash(node),
+          script,
+          script_model: model,
+          audio,
+          audio_size: audio.length,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error("Error storing podcast:", error.message);
+  }
+}
+
+// Delete a mind map's podcasts for nodes that were removed or changed. Call
+// after saving edits; stale podcasts are never served either way, so
+// errors are only logged.
+async function pruneStalePodcasts(mindMap) {
+  try {
+    const currentHashes = new Map(
+      (mindMap.mindmap_data?.nodes || []).map((node) => [
+        node.id,
+        podcastContentHash(node),
+      ])
+    );
+    const podcasts = await Podcast.find({ mindmap_id: mindMap._id })
+      .select("node_id content_hash")
+      .lean();
+    const staleIds = podcasts
+      .filter(
+        (podcast) => currentHashes.get(podcast.node_id) !== podcast.content_hash
+      )
+      .map((podcast) => podcast._id);
+
+    if (staleIds.length > 0) {
+      await Podcast.deleteMany({ _id: { $in: staleIds } });
+      console.log(
+        `Removed ${staleIds.length} stale podcast(s) from mind map ${mindMap._id}`
+      );
+    }
+  } catch (error) {
+    console.error("Error pruning stale podcasts:", error.message);
+  }
+}
+
+// Parse a "Range: bytes=..." header against a body of `size` bytes. Returns
+// { start, end } (inclusive), UNSATISFIABLE, or null to send the whole body,
+// which is also the answer to multiple or malformed ranges.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // The last N bytes
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0) return UNSATISFIABLE;
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    if (match[2] && Number(match[2]) < start) return null;
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+
+  return start < size ? { start, end } : UNSATISFIABLE;
+}
+
+// Send MP3 audio, or the byte range the request asked for
+function sendAudio(req, res, audio, headers = {}) {
+  res.set({
+    "Content-Type": "audio/mpeg",
+    "Accept-Ranges": "bytes",
+    ...headers,
+  });
+
+  const range = parseRange(req.get("range"), audio.length);
+  if (range === UNSATISFIABLE) {
+    res.set("Content-Range", `bytes */${audio.length}`);
+    return res.status(416).end();
+  }
+  if (!range) {
+    return res.send(audio);
+  }
+
+  res.status(206).set({
+    "Content-Range": `bytes ${range.start}-${range.end}/${audio.length}`,
+  });
+  return res.send(audio.subarray(range.start, range.end + 1));
+}
+
+module.exports = {
+  DEFAULT_PODCAST_VOICE_ID,
+  podcastContentHash,
+  findStoredPodcast,
+  findStoredScript,
+  storePodcast,
+  pruneStalePodcasts,
+  parseRange,
+  sendAudio,
+};
@@ -0,0 +1,324 @@
+// Helpers for generating, sanitising and grading mind map quizzes
+const { collectSubtree } = require("./mindmapGraph");
+
+const MAX_QUIZ_NODES = 10;
+const MAX_CONTENT_LENGTH = 1200;
+
+// A topic counts as mastered (and read) at or above this quiz score
+const MASTERY_THRESHOLD = 0.8;
+// Share of a short-answer question's keywords an answer must use when it
+// doesn't match an accepted answer
+const MIN_KEYWORD_SHARE = 0.6;
+
+const normalizeAnswer = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Cheap deterministic hash so fallback quizzes are stable between requests
+const hashString = (text) =>
+  String(text)
+    .split("")
+    .reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+// Pick the nodes a quiz should cover: a node and its descendants, or every
+// topic in the map when no node is given
+function selectQuizNodes(nodes, nodeId) {
+  let candidates;
+
+  if (nodeId) {
+    const ids = collectSubtree(nodes, nodeId);
+    candidates = nodes.filter((node) => ids.has(node.id));
+  } else {
+    candidates = nodes.filter((node) => node.type !== "root");
+  }
+
+  return candidates
+    .filter((node) => node.content && node.content.trim())
+    .slice(0, MAX_QUIZ_NODES);
+}
+
+// Build the LLM prompt for a quiz over the given nodes
+function buildQuizPrompt(subjectName, quizNodes, questionCount) {
+  const topics = quizNodes
+    .map(
+      (node) =>
+        `[node_id: ${node.id}] ${node.label}\n${node.content.slice(
+          0,
+          MAX_CONTENT_LENGTH
+        )}`
+    )
+    .join("\n\n");
+
+  return `Create a quiz for a student studying "${subjectName}". Base every question only on the following topics from their mind map:
+
+${topics}
+
+Please return a JSON structure with the following exact format:
+{
+  "questions": [
+    {
+      "node_id": "id of the topic this question tests",
+      "type": "multiple_choice",
+      "prompt": "Question text?",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "answer_index": 0,
+      "explanation": "Why the correct answer is right"
+    },
+    {
+      "node_id": "id of the topic this question tests",
+      "type": "short_answer",
+      "prompt": "Question text?",
+      "accepted_answers": ["expected answer", "acceptable alternative"],
+      "keywords": ["key", "terms", "a good answer mentions"],
+      "explanation": "What a complete answer covers"
+    }
+  ]
+}
+
+Important guidelines:
+1. Create exactly ${questionCount} questions, spread across the topics above
+2. Mix multiple_choice and short_answer questions, with more multiple_choice
+3. Multiple choice questions have exactly 4 options and one correct answer
+4. Short answers should be a word or short phrase, not an essay
+5. Use only node_id values listed above
+6. Test understanding, not just recall of wording
+
+Return ONLY valid JSON, no additional text or formatting.`;
+}
+
+// Keep only well-formed questions from an LLM response and assign ids
+function normalizeGeneratedQuestions(rawQuestions, quizNodes) {
+  const nodeIds = new Set(quizNodes.map((node) => node.id));
+
+  return (Array.isArray(rawQuestions) ? rawQuestions : [])
+    .map((question) => {
+      if (!question || !question.prompt || !nodeIds.has(question.node_id)) {
+        return null;
+      }
+
+      if (question.type === "multiple_choice") {
+        const options = (question.options || [])
+          .map((option) => String(option).trim())
+          .filter(Boolean);
+        const answerIndex = Number(question.answer_index);
+        if (
+          options.length < 2 ||
+          !Number.isInteger(answerIndex) ||
+          answerIndex < 0 ||
+          answerIndex >= options.length
+        ) {
+          return null;
+        }
+
+        return {
+          node_id: question.node_id,
+          type: "multiple_choice",
+          prompt: String(question.prompt).trim(),
+          options,
+          answer_index: answerIndex,
+          explanation: String(question.explanation || ""),
+        };
+      }
+
+      if (question.type === "short_answer") {
+        const acceptedAnswers = (question.accepted_answers || [])
+          .map((answer) => String(answer).trim())
+          .filter(Boolean);
+        const keywords = (question.keywords || [])
+          .map((keyword) => String(keyword).trim())
+          .filter(Boolean);
+        if (acceptedAnswers.length === 0 && keywords.length === 0) {
+          return null;
+        }
+
+        return {
+          node_id: question.node_id,
+          type: "short_answer",
+          prompt: String(question.prompt).trim(),
+          accepted_answers: acceptedAnswers,
+          keywords,
+          explanation: String(question.explanation || ""),
+        };
+      }
+
+      return null;
+    })
+    .filter(Boolean)
+    .map((question, index) => ({ id: `q${index + 1}`, ...question }));
+}
+
+// Deterministic questions built from node content when the LLM is unavailable:
+// "which topic does this passage describe?"
+function createFallbackQuestions(allNodes, quizNodes, questionCount) {
+  const labels = [
+    ...new Set(
+      allNodes.filter((node) => node.type !== "root").map((node) => node.label)
+    ),
+  ];
+
+  const questions = [];
+  quizNodes.slice(0, questionCount).forEach((node) => {
+    const escapedLabel = node.label.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const sentence =
+      node.content
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map((line) => line.replace(/^[•\-*\s]+/, "").trim())
+        .find((line) => line.length >= 40) || node.content.slice(0, 200);
+    const passage = sentence.replace(new RegExp(escapedLabel, "gi"), "____");
+
+    const distractors = labels
+      .filter((label) => label !== node.label)
+      .sort((a, b) => hashString(node.id + a) - hashString(node.id + b))
+      .slice(0, 3);
+
+    if (distractors.length > 0) {
+      const options = [...distractors];
+      const answerIndex = hashString(node.id) % (options.length + 1);
+      options.splice(answerIndex, 0, node.label);
+
+      questions.push({
+        node_id: node.id,
+        type: "multiple_choice",
+        prompt: `Which topic does this passage describe?\n"${passage}"`,
+        options,
+        answer_index: answerIndex,
+        explanation: `The passage comes from the notes for "${node.label}".`,
+      });
+    } else {
+      questions.push({
+        node_id: node.id,
+        type: "short_answer",
+        prompt: `Name the topic this passage describes:\n"${passage}"`,
+        accepted_answers: [node.label],
+        keywords: normalizeAnswer(node.label)
+          .split(" ")
+          .filter((word) => word.length > 3),
+        explanation: `The passage comes from the notes for "${node.label}".`,
+      });
+    }
+  });
+
+  return questions.map((question, index) => ({
+    id: `q${index + 1}`,
+    ...question,
+  }));
+}
+
+// Strip answers so a quiz can be sent to the student
+function toPublicQuiz(quiz) {
+  const scores = (quiz.attempts || []).map((attempt) => attempt.score);
+
+  return {
+    id: quiz._id.toString(),
+    mindmap_id: quiz.mindmap_id.toString(),
+    node_id: quiz.node_id,
+    title: quiz.title,
+    questions: (quiz.questions || []).map((question) => ({
+      id: question.id,
+      node_id: question.node_id,
+      type: question.type,
+      prompt: question.prompt,
+      options: question.type === "multiple_choice" ? question.options : [],
+    })),
+    attempt_count: scores.length,
+    best_score: scores.length > 0 ? Math.max(...scores) : null,
+    last_score: scores.length > 0 ? scores[scores.length - 1] : null,
+    created_at: quiz.created_at,
+  };
+}
+
+// Whether a normalised answer contains a normalised phrase as whole words,
+// so "cell" matches "a cell wall" but not "cellulose"
+const containsWords = (given, phrase) => ` ${given} `.includes(` ${phrase} `);
+
+const isShortAnswerCorrect = (question, answer) => {
+  const given = normalizeAnswer(answer);
+  if (!given) return false;
+
+  const matchesAccepted = (question.accepted_answers || []).some(
+    (accepted) => {
+      const expected = normalizeAnswer(accepted);
+      return (
+        expected &&
+        (given === expected ||
+          (expected.length > 3 && containsWords(given, expected)))
+      );
+    }
+  );
+  if (matchesAccepted) return true;
+
+  const keywords = (question.keywords || []).map(normalizeAnswer).filter(Boolean);
+  if (keywords.length === 0) return false;
+
+  const matched = keywords.filter((keyword) =>
+    containsWords(given, keyword)
+  ).length;
+  return matched / keywords.length >= MIN_KEYWORD_SHARE;
+};
+
+// Grade answers ({ questionId: optionIndex | text }) against a quiz.
+// Returns the attempt plus a per-node score for updating mastery.
+function gradeQuiz(quiz, answers) {
+  const results = quiz.questions.map((question) => {
+    const answer = answers?.[question.id];
+    const correct =
+      question.type === "multiple_choice"
+        ? answer !== null &&
+          answer !== undefined &&
+          answer !== "" &&
+          Number(answer) === question.answer_index
+        : isShortAnswerCorrect(question, answer);
+
+    return {
+      question_id: question.id,
+      node_id: question.node_id,
+      correct,
+      correct_answer:
+        question.type === "multiple_choice"
+          ? question.options[question.answer_index]
+          : question.accepted_answers[0] || question.keywords.join(", "),
+      explanation: question.explanation,
+    };
+  });
+
+  const nodeTotals = {};
+  results.forEach((result) => {
+    const totals = nodeTotals[result.node_id] || { correct: 0, total: 0 };
+    totals.total += 1;
+    if (result.correct) totals.correct += 1;
+    nodeTotals[result.node_id] = totals;
+  });
+
+  const nodeScores = {};
+  Object.entries(nodeTotals).forEach(([nodeId, totals]) => {
+    nodeScores[nodeId] = totals.correct / totals.total;
+  });
+
+  const correctCount = results.filter((result) => result.correct).length;
+  const total = results.length;
+
+  return {
+    attempt: {
+      answers: answers || {},
+      results,
+      correct_count: correctCount,
+      total,
+      score: total > 0 ? correctCount / total : 0,
+      submitted_at: new Date(),
+    },
+    nodeScores,
+  };
+}
+
+module.exports = {
+  MASTERY_THRESHOLD,
+  selectQuizNodes,
+  buildQuizPrompt,
+  normalizeGeneratedQuestions,
+  createFallbackQuestions,
+  toPublicQuiz,
+  gradeQuiz,
+};
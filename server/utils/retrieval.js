@@ -0,0 +1,207 @@
+// Lexical retrieval over a mind map's own content, used to ground chat
+// answers. Node content and the syllabus are split into short passages and
+// ranked against the question with BM25; no external vector service needed.
+
+const MAX_PASSAGE_WORDS = 90;
+const MAX_SYLLABUS_PASSAGES = 40;
+const DEFAULT_PASSAGE_LIMIT = 4;
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set(
+  `a about above after again all also am an and any are as at be because been
+  before being below between both but by can could did do does doing down during
+  each few for from further had has have having he her here hers him his how i if
+  in into is it its itself just me more most my no nor not now of off on once only
+  or other our out over own same she should so some such than that the their them
+  then there these they this those through to too under until up very was we were
+  what when where which while who whom why will with would you your yours explain
+  tell please`.split(/\s+/)
+);
+
+// Lowercase words with stop words removed and a light suffix strip, so
+// "sorting", "sorts" and "sorted" all match "sort"
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) =>
+      word.length > 4 ? word.replace(/(ing|ed|es|s)$/, "") : word
+    );
+
+// Split text into passages of whole lines/sentences up to a word limit
+const splitIntoPassages = (text) => {
+  const pieces = String(text || "")
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map((piece) => piece.trim())
+    .filter(Boolean);
+
+  const passages = [];
+  let current = [];
+  let wordCount = 0;
+
+  pieces.forEach((piece) => {
+    const words = piece.split(/\s+/).length;
+    if (wordCount + words > MAX_PASSAGE_WORDS && current.length > 0) {
+      passages.push(current.join(" "));
+      current = [];
+      wordCount = 0;
+    }
+    current.push(piece);
+    wordCount += words;
+  });
+
+  if (current.length > 0) passages.push(current.join(" "));
+  return passages;
+};
+
+// Turn a stored mind map into retrievable passages. Node passages carry the
+// node id and label (the label is indexed too); syllabus passages have no node.
+function buildPassages(mindMap) {
+  const passages = [];
+
+  (mindMap.mindmap_data?.nodes || []).forEach((node) => {
+    splitIntoPassages(node.content).forEach((text, index) => {
+      passages.push({
+        id: `${node.id}#${index}`,
+        node_id: node.id,
+        label: node.label,
+        source: "node",
+        text,
+        tokens: tokenize(`${node.label} ${text}`),
+      });
+    });
+  });
+
+  splitIntoPassages(mindMap.syllabus)
+    .slice(0, MAX_SYLLABUS_PASSAGES)
+    .forEach((text, index) => {
+      passages.push({
+        id: `syllabus#${index}`,
+        node_id: null,
+        label: "Syllabus",
+        source: "syllabus",
+        text,
+        tokens: tokenize(text),
+      });
+    });
+
+  return passages;
+}
+
+// Rank passages against a query with BM25. Passages from `focusNodeId` (the
+// node the student is looking at) get a small boost. Returns the best
+// `limit` passages with a positive score, best first.
+function rankPassages(
+  passages,
+  query,
+  { limit = DEFAULT_PASSAGE_LIMIT, focusNodeId = null } = {}
+) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || passages.length === 0) return [];
+
+  const averageLength =
+    passages.reduce((sum, passage) => sum + passage.tokens.length, 0) /
+    passages.length;
+
+  const documentFrequency = {};
+  queryTerms.forEach((term) => {
+    documentFrequency[term] = passages.filter((passage) =>
+      passage.tokens.includes(term)
+    ).length;
+  });
+
+  return passages
+    .map((passage) => {
+      const termCounts = {};
+      passage.tokens.forEach((token) => {
+        termCounts[token] = (termCounts[token] || 0) + 1;
+      });
+
+      let score = 0;
+      queryTerms.forEach((term) => {
+        const frequency = termCounts[term] || 0;
+        if (frequency === 0) return;
+
+        const idf = Math.log(
+          1 +
+            (passages.length - documentFrequency[term] + 0.5) /
+              (documentFrequency[term] + 0.5)
+        );
+        score +=
+          (idf * frequency * (K1 + 1)) /
+          (frequency +
+            K1 * (1 - B + (B * passage.tokens.length) / (averageLength || 1)));
+      });
+
+      if (score > 0 && focusNodeId && passage.node_id === focusNodeId) {
+        score *= 1.25;
+      }
+
+      return { ...passage, score };
+    })
+    .filter((passage) => passage.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// Passages to ground a chat message in. Questions like "can you explain
+// this more?" match nothing lexically, so they fall back to the passages of
+// the node the student is looking at.
+function retrievePassages(mindMap, query, focusNodeId = null) {
+  const passages = buildPassages(mindMap);
+  const ranked = rankPassages(passages, query, { focusNodeId });
+  if (ranked.length > 0 || !focusNodeId) return ranked;
+
+  return passages
+    .filter((passage) => passage.node_id === focusNodeId)
+    .slice(0, 2);
+}
+
+// Prompt section listing the retrieved passages and how to cite them
+function buildGroundingPrompt(passages) {
+  const sources = passages
+    .map((passage) =>
+      passage.node_id
+        ? `[${passage.node_id}] (${passage.label}) ${passage.text}`
+        : `[syllabus] ${passage.text}`
+    )
+    .join("\n\n");
+
+  return `Reference passages from the student's own mind map:
+
+${sources}
+
+When you use information from a passage, cite it by writing its id in square brackets, e.g. [${
+    passages.find((passage) => passage.node_id)?.node_id || "topic_1"
+  }]. Prefer these passages over general knowledge, and say so if they do not cover the question.`;
+}
+
+// Node ids the reply cited, limited to passages that were actually provided
+function extractCitedNodeIds(reply, passages) {
+  const provided = new Set(
+    passages.map((passage) => passage.node_id).filter(Boolean)
+  );
+  const cited = [];
+
+  for (const match of String(reply || "").matchAll(/\[([^\]\s]+)\]/g)) {
+    match[1].split(/\s*,\s*/).forEach((id) => {
+      if (provided.has(id) && !cited.includes(id)) cited.push(id);
+    });
+  }
+
+  return cited;
+}
+
+module.exports = {
+  tokenize,
+  buildPassages,
+  rankPassages,
+  retrievePassages,
+  buildGroundingPrompt,
+  extractCitedNodeIds,
+};
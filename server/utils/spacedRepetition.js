@@ -0,0 +1,47 @@
+// SM-2 spaced repetition scheduling for flashcards
+// https://super-memory.com/english/ol/sm2.htm
+
+const MIN_EASE_FACTOR = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Work out the next review for a card given a recall quality from 0
+// (complete blackout) to 5 (perfect recall). Returns the new scheduling
+// fields without modifying the card.
+function scheduleReview(card, quality, now = new Date()) {
+  const grade = Math.min(Math.max(Math.round(quality), 0), 5);
+  let repetitions = card.repetitions || 0;
+  let intervalDays = card.interval_days || 0;
+  let lapses = card.lapses || 0;
+
+  if (grade < 3) {
+    // Forgotten: start the card over, but keep its ease history
+    repetitions = 0;
+    intervalDays = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) {
+      intervalDays = 1;
+    } else if (repetitions === 2) {
+      intervalDays = 6;
+    } else {
+      intervalDays = Math.round(intervalDays * (card.ease_factor || 2.5));
+    }
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    (card.ease_factor || 2.5) + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  return {
+    ease_factor: Math.round(easeFactor * 100) / 100,
+    interval_days: intervalDays,
+    repetitions,
+    lapses,
+    due_at: new Date(now.getTime() + intervalDays * DAY_MS),
+    last_reviewed_at: now,
+  };
+}
+
+module.exports = { scheduleReview };
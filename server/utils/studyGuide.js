@@ -0,0 +1,313 @@
+// Printable study guides: a mind map walked depth-first into numbered
+// sections with a table of contents and the reader's progress, rendered as
+// standalone HTML or as a PDF drawn with pdfkit, so no browser is needed.
+const PDFDocument = require("pdfkit");
+const { buildNodeTree } = require("./mindmapExport");
+const { MASTERY_THRESHOLD } = require("./quiz");
+
+const escapeHtml = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const percent = (score) => `${Math.round(score * 100)}%`;
+
+// Short descriptions of a section's read and quiz status
+const readLabel = (section) => (section.is_read ? "Read" : "Not read yet");
+const isMastered = (section) =>
+  section.mastery !== null && section.mastery >= MASTERY_THRESHOLD;
+const quizLabel = (section) =>
+  section.mastery === null
+    ? "Not quizzed"
+    : `Best quiz score ${percent(section.mastery)}`;
+
+// Walk the mind map into numbered sections. `progress` is the user's
+// MindMapProgress document, if any. Returns null when the map has no root.
+function buildStudyGuide(mindMap, progress) {
+  const tree = buildNodeTree(mindMap.mindmap_data?.nodes || []);
+  if (!tree) return null;
+
+  const topics = progress?.topics || new Map();
+  const sections = [];
+
+  const visit = ({ node, children }, number) => {
+    const topic = topics.get(node.id);
+    sections.push({
+      id: node.id,
+      anchor: `section-${number.join("-")}`,
+      number: number.join("."),
+      depth: number.length,
+      label: node.label,
+      content: (node.content || "").trim(),
+      is_read: !!topic?.is_read,
+      mastery: topic?.mastery ?? null,
+    });
+    children.forEach((child, index) => visit(child, [...number, index + 1]));
+  };
+  tree.children.forEach((child, index) => visit(child, [index + 1]));
+
+  return {
+    title: mindMap.subject_name || tree.node.label,
+    overview: (tree.node.content || "").trim(),
+    generated_at: new Date(),
+    sections,
+    summary: {
+      total: sections.length,
+      read: sections.filter((section) => section.is_read).length,
+      quizzed: sections.filter((section) => section.mastery !== null).length,
+      mastered: sections.filter(isMastered).length,
+    },
+  };
+}
+
+const summaryLine = ({ summary, generated_at }) =>
+  `${summary.read} of ${summary.total} topics read · ${summary.quizzed} quizzed, ${summary.mastered} mastered · Generated ${generated_at.toLocaleDateString(
+    "en-US",
+    { year: "numeric", month: "long", day: "numeric" }
+  )}`;
+
+// Blank-line separated paragraphs with their line breaks kept
+const htmlParagraphs = (text) =>
+  text
+    .split(/\n\s*\n/)
+    .map(
+      (paragraph) =>
+        `<p>${escapeHtml(paragraph.trim()).replace(/\r?\n/g, "<br>")}</p>`
+    )
+    .join("\n");
+
+const HTML_STYLES = `
+  body { font-family: Georgia, "Times New Roman", serif; color: #1f2937; max-width: 760px; margin: 40px auto; padding: 0 24px; line-height: 1.55; }
+  h1 { font-size: 2rem; margin-bottom: 0.25rem; }
+  h2, h3, h4, h5, h6 { font-family: Helvetica, Arial, sans-serif; margin: 1.8rem 0 0.3rem; }
+  .meta, .status { font-family: Helvetica, Arial, sans-serif; font-size: 0.85rem; color: #6b7280; }
+  .status span { display: inline-block; margin-right: 0.5rem; padding: 0.05rem 0.5rem; border: 1px solid #d1d5db; border-radius: 999px; }
+  .status .done { border-color: #16a34a; color: #15803d; }
+  .toc ol { list-style: none; padding-left: 1.25rem; }
+  .toc > ol { padding-left: 0; }
+  .toc a { color: inherit; text-decoration: none; }
+  .toc .mark { color: #16a34a; margin-left: 0.35rem; }
+  .number { color: #ea580c; margin-right: 0.4rem; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .toc { page-break-after: always; }
+    h2, h3, h4, h5, h6 { page-break-after: avoid; }
+  }
+`;
+
+// A self-contained HTML page, laid out for printing
+function renderStudyGuideHTML(guide) {
+  // Nest the contents list to follow the section numbering
+  const tocItems = (depth, start) => {
+    const items = [];
+    let index = start;
+    while (index < guide.sections.length) {
+      const section = guide.sections[index];
+      if (section.depth < depth) break;
+
+      const childStart = index + 1;
+      let childEnd = childStart;
+      while (
+        childEnd < guide.sections.length &&
+        guide.sections[childEnd].depth > depth
+      ) {
+        childEnd++;
+      }
+
+      items.push(
+        `<li><a href="#${section.anchor}"><span class="number">${section.number}</span>${escapeHtml(
+          section.label
+        )}</a>${section.is_read ? '<span class="mark">✓</span>' : ""}${
+          childEnd > childStart
+            ? `<ol>${tocItems(depth + 1, childStart).join("")}</ol>`
+            : ""
+        }</li>`
+      );
+      index = childEnd;
+    }
+    return items;
+  };
+
+  const sections = guide.sections
+    .map((section) => {
+      const heading = `h${Math.min(section.depth + 1, 6)}`;
+      return `<section id="${section.anchor}">
+<${heading}><span class="number">${section.number}</span>${escapeHtml(
+        section.label
+      )}</${heading}>
+<p class="status"><span class="${section.is_read ? "done" : ""}">${readLabel(
+        section
+      )}</span><span class="${isMastered(section) ? "done" : ""}">${quizLabel(
+        section
+      )}</span></p>
+${section.content ? htmlParagraphs(section.content) : ""}
+</section>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(guide.title)} — Study Guide</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(guide.title)}</h1>
+<p class="meta">${escapeHtml(summaryLine(guide))}</p>
+${guide.overview ? htmlParagraphs(guide.overview) : ""}
+</header>
+<nav class="toc">
+<h2>Contents</h2>
+<ol>${tocItems(1, 0).join("")}</ol>
+</nav>
+<main>
+${sections}
+</main>
+</body>
+</html>
+`;
+}
+
+// The standard PDF fonts only cover Latin-1 and a few typographic marks, so
+// anything else is swapped for a plain equivalent or dropped
+const toPdfText = (text) =>
+  String(text ?? "")
+    .replace(/[▪◦●○‣]/g, "•")
+    .replace(/[→⇒]/g, "->")
+    .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF•–—‘’“”…€™]/g, "");
+
+const PDF_HEADING_SIZES = [16, 13.5, 12, 11];
+
+// A4 PDF with a linked table of contents, bookmarks and page numbers.
+// Resolves to a Buffer.
+function renderStudyGuidePDF(guide) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 56,
+      bufferPages: true,
+      info: { Title: `${toPdfText(guide.title)} - Study Guide` },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // Title, summary and overview
+    doc.font("Helvetica-Bold").fontSize(24).text(toPdfText(guide.title));
+    doc
+      .moveDown(0.3)
+      .font("Helvetica")
+      .fontSize(10)
+      .fillColor("#6b7280")
+      .text(toPdfText(summaryLine(guide)));
+    if (guide.overview) {
+      doc
+        .moveDown()
+        .fontSize(11)
+        .fillColor("#1f2937")
+        .text(toPdfText(guide.overview), { lineGap: 2 });
+    }
+
+    // Table of contents, each entry linking to its section
+    doc
+      .moveDown(1.5)
+      .font("Helvetica-Bold")
+      .fontSize(16)
+      .fillColor("#1f2937")
+      .text("Contents");
+    doc.moveDown(0.5).font("Helvetica").fontSize(10.5);
+    guide.sections.forEach((section) => {
+      doc
+        .fillColor(section.is_read ? "#15803d" : "#1f2937")
+        .text(
+          `${section.number}  ${toPdfText(section.label)}${
+            section.is_read ? "  (read)" : ""
+          }`,
+          doc.page.margins.left + (section.depth - 1) * 14,
+          doc.y,
+          { goTo: section.anchor, lineGap: 2 }
+        );
+    });
+
+    // Sections, with a bookmark tree mirroring the numbering
+    const bookmarks = [];
+    guide.sections.forEach((section, index) => {
+      if (index === 0) {
+        doc.addPage();
+      } else {
+        doc.moveDown(section.depth === 1 ? 1.5 : 1);
+      }
+      // Keep a heading on the same page as the start of its text
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+        doc.addPage();
+      }
+
+      const parent = bookmarks[section.depth - 2] || doc.outline;
+      bookmarks[section.depth - 1] = parent.addItem(
+        `${section.number} ${toPdfText(section.label)}`
+      );
+      bookmarks.length = section.depth;
+
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(PDF_HEADING_SIZES[Math.min(section.depth, 4) - 1])
+        .fillColor("#1f2937")
+        .text(
+          `${section.number}  ${toPdfText(section.label)}`,
+          doc.page.margins.left,
+          doc.y,
+          { destination: section.anchor }
+        );
+      doc
+        .moveDown(0.2)
+        .font("Helvetica")
+        .fontSize(9)
+        .fillColor(section.is_read ? "#15803d" : "#6b7280")
+        .text(`${readLabel(section)} · ${quizLabel(section)}`);
+
+      if (section.content) {
+        doc
+          .moveDown(0.4)
+          .fontSize(11)
+          .fillColor("#1f2937")
+          .text(toPdfText(section.content), { lineGap: 2 });
+      }
+    });
+
+    // Page numbers in the footer of every page
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index++) {
+      doc.switchToPage(index);
+      const bottomMargin = doc.page.margins.bottom;
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      doc
+        .font("Helvetica")
+        .fontSize(8)
+        .fillColor("#9ca3af")
+        .text(
+          `${toPdfText(guide.title)} · Page ${index + 1} of ${range.count}`,
+          doc.page.margins.left,
+          doc.page.height - 36,
+          {
+            width: doc.page.width - doc.page.margins.left * 2,
+            align: "center",
+          }
+        );
+      doc.page.margins.bottom = bottomMargin;
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildStudyGuide,
+  renderStudyGuideHTML,
+  renderStudyGuidePDF,
+};
@@ -0,0 +1,229 @@
+// Extract plain text from uploaded syllabus documents and normalise it into
+// an indented topic outline that can be used as the syllabus for generation
+const path = require("path");
+const mammoth = require("mammoth");
+// Required directly: the package entry point runs a self-test when loaded
+// without a parent module
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+
+const MAX_OUTLINE_LINES = 400;
+
+const SUPPORTED_TYPES = {
+  pdf: ["application/pdf"],
+  docx: [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+  html: ["text/html", "application/xhtml+xml"],
+  text: ["text/plain", "text/markdown", "text/x-markdown"],
+};
+
+const EXTENSIONS = {
+  ".pdf": "pdf",
+  ".docx": "docx",
+  ".html": "html",
+  ".htm": "html",
+  ".txt": "text",
+  ".md": "text",
+  ".markdown": "text",
+};
+
+// Work out which extractor to use from the mime type, then the extension
+function detectDocumentType(mimetype, filename) {
+  const byMime = Object.keys(SUPPORTED_TYPES).find((type) =>
+    SUPPORTED_TYPES[type].includes(mimetype)
+  );
+  if (byMime) return byMime;
+
+  return EXTENSIONS[path.extname(filename || "").toLowerCase()] || null;
+}
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)));
+
+// Turn HTML into text lines, keeping headings ("## Title") and list items
+// ("- item") so the outline builder can see the document structure
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style|head|nav|footer)[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(
+        /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi,
+        (match, level, text) =>
+          `\n${"#".repeat(Number(level))} ${text.replace(/<[^>]+>/g, " ")}\n`
+      )
+      .replace(/<li[^>]*>/gi, "\n- ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|ul|ol|tr|table|section|article)>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n");
+}
+
+// Pull the raw text out of an uploaded file buffer
+async function extractText(buffer, documentType) {
+  switch (documentType) {
+    case "pdf": {
+      const result = await pdfParse(buffer);
+      return result.text;
+    }
+    case "docx": {
+      // Convert to HTML rather than raw text so Word heading styles survive
+      const result = await mammoth.convertToHtml({ buffer });
+      return htmlToText(result.value);
+    }
+    case "html":
+      return htmlToText(buffer.toString("utf8"));
+    case "text":
+      return buffer.toString("utf8");
+    default:
+      throw new Error(`Unsupported document type: ${documentType}`);
+  }
+}
+
+const UNIT_HEADING =
+  /^(unit|module|chapter|part|section|week|lecture|topic|lesson)\s+([0-9]+|[ivxlc]+)\b/i;
+const BULLET = /^([•◦▪●○■\-*–]|o(?=\s))\s*/;
+
+// Decide whether a line is a heading (and how deep) or an outline item
+function classifyLine(line) {
+  const markdown = line.match(/^(#{1,6})\s+(.+)$/);
+  if (markdown) {
+    return { kind: "heading", rank: markdown[1].length, text: markdown[2] };
+  }
+
+  if (UNIT_HEADING.test(line)) {
+    return { kind: "heading", rank: 1, text: line };
+  }
+
+  // "1.2 Topic" / "1.2.3 Topic" are nested headings; "1. Topic" stays an item
+  const numbered = line.match(/^(\d+(?:\.\d+)+)\.?\s+(.+)$/);
+  if (numbered) {
+    return {
+      kind: "heading",
+      rank: numbered[1].split(".").length,
+      text: line,
+    };
+  }
+
+  if (BULLET.test(line)) {
+    return { kind: "item", text: line.replace(BULLET, "") };
+  }
+
+  const ordered = line.match(/^(\d+|[a-z])[.)]\s+(.+)$/i);
+  if (ordered) {
+    return { kind: "item", text: ordered[2] };
+  }
+
+  // Short all-caps lines are usually section titles in PDFs
+  const letters = line.replace(/[^a-z]/gi, "");
+  if (
+    letters.length >= 4 &&
+    line.length <= 80 &&
+    letters === letters.toUpperCase()
+  ) {
+    return { kind: "heading", rank: 1, text: line };
+  }
+
+  return { kind: "item", text: line, prose: true };
+}
+
+// PDFs break paragraphs into one line per printed line; glue a plain line
+// back onto the previous item when it clearly continues the same sentence
+function joinWrappedLines(entries) {
+  const joined = [];
+
+  entries.forEach((entry) => {
+    const last = joined[joined.length - 1];
+    if (
+      entry.prose &&
+      last &&
+      last.kind === "item" &&
+      !/[.!?:;]$/.test(last.text) &&
+      /^[a-z(]/.test(entry.text)
+    ) {
+      last.text = `${last.text} ${entry.text}`;
+    } else {
+      joined.push({ ...entry });
+    }
+  });
+
+  return joined;
+}
+
+// Lines that are noise in extracted documents: page numbers and headers or
+// footers repeated on every page
+const isNoise = (line, counts) =>
+  line.length < 3 ||
+  /^(page\s+)?\d+(\s+of\s+\d+)?$/i.test(line) ||
+  (counts.get(line) >= 3 && line.length <= 60);
+
+// Normalise extracted text into an outline: top-level headings flush left,
+// everything beneath them indented two spaces per level with "- " markers
+function buildTopicOutline(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+
+  const counts = new Map();
+  lines.forEach((line) => counts.set(line, (counts.get(line) || 0) + 1));
+
+  const entries = joinWrappedLines(
+    lines
+      .filter((line) => !isNoise(line, counts))
+      .map(classifyLine)
+      .filter((entry) => entry.text && entry.text.trim())
+  );
+
+  // Map the heading ranks actually used onto consecutive depths, so a
+  // document that starts at h2 still gets top-level topics
+  const ranks = [
+    ...new Set(
+      entries.filter((e) => e.kind === "heading").map((e) => e.rank)
+    ),
+  ].sort((a, b) => a - b);
+  const depthForRank = new Map(ranks.map((rank, index) => [rank, index]));
+
+  const outline = [];
+  let currentDepth = -1;
+  let previous = null;
+
+  entries.forEach((entry) => {
+    const text = entry.text.trim();
+    let depth;
+
+    if (entry.kind === "heading") {
+      depth = depthForRank.get(entry.rank);
+      currentDepth = depth;
+    } else {
+      depth = currentDepth + 1;
+    }
+
+    const line =
+      depth === 0 ? text : `${"  ".repeat(depth - 1)}- ${text}`;
+    if (line !== previous) outline.push(line);
+    previous = line;
+  });
+
+  return {
+    outline: outline.slice(0, MAX_OUTLINE_LINES).join("\n"),
+    heading_count: entries.filter((e) => e.kind === "heading").length,
+    truncated: outline.length > MAX_OUTLINE_LINES,
+  };
+}
+
+module.exports = {
+  detectDocumentType,
+  extractText,
+  buildTopicOutline,
+};
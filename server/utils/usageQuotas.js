@@ -0,0 +1,156 @@
+// Daily per-user quotas for the AI features, each of which spends paid Groq
+// or ElevenLabs credit. Counters live in MongoDB so every server instance
+// shares them; while the database is unreachable they're kept in memory.
+const mongoose = require("mongoose");
+const UsageCounter = require("../models/UsageCounter");
+const { getQuotaConfig } = require("../config/quotas");
+
+const QUOTA_FEATURES = ["mindmap", "chat", "audio", "study"];
+
+// How each feature's quota is described to users
+const QUOTA_LABELS = {
+  mindmap: "mind map generations",
+  chat: "chat messages",
+  audio: "podcast generations",
+  study: "quiz and flashcard generations",
+};
+
+// Counters kept while MongoDB is unavailable, keyed by user, feature and day
+const memoryCounters = new Map();
+
+// The UTC day a counter belongs to, e.g. "2025-01-31"
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// When the current UTC day ends and quotas reset
+const nextReset = (date = new Date()) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+  );
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+const memoryKey = (userUid, feature, day) => `${day}:${feature}:${userUid}`;
+
+// Add amount (which may be negative) to a day's counter, today's unless
+// given, and resolve with its new value. Counters never drop below zero.
+async function addToCounter(userUid, feature, amount, day = dayKey()) {
+  if (isDatabaseReady()) {
+    const filter = { user_uid: userUid, feature, day };
+    if (amount < 0) filter.count = { $gt: 0 };
+    const update = () =>
+      UsageCounter.findOneAndUpdate(
+        filter,
+        { $inc: { count: amount }, $setOnInsert: { expires_at: nextReset() } },
+        { upsert: amount > 0, new: true }
+      ).lean();
+
+    try {
+      let counter;
+      try {
+        counter = await update();
+      } catch (error) {
+        // Two upserts racing to create the day's counter: one inserts it and
+        // the other hits the unique index, but finds it on a second try
+        if (error.code !== 11000) throw error;
+        counter = await update();
+      }
+      return counter ? counter.count : 0;
+    } catch (error) {
+      // Counting in memory would hand out a fresh quota, so only do it when
+      // the database is actually gone
+      if (isDatabaseReady()) throw error;
+      console.error(
+        "Usage counters unavailable, counting in memory:",
+        error.message
+      );
+    }
+  }
+
+  // Forget counters from earlier days, which leaves nothing to refund there
+  const today = dayKey();
+  for (const key of memoryCounters.keys()) {
+    if (!key.startsWith(`${today}:`)) memoryCounters.delete(key);
+  }
+  if (day !== today) return 0;
+
+  const key = memoryKey(userUid, feature, day);
+  const count = Math.max(0, (memoryCounters.get(key) || 0) + amount);
+  memoryCounters.set(key, count);
+  return count;
+}
+
+// Use one of the user's requests for a feature today. Resolves with
+// { allowed, limit, remaining, resetAt, day }; refused requests aren't
+// counted. Pass day to refundQuota to give the request back.
+async function consumeQuota(userUid, feature) {
+  const limit = getQuotaConfig()[feature];
+  const day = dayKey();
+  const count = await addToCounter(userUid, feature, 1, day);
+  const resetAt = nextReset();
+
+  // Counting first and checking after keeps concurrent requests from all
+  // squeezing through on the last remaining one
+  if (count > limit) {
+    await addToCounter(userUid, feature, -1, day);
+    return { allowed: false, limit, remaining: 0, resetAt, day };
+  }
+  return { allowed: true, limit, remaining: limit - count, resetAt, day };
+}
+
+// Give back a request that ended up not using the AI service, on the day it
+// was counted (today unless given)
+async function refundQuota(userUid, feature, day = dayKey()) {
+  await addToCounter(userUid, feature, -1, day);
+}
+
+// How much of each quota the user has used today. Admins have no limits,
+// which is reported as a null limit.
+async function getUsage(userUid, role = "user") {
+  const day = dayKey();
+  const limits = getQuotaConfig();
+  let counts = null;
+
+  if (isDatabaseReady()) {
+    try {
+      const counters = await UsageCounter.find({ user_uid: userUid, day })
+        .select("feature count")
+        .lean();
+      counts = Object.fromEntries(
+        counters.map((counter) => [counter.feature, counter.count])
+      );
+    } catch (error) {
+      console.error("Usage counters unavailable:", error.message);
+    }
+  }
+  if (!counts) {
+    counts = Object.fromEntries(
+      QUOTA_FEATURES.map((feature) => [
+        feature,
+        memoryCounters.get(memoryKey(userUid, feature, day)) || 0,
+      ])
+    );
+  }
+
+  const unlimited = role === "admin";
+  return {
+    reset_at: nextReset(),
+    features: QUOTA_FEATURES.map((feature) => {
+      const used = counts[feature] || 0;
+      return {
+        feature,
+        label: QUOTA_LABELS[feature],
+        used,
+        limit: unlimited ? null : limits[feature],
+        remaining: unlimited ? null : Math.max(0, limits[feature] - used),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  QUOTA_FEATURES,
+  QUOTA_LABELS,
+  consumeQuota,
+  refundQuota,
+  getUsage,
+};